@@ -0,0 +1,124 @@
+import { FULL_ZOOM_WINDOW } from './zoomWindow.js';
+
+// Number of tick intervals on cartesian and polar axes
+const CARTESIAN_INTERVALS = 5;
+const POLAR_INTERVALS = 8;
+
+// Polar ticks are placed just outside the circle, as a fraction of its radius
+const POLAR_TICK_RADIUS = 1.06;
+
+/**
+ * A label for the 2D canvas
+ * @typedef {Object} AxisLabel
+ * @property {string} text
+ * @property {string} axis - 'x', 'y' or 'theta'
+ * @property {boolean} isTitle - Whether the label names the axis
+ * @property {Array<number>} position - [x, y] as fractions of the canvas from
+ *   its top left. Labels on the x axis go below this point, and labels on the
+ *   y axis go left of it.
+ */
+
+/**
+ * Get the axis labels and tick marks for a 2D slice
+ * @param {ColorSpaceConfig} colorSpaceConfig
+ * @param {ZoomWindow} zoomWindow - The visible part of the slice
+ * @returns {Array<AxisLabel>} The labels, or none for a 3D view
+ */
+export function getAxisLabels(colorSpaceConfig, zoomWindow = FULL_ZOOM_WINDOW) {
+  if (colorSpaceConfig.render3d) return [];
+
+  const colorSpace = colorSpaceConfig.colorSpace;
+  const currentAxis = colorSpaceConfig.currentAxis;
+  const polarAxis = colorSpaceConfig.usePolarCoordinates
+    ? colorSpace.availablePolarAxis(currentAxis) : null;
+  if (polarAxis) return getPolarAxisLabels(polarAxis, zoomWindow);
+
+  // The two variable (non-fixed) axes are shown
+  const variableAxes = colorSpace.getAllAxes().filter(axis => axis !== currentAxis);
+  if (variableAxes.length !== 2) return []; // Should always be 2 for a 2D canvas
+
+  // The visible ranges, as fractions of each axis. Fractions along the y axis
+  // are measured up from the bottom.
+  const xRange = [zoomWindow.x, zoomWindow.x + zoomWindow.size];
+  const yRange = [1 - zoomWindow.y - zoomWindow.size, 1 - zoomWindow.y];
+  return [
+    ...getCartesianAxisLabels(variableAxes[0], 'x', xRange),
+    ...getCartesianAxisLabels(variableAxes[1], 'y', yRange),
+  ];
+}
+
+/**
+ * Format a tick value with enough decimals to tell it from its neighbors
+ * @param {number} value
+ * @param {number} step - The difference between neighboring ticks
+ * @returns {string}
+ */
+function formatTickValue(value, step) {
+  const decimals = Math.max(0, Math.ceil(-Math.log10(step)));
+  // Avoid '-0' from values which are only just below zero
+  const rounded = Number(value.toFixed(decimals));
+  return (rounded === 0 ? 0 : rounded).toFixed(decimals);
+}
+
+/**
+ * Get the ticks around a polar axis, with its name on the first
+ * @param {Axis} polarAxis
+ * @param {ZoomWindow} zoomWindow - The visible part of the slice
+ * @returns {Array<AxisLabel>} The ticks which are near the view
+ */
+function getPolarAxisLabels(polarAxis, zoomWindow) {
+  const labels = [];
+  for (let i = 0; i < POLAR_INTERVALS; i++) {
+    const angle = (i / POLAR_INTERVALS) * 2 * Math.PI;
+    const value = Math.round((i / POLAR_INTERVALS) * polarAxis.max);
+    // Only label the edge of the circle where it is in view
+    const edge = zoomWindow.sliceToView([
+      0.5 * (1 + Math.cos(angle)),
+      0.5 * (1 - Math.sin(angle)),
+    ]);
+    if (edge.some(p => p < 0 || p > 1)) continue;
+
+    // Ticks sit just outside the circle, at the same gap at any zoom
+    const gap = 0.5 * (POLAR_TICK_RADIUS - 1);
+    const position = [edge[0] + gap * Math.cos(angle), edge[1] - gap * Math.sin(angle)];
+    labels.push({
+      text: `${value}${polarAxis.unit}${i === 0 ? ` ${polarAxis.name}` : ''}`,
+      axis: 'theta',
+      isTitle: i === 0,
+      position,
+    });
+  }
+  return labels;
+}
+
+/**
+ * Get the title and ticks of a cartesian axis
+ * @param {Axis} axis
+ * @param {string} direction - 'x' or 'y'
+ * @param {Array<number>} visibleRange - [start, end] of the visible part of
+ *   the axis, as fractions of the axis
+ * @returns {Array<AxisLabel>}
+ */
+function getCartesianAxisLabels(axis, direction, visibleRange) {
+  // Fractions along the axis are measured up from the bottom for y
+  const toPosition = fraction => direction === 'x' ? [fraction, 1] : [0, 1 - fraction];
+
+  const axisSize = axis.max - axis.min;
+  const start = axis.min + visibleRange[0] * axisSize;
+  const step = (visibleRange[1] - visibleRange[0]) * axisSize / CARTESIAN_INTERVALS;
+
+  const labels = [
+    { text: axis.name, axis: direction, isTitle: true, position: toPosition(0.5) },
+  ];
+  for (let i = 0; i <= CARTESIAN_INTERVALS; i++) {
+    const fraction = i / CARTESIAN_INTERVALS;
+    const value = formatTickValue(start + i * step, step);
+    labels.push({
+      text: `${value}${axis.unit}`,
+      axis: direction,
+      isTitle: false,
+      position: toPosition(fraction),
+    });
+  }
+  return labels;
+}
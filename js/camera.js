@@ -0,0 +1,183 @@
+import { applyPolarAxes, colorCoordToColor, rgbToXyz } from './colorMath.js';
+
+// Import gl-matrix for rotation matrix operations
+import '../lib/gl-matrix-min.js';
+const { mat4, quat, vec3 } = glMatrix;
+
+export const CAMERA_FOV = Math.PI / 3; // 60 degrees
+
+// Distances from the camera to the center of the color space. The nearest
+// keeps the camera outside the 3D shape.
+export const DEFAULT_CAMERA_DISTANCE = 1.8;
+export const MIN_CAMERA_DISTANCE = 1.0;
+export const MAX_CAMERA_DISTANCE = 6.0;
+
+/**
+ * How the 3D view is projected
+ * @typedef {Object} CameraOptions
+ * @property {number} distance - From the camera to the center of the color space
+ * @property {boolean} orthographic - Whether to use an orthographic projection
+ */
+
+/**
+ * @type {CameraOptions}
+ */
+export const DEFAULT_CAMERA_OPTIONS = Object.freeze({
+  distance: DEFAULT_CAMERA_DISTANCE,
+  orthographic: false,
+});
+
+// Samples per axis when searching for white
+const WHITE_SEARCH_SAMPLES = 21;
+
+/**
+ * Get the initial rotation of the 3D view, with the white corner of the RGB
+ * cube tilted towards the camera
+ * @returns {mat4}
+ */
+export function defaultRotation() {
+  const rotationMatrix = mat4.fromXRotation(mat4.create(), 30 * (Math.PI / 180));
+  return mat4.rotateY(rotationMatrix, rotationMatrix, -30 * (Math.PI / 180));
+}
+
+/**
+ * Check whether a rotation is the initial one, to the precision kept in URLs
+ * @param {mat4} rotationMatrix
+ * @returns {boolean}
+ */
+export function isDefaultRotation(rotationMatrix) {
+  return rotationToString(rotationMatrix) === rotationToString(defaultRotation());
+}
+
+/**
+ * Clamp a camera distance to the allowed range
+ * @param {number} distance
+ * @returns {number}
+ */
+export function clampCameraDistance(distance) {
+  return Math.min(Math.max(distance, MIN_CAMERA_DISTANCE), MAX_CAMERA_DISTANCE);
+}
+
+/**
+ * A preset orientation for the 3D view
+ * @typedef {Object} CameraPreset
+ * @property {string} id
+ * @property {string} displayName
+ */
+
+/**
+ * Get the preset views for a 3D color space
+ * @param {ColorSpaceConfig} colorSpaceConfig
+ * @returns {Array<CameraPreset>}
+ */
+export function getCameraPresets(colorSpaceConfig) {
+  const axes = colorSpaceConfig.colorSpace.getAllAxes();
+  // Polar axes are curved, so only the cylinder's axis can be looked down
+  const axisIndices = colorSpaceConfig.usePolarCoordinates ? [2] : [0, 1, 2];
+  return [
+    { id: 'white', displayName: 'White toward camera' },
+    { id: 'isometric', displayName: 'Isometric' },
+    ...axisIndices.map(i => ({ id: `axis-${i}`, displayName: `Down the ${axes[i].name} axis` })),
+  ];
+}
+
+/**
+ * Get the rotation for a preset view
+ * @param {string} presetId - The id of a preset from getCameraPresets
+ * @param {ColorSpaceConfig} colorSpaceConfig
+ * @returns {mat4}
+ */
+export function getPresetRotation(presetId, colorSpaceConfig) {
+  if (presetId === 'white') {
+    return rotationFacing(findWhiteDirection(colorSpaceConfig));
+  }
+  if (presetId === 'isometric') {
+    return rotationFacing([1, 1, 1]);
+  }
+  const axisIndex = Number(presetId.replace('axis-', ''));
+  const direction = [0, 0, 0];
+  direction[axisIndex] = 1;
+  return rotationFacing(direction);
+}
+
+/**
+ * Make a rotation which turns a direction toward the camera, keeping the y
+ * axis pointing up as far as possible
+ * @param {Array<number>} direction - A direction from the center of the shape
+ * @returns {mat4}
+ */
+function rotationFacing(direction) {
+  const eye = vec3.normalize(vec3.create(), direction);
+  // Looking straight along the y axis, keep z pointing down instead
+  const up = Math.abs(eye[1]) > 0.99 ? [0, 0, -1] : [0, 1, 0];
+  const rotationMatrix = mat4.lookAt(mat4.create(), eye, [0, 0, 0], up);
+  // Only keep the rotation, as the camera distance is applied separately
+  rotationMatrix[12] = rotationMatrix[13] = rotationMatrix[14] = 0;
+  return rotationMatrix;
+}
+
+/**
+ * Find the direction of white from the center of the 3D shape. Where white
+ * spans an edge or face, as in HSV and HSL, the direction is toward its
+ * center.
+ * @param {ColorSpaceConfig} colorSpaceConfig
+ * @returns {Array<number>}
+ */
+function findWhiteDirection(colorSpaceConfig) {
+  const colorSpaceType = colorSpaceConfig.colorSpace.getType();
+  const polarAxes = colorSpaceConfig.getPolarAxes();
+  const whiteXyz = rgbToXyz([1, 1, 1]);
+
+  // Sample the shape, as the shader does, and average the whitest positions
+  let bestDistance = Infinity;
+  let positions = [];
+  const step = 1 / (WHITE_SEARCH_SAMPLES - 1);
+  for (let i = 0; i < WHITE_SEARCH_SAMPLES; i++) {
+    for (let j = 0; j < WHITE_SEARCH_SAMPLES; j++) {
+      for (let k = 0; k < WHITE_SEARCH_SAMPLES; k++) {
+        const shapeCoord = [i * step, j * step, k * step];
+        const coord = applyPolarAxes(shapeCoord, polarAxes);
+        const color = coord && colorCoordToColor(colorSpaceType, coord);
+        if (!color) continue;
+
+        const distance = vec3.distance(color.xyz, whiteXyz);
+        if (distance < bestDistance - 1e-6) {
+          bestDistance = distance;
+          positions = [];
+        }
+        if (distance < bestDistance + 1e-6) {
+          positions.push(shapeCoord.map(c => c - 0.5));
+        }
+      }
+    }
+  }
+
+  const center = [0, 1, 2].map(
+    axis => positions.reduce((sum, p) => sum + p[axis], 0) / positions.length);
+  // Fall back to the isometric view if white is at the center
+  return vec3.length(center) > 1e-6 ? center : [1, 1, 1];
+}
+
+/**
+ * Serialize a rotation for a URL, as a quaternion
+ * @param {mat4} rotationMatrix
+ * @returns {string} 'x,y,z,w' with limited precision
+ */
+export function rotationToString(rotationMatrix) {
+  const rotation = mat4.getRotation(quat.create(), rotationMatrix);
+  return [...rotation].map(n => Number(n.toFixed(4))).join(',');
+}
+
+/**
+ * Parse a rotation serialized with rotationToString
+ * @param {string} text
+ * @returns {mat4|null} The rotation, or null if the text is invalid
+ */
+export function parseRotation(text) {
+  const values = text.split(',').map(Number);
+  if (values.length !== 4 || !values.every(Number.isFinite) || Math.hypot(...values) < 1e-6) {
+    return null;
+  }
+  const rotation = quat.normalize(quat.create(), values);
+  return mat4.fromQuat(mat4.create(), rotation);
+}
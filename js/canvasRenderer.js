@@ -1,6 +1,13 @@
 import { getAllColorSpaces, RgbColor, getAllDistanceMetrics } from "./colorSpace.js";
+import { srgbToLinear, linearRgbToXyz, xyzToMetricSpace, cvdMatrix, simulateCvd } from "./colorMath.js";
+import { buildPaletteGrid } from "./paletteGrid.js";
+import { CONTRAST_LEVELS } from "./contrast.js";
+import { getAxisLabels } from "./axisLabels.js";
+import { FULL_ZOOM_WINDOW } from "./zoomWindow.js";
+import { CAMERA_FOV, DEFAULT_CAMERA_DISTANCE, DEFAULT_CAMERA_OPTIONS } from "./camera.js";
 import { clearElement, createElement } from "./utils.js";
 import { MAX_PALETTE_COLORS } from "./colorPalette.js";
+import { SHADER_CONSTANTS, defineShaderConstants } from "./shaderConstants.js";
 import { getAllHighlightModes, ColorSpaceConfig } from "./configController.js";
 import {
   generateCubeSurface,
@@ -10,18 +17,15 @@ import {
   generateCylinderSurface,
   generateCylinderWireframe,
   getRadialAxisOffset,
+  colorCoordTo3DPosition,
   RADIAL_AXIS
 } from "./shapeMakers.js";
 
 // Import gl-matrix for efficient matrix operations
 import '../lib/gl-matrix-min.js';
-const { mat4 } = glMatrix;
+const { mat4, vec4 } = glMatrix;
 
-const OUTSIDE_COLOR_SPACE = 255;
-
-// Camera and projection constants
-const CAMERA_FOV = Math.PI / 3; // 60 degrees
-const CAMERA_DISTANCE = 1.8;
+const { OUTSIDE_COLOR_SPACE, PALETTE_TEXTURE_WIDTH } = SHADER_CONSTANTS;
 
 /**
  * Calculate the size needed to fill the viewport at a given camera distance
@@ -34,6 +38,23 @@ function calculateViewportSize(distance, fov) {
   return Math.tan(fov / 2) * distance * 2;
 }
 
+/**
+ * Reverse the order of the rows of an image, between WebGL's bottom up
+ * order and the top down order of everything else
+ * @param {TypedArray} data
+ * @param {number} rowLength - The number of values in each row
+ * @returns {TypedArray} A new array of the same type
+ */
+function flipRows(data, rowLength) {
+  const flipped = new data.constructor(data.length);
+  const rows = data.length / rowLength;
+  for (let row = 0; row < rows; row++) {
+    const start = row * rowLength;
+    flipped.set(data.subarray(start, start + rowLength), (rows - 1 - row) * rowLength);
+  }
+  return flipped;
+}
+
 /**
 * WebGL2 Canvas renderer for color spaces with framebuffer rendering
 */
@@ -46,9 +67,22 @@ export class CanvasRenderer {
       throw new Error('WebGL2 not supported');
     }
 
-    this._width = canvas.width;
-    this._height = canvas.height;
+    // The canvas is laid out by the stylesheet, and drawn at device pixels.
+    // The display size is in CSS pixels, which are used by everything outside
+    // the renderer.
+    this._canvas = canvas;
+    [this._displayWidth, this._displayHeight] = this._measureCanvas();
+    this._pixelRatio = window.devicePixelRatio || 1;
+    this._width = Math.round(this._displayWidth * this._pixelRatio);
+    this._height = Math.round(this._displayHeight * this._pixelRatio);
+    canvas.width = this._width;
+    canvas.height = this._height;
+    this._resizeHandler = null; // Called after the canvas changes size
     this._paletteColors = []; // The palette colors used for indexing.
+    this._paletteTextureKey = null; // What the palette textures were built for
+    this._paletteGrid = null; // The grid in the palette textures, or null
+    this._outputFramebuffer = null; // Where views are drawn, or null for the canvas
+    this._rerender = null; // Draws the last view again
 
     // Initialize unified geometry object
     this._colorGeometry = {
@@ -64,8 +98,13 @@ export class CanvasRenderer {
       indexCount: 0
     };
 
-    // Initialize transformation matrix
+    // Initialize transformation matrix, and the zoom applied after it in 2D
+    this._camera = DEFAULT_CAMERA_OPTIONS;
     this._mvpMatrix = this._createTransformationMatrix();
+    // The rotation of the last 3D render, or null in 2D
+    this._rotationMatrix = null;
+    this._zoomWindow = FULL_ZOOM_WINDOW;
+    this._zoomMatrix = mat4.create();
 
     // Create axis container for labels and tick marks
     this._axisContainer = document.createElement('div');
@@ -73,6 +112,97 @@ export class CanvasRenderer {
     canvasContainer.appendChild(this._axisContainer);
 
     this._initWebGL(shaderSources);
+    this._watchCanvasSize();
+  }
+
+  /**
+   * Get the size which the canvas is laid out at
+   * @returns {Array<number>} [width, height] in CSS pixels
+   */
+  _measureCanvas() {
+    // Fall back to the canvas attributes while it isn't laid out
+    return [
+      this._canvas.clientWidth || this._canvas.width,
+      this._canvas.clientHeight || this._canvas.height,
+    ];
+  }
+
+  /**
+   * Resize the canvas whenever its layout or the device pixel ratio changes
+   */
+  _watchCanvasSize() {
+    new ResizeObserver(() => this._updateCanvasSize()).observe(this._canvas);
+
+    // There is no event for pixel ratio changes, so watch for the current
+    // ratio to stop matching, and then watch the new one
+    const watchPixelRatio = () => {
+      const query = window.matchMedia(`(resolution: ${window.devicePixelRatio}dppx)`);
+      query.addEventListener('change', () => {
+        this._updateCanvasSize();
+        watchPixelRatio();
+      }, { once: true });
+    };
+    watchPixelRatio();
+  }
+
+  /**
+   * Match the canvas to its layout size at the device pixel ratio, and draw
+   * the current view again at the new size
+   */
+  _updateCanvasSize() {
+    const [displayWidth, displayHeight] = this._measureCanvas();
+    const pixelRatio = window.devicePixelRatio || 1;
+    if (displayWidth === this._displayWidth && displayHeight === this._displayHeight &&
+      pixelRatio === this._pixelRatio) {
+      return;
+    }
+
+    const oldDisplaySize = [this._displayWidth, this._displayHeight];
+    this._displayWidth = displayWidth;
+    this._displayHeight = displayHeight;
+    this._pixelRatio = pixelRatio;
+
+    // Resizing the canvas clears it, so draw again straight away
+    const width = Math.round(displayWidth * pixelRatio);
+    const height = Math.round(displayHeight * pixelRatio);
+    this._canvas.width = width;
+    this._canvas.height = height;
+    this._setRenderSize(width, height);
+    this._rerender?.();
+
+    this._resizeHandler?.(oldDisplaySize, [displayWidth, displayHeight]);
+  }
+
+  /**
+   * Set a function to call after the canvas changes size
+   * @param {Function} handler - Called with the old and new display sizes,
+   *   each as [width, height] in CSS pixels
+   */
+  setResizeHandler(handler) {
+    this._resizeHandler = handler;
+  }
+
+  /**
+   * Get the size which the canvas is displayed at. Coordinates passed to
+   * the renderer are in this space.
+   * @returns {Array<number>} [width, height] in CSS pixels
+   */
+  getDisplaySize() {
+    return [this._displayWidth, this._displayHeight];
+  }
+
+  /**
+   * Create the full transformation matrix, applying the rotation if provided,
+   * then the camera and the zoom
+   * @param {mat4|null} rotationMatrix
+   * @returns {mat4}
+   */
+  _createFinalMvpMatrix(rotationMatrix) {
+    const finalMvpMatrix = mat4.multiply(mat4.create(), this._zoomMatrix, this._mvpMatrix);
+    if (rotationMatrix) {
+      mat4.multiply(finalMvpMatrix, finalMvpMatrix, rotationMatrix);
+    }
+    return finalMvpMatrix;
   }
 
   /**
@@ -81,12 +211,36 @@ export class CanvasRenderer {
    */
   _createTransformationMatrix() {
     const mvpMatrix = mat4.create();
+    const aspect = this._width / this._height;
+    const { distance, orthographic } = this._camera;
     // Create base transformation matrix with projection and camera position
-    mat4.perspective(mvpMatrix, CAMERA_FOV, this._width / this._height, 0.1, 100.0);
-    mat4.translate(mvpMatrix, mvpMatrix, [0, 0, -CAMERA_DISTANCE]);
+    if (orthographic) {
+      // Match the perspective view's size at the center of the color space
+      const halfHeight = Math.tan(CAMERA_FOV / 2) * distance;
+      const halfWidth = halfHeight * aspect;
+      mat4.ortho(mvpMatrix, -halfWidth, halfWidth, -halfHeight, halfHeight, 0.1, 100.0);
+    } else {
+      mat4.perspective(mvpMatrix, CAMERA_FOV, aspect, 0.1, 100.0);
+    }
+    mat4.translate(mvpMatrix, mvpMatrix, [0, 0, -distance]);
     return mvpMatrix;
   }
 
+  /**
+   * Create a matrix which magnifies the zoom window to fill clip space
+   * @param {ZoomWindow} zoomWindow
+   * @returns {mat4}
+   */
+  _createZoomMatrix(zoomWindow) {
+    // The center of the window in clip space, where y points up
+    const centerX = 2 * (zoomWindow.x + zoomWindow.size / 2) - 1;
+    const centerY = 1 - 2 * (zoomWindow.y + zoomWindow.size / 2);
+
+    const zoomMatrix = mat4.fromScaling(
+      mat4.create(), [1 / zoomWindow.size, 1 / zoomWindow.size, 1]);
+    return mat4.translate(zoomMatrix, zoomMatrix, [-centerX, -centerY, 0]);
+  }
+
   /**
    * Create a rotation matrix to orient a cube face toward the camera for 2D rendering
    * @param {ColorSpaceConfig} colorSpaceConfig - The color space configuration
@@ -134,7 +288,7 @@ export class CanvasRenderer {
     const shaderSources = new Map();
     const loadPromises = shaderFiles.map(async filename => {
       const source = await fetch(`./shaders/${filename}`).then(r => r.text());
-      shaderSources.set(filename, source);
+      shaderSources.set(filename, defineShaderConstants(source));
     });
 
     await Promise.all(loadPromises);
@@ -168,13 +322,21 @@ export class CanvasRenderer {
       modelViewProjectionLocation: gl.getUniformLocation(computeProgram, 'u_modelViewProjection'),
       polarAxesLocation: gl.getUniformLocation(computeProgram, 'u_polarAxes'),
       colorSpaceIndexLocation: gl.getUniformLocation(computeProgram, 'u_colorSpaceIndex'),
-      paletteColorsLocation: gl.getUniformLocation(computeProgram, 'u_paletteColors'),
+      paletteTextureLocation: gl.getUniformLocation(computeProgram, 'u_paletteTexture'),
       paletteCountLocation: gl.getUniformLocation(computeProgram, 'u_paletteCount'),
+      useGridLocation: gl.getUniformLocation(computeProgram, 'u_useGrid'),
+      gridOriginLocation: gl.getUniformLocation(computeProgram, 'u_gridOrigin'),
+      gridCellSizeLocation: gl.getUniformLocation(computeProgram, 'u_gridCellSize'),
+      gridSizeLocation: gl.getUniformLocation(computeProgram, 'u_gridSize'),
+      gridCellTextureLocation: gl.getUniformLocation(computeProgram, 'u_gridCellTexture'),
+      gridCandidateTextureLocation: gl.getUniformLocation(computeProgram, 'u_gridCandidateTexture'),
       distanceMetricLocation: gl.getUniformLocation(computeProgram, 'u_distanceMetric'),
       distanceThresholdLocation: gl.getUniformLocation(computeProgram, 'u_distanceThreshold'),
       highlightPaletteIndexLocation: gl.getUniformLocation(computeProgram, 'u_highlightPaletteIndex'),
       highlightModeLocation: gl.getUniformLocation(computeProgram, 'u_highlightMode'),
       showUnmatchedColorsLocation: gl.getUniformLocation(computeProgram, 'u_showUnmatchedColors'),
+      simulateCvdMatchingLocation: gl.getUniformLocation(computeProgram, 'u_simulateCvdMatching'),
+      cvdMatrixLocation: gl.getUniformLocation(computeProgram, 'u_cvdMatrix'),
       axisRangeLocation: gl.getUniformLocation(computeProgram, 'u_axis_range'),
     };
 
@@ -185,9 +347,14 @@ export class CanvasRenderer {
       positionLocation: gl.getAttribLocation(renderProgram, 'a_position'),
       texCoordLocation: gl.getAttribLocation(renderProgram, 'a_texCoord'),
       colorTextureLocation: gl.getUniformLocation(renderProgram, 'u_colorTexture'),
+      paletteIndexTextureLocation: gl.getUniformLocation(renderProgram, 'u_paletteIndexTexture'),
       showBoundariesLocation: gl.getUniformLocation(renderProgram, 'u_showBoundaries'),
       highlightPaletteIndexLocation: gl.getUniformLocation(renderProgram, 'u_highlightPaletteIndex'),
       highlightModeLocation: gl.getUniformLocation(renderProgram, 'u_highlightMode'),
+      cvdMatrixLocation: gl.getUniformLocation(renderProgram, 'u_cvdMatrix'),
+      contrastThresholdLocation: gl.getUniformLocation(renderProgram, 'u_contrastThreshold'),
+      contrastReferenceLocation: gl.getUniformLocation(renderProgram, 'u_contrastReference'),
+      pixelScaleLocation: gl.getUniformLocation(renderProgram, 'u_pixelScale'),
     };
 
     // Create and configure wireframe program
@@ -213,25 +380,52 @@ export class CanvasRenderer {
     // Create texture for framebuffer
     this._colorTexture = gl.createTexture();
     gl.bindTexture(gl.TEXTURE_2D, this._colorTexture);
-    gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, this._width, this._height, 0, gl.RGBA, gl.UNSIGNED_BYTE, null);
     gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.NEAREST);
     gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.NEAREST);
     gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
     gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
 
+    // Create texture for the color coordinates of each pixel. Alpha flags
+    // whether the color is inside the sRGB gamut.
+    this._coordTexture = gl.createTexture();
+    gl.bindTexture(gl.TEXTURE_2D, this._coordTexture);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.NEAREST);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.NEAREST);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
+
+    // Create texture for the palette index of each pixel. It is an integer
+    // texture, so that large palettes and the reserved indices all fit.
+    this._paletteIndexTexture = gl.createTexture();
+    gl.bindTexture(gl.TEXTURE_2D, this._paletteIndexTexture);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.NEAREST);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.NEAREST);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
+
+    // Create textures for the palette colors in the distance metric's space,
+    // and for the grid over them. They are resized as the palette changes.
+    this._paletteTexture = this._createDataTexture();
+    this._gridCellTexture = this._createDataTexture();
+    this._gridCandidateTexture = this._createDataTexture();
+
     // Create depth texture instead of renderbuffer so we can sample it
     this._depthTexture = gl.createTexture();
     gl.bindTexture(gl.TEXTURE_2D, this._depthTexture);
-    gl.texImage2D(gl.TEXTURE_2D, 0, gl.DEPTH_COMPONENT24, this._width, this._height, 0, gl.DEPTH_COMPONENT, gl.UNSIGNED_INT, null);
     gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.NEAREST);
     gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.NEAREST);
     gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
     gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
 
+    this._allocateFramebufferTextures();
+
     // Create framebuffer
     this._framebuffer = gl.createFramebuffer();
     gl.bindFramebuffer(gl.FRAMEBUFFER, this._framebuffer);
     gl.framebufferTexture2D(gl.FRAMEBUFFER, gl.COLOR_ATTACHMENT0, gl.TEXTURE_2D, this._colorTexture, 0);
+    gl.framebufferTexture2D(gl.FRAMEBUFFER, gl.COLOR_ATTACHMENT1, gl.TEXTURE_2D, this._coordTexture, 0);
+    gl.framebufferTexture2D(gl.FRAMEBUFFER, gl.COLOR_ATTACHMENT2, gl.TEXTURE_2D, this._paletteIndexTexture, 0);
+    gl.drawBuffers([gl.COLOR_ATTACHMENT0, gl.COLOR_ATTACHMENT1, gl.COLOR_ATTACHMENT2]);
     gl.framebufferTexture2D(gl.FRAMEBUFFER, gl.DEPTH_ATTACHMENT, gl.TEXTURE_2D, this._depthTexture, 0);
 
     // Check framebuffer completeness
@@ -255,6 +449,36 @@ export class CanvasRenderer {
     gl.bufferData(gl.ARRAY_BUFFER, quadData, gl.STATIC_DRAW);
   }
 
+  /**
+   * Allocate the framebuffer textures at the current render size
+   */
+  _allocateFramebufferTextures() {
+    const gl = this._gl;
+    const width = this._width;
+    const height = this._height;
+
+    gl.bindTexture(gl.TEXTURE_2D, this._colorTexture);
+    gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, width, height, 0, gl.RGBA, gl.UNSIGNED_BYTE, null);
+    gl.bindTexture(gl.TEXTURE_2D, this._coordTexture);
+    gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, width, height, 0, gl.RGBA, gl.UNSIGNED_BYTE, null);
+    gl.bindTexture(gl.TEXTURE_2D, this._paletteIndexTexture);
+    gl.texImage2D(gl.TEXTURE_2D, 0, gl.R32I, width, height, 0, gl.RED_INTEGER, gl.INT, null);
+    gl.bindTexture(gl.TEXTURE_2D, this._depthTexture);
+    gl.texImage2D(gl.TEXTURE_2D, 0, gl.DEPTH_COMPONENT24, width, height, 0, gl.DEPTH_COMPONENT, gl.UNSIGNED_INT, null);
+  }
+
+  /**
+   * Change the size which is rendered at, reallocating the framebuffer
+   * @param {number} width
+   * @param {number} height
+   */
+  _setRenderSize(width, height) {
+    this._width = width;
+    this._height = height;
+    this._mvpMatrix = this._createTransformationMatrix();
+    this._allocateFramebufferTextures();
+  }
+
   /**
    * Create geometry buffers from vertices and indices data
    * @param {Array<number>} vertices - Vertex data
@@ -287,7 +511,7 @@ export class CanvasRenderer {
    */
   _generate2DSurfaceGeometry(colorSpaceConfig) {
     // Calculate size to fill the viewport at the 2D camera distance
-    const size = calculateViewportSize(CAMERA_DISTANCE, CAMERA_FOV);
+    const size = calculateViewportSize(DEFAULT_CAMERA_DISTANCE, CAMERA_FOV);
 
     // Generate face based on the color space configuration using cube renderer techniques
     const colorSpace = colorSpaceConfig.colorSpace;
@@ -357,8 +581,17 @@ export class CanvasRenderer {
    * @param {ColorSpaceConfig} colorSpaceConfig
    * @param {Array<NamedColor>} paletteColors - Array of palette colors to find closest matches for
    * @param {NamedColor|null} highlightColor - Color object to highlight (null for no highlight)
+   * @param {ZoomWindow} zoomWindow - The part of the slice to show
    */
-  renderColorSpace(colorSpaceConfig, paletteColors = [], highlightColor = null) {
+  renderColorSpace(colorSpaceConfig, paletteColors = [], highlightColor = null, zoomWindow = FULL_ZOOM_WINDOW) {
+    this._rerender = () => this.renderColorSpace(
+      colorSpaceConfig, paletteColors, highlightColor, zoomWindow);
+    this._zoomWindow = zoomWindow;
+    this._zoomMatrix = this._createZoomMatrix(zoomWindow);
+    this._camera = DEFAULT_CAMERA_OPTIONS;
+    this._mvpMatrix = this._createTransformationMatrix();
+    this._rotationMatrix = null;
+
     // Store palette colors for consistency with indices
     this._paletteColors = [...paletteColors];
 
@@ -377,12 +610,10 @@ export class CanvasRenderer {
     this._renderToFramebuffer(colorSpaceConfig, paletteColors, rotationMatrix, highlightPaletteIndex);
 
     // Second phase: Display framebuffer texture to canvas
-    this._renderToCanvas(colorSpaceConfig.showBoundaries, highlightPaletteIndex, colorSpaceConfig.highlightMode);
+    this._renderToCanvas(colorSpaceConfig, highlightPaletteIndex);
 
     // Update axis labels for the current color space configuration (maintain 2D functionality)
-    const polarAxis = colorSpaceConfig.usePolarCoordinates ?
-      colorSpaceConfig.colorSpace.availablePolarAxis(colorSpaceConfig.currentAxis) : null;
-    this._updateAxisLabels(colorSpaceConfig, polarAxis);
+    this._updateAxisLabels(colorSpaceConfig);
   }
 
   /**
@@ -391,8 +622,18 @@ export class CanvasRenderer {
    * @param {Array<NamedColor>} paletteColors - Array of palette colors to find closest matches for
    * @param {NamedColor|null} highlightColor - Color object to highlight (null for no highlight)
    * @param {Float32Array} rotationMatrix - 4x4 rotation matrix for the cube
+   * @param {CameraOptions} cameraOptions - Distance and projection of the camera
    */
-  render3DColorSpace(colorSpaceConfig, paletteColors = [], highlightColor = null, rotationMatrix = null) {
+  render3DColorSpace(colorSpaceConfig, paletteColors = [], highlightColor = null, rotationMatrix = null,
+    cameraOptions = DEFAULT_CAMERA_OPTIONS) {
+    this._rerender = () => this.render3DColorSpace(
+      colorSpaceConfig, paletteColors, highlightColor, rotationMatrix, cameraOptions);
+    this._zoomWindow = FULL_ZOOM_WINDOW;
+    this._zoomMatrix = mat4.create();
+    this._camera = cameraOptions;
+    this._mvpMatrix = this._createTransformationMatrix();
+    this._rotationMatrix = rotationMatrix ?? mat4.create();
+
     // Store palette colors for consistency with indices
     this._paletteColors = [...paletteColors];
 
@@ -407,7 +648,11 @@ export class CanvasRenderer {
       : generateCubeSurface(normalizedSlices);
 
     // Add internal slices if we can see inside of the cube.
-    if (!colorSpaceConfig.showUnmatchedColors || colorSpaceConfig.highlightMode === 'hide-other') {
+    // Color spaces with a gamut boundary have holes wherever the surface is
+    // out of gamut.
+    if (!colorSpaceConfig.showUnmatchedColors ||
+      colorSpaceConfig.highlightMode === 'hide-other' ||
+      colorSpaceConfig.colorSpace.hasGamutBoundary()) {
       const sliceGeometry = generateCrossSections(rotationMatrix);
       const vertexOffset = vertices.length;
       vertices.push(...sliceGeometry.vertices);
@@ -426,7 +671,7 @@ export class CanvasRenderer {
     this._renderToFramebuffer(colorSpaceConfig, paletteColors, rotationMatrix, highlightPaletteIndex);
 
     // Second phase: Display framebuffer texture to canvas
-    this._renderToCanvas(colorSpaceConfig.showBoundaries, highlightPaletteIndex, colorSpaceConfig.highlightMode);
+    this._renderToCanvas(colorSpaceConfig, highlightPaletteIndex);
 
     // Third phase: Render wireframe overlay with proper depth testing
     this._renderWireframeOverlay(rotationMatrix);
@@ -458,9 +703,12 @@ export class CanvasRenderer {
     gl.bindFramebuffer(gl.FRAMEBUFFER, this._framebuffer);
     gl.viewport(0, 0, this._width, this._height);
 
-    // Clear and setup
-    gl.clearColor(0.0, 0.0, 0.0, 1.0); // Set alpha to 1.0 for valid pixels
-    gl.clear(gl.COLOR_BUFFER_BIT | gl.DEPTH_BUFFER_BIT);
+    // Clear each attachment. clear() can't be used with the integer
+    // palette index attachment, which is cleared to OUTSIDE_COLOR_SPACE.
+    gl.clearBufferfv(gl.COLOR, 0, [0.0, 0.0, 0.0, 1.0]);
+    gl.clearBufferfv(gl.COLOR, 1, [0.0, 0.0, 0.0, 0.0]);
+    gl.clearBufferiv(gl.COLOR, 2, [OUTSIDE_COLOR_SPACE, 0, 0, 0]);
+    gl.clearBufferfv(gl.DEPTH, 0, [1.0]);
 
     // Use the compute program to render with color space computation
     gl.useProgram(this._compute.program);
@@ -474,10 +722,7 @@ export class CanvasRenderer {
     gl.enableVertexAttribArray(this._compute.colorCoordLocation);
     gl.vertexAttribPointer(this._compute.colorCoordLocation, 3, gl.FLOAT, false, 24, 12);
 
-    // Compute transformation matrix (apply rotation if provided)
-    const finalMvpMatrix = rotationMatrix
-      ? mat4.multiply(mat4.create(), this._mvpMatrix, rotationMatrix)
-      : this._mvpMatrix;
+    const finalMvpMatrix = this._createFinalMvpMatrix(rotationMatrix);
 
     // Set transformation matrix uniform
     gl.uniformMatrix4fv(
@@ -486,7 +731,7 @@ export class CanvasRenderer {
     // Set polar axes uniform
     gl.uniform2iv(
       this._compute.polarAxesLocation,
-      this._makePolarAxesVariable(colorSpaceConfig));
+      colorSpaceConfig.getPolarAxes());
 
     // Common uniforms for both modes
     gl.uniform1i(
@@ -504,17 +749,33 @@ export class CanvasRenderer {
     // Set palette colors uniforms
     const actualCount = Math.min(paletteColors.length, MAX_PALETTE_COLORS);
     gl.uniform1i(this._compute.paletteCountLocation, actualCount);
-
-    // Convert palette colors to flat array of RGB values
-    const paletteData = new Float32Array(MAX_PALETTE_COLORS * 3);
-    for (let i = 0; i < actualCount; i++) {
-      const paletteColor = paletteColors[i];
-      const [r, g, b] = paletteColor.rgbColor;
-      paletteData[i * 3] = r;
-      paletteData[i * 3 + 1] = g;
-      paletteData[i * 3 + 2] = b;
+    this._updatePaletteTextures(
+      paletteColors.slice(0, actualCount),
+      colorSpaceConfig.distanceMetric.id,
+      colorSpaceConfig.distanceThreshold,
+      colorSpaceConfig.simulateCvdMatching ? colorSpaceConfig.cvdType : 'none',
+      colorSpaceConfig.cvdSeverity);
+
+    const grid = this._paletteGrid;
+    gl.uniform1i(this._compute.useGridLocation, grid ? 1 : 0);
+    if (grid) {
+      gl.uniform3fv(this._compute.gridOriginLocation, grid.origin);
+      gl.uniform3fv(this._compute.gridCellSizeLocation, grid.cellSize);
+      gl.uniform3iv(this._compute.gridSizeLocation, grid.size);
     }
-    gl.uniform3fv(this._compute.paletteColorsLocation, paletteData);
+
+    // The grid textures are bound even when unused, as integer samplers
+    // can't share a unit with the palette texture.
+    gl.activeTexture(gl.TEXTURE0);
+    gl.bindTexture(gl.TEXTURE_2D, this._paletteTexture);
+    gl.uniform1i(this._compute.paletteTextureLocation, 0);
+    gl.activeTexture(gl.TEXTURE1);
+    gl.bindTexture(gl.TEXTURE_2D, this._gridCellTexture);
+    gl.uniform1i(this._compute.gridCellTextureLocation, 1);
+    gl.activeTexture(gl.TEXTURE2);
+    gl.bindTexture(gl.TEXTURE_2D, this._gridCandidateTexture);
+    gl.uniform1i(this._compute.gridCandidateTextureLocation, 2);
+    gl.activeTexture(gl.TEXTURE0);
 
     // Set highlight uniforms
     gl.uniform1i(this._compute.highlightPaletteIndexLocation, highlightPaletteIndex);
@@ -528,6 +789,13 @@ export class CanvasRenderer {
       this._compute.showUnmatchedColorsLocation,
       colorSpaceConfig.showUnmatchedColors ? 1 : 0);
 
+    // Set color vision deficiency simulation uniforms
+    gl.uniform1i(
+      this._compute.simulateCvdMatchingLocation,
+      colorSpaceConfig.simulateCvdMatching ? 1 : 0);
+    gl.uniformMatrix3fv(
+      this._compute.cvdMatrixLocation, false, this._cvdMatrixData(colorSpaceConfig));
+
     // Set axis range uniform (normalize the axis slices to 0-1 range for shader)
     const normalizedSlices = this._normalizedAxisSlices(colorSpaceConfig.colorSpace, colorSpaceConfig.axisSlices);
     if (colorSpaceConfig.usePolarCoordinates) {
@@ -543,36 +811,109 @@ export class CanvasRenderer {
   }
 
   /**
-   * Create a variable for the polar axes based on the color space configuration
+   * Get the color vision deficiency simulation matrix for the shaders
    * @param {ColorSpaceConfig} colorSpaceConfig
-   * @returns {Array<number>} - Array containing the indices of the radial and polar axes
+   * @returns {Float32Array} The row-major matrix, which the shaders apply as v * M
    */
-  _makePolarAxesVariable(colorSpaceConfig) {
-    if (!colorSpaceConfig.usePolarCoordinates) return [-1, -1];
-    const colorSpace = colorSpaceConfig.colorSpace;
-    const currentAxis =
-      colorSpaceConfig.render3d ? colorSpace.getAllAxes()[2] : colorSpaceConfig.currentAxis;
-    const polarAxis = colorSpace.availablePolarAxis(currentAxis);
+  _cvdMatrixData(colorSpaceConfig) {
+    return new Float32Array(
+      cvdMatrix(colorSpaceConfig.cvdType, colorSpaceConfig.cvdSeverity).flat());
+  }
 
-    const rAxis = colorSpace.getAllAxes().find(
-      axis => axis !== polarAxis && axis !== currentAxis);
+  /**
+   * Create a texture for data indexed by texel, in rows of PALETTE_TEXTURE_WIDTH
+   * @returns {WebGLTexture}
+   */
+  _createDataTexture() {
+    const gl = this._gl;
+    const texture = gl.createTexture();
+    gl.bindTexture(gl.TEXTURE_2D, texture);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.NEAREST);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.NEAREST);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
+    return texture;
+  }
 
-    if (!polarAxis || !rAxis) return [-1, -1];
+  /**
+   * Upload data to a data texture. Rows are padded to full width, and there
+   * is always at least one texel.
+   * @param {WebGLTexture} texture - A texture from _createDataTexture
+   * @param {Float32Array|Int32Array} data - The data, components per texel at a time
+   * @param {number} components - Components per texel: 1, 2 or 4
+   */
+  _uploadDataTexture(texture, data, components) {
+    const gl = this._gl;
+    const height = Math.max(1, Math.ceil(data.length / components / PALETTE_TEXTURE_WIDTH));
+    const padded = new data.constructor(PALETTE_TEXTURE_WIDTH * height * components);
+    padded.set(data);
+
+    const isFloat = data instanceof Float32Array;
+    const [internalFormat, format] = {
+      1: isFloat ? [gl.R32F, gl.RED] : [gl.R32I, gl.RED_INTEGER],
+      2: isFloat ? [gl.RG32F, gl.RG] : [gl.RG32I, gl.RG_INTEGER],
+      4: isFloat ? [gl.RGBA32F, gl.RGBA] : [gl.RGBA32I, gl.RGBA_INTEGER],
+    }[components];
+
+    gl.bindTexture(gl.TEXTURE_2D, texture);
+    gl.texImage2D(
+      gl.TEXTURE_2D, 0, internalFormat, PALETTE_TEXTURE_WIDTH, height, 0,
+      format, isFloat ? gl.FLOAT : gl.INT, padded);
+  }
 
-    return [colorSpace.getAxisIndex(rAxis), colorSpace.getAxisIndex(polarAxis)];
+  /**
+   * Upload the palette colors in the distance metric's space, and a grid over
+   * them for large palettes. The textures are only rebuilt when the palette,
+   * metric, threshold or simulation change, so rotating the 3D view stays cheap.
+   * @param {Array<NamedColor>} paletteColors - The palette colors
+   * @param {string} metricId - The distance metric's id
+   * @param {number} threshold - The distance threshold
+   * @param {string} cvdType - The color vision deficiency to match colors
+   *   with, or 'none'
+   * @param {number} cvdSeverity - The severity of the deficiency, in [0, 1]
+   */
+  _updatePaletteTextures(paletteColors, metricId, threshold, cvdType, cvdSeverity) {
+    const key = this._paletteTextureKey;
+    if (key && key.metricId === metricId && key.threshold === threshold &&
+        key.cvdType === cvdType && key.cvdSeverity === cvdSeverity &&
+        key.colors.length === paletteColors.length &&
+        key.colors.every((color, i) => color === paletteColors[i])) {
+      return;
+    }
+    this._paletteTextureKey = {
+      colors: [...paletteColors], metricId, threshold, cvdType, cvdSeverity };
+
+    // Convert the palette colors once here, rather than for every pixel
+    const coords = paletteColors.map(color => {
+      const linear = srgbToLinear([...color.rgbColor]);
+      const xyz = linearRgbToXyz(simulateCvd(cvdType, cvdSeverity, linear));
+      return xyzToMetricSpace(metricId, xyz);
+    });
+    const paletteData = new Float32Array(coords.length * 4);
+    coords.forEach((coord, i) => paletteData.set(coord, i * 4));
+    this._uploadDataTexture(this._paletteTexture, paletteData, 4);
+
+    this._paletteGrid = buildPaletteGrid(coords, metricId, threshold);
+    if (this._paletteGrid) {
+      this._uploadDataTexture(this._gridCellTexture, this._paletteGrid.cellRanges, 2);
+      this._uploadDataTexture(this._gridCandidateTexture, this._paletteGrid.candidates, 1);
+    } else {
+      this._uploadDataTexture(this._gridCellTexture, new Int32Array(2), 2);
+      this._uploadDataTexture(this._gridCandidateTexture, new Int32Array(1), 1);
+    }
   }
 
   /**
    * Render phase: Render framebuffer texture to canvas for display
-   * @param {boolean} showBoundaries - Whether to show region boundaries
+   * @param {ColorSpaceConfig} colorSpaceConfig - Provides the boundary,
+   *   highlight, simulation and contrast overlay settings
    * @param {number} highlightPaletteIndex - Index of palette color to highlight (-1 for no highlight)
-   * @param {string} highlightMode - Highlight mode ('dim-other' or 'hide-other')
    */
-  _renderToCanvas(showBoundaries = true, highlightPaletteIndex = -1, highlightMode = 'dim-other') {
+  _renderToCanvas(colorSpaceConfig, highlightPaletteIndex = -1) {
     const gl = this._gl;
 
-    // Bind default framebuffer (canvas)
-    gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+    // Bind the output framebuffer (the canvas unless exporting)
+    gl.bindFramebuffer(gl.FRAMEBUFFER, this._outputFramebuffer);
     gl.viewport(0, 0, this._width, this._height);
 
     // Clear the canvas
@@ -586,21 +927,42 @@ export class CanvasRenderer {
     gl.useProgram(this._render.program);
     this._setupVertexAttributes(this._render.positionLocation, this._render.texCoordLocation);
 
-    // Bind and set the compute texture
+    // Bind and set the compute textures
     gl.activeTexture(gl.TEXTURE0);
     gl.bindTexture(gl.TEXTURE_2D, this._colorTexture);
     gl.uniform1i(this._render.colorTextureLocation, 0);
+    gl.activeTexture(gl.TEXTURE1);
+    gl.bindTexture(gl.TEXTURE_2D, this._paletteIndexTexture);
+    gl.uniform1i(this._render.paletteIndexTextureLocation, 1);
+    gl.activeTexture(gl.TEXTURE0);
 
     // Set boundaries visibility uniform
-    gl.uniform1i(this._render.showBoundariesLocation, showBoundaries ? 1 : 0);
+    gl.uniform1i(this._render.showBoundariesLocation, colorSpaceConfig.showBoundaries ? 1 : 0);
 
     // Set highlight palette index uniform
     gl.uniform1i(this._render.highlightPaletteIndexLocation, highlightPaletteIndex);
 
     // Set highlight mode uniform (index into getAllHighlightModes array)
-    const highlightModeIndex = getAllHighlightModes().indexOf(highlightMode);
+    const highlightModeIndex = getAllHighlightModes().indexOf(colorSpaceConfig.highlightMode);
     gl.uniform1i(this._render.highlightModeLocation, highlightModeIndex >= 0 ? highlightModeIndex : 0);
 
+    // Set color vision deficiency simulation uniform
+    gl.uniformMatrix3fv(
+      this._render.cvdMatrixLocation, false, this._cvdMatrixData(colorSpaceConfig));
+
+    // Set contrast overlay uniforms
+    gl.uniform1f(
+      this._render.contrastThresholdLocation,
+      CONTRAST_LEVELS[colorSpaceConfig.contrastOverlay] ?? 0);
+    gl.uniform3fv(
+      this._render.contrastReferenceLocation, [...colorSpaceConfig.contrastReference]);
+
+    // Scale lines and stripes with the pixels per display pixel, so they
+    // look the same at any pixel ratio or export size
+    gl.uniform1i(
+      this._render.pixelScaleLocation,
+      Math.max(1, Math.round(this._width / this._displayWidth)));
+
     // Draw full-screen quad
     gl.drawArrays(gl.TRIANGLE_STRIP, 0, 4);
 
@@ -615,8 +977,8 @@ export class CanvasRenderer {
   _renderWireframeOverlay(rotationMatrix = null) {
     const gl = this._gl;
 
-    // Render wireframe to default framebuffer
-    gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+    // Render wireframe to the output framebuffer
+    gl.bindFramebuffer(gl.FRAMEBUFFER, this._outputFramebuffer);
     gl.viewport(0, 0, this._width, this._height);
 
     // Enable blending for semi-transparent wireframe
@@ -637,10 +999,7 @@ export class CanvasRenderer {
     gl.enableVertexAttribArray(this._wireframe.positionLocation);
     gl.vertexAttribPointer(this._wireframe.positionLocation, 3, gl.FLOAT, false, 12, 0);
 
-    // Compute transformation matrix (apply rotation if provided)
-    const finalMvpMatrix = rotationMatrix
-      ? mat4.multiply(mat4.create(), this._mvpMatrix, rotationMatrix)
-      : this._mvpMatrix;
+    const finalMvpMatrix = this._createFinalMvpMatrix(rotationMatrix);
 
     // Set transformation matrix uniform
     gl.uniformMatrix4fv(this._wireframe.modelViewProjectionLocation, false, finalMvpMatrix);
@@ -661,29 +1020,31 @@ export class CanvasRenderer {
   /**
    * Update axis labels and tick marks for the current color space configuration
    * @param {ColorSpaceConfig} colorSpaceConfig - Current color space configuration
-   * @param {Axis|null} polarAxis - Axis to use for polar coordinates, or null if not polar display
    */
-  _updateAxisLabels(colorSpaceConfig, polarAxis) {
+  _updateAxisLabels(colorSpaceConfig) {
     // Clear existing labels by emptying the axis container
     clearElement(this._axisContainer);
 
-    if (polarAxis) {
-      this._addPolarAxisLabels(polarAxis, 'theta-axis');
-      return;
+    for (const label of getAxisLabels(colorSpaceConfig, this._zoomWindow)) {
+      const element = createElement('div', label.text);
+      const [x, y] = label.position;
+      if (label.axis === 'theta') {
+        element.className = `tick-mark theta-axis${label.isTitle ? ' axis-title' : ''}`;
+        element.style.left = `${Math.round(x * this._displayWidth)}px`;
+        element.style.top = `${Math.round(y * this._displayHeight)}px`;
+      } else if (label.isTitle) {
+        // Titles are centered on their axis by the stylesheet
+        element.className = `axis-title ${label.axis}-axis`;
+      } else {
+        element.className = `tick-mark ${label.axis}-axis`;
+        if (label.axis === 'x') {
+          element.style.left = `${Math.round(x * this._displayWidth)}px`;
+        } else {
+          element.style.top = `${Math.round(y * this._displayHeight)}px`;
+        }
+      }
+      this._axisContainer.appendChild(element);
     }
-
-    // For regular cartesian coordinates, we need to figure out which axes to display.
-
-    const colorSpace = colorSpaceConfig.colorSpace;
-    const axes = colorSpace.getAllAxes();
-    const currentAxisIndex = colorSpace.getAxisIndex(colorSpaceConfig.currentAxis);
-
-    // Get the two variable axes (non-fixed)
-    const variableAxes = axes.filter((_, index) => index !== currentAxisIndex);
-    if (variableAxes.length !== 2) return; // Should always be 2 for a 2D canvas
-
-    this._addCartesianAxisLabels(variableAxes[0], 'x-axis');
-    this._addCartesianAxisLabels(variableAxes[1], 'y-axis');
   }
 
   /**
@@ -709,128 +1070,162 @@ export class CanvasRenderer {
   }
 
   /**
-   * Add polar axis labels and ticks
-   * @param {Axis} polarAxis - The polar axis to label
-   * @param {string} className - CSS class for the axis ('theta-axis')
+   * Normalize axis slices to [0, 1] range and fill in missing axes
+   * @param {ColorSpace} colorSpace
+   * @param {Map} axisSlices
+   * @returns {Array} Array of normalized axis ranges
    */
-  _addPolarAxisLabels(polarAxis, className) {
-    const numIntervals = 8;
-    for (let i = 0; i < numIntervals; i++) {
-      const angle = (i / numIntervals) * 2 * Math.PI; // Convert to radians
-
-      const value = Math.round((i / numIntervals) * polarAxis.max);
-      const tick = createElement('div', `${value}${polarAxis.unit}`);
-      tick.className = `tick-mark ${className}`;
-      if (i == 0) {
-        tick.textContent += ` ${polarAxis.name}`;
-        tick.classList.add('axis-title');
-      }
-
-      const x = 0.5 * (1 + Math.cos(angle) * 1.06);
-      const y = 0.5 * (1 - Math.sin(angle) * 1.06);
-      tick.style.left = `${Math.round(x * this._width)}px`;
-      tick.style.top = `${Math.round(y * this._height)}px`;
-      this._axisContainer.appendChild(tick);
+  _normalizedAxisSlices(colorSpace, axisSlices) {
+    const normalizedAxes = [];
+    for (const axis of colorSpace.getAllAxes()) {
+      const range = axisSlices.get(axis) || [axis.min, axis.max];
+      const fullRange = axis.max - axis.min;
+      const normalizedRange = [
+        (range[0] - axis.min) / fullRange,
+        (range[1] - axis.min) / fullRange
+      ];
+      normalizedAxes.push(normalizedRange);
     }
+    return normalizedAxes;
   }
 
   /**
-   * Add axis title and ticks
-   * @param {Axis} axis
-   * @param {string} className - CSS class ('x-axis' or 'y-axis')
+   * Count the pixels of each palette color's region in the current view
+   * @returns {Map<NamedColor, number>} The number of pixels matching each
+   *   palette color. Colors with no visible region are left out.
    */
-  _addCartesianAxisLabels(axis, className) {
-    const titleDiv = createElement('div', axis.name);
-    titleDiv.className = `axis-title ${className}`;
-    this._axisContainer.appendChild(titleDiv);
+  getRegionAreas() {
+    const indices = this._readPaletteIndices(0, 0, this._width, this._height);
 
-    // Add tick marks at intervals of 0.2 from 0.0 to 1.0
-    const numIntervals = 5;
-    for (let i = 0; i <= numIntervals; i++) {
-      this._axisContainer.appendChild(
-        this._createTick(i / numIntervals, axis, className));
+    // Negative indices are unmatched or outside the color space
+    const counts = new Array(this._paletteColors.length).fill(0);
+    for (const paletteIndex of indices) {
+      if (paletteIndex >= 0 && paletteIndex < counts.length) counts[paletteIndex]++;
     }
+
+    const areas = new Map();
+    counts.forEach((count, i) => {
+      if (count > 0) areas.set(this._paletteColors[i], count);
+    });
+    return areas;
   }
 
   /**
-   * Creates an individual tick mark element for an axis and appends it to the axis container.
-   *
-   * @private
-   * @param {string} scaledPosition - Position along the axis (0.0 to 1.0)
-   * @param {Axis} axis - The axis object containing min, max, and unit properties.
-   * @param {string} axisClass - The CSS class for the tick mark ('x-axis' or 'y-axis').
-   * @returns {HTMLElement} The created tick mark element.
+   * Draw the last view again at another size, off screen, for export. The
+   * canvas is left as it was.
+   * @param {number} width
+   * @param {number} height
+   * @returns {{pixels: Uint8Array, paletteIndices: Int32Array, paletteColors: Array<NamedColor>}}
+   *   The RGBA value and palette index of each pixel, row by row from the top,
+   *   and the palette colors which the indices refer to
    */
-  _createTick(scaledPosition, axis, axisClass) {
-    const value = Math.round(scaledPosition * axis.max);
-    const tick = createElement('div', `${value}${axis.unit}`);
-    tick.className = `tick-mark ${axisClass}`;
+  renderImage(width, height) {
+    if (!this._rerender) {
+      throw new Error('Nothing has been rendered yet');
+    }
+    const gl = this._gl;
+    const maxSize = Math.min(
+      gl.getParameter(gl.MAX_TEXTURE_SIZE), gl.getParameter(gl.MAX_VIEWPORT_DIMS)[0]);
+    if (width > maxSize || height > maxSize) {
+      throw new Error(`Images can be at most ${maxSize} pixels across`);
+    }
 
-    if (axisClass === 'x-axis') {
-      tick.style.left = `${Math.round(scaledPosition * this._width)}px`;
-    } else {
-      tick.style.top = `${Math.round((1 - scaledPosition) * this._height)}px`;
+    const outputTexture = gl.createTexture();
+    gl.bindTexture(gl.TEXTURE_2D, outputTexture);
+    gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, width, height, 0, gl.RGBA, gl.UNSIGNED_BYTE, null);
+    const outputFramebuffer = gl.createFramebuffer();
+    gl.bindFramebuffer(gl.FRAMEBUFFER, outputFramebuffer);
+    gl.framebufferTexture2D(gl.FRAMEBUFFER, gl.COLOR_ATTACHMENT0, gl.TEXTURE_2D, outputTexture, 0);
+
+    const originalWidth = this._width;
+    const originalHeight = this._height;
+    try {
+      this._outputFramebuffer = outputFramebuffer;
+      this._setRenderSize(width, height);
+      this._rerender();
+
+      const pixels = new Uint8Array(width * height * 4);
+      gl.bindFramebuffer(gl.FRAMEBUFFER, outputFramebuffer);
+      gl.readPixels(0, 0, width, height, gl.RGBA, gl.UNSIGNED_BYTE, pixels);
+      const paletteIndices = this._readPaletteIndices(0, 0, width, height);
+
+      return {
+        pixels: flipRows(pixels, width * 4),
+        paletteIndices: flipRows(paletteIndices, width),
+        paletteColors: [...this._paletteColors],
+      };
+    } finally {
+      this._outputFramebuffer = null;
+      this._setRenderSize(originalWidth, originalHeight);
+      this._rerender();
+      gl.deleteFramebuffer(outputFramebuffer);
+      gl.deleteTexture(outputTexture);
     }
-    return tick;
   }
 
   /**
-   * Normalize axis slices to [0, 1] range and fill in missing axes
-   * @param {ColorSpace} colorSpace
-   * @param {Map} axisSlices
-   * @returns {Array} Array of normalized axis ranges
+   * Read palette indices from the framebuffer
+   * @param {number} x - Left of the area, in WebGL coordinates
+   * @param {number} y - Bottom of the area, in WebGL coordinates
+   * @param {number} width
+   * @param {number} height
+   * @returns {Int32Array} The palette index of each pixel, row by row from the bottom
    */
-  _normalizedAxisSlices(colorSpace, axisSlices) {
-    const normalizedAxes = [];
-    for (const axis of colorSpace.getAllAxes()) {
-      const range = axisSlices.get(axis) || [axis.min, axis.max];
-      const fullRange = axis.max - axis.min;
-      const normalizedRange = [
-        (range[0] - axis.min) / fullRange,
-        (range[1] - axis.min) / fullRange
-      ];
-      normalizedAxes.push(normalizedRange);
+  _readPaletteIndices(x, y, width, height) {
+    const gl = this._gl;
+    // RGBA_INTEGER is the read format which is always supported for
+    // integer textures, so only every fourth value is used.
+    const data = new Int32Array(width * height * 4);
+    gl.bindFramebuffer(gl.FRAMEBUFFER, this._framebuffer);
+    gl.readBuffer(gl.COLOR_ATTACHMENT2);
+    gl.readPixels(x, y, width, height, gl.RGBA_INTEGER, gl.INT, data);
+    gl.readBuffer(gl.COLOR_ATTACHMENT0);
+    gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+
+    const indices = new Int32Array(width * height);
+    for (let i = 0; i < indices.length; i++) {
+      indices[i] = data[i * 4];
     }
-    return normalizedAxes;
+    return indices;
   }
 
   /**
    * Get color at canvas coordinates by reading from the framebuffer
-   * @param {number} x - X coordinate
-   * @param {number} y - Y coordinate
-   * @returns {Array} Tuple [RgbColor, NamedColor] where RgbColor is
+   * @param {number} x - X coordinate, in CSS pixels
+   * @param {number} y - Y coordinate, in CSS pixels
+   * @returns {Array} Tuple [RgbColor, NamedColor, boolean] where RgbColor is
    *    normalized (0-1) and closestColor is a NamedColor object or null.
-   *    Both will be null for invalid coordinates.
+   *    Both will be null for invalid coordinates. The boolean is false if
+   *    the color is outside sRGB, in which case RgbColor is clipped to it.
    */
   getColorAt(x, y) {
-    // Coordinates outside the canvas bounds
-    if (x < 0 || x >= this._width || y < 0 || y >= this._height) {
-      return [null, null];
-    }
+    const pixel = this._toFramebufferPixel(x, y);
+    if (!pixel) return [null, null, true];
+    const [pixelX, pixelY] = pixel;
 
     const gl = this._gl;
 
-    // WebGL coordinates are flipped vertically
-    const glY = this._height - 1 - y;
-
     // Bind framebuffer to read from it
     gl.bindFramebuffer(gl.FRAMEBUFFER, this._framebuffer);
 
     // Read pixel data from framebuffer
     const pixels = new Uint8Array(4);
-    gl.readPixels(x, glY, 1, 1, gl.RGBA, gl.UNSIGNED_BYTE, pixels);
+    gl.readPixels(pixelX, pixelY, 1, 1, gl.RGBA, gl.UNSIGNED_BYTE, pixels);
 
     // Restore default framebuffer
     gl.bindFramebuffer(gl.FRAMEBUFFER, null);
 
+    // Read the coordinate data for the gamut flag
+    const coordPixels = this._readCoordPixel(pixelX, pixelY);
+
     // Check if we are outside the color space
-    const paletteIndex = pixels[3];
+    const [paletteIndex] = this._readPaletteIndices(pixelX, pixelY, 1, 1);
     if (paletteIndex === OUTSIDE_COLOR_SPACE) {
-      return [null, null];
+      return [null, null, true];
     }
 
-    // Look up the closest palette color using the index from alpha channel
-    const closestColor = (paletteIndex < this._paletteColors.length)
+    // Look up the closest palette color, if there is a match
+    const closestColor = (paletteIndex >= 0 && paletteIndex < this._paletteColors.length)
       ? this._paletteColors[paletteIndex]
       : null;
 
@@ -843,7 +1238,85 @@ export class CanvasRenderer {
 
     return [
       rgbColor, // RgbColor instance with normalized coordinates
-      closestColor // Actual NamedColor object or null
+      closestColor, // Actual NamedColor object or null
+      coordPixels[3] > 0 // Whether the color is inside sRGB
     ];
   }
+
+  /**
+   * Get the point of the 3D shape shown at canvas coordinates
+   * @param {number} x - X coordinate, in CSS pixels
+   * @param {number} y - Y coordinate, in CSS pixels
+   * @returns {Array<number>|null} The normalized color coordinate of the
+   *   shape, before any polar transformation, or null if there is no color
+   *   there. It is only precise to 1/255.
+   */
+  getColorCoordAt(x, y) {
+    const pixel = this._toFramebufferPixel(x, y);
+    if (!pixel) return null;
+
+    const [paletteIndex] = this._readPaletteIndices(...pixel, 1, 1);
+    if (paletteIndex === OUTSIDE_COLOR_SPACE) return null;
+
+    const coordPixels = this._readCoordPixel(...pixel);
+    return [coordPixels[0] / 255, coordPixels[1] / 255, coordPixels[2] / 255];
+  }
+
+  /**
+   * Find where a point of the 3D shape is drawn, whether or not it is hidden
+   * behind another part of the shape
+   * @param {Array<number>} colorCoord - A normalized color coordinate, as
+   *   returned by getColorCoordAt
+   * @returns {Array<number>|null} Canvas coordinates as [x, y] in CSS
+   *   pixels, or null in 2D or if the point is behind the camera
+   */
+  colorCoordToCanvas(colorCoord) {
+    if (!this._rotationMatrix) return null;
+
+    const finalMvpMatrix = this._createFinalMvpMatrix(this._rotationMatrix);
+    const clip = vec4.transformMat4(
+      vec4.create(), [...colorCoordTo3DPosition(colorCoord), 1], finalMvpMatrix);
+    if (clip[3] <= 0) return null;
+
+    // Convert from clip space, where y points up, to canvas coordinates
+    return [
+      (1 + clip[0] / clip[3]) / 2 * this._displayWidth,
+      (1 - clip[1] / clip[3]) / 2 * this._displayHeight,
+    ];
+  }
+
+  /**
+   * Convert canvas coordinates to a framebuffer pixel
+   * @param {number} x - X coordinate, in CSS pixels
+   * @param {number} y - Y coordinate, in CSS pixels
+   * @returns {Array<number>|null} [x, y] in WebGL coordinates, which are
+   *   flipped vertically, or null if the point is outside the canvas
+   */
+  _toFramebufferPixel(x, y) {
+    if (x < 0 || x >= this._displayWidth || y < 0 || y >= this._displayHeight) {
+      return null;
+    }
+    return [
+      Math.floor(x * this._width / this._displayWidth),
+      this._height - 1 - Math.floor(y * this._height / this._displayHeight),
+    ];
+  }
+
+  /**
+   * Read the color coordinate and sRGB gamut flag of a framebuffer pixel
+   * @param {number} x - In WebGL coordinates
+   * @param {number} y - In WebGL coordinates
+   * @returns {Uint8Array} RGBA, with the coordinate in RGB and the gamut
+   *   flag in alpha
+   */
+  _readCoordPixel(x, y) {
+    const gl = this._gl;
+    const coordPixels = new Uint8Array(4);
+    gl.bindFramebuffer(gl.FRAMEBUFFER, this._framebuffer);
+    gl.readBuffer(gl.COLOR_ATTACHMENT1);
+    gl.readPixels(x, y, 1, 1, gl.RGBA, gl.UNSIGNED_BYTE, coordPixels);
+    gl.readBuffer(gl.COLOR_ATTACHMENT0);
+    gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+    return coordPixels;
+  }
 }
@@ -1,29 +1,161 @@
+import { FULL_ZOOM_WINDOW } from './zoomWindow.js';
+import {
+  DEFAULT_CAMERA_DISTANCE,
+  clampCameraDistance,
+  defaultRotation,
+  getCameraPresets,
+  getPresetRotation,
+  isDefaultRotation
+} from './camera.js';
+import { clearElement, createElement, keyMatches } from './utils.js';
+import { colorCoordTo3DPosition } from './shapeMakers.js';
+
 // Import gl-matrix for 3D rotation matrix operations
 import '../lib/gl-matrix-min.js';
-const { mat4 } = glMatrix;
+const { mat4, vec3 } = glMatrix;
+
+// Selections in the URL are stored as if the canvas was this size, so that
+// links select the same color whatever size the canvas is shown at
+const SELECTION_REFERENCE_SIZE = 400;
+
+// How far the pointer moves before a press in 2D becomes a pan, in CSS pixels
+const PAN_THRESHOLD = 4;
+
+// How much each pixel of wheel scrolling zooms by
+const WHEEL_ZOOM_SPEED = 0.002;
+
+// How far the surface under a 3D selection can be from the selected point
+// before it is taken to be hidden, in positions of the 3D shape, which is 1
+// wide. This allows for the 8-bit precision of the coordinates which are
+// read back.
+const SELECTION_SURFACE_TOLERANCE = 0.05;
 
 /**
  * Handles mouse interactions and UI elements for the canvas
  */
 export class CanvasUI {
-  constructor(canvasPanel, renderer, colorDisplay, colorPalette, urlStateManager, onRotationChange) {
+  constructor(canvasPanel, renderer, colorDisplay, colorPalette, urlStateManager, onViewChange) {
     this._canvasContainer = canvasPanel.querySelector('.canvas-container');
     this._renderer = renderer;
     this._colorDisplay = colorDisplay;
     this._colorPalette = colorPalette;
     this._urlStateManager = urlStateManager;
-    this._onRotationChange = onRotationChange;
+    this._onViewChange = onViewChange;
     this._render3d = false;
+    this._colorSpaceConfig = null;
     this._selectionIndicator = null;
-
-    // 3D rotation matrix for cube renderer
-    // Initialize with white corner tilted towards camera
-    this._rotationMatrix = mat4.create();
-    mat4.fromXRotation(this._rotationMatrix, 30 * (Math.PI / 180)); // tilt 30° towards camera
-    mat4.rotateY(this._rotationMatrix, this._rotationMatrix, -30 * (Math.PI / 180));
-
+    // The point of the 3D shape which is selected, as a normalized color
+    // coordinate, so that the selection turns with the shape
+    this._selectionAnchor = null;
+    // What the color of a 3D selection was read with, as it is only read
+    // again when these change
+    this._selectionColorKey = null;
+
+    // The visible part of the 2D slice
+    this._zoomWindow = urlStateManager.deserializeZoomWindowFromURL() ?? FULL_ZOOM_WINDOW;
+
+    // 3D rotation matrix and camera, which start with the white corner
+    // tilted towards the camera unless the URL has a view
+    const camera = urlStateManager.deserializeCameraFromURL();
+    this._rotationMatrix = camera.rotationMatrix ?? defaultRotation();
+    this._cameraDistance = camera.cameraOptions.distance;
+    this._orthographic = camera.cameraOptions.orthographic;
+
+    this._createViewControls();
     this._setupMouseHandlers(canvasPanel);
     this._initializeSelectionFromURL();
+    renderer.setResizeHandler(this._handleResize.bind(this));
+  }
+
+  /**
+   * Create the controls over the canvas: preset 3D views, the projection and
+   * a button to reset the zoom or view
+   */
+  _createViewControls() {
+    this._viewControls = createElement('div');
+    this._viewControls.className = 'view-controls';
+    // Keep clicks on the controls from selecting the color under them
+    this._viewControls.addEventListener('click', (event) => event.stopPropagation());
+
+    this._presetDropdown = createElement('select');
+    this._presetDropdown.className = 'view-preset-dropdown';
+    this._presetDropdown.title = 'Look at the color space from a preset direction';
+    this._presetDropdown.addEventListener('change', () => {
+      const presetId = this._presetDropdown.value;
+      // Go back to the placeholder so the same preset can be chosen again
+      this._presetDropdown.value = '';
+      if (presetId && this._colorSpaceConfig) {
+        this._setRotation(getPresetRotation(presetId, this._colorSpaceConfig));
+      }
+    });
+    this._presetKey = null;
+
+    this._orthographicLabel = createElement('label');
+    this._orthographicLabel.className = 'view-orthographic-toggle';
+    this._orthographicCheckbox = createElement('input');
+    this._orthographicCheckbox.type = 'checkbox';
+    this._orthographicCheckbox.checked = this._orthographic;
+    this._orthographicCheckbox.addEventListener('change', () => {
+      this._orthographic = this._orthographicCheckbox.checked;
+      this._notifyViewChange();
+    });
+    this._orthographicLabel.appendChild(this._orthographicCheckbox);
+    this._orthographicLabel.appendChild(createElement('span', 'Orthographic'));
+
+    this._resetViewButton = createElement('button');
+    this._resetViewButton.className = 'view-reset-btn';
+    this._resetViewButton.addEventListener('click', () => {
+      if (this._render3d) {
+        this._cameraDistance = DEFAULT_CAMERA_DISTANCE;
+        this._setRotation(defaultRotation());
+      } else {
+        this._setZoomWindow(FULL_ZOOM_WINDOW);
+      }
+    });
+
+    this._viewControls.appendChild(this._presetDropdown);
+    this._viewControls.appendChild(this._orthographicLabel);
+    this._viewControls.appendChild(this._resetViewButton);
+    this._canvasContainer.appendChild(this._viewControls);
+    this._updateViewControls();
+  }
+
+  /**
+   * Keep the selection on the same point of the view when the canvas is resized
+   * @param {Array<number>} oldSize - [width, height] in CSS pixels
+   * @param {Array<number>} newSize - [width, height] in CSS pixels
+   */
+  _handleResize(oldSize, newSize) {
+    // A 3D selection is placed from its anchor instead
+    const coordinates = this._getSelectionCoordinates();
+    if (coordinates && !this._selectionAnchor) {
+      this._placeSelectionIndicator(
+        coordinates[0] * newSize[0] / oldSize[0],
+        coordinates[1] * newSize[1] / oldSize[1]);
+    }
+    this.recalculateSelection();
+  }
+
+  /**
+   * Get the coordinates of the selection indicator
+   * @returns {Array<number>|null} Canvas coordinates as [x, y], or null if
+   *   there is no selection
+   */
+  _getSelectionCoordinates() {
+    return this._selectionIndicator?.dataset.coordinates?.split(',').map(Number) ?? null;
+  }
+
+  /**
+   * Convert canvas coordinates to or from the reference size used in the URL
+   * @param {Array<number>} coordinates - [x, y]
+   * @param {boolean} toReference - Whether to convert to the reference size
+   * @returns {Array<number>}
+   */
+  _scaleToReference(coordinates, toReference) {
+    const displaySize = this._renderer.getDisplaySize();
+    return coordinates.map((coord, i) => toReference
+      ? coord * SELECTION_REFERENCE_SIZE / displaySize[i]
+      : coord * displaySize[i] / SELECTION_REFERENCE_SIZE);
   }
 
   /**
@@ -34,16 +166,22 @@ export class CanvasUI {
     let lastPointerX = 0;
     let lastPointerY = 0;
     let activePrimaryPointerId = null;
+    let dragDistance = 0;
+    // Whether the press has become a pan, rotation or pinch, rather than a click
+    let isDragged = false;
 
     // Prevent default touch behaviors on the canvas (stops scrolling)
     canvasPanel.style.touchAction = 'none';
 
     const setCursor = (isOverColor) => {
-      if (isDragging && this._render3d) return;
+      if (isDragging && (this._render3d || isDragged)) return;
       canvasPanel.style.cursor = isOverColor ? 'crosshair' : 'default';
     }
 
     const pointerDownHandler = (event) => {
+      // Leave the view controls to handle their own clicks
+      if (this._viewControls.contains(event.target)) return;
+
       // Only handle primary pointer (first touch or left mouse button)
       if (event.isPrimary) {
         // Prevent scrolling and other default touch behaviors
@@ -54,6 +192,8 @@ export class CanvasUI {
         canvasPanel.setPointerCapture(event.pointerId);
         activePrimaryPointerId = event.pointerId;
         isDragging = true;
+        dragDistance = 0;
+        isDragged = false;
         lastPointerX = event.clientX;
         lastPointerY = event.clientY;
       }
@@ -62,6 +202,8 @@ export class CanvasUI {
     const pointerDragHandler = (event) => {
       const deltaX = event.clientX - lastPointerX;
       const deltaY = event.clientY - lastPointerY;
+      dragDistance += Math.hypot(deltaX, deltaY);
+      if (dragDistance >= PAN_THRESHOLD) isDragged = true;
 
       // Create incremental rotation matrices and apply them to current rotation
       const rotationSpeed = 0.01;
@@ -76,11 +218,23 @@ export class CanvasUI {
       mat4.multiply(this._rotationMatrix, deltaRotation, this._rotationMatrix);
 
       // Trigger re-render with rotation via callback
-      if (this._onRotationChange) {
-        this._onRotationChange();
-      }
+      this._notifyViewChange();
     }
 
+    // Dragging pans a zoomed 2D slice, once the pointer has moved far enough
+    // that it isn't a click
+    const pointerPanHandler = (event) => {
+      const deltaX = event.clientX - lastPointerX;
+      const deltaY = event.clientY - lastPointerY;
+      dragDistance += Math.hypot(deltaX, deltaY);
+      if (dragDistance < PAN_THRESHOLD || this._zoomWindow.isFull()) return;
+
+      isDragged = true;
+      canvasPanel.style.cursor = 'grabbing';
+      const [width, height] = this._renderer.getDisplaySize();
+      this._setZoomWindow(this._zoomWindow.panBy(deltaX / width, deltaY / height));
+    };
+
     const pointerMoveHandler = (event) => {
       // Handle 3D rotation if dragging with primary pointer
       if (isDragging && event.pointerId === activePrimaryPointerId) {
@@ -88,9 +242,12 @@ export class CanvasUI {
         event.preventDefault();
         event.stopPropagation();
 
-        if (this._render3d) {
+        // Pinches are handled separately, by pinchMoveHandler
+        if (this._render3d && !pinch) {
           canvasPanel.style.cursor = 'grab';
           pointerDragHandler(event);
+        } else if (!pinch) {
+          pointerPanHandler(event);
         }
 
         lastPointerX = event.clientX;
@@ -100,7 +257,7 @@ export class CanvasUI {
       // Only show hover effects for primary pointer (avoid issues with multi-touch)
       if (event.isPrimary) {
         const [x, y] = this._getCanvasCoordsFromPointerEvent(event);
-        const [rgbColor, closestColor] = this._renderer.getColorAt(x, y);
+        const [rgbColor, closestColor, inSrgbGamut] = this._renderer.getColorAt(x, y);
         setCursor(rgbColor !== null);
 
         // Skip hover updates if there's a selection
@@ -118,7 +275,7 @@ export class CanvasUI {
           return;
         }
 
-        this._colorDisplay.setColors(rgbColor, closestColor);
+        this._colorDisplay.setColors(rgbColor, closestColor, inSrgbGamut);
       }
     };
 
@@ -159,13 +316,13 @@ export class CanvasUI {
       }
     };
 
-    // Click handler - only active in 2D mode
+    // Clicks select a color in 2D and 3D, or add it to the palette
     const clickHandler = (event) => {
-      if (this._render3d) return; // No click handling in 3D mode
+      if (isDragged) return; // The press was a drag, not a click
 
       const selectionClicked = event.target === this._selectionIndicator;
       const [x, y] = this._getCanvasCoordsFromPointerEvent(event);
-      const [rgbColor, closestColor] = this._renderer.getColorAt(x, y);
+      const [rgbColor, closestColor, inSrgbGamut] = this._renderer.getColorAt(x, y);
 
       // Handle command-click or ctrl-click for direct color addition
       if ((event.metaKey || event.ctrlKey)) {
@@ -185,20 +342,96 @@ export class CanvasUI {
       }
 
       if (!selectionClicked) {
-        this._setSelection([x, y], rgbColor, closestColor);
+        if (this._render3d) {
+          this._selectionAnchor = this._renderer.getColorCoordAt(x, y);
+          this._selectionColorKey = this._getSelectionColorKey();
+        }
+        this._setSelection([x, y], rgbColor, closestColor, inSrgbGamut);
         setCursor(false);
       } else {
-        this._colorDisplay.setColors(rgbColor, closestColor);
+        this._colorDisplay.setColors(rgbColor, closestColor, inSrgbGamut);
         setCursor(true);
       }
     };
 
+    // Two touches pinch to zoom and pan in 2D, and to dolly the camera in
+    // 3D. Touches are tracked in canvas
+    // coordinates, and pinch holds the distance between them and their center.
+    const touches = new Map();
+    let pinch = null;
+    const measurePinch = () => {
+      const [[x1, y1], [x2, y2]] = touches.values();
+      return { distance: Math.hypot(x2 - x1, y2 - y1), center: [(x1 + x2) / 2, (y1 + y2) / 2] };
+    };
+
+    const pinchDownHandler = (event) => {
+      if (event.pointerType !== 'touch') return;
+      touches.set(event.pointerId, this._getCanvasCoordsFromPointerEvent(event));
+      pinch = touches.size === 2 ? measurePinch() : null;
+    };
+
+    const pinchMoveHandler = (event) => {
+      if (!touches.has(event.pointerId)) return;
+      touches.set(event.pointerId, this._getCanvasCoordsFromPointerEvent(event));
+      if (!pinch) return;
+
+      const next = measurePinch();
+      // A pinch ends with a click on the primary touch, which shouldn't select
+      isDragged = true;
+      if (this._render3d) {
+        this._setCameraDistance(this._cameraDistance * pinch.distance / next.distance);
+        pinch = next;
+        return;
+      }
+
+      const [width, height] = this._renderer.getDisplaySize();
+      const center = [pinch.center[0] / width, pinch.center[1] / height];
+      this._setZoomWindow(this._zoomWindow
+        .zoomAt(next.distance / pinch.distance, center)
+        .panBy((next.center[0] - pinch.center[0]) / width, (next.center[1] - pinch.center[1]) / height));
+      pinch = next;
+    };
+
+    const pinchUpHandler = (event) => {
+      touches.delete(event.pointerId);
+      pinch = null;
+    };
+
+    // The wheel zooms in 2D about the pointer, and moves the camera in 3D
+    const wheelHandler = (event) => {
+      // Line and page scrolling are converted to roughly pixels
+      const deltaScale = [1, 16, 400][event.deltaMode] ?? 1;
+      const zoom = Math.exp(-event.deltaY * deltaScale * WHEEL_ZOOM_SPEED);
+
+      // The page only scrolls once the view can't zoom any further
+      if (this._render3d) {
+        const distance = clampCameraDistance(this._cameraDistance / zoom);
+        if (distance === this._cameraDistance) return;
+        event.preventDefault();
+        this._setCameraDistance(distance);
+        return;
+      }
+
+      const [x, y] = this._getCanvasCoordsFromPointerEvent(event);
+      const [width, height] = this._renderer.getDisplaySize();
+      const center = [Math.min(Math.max(x / width, 0), 1), Math.min(Math.max(y / height, 0), 1)];
+      const zoomWindow = this._zoomWindow.zoomAt(zoom, center);
+      if (zoomWindow.equals(this._zoomWindow)) return;
+      event.preventDefault();
+      this._setZoomWindow(zoomWindow);
+    };
+
+    canvasPanel.addEventListener('pointerdown', pinchDownHandler);
+    canvasPanel.addEventListener('pointermove', pinchMoveHandler);
+    canvasPanel.addEventListener('pointerup', pinchUpHandler);
+    canvasPanel.addEventListener('pointercancel', pinchUpHandler);
     canvasPanel.addEventListener('pointerdown', pointerDownHandler);
     canvasPanel.addEventListener('pointermove', pointerMoveHandler);
     canvasPanel.addEventListener('pointerup', pointerUpHandler);
     canvasPanel.addEventListener('pointercancel', pointerCancelHandler);
     canvasPanel.addEventListener('pointerleave', pointerLeaveHandler);
     canvasPanel.addEventListener('click', clickHandler);
+    canvasPanel.addEventListener('wheel', wheelHandler, { passive: false });
   }
 
   /**
@@ -208,6 +441,121 @@ export class CanvasUI {
   setRender3d3d(render3d) {
     this._render3d = render3d;
     this._clearSelection();
+    this._updateViewControls();
+  }
+
+  /**
+   * Update the color space which preset 3D views are found for
+   * @param {ColorSpaceConfig} colorSpaceConfig
+   */
+  setColorSpaceConfig(colorSpaceConfig) {
+    this._colorSpaceConfig = colorSpaceConfig;
+
+    // Only rebuild the presets when they change, as this is called on
+    // every render
+    const presets = getCameraPresets(colorSpaceConfig);
+    const presetKey = presets.map(preset => preset.displayName).join('\n');
+    if (presetKey === this._presetKey) return;
+    this._presetKey = presetKey;
+
+    clearElement(this._presetDropdown);
+    const placeholder = createElement('option', 'Preset view…');
+    placeholder.value = '';
+    placeholder.disabled = true;
+    this._presetDropdown.appendChild(placeholder);
+    for (const preset of presets) {
+      const option = createElement('option', preset.displayName);
+      option.value = preset.id;
+      this._presetDropdown.appendChild(option);
+    }
+    this._presetDropdown.value = '';
+  }
+
+  /**
+   * Get the visible part of the 2D slice
+   * @returns {ZoomWindow}
+   */
+  getZoomWindow() {
+    return this._zoomWindow;
+  }
+
+  /**
+   * Show the whole 2D slice again, without redrawing
+   */
+  resetZoom() {
+    this._zoomWindow = FULL_ZOOM_WINDOW;
+    this._updateViewControls();
+  }
+
+  /**
+   * Change the visible part of the 2D slice, and redraw
+   * @param {ZoomWindow} zoomWindow
+   */
+  _setZoomWindow(zoomWindow) {
+    if (zoomWindow.equals(this._zoomWindow)) return;
+
+    // Keep the selection on the same color. It is cleared after the redraw
+    // if it has left the view.
+    const coordinates = this._getSelectionCoordinates();
+    if (coordinates) {
+      const [width, height] = this._renderer.getDisplaySize();
+      const slicePoint = this._zoomWindow.viewToSlice(
+        [coordinates[0] / width, coordinates[1] / height]);
+      const [x, y] = zoomWindow.sliceToView(slicePoint);
+      this._placeSelectionIndicator(x * width, y * height);
+    }
+
+    this._zoomWindow = zoomWindow;
+    this._notifyViewChange();
+  }
+
+  /**
+   * Turn the 3D view to a new rotation, and redraw
+   * @param {mat4} rotationMatrix
+   */
+  _setRotation(rotationMatrix) {
+    mat4.copy(this._rotationMatrix, rotationMatrix);
+    this._notifyViewChange();
+  }
+
+  /**
+   * Move the 3D camera closer or further away, and redraw
+   * @param {number} distance - From the camera to the center of the color space
+   */
+  _setCameraDistance(distance) {
+    distance = clampCameraDistance(distance);
+    if (distance === this._cameraDistance) return;
+    this._cameraDistance = distance;
+    this._notifyViewChange();
+  }
+
+  /**
+   * Update the view controls and ask for a redraw after the view changes
+   */
+  _notifyViewChange() {
+    this._updateViewControls();
+    if (this._onViewChange) {
+      this._onViewChange();
+    }
+  }
+
+  /**
+   * Show the 3D controls in 3D, and only offer to reset a changed view
+   */
+  _updateViewControls() {
+    this._presetDropdown.hidden = !this._render3d;
+    this._orthographicLabel.hidden = !this._render3d;
+
+    if (this._render3d) {
+      this._resetViewButton.textContent = 'Reset View';
+      this._resetViewButton.title = 'Go back to the initial rotation and distance';
+      this._resetViewButton.hidden = this._cameraDistance === DEFAULT_CAMERA_DISTANCE
+        && isDefaultRotation(this._rotationMatrix);
+    } else {
+      this._resetViewButton.textContent = 'Reset Zoom';
+      this._resetViewButton.title = 'Show the whole slice';
+      this._resetViewButton.hidden = this._zoomWindow.isFull();
+    }
   }
 
   /**
@@ -218,9 +566,17 @@ export class CanvasUI {
     return this._rotationMatrix;
   }
 
+  /**
+   * Get the distance and projection of the 3D camera
+   * @returns {CameraOptions}
+   */
+  getCameraOptions() {
+    return { distance: this._cameraDistance, orthographic: this._orthographic };
+  }
+
   /**
    * Get canvas coordinates from pointer event
-   * @param {PointerEvent} event - Pointer event
+   * @param {PointerEvent|WheelEvent} event - Pointer or wheel event
    * @returns {Array<number>} Canvas coordinates as [x, y]
    */
   _getCanvasCoordsFromPointerEvent(event) {
@@ -235,11 +591,15 @@ export class CanvasUI {
    * @param {Array<number>} coordinates - Canvas coordinates as [x, y]
    * @param {RgbColor} rgbColor - RGB color object
    * @param {NamedColor} closestColor - Closest named color object
+   * @param {boolean} inSrgbGamut - Whether the color is inside sRGB
    */
-  _setSelection(coordinates, rgbColor, closestColor) {
+  _setSelection(coordinates, rgbColor, closestColor, inSrgbGamut) {
     this._placeSelectionIndicator(...coordinates);
-    this._colorDisplay.setSelectedColors(rgbColor, closestColor);
-    this._urlStateManager.serializeSelectionToFragment(coordinates);
+    this._colorDisplay.setSelectedColors(rgbColor, closestColor, inSrgbGamut);
+    // Canvas coordinates don't identify a color in 3D, so only 2D selections
+    // are kept in the URL
+    this._urlStateManager.serializeSelectionToFragment(
+      this._render3d ? null : this._scaleToReference(coordinates, true));
   }
 
   /**
@@ -249,6 +609,8 @@ export class CanvasUI {
     if (this._selectionIndicator) {
       this._selectionIndicator.remove();
       this._selectionIndicator = null;
+      this._selectionAnchor = null;
+      this._selectionColorKey = null;
       this._colorDisplay.clearColors();
       this._urlStateManager.serializeSelectionToFragment(null);
     }
@@ -260,7 +622,7 @@ export class CanvasUI {
   _initializeSelectionFromURL() {
     const selectionCoords = this._urlStateManager.deserializeSelectionFromFragment();
     if (selectionCoords) {
-      this._placeSelectionIndicator(...selectionCoords);
+      this._placeSelectionIndicator(...this._scaleToReference(selectionCoords, false));
     }
   }
 
@@ -323,17 +685,59 @@ export class CanvasUI {
     await this._renderer.waitForCurrentRender();
 
     // Check that we still have a selection indicator after waiting
-    if (!this._selectionIndicator) return;
-    const coordinates = this._selectionIndicator.dataset.coordinates?.split(',').map(Number);
+    const coordinates = this._getSelectionCoordinates();
     if (!coordinates) return;
 
-    const [rgbColor, closestColor] = this._renderer.getColorAt(...coordinates);
+    if (this._selectionAnchor) {
+      this._updateAnchoredSelection();
+      return;
+    }
+
+    const [rgbColor, closestColor, inSrgbGamut] = this._renderer.getColorAt(...coordinates);
 
     // Set as selected if we have a valid color, otherwise clear selection
     if (rgbColor !== null) {
-      this._setSelection(coordinates, rgbColor, closestColor);
+      this._setSelection(coordinates, rgbColor, closestColor, inSrgbGamut);
     } else {
       this._clearSelection();
     }
   }
+
+  /**
+   * Get what the color at a point of the 3D shape, and its closest palette
+   * color, depend on
+   * @returns {Array}
+   */
+  _getSelectionColorKey() {
+    const config = this._colorSpaceConfig;
+    return [
+      config.colorSpace, config.usePolarCoordinates, config.distanceMetric,
+      config.distanceThreshold, config.cvdType, config.cvdSeverity,
+      config.simulateCvdMatching, ...this._colorPalette.getColors()];
+  }
+
+  /**
+   * Move a 3D selection to where its point of the shape is now drawn. It is
+   * hidden while the point is out of view or behind another part of the
+   * shape. The selected color is kept as the view turns, since the point is
+   * drawn at a slightly different pixel from the one clicked, and is only
+   * read again when the color space or palette changes.
+   */
+  _updateAnchoredSelection() {
+    const coordinates = this._renderer.colorCoordToCanvas(this._selectionAnchor);
+    const surfaceCoord = coordinates && this._renderer.getColorCoordAt(...coordinates);
+    const isVisible = surfaceCoord !== null && vec3.distance(
+      colorCoordTo3DPosition(surfaceCoord),
+      colorCoordTo3DPosition(this._selectionAnchor)) < SELECTION_SURFACE_TOLERANCE;
+    this._selectionIndicator.hidden = !isVisible;
+    if (!isVisible) return;
+
+    this._placeSelectionIndicator(...coordinates);
+    const colorKey = this._getSelectionColorKey();
+    if (keyMatches(this._selectionColorKey, colorKey)) return;
+
+    this._selectionColorKey = colorKey;
+    const [rgbColor, closestColor, inSrgbGamut] = this._renderer.getColorAt(...coordinates);
+    this._colorDisplay.setSelectedColors(rgbColor, closestColor, inSrgbGamut);
+  }
 }
@@ -1,7 +1,16 @@
-import { rgbToHsl, rgbToHsv, rgbToCssString } from './colorUtils.js';
-import { clearElement, createTextNode } from './utils.js';
+import { rgbToHsl, rgbToHsv, rgbToCssString, rgbToHex } from './colorUtils.js';
+import { clearElement, createElement, createTextNode } from './utils.js';
+import { srgbToLinear, linearToSrgb, simulateCvd } from './colorMath.js';
+import { RgbColor } from './colorSpace.js';
+import { wcagContrastRatio, wcagLevel, apcaContrast } from './contrast.js';
 import { createColorItem, populateColorItem } from './colorPalette.js';
 
+// Colors which contrast is always shown against
+const CONTRAST_REFERENCES = Object.freeze([
+  ['White', new RgbColor(1, 1, 1)],
+  ['Black', new RgbColor(0, 0, 0)],
+]);
+
 /**
  * Handles color information display including hovered color and closest palette color
  */
@@ -11,12 +20,18 @@ export class ColorDisplay {
     this._onColorChangeCallback = () => { };
     this._currentColors = [null, null]; // [currentColor, closestColor]
     this._isSelected = false;
+    this._inSrgbGamut = true;
+    this._cvdType = 'none';
+    this._cvdSeverity = 1;
 
     // Color display elements within the container
     this._colorSwatch = container.querySelector('.color-swatch');
     this._rgbData = container.querySelector('.rgb-data');
     this._hslData = container.querySelector('.hsl-data');
     this._hsvData = container.querySelector('.hsv-data');
+    this._gamutData = container.querySelector('.gamut-data');
+    this._cvdData = container.querySelector('.cvd-data');
+    this._contrastTable = container.querySelector('.contrast-table');
     this._titleElement = container.querySelector('.color-info-title');
 
     // Closest color display element within the container
@@ -32,13 +47,15 @@ export class ColorDisplay {
    * Set the selected color and update display accordingly
    * @param {RgbColor} rgbColor - RGB color instance with normalized coordinates
    * @param {NamedColor|null} closestColor - The closest palette color or null if no palette
+   * @param {boolean} [inSrgbGamut=true] - Whether the color is inside sRGB (rgbColor is clipped if not)
    */
-  setSelectedColors(rgbColor, closestColor) {
+  setSelectedColors(rgbColor, closestColor, inSrgbGamut = true) {
     this._currentColors = [rgbColor, closestColor];
     this._isSelected = true;
 
-    this._setCurrentColor(rgbColor);
+    this._setCurrentColor(rgbColor, inSrgbGamut);
     this._setClosestColor(closestColor);
+    this._setContrast(rgbColor, closestColor);
     this._setTitle(rgbColor, true);
     this._onColorChangeCallback();
   }
@@ -47,17 +64,33 @@ export class ColorDisplay {
    * Set the color and update display accordingly
    * @param {RgbColor} rgbColor - RGB color instance with normalized coordinates
    * @param {NamedColor|null} closestColor - The closest palette color or null if no palette
+   * @param {boolean} [inSrgbGamut=true] - Whether the color is inside sRGB (rgbColor is clipped if not)
    */
-  setColors(rgbColor, closestColor) {
+  setColors(rgbColor, closestColor, inSrgbGamut = true) {
     this._currentColors = [rgbColor, closestColor];
     this._isSelected = false;
 
-    this._setCurrentColor(rgbColor);
+    this._setCurrentColor(rgbColor, inSrgbGamut);
     this._setClosestColor(closestColor);
+    this._setContrast(rgbColor, closestColor);
     this._setTitle(rgbColor, false);
     this._onColorChangeCallback();
   }
 
+  /**
+   * Set the color vision deficiency to show simulated values for
+   * @param {string} cvdType - One of CVD_TYPES, or 'none' to hide them
+   * @param {number} severity - In [0, 1], where 1 is the full deficiency
+   */
+  setCvdSimulation(cvdType, severity) {
+    if (cvdType === this._cvdType && severity === this._cvdSeverity) return;
+    this._cvdType = cvdType;
+    this._cvdSeverity = severity;
+
+    const [rgbColor] = this._currentColors;
+    if (rgbColor) this._setCurrentColor(rgbColor, this._inSrgbGamut);
+  }
+
   _setTitle(rgbColor, selected) {
     if (!rgbColor) {
       this._titleElement.textContent = 'No Color';
@@ -69,8 +102,11 @@ export class ColorDisplay {
   /**
    * Set the current color display
    * @param {RgbColor} rgbColor - RGB color instance with normalized coordinates
+   * @param {boolean} inSrgbGamut - Whether the color is inside sRGB
    */
-  _setCurrentColor(rgbColor) {
+  _setCurrentColor(rgbColor, inSrgbGamut) {
+    this._inSrgbGamut = inSrgbGamut;
+
     // Convert to CSS string for display
     const cssColor = rgbToCssString(rgbColor);
 
@@ -91,6 +127,36 @@ export class ColorDisplay {
 
     clearElement(this._hsvData);
     this._hsvData.appendChild(createTextNode(hsvColor.toString()));
+
+    clearElement(this._gamutData);
+    this._gamutData.appendChild(createTextNode(
+      inSrgbGamut ? 'Inside sRGB gamut' : 'Outside sRGB gamut (clipped)'));
+    this._gamutData.classList.toggle('out-of-gamut', !inSrgbGamut);
+
+    this._setSimulatedColor(rgbColor);
+  }
+
+  /**
+   * Show the current color as it appears with the simulated color vision
+   * deficiency, if any
+   * @param {RgbColor} rgbColor - RGB color instance with normalized coordinates
+   */
+  _setSimulatedColor(rgbColor) {
+    clearElement(this._cvdData);
+    if (this._cvdType === 'none') return;
+
+    // Matches the simulation in the render shader
+    const linear = simulateCvd(this._cvdType, this._cvdSeverity, srgbToLinear([...rgbColor]));
+    const simulated = new RgbColor(
+      ...linearToSrgb(linear.map(c => Math.min(Math.max(c, 0), 1))));
+
+    const swatch = createElement('span');
+    swatch.className = 'cvd-swatch';
+    swatch.style.backgroundColor = rgbToCssString(simulated);
+    this._cvdData.appendChild(swatch);
+
+    const typeName = this._cvdType[0].toUpperCase() + this._cvdType.slice(1);
+    this._cvdData.appendChild(createTextNode(`${typeName}: ${rgbToHex(simulated)}`));
   }
 
   /**
@@ -101,6 +167,49 @@ export class ColorDisplay {
     populateColorItem(this._closestColorElem, closestColor);
   }
 
+  /**
+   * Show the contrast of the current color against white, black and the
+   * closest palette color
+   * @param {RgbColor} rgbColor - RGB color instance with normalized coordinates
+   * @param {NamedColor|null} closestColor - The closest palette color or null if no palette
+   */
+  _setContrast(rgbColor, closestColor) {
+    clearElement(this._contrastTable);
+
+    const header = createElement('tr');
+    header.appendChild(createElement('th', 'Against'));
+    const wcagHeader = createElement('th', 'WCAG');
+    wcagHeader.title = 'WCAG 2.x contrast ratio, and the level it meets for normal text';
+    header.appendChild(wcagHeader);
+    const apcaHeader = createElement('th', 'APCA');
+    apcaHeader.title = 'APCA lightness contrast (Lc) of the current color as text on the other color';
+    header.appendChild(apcaHeader);
+    this._contrastTable.appendChild(header);
+
+    const references = [...CONTRAST_REFERENCES];
+    if (closestColor) references.push([closestColor.name, closestColor.rgbColor]);
+
+    for (const [name, referenceColor] of references) {
+      const row = createElement('tr');
+      const nameCell = createElement('td');
+      const swatch = createElement('span');
+      swatch.className = 'stats-swatch';
+      swatch.style.backgroundColor = rgbToCssString(referenceColor);
+      nameCell.appendChild(swatch);
+      nameCell.appendChild(createTextNode(name));
+      row.appendChild(nameCell);
+
+      const ratio = wcagContrastRatio([...rgbColor], [...referenceColor]);
+      const level = wcagLevel(ratio);
+      row.appendChild(createElement(
+        'td', `${ratio.toFixed(2)}:1 ${level ? level.toUpperCase() : 'Fail'}`));
+
+      const lc = apcaContrast([...rgbColor], [...referenceColor]);
+      row.appendChild(createElement('td', `Lc ${lc.toFixed(0)}`));
+      this._contrastTable.appendChild(row);
+    }
+  }
+
   /**
    * Clear color displays
    */
@@ -118,6 +227,9 @@ export class ColorDisplay {
     clearElement(this._rgbData);
     clearElement(this._hslData);
     clearElement(this._hsvData);
+    clearElement(this._gamutData);
+    clearElement(this._cvdData);
+    clearElement(this._contrastTable);
 
     this._setClosestColor(null);
     this._onColorChangeCallback();
@@ -0,0 +1,238 @@
+import { RgbColor, HslColor, HsvColor } from './colorSpace.js';
+import { rgbToCssString, rgbToHex, hexToRgb, rgbToHsl, rgbToHsv, hslToRgb, hsvToRgb } from './colorUtils.js';
+import { createElement } from './utils.js';
+import { RangeSlider } from './rangeSlider.js';
+
+/**
+ * The channel groups shown in the editor. Channel values are normalized to
+ * [0, 1], and shown as integers from 0 to the channel's scale.
+ */
+const CHANNEL_GROUPS = Object.freeze([
+  {
+    name: 'RGB',
+    channels: [['R', 255], ['G', 255], ['B', 255]],
+    fromRgb: rgbColor => rgbColor,
+    toRgb: values => new RgbColor(...values),
+  },
+  {
+    name: 'HSL',
+    channels: [['H', 360], ['S', 100], ['L', 100]],
+    fromRgb: rgbToHsl,
+    toRgb: values => hslToRgb(new HslColor(...values)),
+  },
+  {
+    name: 'HSV',
+    channels: [['H', 360], ['S', 100], ['V', 100]],
+    fromRgb: rgbToHsv,
+    toRgb: values => hsvToRgb(new HsvColor(...values)),
+  },
+]);
+
+/**
+ * Round a color to 8 bits per channel, so that it matches its hex value
+ * @param {RgbColor} rgbColor
+ * @returns {RgbColor}
+ */
+function quantizeRgb(rgbColor) {
+  const [r, g, b] = [...rgbColor].map(c => Math.round(c * 255) / 255);
+  return new RgbColor(r, g, b);
+}
+
+/**
+ * Editor for a single color, with a hex input and RGB, HSL and HSV sliders
+ *
+ * Editing one channel group updates the others, but not the group being
+ * edited, so that e.g. the hue is kept while dragging saturation to zero.
+ */
+export class ColorEditor {
+  /**
+   * @param {HTMLElement} parent - The parent element to append the editor to
+   * @param {Function} onChange - Called with the new RgbColor as it is edited
+   * @param {Function} onClose - Called when the editor is closed
+   */
+  constructor(parent, onChange, onClose) {
+    this._onChange = onChange;
+    this._onClose = onClose;
+    this._rgbColor = null;
+    this._groups = [];
+    // Set while updating controls, to ignore their change callbacks
+    this._isUpdatingControls = false;
+
+    parent.appendChild(this._createElement());
+  }
+
+  /**
+   * Create the DOM elements for the editor
+   * @returns {HTMLElement} The editor element
+   */
+  _createElement() {
+    this._container = createElement('div');
+    this._container.className = 'color-editor';
+    this._container.hidden = true;
+
+    const header = createElement('div');
+    header.className = 'color-editor-header';
+    this._swatch = createElement('div');
+    this._swatch.className = 'color-swatch has-color';
+    header.appendChild(this._swatch);
+    this._title = createElement('div');
+    this._title.className = 'color-editor-title';
+    header.appendChild(this._title);
+    const doneButton = createElement('button', 'Done');
+    doneButton.className = 'palette-action-btn';
+    doneButton.addEventListener('click', () => this.close());
+    header.appendChild(doneButton);
+    this._container.appendChild(header);
+
+    const hexRow = createElement('label');
+    hexRow.className = 'slider-container';
+    hexRow.appendChild(createElement('span', 'Hex'));
+    this._hexInput = createElement('input');
+    this._hexInput.type = 'text';
+    this._hexInput.className = 'color-editor-input';
+    this._hexInput.spellcheck = false;
+    this._hexInput.addEventListener('input', () => {
+      const rgbColor = hexToRgb(this._hexInput.value);
+      this._hexInput.classList.toggle('invalid', !rgbColor);
+      if (rgbColor) this._setColor(rgbColor, this._hexInput);
+    });
+    // Show the normalized value once editing is finished
+    this._hexInput.addEventListener('change', () => {
+      this._hexInput.classList.remove('invalid');
+      this._hexInput.value = rgbToHex(this._rgbColor);
+    });
+    hexRow.appendChild(this._hexInput);
+    this._container.appendChild(hexRow);
+
+    for (const group of CHANNEL_GROUPS) {
+      this._container.appendChild(this._createGroup(group));
+    }
+
+    this._container.addEventListener('keydown', (e) => {
+      if (e.key === 'Escape') this.close();
+    });
+
+    return this._container;
+  }
+
+  /**
+   * Create the sliders and number inputs for a channel group
+   * @param {Object} group - An entry of CHANNEL_GROUPS
+   * @returns {HTMLElement} The group element
+   */
+  _createGroup(group) {
+    const groupElement = createElement('div');
+    groupElement.className = 'color-editor-group';
+    groupElement.appendChild(createElement('div', group.name));
+
+    const controls = { group, sliders: [], inputs: [], values: [0, 0, 0] };
+    group.channels.forEach(([label, scale], i) => {
+      const row = createElement('div');
+      row.className = 'slider-container';
+      row.appendChild(createElement('span', label));
+
+      const setChannel = (value) => {
+        controls.values[i] = Math.min(Math.max(value / scale, 0), 1);
+        this._setColor(group.toRgb(controls.values), controls);
+      };
+
+      controls.sliders.push(new RangeSlider(row, {
+        max: scale,
+        onChange: (value) => {
+          if (this._isUpdatingControls) return;
+          controls.inputs[i].value = value;
+          setChannel(value);
+        }
+      }));
+
+      const input = createElement('input');
+      input.type = 'number';
+      input.className = 'color-editor-input';
+      input.min = 0;
+      input.max = scale;
+      input.addEventListener('input', () => {
+        const value = input.valueAsNumber;
+        if (Number.isNaN(value)) return;
+        this._isUpdatingControls = true;
+        controls.sliders[i].setValue(value);
+        this._isUpdatingControls = false;
+        setChannel(value);
+      });
+      controls.inputs.push(input);
+      row.appendChild(input);
+
+      groupElement.appendChild(row);
+    });
+
+    this._groups.push(controls);
+    return groupElement;
+  }
+
+  /**
+   * Open the editor on a color
+   * @param {RgbColor} rgbColor - The color to edit
+   * @param {string} title - The title to show, e.g. the color name
+   */
+  open(rgbColor, title) {
+    this._rgbColor = rgbColor;
+    this._title.textContent = title;
+    this._hexInput.classList.remove('invalid');
+    this._updateControls(null);
+    this._container.hidden = false;
+  }
+
+  /**
+   * Close the editor, if it is open
+   */
+  close() {
+    if (this._container.hidden) return;
+    this._container.hidden = true;
+    this._rgbColor = null;
+    this._onClose();
+  }
+
+  /**
+   * @returns {boolean} Whether the editor is open
+   */
+  isOpen() {
+    return !this._container.hidden;
+  }
+
+  /**
+   * Set the edited color from one of the controls
+   * @param {RgbColor} rgbColor - The new color
+   * @param {Object|HTMLElement} source - The control group or input which
+   *   changed, and so shouldn't be updated
+   */
+  _setColor(rgbColor, source) {
+    rgbColor = quantizeRgb(rgbColor);
+    const changed = rgbToHex(rgbColor) !== rgbToHex(this._rgbColor);
+    this._rgbColor = rgbColor;
+    this._updateControls(source);
+    if (changed) this._onChange(rgbColor);
+  }
+
+  /**
+   * Update the controls to show the edited color
+   * @param {Object|HTMLElement|null} source - A control to leave unchanged
+   */
+  _updateControls(source) {
+    const rgbColor = this._rgbColor;
+    this._swatch.style.backgroundColor = rgbToCssString(rgbColor);
+    if (source !== this._hexInput) {
+      this._hexInput.value = rgbToHex(rgbColor);
+    }
+
+    this._isUpdatingControls = true;
+    for (const controls of this._groups) {
+      if (controls === source) continue;
+      controls.values = [...controls.group.fromRgb(rgbColor)];
+      controls.group.channels.forEach(([_, scale], i) => {
+        const value = Math.round(controls.values[i] * scale);
+        controls.sliders[i].setValue(value);
+        controls.inputs[i].value = value;
+      });
+    }
+    this._isUpdatingControls = false;
+  }
+}
@@ -0,0 +1,783 @@
+/**
+ * Pure color math on plain [x, y, z] number arrays.
+ * These mirror the functions in compute_fragment.glsl, so that results can
+ * be computed on the CPU and compared against the GPU output.
+ *
+ * This module has no dependencies, so it can be used without a DOM or WebGL.
+ * Color space coordinates are normalized to [0, 1] on every axis, exactly as
+ * they are passed to the shader.
+ */
+
+const CIE_EPSILON = 0.008856;  // epsilon = delta^3 where delta = 6/29
+const CIE_KAPPA = 903.3; // kappa = 24389/27
+
+// D65 illuminant reference white point
+// See http://www.brucelindbloom.com/index.html?Eqn_ChromAdapt.html
+const REFERENCE_WHITE = Object.freeze([0.95047, 1.00000, 1.08883]);
+
+// Allow for a small amount of floating point error at the gamut boundary.
+const GAMUT_EPSILON = 1e-4;
+
+// BT.2020 transfer function constants
+const REC2020_ALPHA = 1.09929682680944;
+const REC2020_BETA = 0.018053968510807;
+
+// All matrices are row-major, and applied to column vectors.
+
+// sRGB to XYZ matrix (D65 illuminant)
+// See http://brucelindbloom.com/index.html?Eqn_RGB_XYZ_Matrix.html
+const SRGB_TO_XYZ_MATRIX = Object.freeze([
+  [0.4124564, 0.3575761, 0.1804375],
+  [0.2126729, 0.7151522, 0.0721750],
+  [0.0193339, 0.1191920, 0.9503041]
+]);
+
+// XYZ to sRGB matrix, the inverse of SRGB_TO_XYZ_MATRIX
+// See http://www.brucelindbloom.com/index.html?Eqn_XYZ_to_RGB.html
+const XYZ_TO_SRGB_MATRIX = Object.freeze([
+  [3.2404542, -1.5371385, -0.4985314],
+  [-0.9692660, 1.8760108, 0.0415560],
+  [0.0556434, -0.2040259, 1.0572252]
+]);
+
+// Display P3 and Rec.2020 to XYZ matrices, derived from their primaries with
+// the same D65 white point as the sRGB matrix.
+const DISPLAY_P3_TO_XYZ_MATRIX = Object.freeze([
+  [0.4866327, 0.2656632, 0.1981742],
+  [0.2290036, 0.6917267, 0.0792697],
+  [0.0000000, 0.0451126, 1.0437174]
+]);
+const REC2020_TO_XYZ_MATRIX = Object.freeze([
+  [0.6370102, 0.1446150, 0.1688448],
+  [0.2627217, 0.6779893, 0.0592890],
+  [0.0000000, 0.0280723, 1.0607577]
+]);
+
+// OKLab matrices
+// See https://bottosson.github.io/posts/oklab/
+const OKLAB_TO_LMS_MATRIX = Object.freeze([
+  [1.0, 0.3963377774, 0.2158037573],
+  [1.0, -0.1055613458, -0.0638541728],
+  [1.0, -0.0894841775, -1.2914855480]
+]);
+const LMS_TO_LINEAR_SRGB_MATRIX = Object.freeze([
+  [4.0767416621, -3.3077115913, 0.2309699292],
+  [-1.2684380046, 2.6097574011, -0.3413193965],
+  [-0.0041960863, -0.7034186147, 1.7076147010]
+]);
+
+// Color vision deficiency simulation matrices for linear sRGB, at full
+// severity. Dichromacies are from Machado, Oliveira & Fernandes (2009), "A
+// Physiologically-based Model for Simulation of Color Vision Deficiency".
+// See https://www.inf.ufrgs.br/~oliveira/pubs_files/CVD_Simulation/CVD_Simulation.html
+// Achromatopsia keeps only the luminance (the Y row of SRGB_TO_XYZ_MATRIX).
+const CVD_MATRICES = Object.freeze({
+  protanopia: Object.freeze([
+    [0.152286, 1.052583, -0.204868],
+    [0.114503, 0.786281, 0.099216],
+    [-0.003882, -0.048116, 1.051998]
+  ]),
+  deuteranopia: Object.freeze([
+    [0.367322, 0.860646, -0.227968],
+    [0.280085, 0.672501, 0.047413],
+    [-0.011820, 0.042940, 0.968881]
+  ]),
+  tritanopia: Object.freeze([
+    [1.255528, -0.076749, -0.178779],
+    [-0.078411, 0.930809, 0.147602],
+    [0.004733, 0.691367, 0.303900]
+  ]),
+  achromatopsia: Object.freeze(
+    [0, 1, 2].map(() => SRGB_TO_XYZ_MATRIX[1])),
+});
+
+/**
+ * Ids of the distance metrics, in the order used by the shader's
+ * u_distanceMetric uniform.
+ */
+export const DISTANCE_METRIC_IDS = Object.freeze(
+  ['lab-d', 'de94', 'de2000', 'luv-d', 'rgb-d']);
+
+/**
+ * Types of the color spaces, in the order used by the shader's
+ * u_colorSpaceIndex uniform.
+ */
+export const COLOR_SPACE_TYPES = Object.freeze(
+  ['RGB', 'HSV', 'HSL', 'LAB', 'LCH', 'OKLAB', 'OKLCH', 'P3', 'REC2020']);
+
+/**
+ * Types of color vision deficiency which can be simulated, with 'none' first.
+ */
+export const CVD_TYPES = Object.freeze(['none', ...Object.keys(CVD_MATRICES)]);
+
+/**
+ * Multiply a row-major 3x3 matrix by a column vector
+ * @param {Array<Array<number>>} matrix - Row-major 3x3 matrix
+ * @param {Array<number>} v - Vector of length 3
+ * @returns {Array<number>} The transformed vector
+ */
+function applyMatrix(matrix, v) {
+  return matrix.map(row => row[0] * v[0] + row[1] * v[1] + row[2] * v[2]);
+}
+
+/**
+ * GLSL fract(): the fractional part of x, always in [0, 1)
+ * @param {number} x
+ * @returns {number}
+ */
+function fract(x) {
+  return x - Math.floor(x);
+}
+
+/**
+ * GLSL clamp()
+ * @param {number} x
+ * @param {number} min
+ * @param {number} max
+ * @returns {number}
+ */
+function clamp(x, min, max) {
+  return Math.min(Math.max(x, min), max);
+}
+
+/**
+ * Convert a pure hue to RGB color space
+ * For any given hue, one component will be 1, one will be 0, and the third
+ * will be somewhere in between.
+ * @param {number} h - Hue as a turn in [0, 1]
+ * @returns {Array<number>} sRGB values in [0, 1]
+ */
+export function hueToRgb(h) {
+  // References:
+  //  https://en.wikipedia.org/wiki/HSL_and_HSV#HSV_to_RGB
+  //  https://gist.github.com/983/e170a24ae8eba2cd174f
+  return [1, 2 / 3, 1 / 3].map(k => {
+    // A triangle wave with peaks at 1.0 and troughs at 0.5.
+    const p = Math.abs(fract(h + k) * 6 - 3);
+    return clamp(p - 1, 0, 1);
+  });
+}
+
+/**
+ * Convert HSV to RGB color space
+ * @param {number} h - Hue in [0, 1]
+ * @param {number} s - Saturation in [0, 1]
+ * @param {number} v - Value in [0, 1]
+ * @returns {Array<number>} sRGB values in [0, 1]
+ */
+export function hsvToRgb(h, s, v) {
+  // Reference: https://en.wikipedia.org/wiki/HSL_and_HSV#HSV_to_RGB
+  return hueToRgb(h).map(c => v * (c * s - s + 1));
+}
+
+/**
+ * Convert HSL to RGB color space
+ * @param {number} h - Hue in [0, 1]
+ * @param {number} s - Saturation in [0, 1]
+ * @param {number} l - Lightness in [0, 1]
+ * @returns {Array<number>} sRGB values in [0, 1]
+ */
+export function hslToRgb(h, s, l) {
+  // Reference: https://en.wikipedia.org/wiki/HSL_and_HSV#HSL_to_RGB
+  const c = (1 - Math.abs(2 * l - 1)) * s;
+  return hueToRgb(h).map(hc => l + c * (hc - 0.5));
+}
+
+/**
+ * Convert gamma-encoded sRGB to linear RGB
+ * @param {Array<number>} rgb - sRGB values in [0, 1]
+ * @returns {Array<number>} Linear RGB values
+ */
+export function srgbToLinear(rgb) {
+  return rgb.map(c => c > 0.04045 ? Math.pow((c + 0.055) / 1.055, 2.4) : c / 12.92);
+}
+
+/**
+ * Convert linear RGB to gamma-encoded sRGB
+ * @param {Array<number>} linear - Linear RGB values
+ * @returns {Array<number>} sRGB values
+ */
+export function linearToSrgb(linear) {
+  // Reference: https://en.wikipedia.org/wiki/SRGB#Transfer_function_(%22gamma%22)
+  return linear.map(c => c > 0.0031308
+    ? 1.055 * Math.pow(c, 1 / 2.4) - 0.055
+    : c * 12.92);
+}
+
+/**
+ * Convert linear RGB to gamma-encoded sRGB, extended to values outside [0, 1]
+ * @param {Array<number>} linear - Linear RGB values
+ * @returns {Array<number>} Extended sRGB values
+ */
+export function linearToExtendedSrgb(linear) {
+  return linearToSrgb(linear.map(Math.abs)).map(
+    (c, i) => Math.sign(linear[i]) * c);
+}
+
+/**
+ * Check whether a linear RGB color lies inside the displayable gamut
+ * @param {Array<number>} linear - Linear RGB values
+ * @returns {boolean}
+ */
+export function isInGamut(linear) {
+  return linear.every(c => c >= -GAMUT_EPSILON && c <= 1 + GAMUT_EPSILON);
+}
+
+/**
+ * Convert linear sRGB to XYZ color space (D65 illuminant)
+ * @param {Array<number>} linear - Linear sRGB values
+ * @returns {Array<number>} XYZ values
+ */
+export function linearRgbToXyz(linear) {
+  return applyMatrix(SRGB_TO_XYZ_MATRIX, linear);
+}
+
+/**
+ * Convert sRGB to XYZ color space (D65 illuminant)
+ * @param {Array<number>} rgb - sRGB values in [0, 1]
+ * @returns {Array<number>} XYZ values
+ */
+export function rgbToXyz(rgb) {
+  // Reference: http://www.brucelindbloom.com/index.html?Eqn_RGB_to_XYZ.html
+  return linearRgbToXyz(srgbToLinear(rgb));
+}
+
+/**
+ * Convert XYZ (D65 illuminant) to linear sRGB
+ * @param {Array<number>} xyz - XYZ values
+ * @returns {Array<number>} Linear sRGB values, possibly outside [0, 1]
+ */
+export function xyzToLinearRgb(xyz) {
+  return applyMatrix(XYZ_TO_SRGB_MATRIX, xyz);
+}
+
+/**
+ * Convert Display P3 to XYZ color space (D65 illuminant)
+ * @param {Array<number>} rgb - Display P3 values in [0, 1]
+ * @returns {Array<number>} XYZ values
+ */
+export function displayP3ToXyz(rgb) {
+  // Display P3 uses the sRGB transfer function.
+  return applyMatrix(DISPLAY_P3_TO_XYZ_MATRIX, srgbToLinear(rgb));
+}
+
+/**
+ * Convert Rec.2020 to XYZ color space (D65 illuminant)
+ * @param {Array<number>} rgb - Rec.2020 values in [0, 1]
+ * @returns {Array<number>} XYZ values
+ */
+export function rec2020ToXyz(rgb) {
+  // Reference: https://www.itu.int/rec/R-REC-BT.2020
+  const linear = rgb.map(c => c >= REC2020_BETA * 4.5
+    ? Math.pow((c + REC2020_ALPHA - 1) / REC2020_ALPHA, 1 / 0.45)
+    : c / 4.5);
+  return applyMatrix(REC2020_TO_XYZ_MATRIX, linear);
+}
+
+/**
+ * Convert XYZ to LAB color space
+ * @param {Array<number>} xyz - XYZ values
+ * @returns {Array<number>} [L, a, b] values
+ */
+export function xyzToLab(xyz) {
+  // Reference: http://www.brucelindbloom.com/index.html?Eqn_XYZ_to_Lab.html
+  const f = xyz.map((v, i) => {
+    const normalized = v / REFERENCE_WHITE[i];
+    return normalized > CIE_EPSILON
+      ? Math.cbrt(normalized)
+      : (CIE_KAPPA / 116) * normalized + 16 / 116;
+  });
+
+  return [116 * f[1] - 16, 500 * (f[0] - f[1]), 200 * (f[1] - f[2])];
+}
+
+/**
+ * Convert sRGB to LAB color space
+ * @param {Array<number>} rgb - sRGB values in [0, 1]
+ * @returns {Array<number>} [L, a, b] values
+ */
+export function rgbToLab(rgb) {
+  return xyzToLab(rgbToXyz(rgb));
+}
+
+/**
+ * Convert LAB to XYZ color space
+ * @param {Array<number>} lab - [L, a, b] values
+ * @returns {Array<number>} XYZ values
+ */
+export function labToXyz(lab) {
+  // Reference: http://www.brucelindbloom.com/index.html?Eqn_Lab_to_XYZ.html
+  const [l, a, b] = lab;
+  const fy = (l + 16) / 116;
+  const f = [fy + a / 500, fy, fy - b / 200];
+
+  // Invert the LAB transformation function
+  const normalized = f.map(v => {
+    const v3 = v * v * v;
+    return v3 > CIE_EPSILON ? v3 : (116 * v - 16) / CIE_KAPPA;
+  });
+  // Y is computed directly from L to avoid precision loss near black
+  normalized[1] = l > CIE_KAPPA * CIE_EPSILON ? fy * fy * fy : l / CIE_KAPPA;
+
+  return normalized.map((v, i) => v * REFERENCE_WHITE[i]);
+}
+
+/**
+ * Convert XYZ to LUV color space
+ * @param {Array<number>} xyz - XYZ values
+ * @returns {Array<number>} [L, u, v] values
+ */
+export function xyzToLuv(xyz) {
+  // Reference: http://www.brucelindbloom.com/index.html?Eqn_XYZ_to_Luv.html
+  const yr = xyz[1] / REFERENCE_WHITE[1];
+  const L = yr > CIE_EPSILON ? 116 * Math.cbrt(yr) - 16 : CIE_KAPPA * yr;
+
+  // Avoid division by zero
+  const denominator = Math.max(xyz[0] + 15 * xyz[1] + 3 * xyz[2], 1e-5);
+  const uPrime = 4 * xyz[0] / denominator;
+  const vPrime = 9 * xyz[1] / denominator;
+
+  const [xr, yw, zr] = REFERENCE_WHITE;
+  const referenceDenominator = xr + 15 * yw + 3 * zr;
+  const urPrime = 4 * xr / referenceDenominator;
+  const vrPrime = 9 * yw / referenceDenominator;
+
+  return [L, 13 * L * (uPrime - urPrime), 13 * L * (vPrime - vrPrime)];
+}
+
+/**
+ * Convert sRGB to LUV color space
+ * @param {Array<number>} rgb - sRGB values in [0, 1]
+ * @returns {Array<number>} [L, u, v] values
+ */
+export function rgbToLuv(rgb) {
+  return xyzToLuv(rgbToXyz(rgb));
+}
+
+/**
+ * Convert OKLab to linear sRGB
+ * @param {Array<number>} lab - OKLab [L, a, b] values
+ * @returns {Array<number>} Linear sRGB values, possibly outside [0, 1]
+ */
+export function oklabToLinearRgb(lab) {
+  // Reference: https://bottosson.github.io/posts/oklab/
+  // Undo the cube root non-linearity.
+  const lms = applyMatrix(OKLAB_TO_LMS_MATRIX, lab).map(c => c * c * c);
+  return applyMatrix(LMS_TO_LINEAR_SRGB_MATRIX, lms);
+}
+
+/**
+ * Convert polar opponent coordinates to cartesian ones
+ * @param {number} h - Hue as a turn in [0, 1]
+ * @param {number} c - Chroma
+ * @returns {Array<number>} [a, b] values
+ */
+function hueChromaToOpponent(h, c) {
+  const angle = h * 2 * Math.PI;
+  return [c * Math.cos(angle), c * Math.sin(angle)];
+}
+
+/**
+ * Convert normalized LAB coordinates to linear sRGB.
+ * L is mapped from [0, 1] to [0, 100], a and b from [0, 1] to [-125, 125].
+ * @param {number} l
+ * @param {number} a
+ * @param {number} b
+ * @returns {Array<number>} Linear sRGB values, possibly outside [0, 1]
+ */
+export function labCoordToLinearRgb(l, a, b) {
+  return xyzToLinearRgb(labToXyz([l * 100, a * 250 - 125, b * 250 - 125]));
+}
+
+/**
+ * Convert normalized LCh(ab) coordinates to linear sRGB.
+ * Hue is a turn in [0, 1], chroma is mapped from [0, 1] to [0, 150].
+ * @param {number} h
+ * @param {number} c
+ * @param {number} l
+ * @returns {Array<number>} Linear sRGB values, possibly outside [0, 1]
+ */
+export function lchCoordToLinearRgb(h, c, l) {
+  return xyzToLinearRgb(labToXyz([l * 100, ...hueChromaToOpponent(h, c * 150)]));
+}
+
+/**
+ * Convert normalized OKLab coordinates to linear sRGB.
+ * L is in [0, 1], a and b are mapped from [0, 1] to [-0.4, 0.4].
+ * @param {number} l
+ * @param {number} a
+ * @param {number} b
+ * @returns {Array<number>} Linear sRGB values, possibly outside [0, 1]
+ */
+export function oklabCoordToLinearRgb(l, a, b) {
+  return oklabToLinearRgb([l, a * 0.8 - 0.4, b * 0.8 - 0.4]);
+}
+
+/**
+ * Convert normalized OKLCh coordinates to linear sRGB.
+ * Hue is a turn in [0, 1], chroma is mapped from [0, 1] to [0, 0.4].
+ * @param {number} h
+ * @param {number} c
+ * @param {number} l
+ * @returns {Array<number>} Linear sRGB values, possibly outside [0, 1]
+ */
+export function oklchCoordToLinearRgb(h, c, l) {
+  return oklabToLinearRgb([l, ...hueChromaToOpponent(h, c * 0.4)]);
+}
+
+/**
+ * Convert Cartesian coordinates to polar coordinates
+ * @param {Array<number>} cartesian - [x, y] in [0, 1]
+ * @returns {Array<number>} [radius, angle] where angle is a turn in [0, 1)
+ */
+export function cartesianToPolar(cartesian) {
+  // Convert from [0,1] to [-1,1] range centered at origin
+  const x = cartesian[0] * 2 - 1;
+  const y = cartesian[1] * 2 - 1;
+
+  // Normalize angle from [-π, π] to [0, 1]
+  let angle = Math.atan2(y, x) / (2 * Math.PI);
+  if (angle < 0) angle += 1;
+
+  return [Math.hypot(x, y), angle];
+}
+
+/**
+ * Apply the polar coordinate transformation used by the shader.
+ * @param {Array<number>} coord - Normalized coordinate in [0, 1] per axis
+ * @param {Array<number>} polarAxes - [radiusAxisIndex, angleAxisIndex], or [-1, -1] if not polar
+ * @returns {Array<number>|null} The color space coordinate, or null if the
+ *   coordinate lies outside the unit circle
+ */
+export function applyPolarAxes(coord, polarAxes) {
+  const [radiusAxis, angleAxis] = polarAxes;
+  if (radiusAxis < 0) return [...coord];
+
+  const [radius, angle] = cartesianToPolar([coord[radiusAxis], coord[angleAxis]]);
+  if (radius > 1) return null;
+
+  const result = [...coord];
+  result[radiusAxis] = radius;
+  result[angleAxis] = angle;
+  return result;
+}
+
+/**
+ * Convert a normalized color space coordinate to a displayable color, and
+ * to XYZ for palette matching. Mirrors the color conversion in main() of
+ * the compute shader.
+ * @param {string} colorSpaceType - One of COLOR_SPACE_TYPES
+ * @param {Array<number>} coord - Normalized coordinate in [0, 1] per axis
+ * @returns {{rgb: Array<number>, xyz: Array<number>, inSrgbGamut: boolean}|null}
+ *   The sRGB color (clipped if outside sRGB), the XYZ color and whether the
+ *   color is inside sRGB; or null if the coordinate is not rendered because
+ *   it is outside the gamut.
+ */
+export function colorCoordToColor(colorSpaceType, coord) {
+  const [x, y, z] = coord;
+  switch (colorSpaceType) {
+    case 'RGB':
+    case 'HSV':
+    case 'HSL': {
+      const rgb = colorSpaceType === 'RGB' ? [...coord]
+        : colorSpaceType === 'HSV' ? hsvToRgb(x, y, z)
+          : hslToRgb(x, y, z);
+      return { rgb, xyz: rgbToXyz(rgb), inSrgbGamut: true };
+    }
+    case 'LAB':
+    case 'LCH':
+    case 'OKLAB':
+    case 'OKLCH': {
+      const toLinear = {
+        LAB: labCoordToLinearRgb,
+        LCH: lchCoordToLinearRgb,
+        OKLAB: oklabCoordToLinearRgb,
+        OKLCH: oklchCoordToLinearRgb,
+      }[colorSpaceType];
+      const linear = toLinear(x, y, z);
+      // Out-of-gamut coordinates are discarded by the shader.
+      if (!isInGamut(linear)) return null;
+      return {
+        rgb: linearToSrgb(linear.map(c => clamp(c, 0, 1))),
+        xyz: linearRgbToXyz(linear),
+        inSrgbGamut: true
+      };
+    }
+    case 'P3':
+    case 'REC2020': {
+      const xyz = colorSpaceType === 'P3' ? displayP3ToXyz(coord) : rec2020ToXyz(coord);
+      const linear = xyzToLinearRgb(xyz);
+      return {
+        rgb: linearToSrgb(linear.map(c => clamp(c, 0, 1))),
+        xyz,
+        inSrgbGamut: isInGamut(linear)
+      };
+    }
+    default:
+      throw new Error(`Unknown color space: ${colorSpaceType}`);
+  }
+}
+
+/**
+ * Euclidean distance between two vectors
+ * @param {Array<number>} v1
+ * @param {Array<number>} v2
+ * @returns {number}
+ */
+export function euclideanDistance(v1, v2) {
+  return Math.hypot(v1[0] - v2[0], v1[1] - v2[1], v1[2] - v2[2]);
+}
+
+/**
+ * CIE94 color difference (graphic arts weightings)
+ * The formula is not symmetric: lab1 is the reference color.
+ * @param {Array<number>} lab1 - Reference [L, a, b]
+ * @param {Array<number>} lab2 - Sample [L, a, b]
+ * @returns {number} Delta E 94
+ */
+export function deltaE94(lab1, lab2) {
+  // Reference: http://www.brucelindbloom.com/index.html?Eqn_DeltaE_CIE94.html
+  const c1 = Math.hypot(lab1[1], lab1[2]);
+  const c2 = Math.hypot(lab2[1], lab2[2]);
+
+  const dL = lab1[0] - lab2[0];
+  const dC = c1 - c2;
+  const da = lab1[1] - lab2[1];
+  const db = lab1[2] - lab2[2];
+  // Clamp to avoid negative values from rounding error
+  const dH2 = Math.max(da * da + db * db - dC * dC, 0);
+
+  const sC = 1 + 0.045 * c1;
+  const sH = 1 + 0.015 * c1;
+
+  return Math.sqrt(dL * dL + (dC / sC) ** 2 + dH2 / (sH * sH));
+}
+
+/**
+ * CIEDE2000 color difference
+ * @param {Array<number>} lab1 - First [L, a, b]
+ * @param {Array<number>} lab2 - Second [L, a, b]
+ * @returns {number} Delta E 2000
+ */
+export function deltaE2000(lab1, lab2) {
+  // Reference: Sharma, Wu & Dalal (2005), "The CIEDE2000 Color-Difference
+  // Formula: Implementation Notes, Supplementary Test Data, and
+  // Mathematical Observations".
+  // https://hajim.rochester.edu/ece/sites/gsharma/ciede2000/
+  const [l1, a1, b1] = lab1;
+  const [l2, a2, b2] = lab2;
+
+  // (Cbar / 25)^7 is used instead of Cbar^7 / 25^7 to match the shader,
+  // where 25^7 would overflow.
+  const cBar = (Math.hypot(a1, b1) + Math.hypot(a2, b2)) / 2;
+  const cBarRatio7 = Math.pow(cBar / 25, 7);
+  const g = 0.5 * (1 - Math.sqrt(cBarRatio7 / (cBarRatio7 + 1)));
+
+  const a1p = a1 * (1 + g);
+  const a2p = a2 * (1 + g);
+  const c1p = Math.hypot(a1p, b1);
+  const c2p = Math.hypot(a2p, b2);
+  const h1p = hueAngleDegrees(b1, a1p);
+  const h2p = hueAngleDegrees(b2, a2p);
+
+  const dLp = l2 - l1;
+  const dCp = c2p - c1p;
+
+  const chromaProduct = c1p * c2p;
+  let dhp = 0;
+  if (chromaProduct !== 0) {
+    dhp = h2p - h1p;
+    if (dhp > 180) dhp -= 360;
+    else if (dhp < -180) dhp += 360;
+  }
+  const dHp = 2 * Math.sqrt(chromaProduct) * Math.sin(toRadians(dhp / 2));
+
+  const lBarp = (l1 + l2) / 2;
+  const cBarp = (c1p + c2p) / 2;
+
+  let hBarp = h1p + h2p;
+  if (chromaProduct !== 0) {
+    if (Math.abs(h1p - h2p) <= 180) hBarp /= 2;
+    else if (hBarp < 360) hBarp = (hBarp + 360) / 2;
+    else hBarp = (hBarp - 360) / 2;
+  }
+
+  const t = 1
+    - 0.17 * Math.cos(toRadians(hBarp - 30))
+    + 0.24 * Math.cos(toRadians(2 * hBarp))
+    + 0.32 * Math.cos(toRadians(3 * hBarp + 6))
+    - 0.20 * Math.cos(toRadians(4 * hBarp - 63));
+
+  const dTheta = 30 * Math.exp(-(((hBarp - 275) / 25) ** 2));
+  const cBarpRatio7 = Math.pow(cBarp / 25, 7);
+  const rC = 2 * Math.sqrt(cBarpRatio7 / (cBarpRatio7 + 1));
+  const lBarp50Sq = (lBarp - 50) ** 2;
+  const sL = 1 + 0.015 * lBarp50Sq / Math.sqrt(20 + lBarp50Sq);
+  const sC = 1 + 0.045 * cBarp;
+  const sH = 1 + 0.015 * cBarp * t;
+  const rT = -Math.sin(toRadians(2 * dTheta)) * rC;
+
+  const lTerm = dLp / sL;
+  const cTerm = dCp / sC;
+  const hTerm = dHp / sH;
+
+  return Math.sqrt(lTerm * lTerm + cTerm * cTerm + hTerm * hTerm + rT * cTerm * hTerm);
+}
+
+/**
+ * Get the matrix which simulates a color vision deficiency in linear sRGB.
+ * Partial severities blend the full simulation with the identity.
+ * @param {string} cvdType - One of CVD_TYPES
+ * @param {number} severity - In [0, 1], where 1 is the full deficiency
+ * @returns {Array<Array<number>>} Row-major 3x3 matrix
+ */
+export function cvdMatrix(cvdType, severity) {
+  if (cvdType === 'none') return [[1, 0, 0], [0, 1, 0], [0, 0, 1]];
+  const matrix = CVD_MATRICES[cvdType];
+  if (!matrix) throw new Error(`Unknown color vision deficiency: ${cvdType}`);
+  return matrix.map((row, i) => row.map(
+    (value, j) => severity * value + (1 - severity) * (i === j ? 1 : 0)));
+}
+
+/**
+ * Simulate how a color appears with a color vision deficiency.
+ * Mirrors the u_cvdMatrix transformation in the shaders.
+ * @param {string} cvdType - One of CVD_TYPES
+ * @param {number} severity - In [0, 1], where 1 is the full deficiency
+ * @param {Array<number>} linear - Linear sRGB values
+ * @returns {Array<number>} Simulated linear sRGB values, possibly outside [0, 1]
+ */
+export function simulateCvd(cvdType, severity, linear) {
+  return applyMatrix(cvdMatrix(cvdType, severity), linear);
+}
+
+/**
+ * Simulate a color vision deficiency on an XYZ color, as the compute shader
+ * does before palette matching
+ * @param {string} cvdType - One of CVD_TYPES, where 'none' leaves the color
+ * @param {number} severity - In [0, 1], where 1 is the full deficiency
+ * @param {Array<number>} xyz
+ * @returns {Array<number>} The simulated color, in XYZ
+ */
+export function simulateCvdXyz(cvdType, severity, xyz) {
+  if (cvdType === 'none') return xyz;
+  return linearRgbToXyz(simulateCvd(cvdType, severity, xyzToLinearRgb(xyz)));
+}
+
+/**
+ * Convert an XYZ color to the space a distance metric measures in: L*a*b*
+ * for 'lab-d', 'de94' and 'de2000', L*u*v* for 'luv-d', and sRGB extended
+ * beyond [0, 1] for 'rgb-d'. Mirrors toMetricSpace in the compute shader.
+ * @param {string} metricId - One of DISTANCE_METRIC_IDS
+ * @param {Array<number>} xyz - The color, in XYZ
+ * @returns {Array<number>} The color in the metric's space
+ */
+export function xyzToMetricSpace(metricId, xyz) {
+  switch (metricId) {
+    case 'lab-d':
+    case 'de94':
+    case 'de2000':
+      return xyzToLab(xyz);
+    case 'luv-d':
+      return xyzToLuv(xyz);
+    case 'rgb-d':
+      // sRGB extended beyond [0, 1] for wide gamuts
+      return linearToExtendedSrgb(xyzToLinearRgb(xyz));
+    default:
+      throw new Error(`Unknown distance metric: ${metricId}`);
+  }
+}
+
+/**
+ * Compute the distance between two colors already in a metric's space
+ * (see xyzToMetricSpace)
+ * @param {string} metricId - One of DISTANCE_METRIC_IDS
+ * @param {Array<number>} paletteCoord - The palette color (the reference for 'de94')
+ * @param {Array<number>} coord - The color to compare
+ * @returns {number} The distance in the metric's units
+ */
+export function metricSpaceDistance(metricId, paletteCoord, coord) {
+  switch (metricId) {
+    case 'de94':
+      return deltaE94(paletteCoord, coord);
+    case 'de2000':
+      return deltaE2000(paletteCoord, coord);
+    case 'lab-d':
+    case 'luv-d':
+    case 'rgb-d':
+      return euclideanDistance(paletteCoord, coord);
+    default:
+      throw new Error(`Unknown distance metric: ${metricId}`);
+  }
+}
+
+/**
+ * Compute the distance between two XYZ colors using a distance metric.
+ * Mirrors the distance computation in findClosestPaletteIndex.
+ * @param {string} metricId - One of DISTANCE_METRIC_IDS
+ * @param {Array<number>} paletteXyz - The palette color (the reference for 'de94')
+ * @param {Array<number>} xyz - The color to compare
+ * @returns {number} The distance in the metric's units
+ */
+export function xyzDistance(metricId, paletteXyz, xyz) {
+  return metricSpaceDistance(
+    metricId, xyzToMetricSpace(metricId, paletteXyz), xyzToMetricSpace(metricId, xyz));
+}
+
+/**
+ * Compute the distance between two sRGB colors using a distance metric
+ * @param {string} metricId - One of DISTANCE_METRIC_IDS
+ * @param {Array<number>} rgb1 - First sRGB color (the reference for 'de94')
+ * @param {Array<number>} rgb2 - Second sRGB color
+ * @returns {number} The distance in the metric's units
+ */
+export function colorDistance(metricId, rgb1, rgb2) {
+  return xyzDistance(metricId, rgbToXyz(rgb1), rgbToXyz(rgb2));
+}
+
+/**
+ * Find the closest palette color within a threshold.
+ * Mirrors findClosestPaletteIndex in the compute shader: ties go to the
+ * lower index, and a color exactly at the threshold does not match.
+ * @param {Array<number>} xyz - The color to match, in XYZ
+ * @param {Array<Array<number>>} paletteXyz - The palette colors, in XYZ
+ * @param {string} metricId - One of DISTANCE_METRIC_IDS
+ * @param {number} threshold - Maximum distance for a match
+ * @returns {number} Index of the closest palette color, or -1 if none
+ */
+export function findClosestPaletteIndex(xyz, paletteXyz, metricId, threshold) {
+  const coord = xyzToMetricSpace(metricId, xyz);
+  let closestIndex = -1;
+  let minDistance = threshold;
+
+  for (let i = 0; i < paletteXyz.length; i++) {
+    const d = metricSpaceDistance(metricId, xyzToMetricSpace(metricId, paletteXyz[i]), coord);
+    if (d < minDistance) {
+      minDistance = d;
+      closestIndex = i;
+    }
+  }
+
+  return closestIndex;
+}
+
+/**
+ * Compute the hue angle of a pair of opponent coordinates
+ * @param {number} y - The second (b) coordinate
+ * @param {number} x - The first (a) coordinate
+ * @returns {number} Angle in degrees in [0, 360), or 0 for a neutral color
+ */
+function hueAngleDegrees(y, x) {
+  if (x === 0 && y === 0) return 0;
+  const angle = Math.atan2(y, x) * 180 / Math.PI;
+  return angle < 0 ? angle + 360 : angle;
+}
+
+/**
+ * Convert degrees to radians
+ * @param {number} degrees
+ * @returns {number}
+ */
+function toRadians(degrees) {
+  return degrees * Math.PI / 180;
+}
@@ -1,9 +1,25 @@
 import { rgbToCssString } from './colorUtils.js';
-import { clearElement, createElement, createTextNode } from './utils.js';
+import { clearElement, createElement, createTextNode, downloadFile } from './utils.js';
 import { NamedColor, getPresetNames, getPreset } from './namedColor.js';
-
-// Maximum palette colors (must match shader constant)
-export const MAX_PALETTE_COLORS = 200;
+import {
+  getImportExtensions, getFormatForFilename, isBinaryFormat, parsePalette,
+  getExportFormats, getExportFileInfo, formatPalette
+} from './paletteFormats.js';
+import { SavedPaletteStore, getLocalStorage } from './savedPalettes.js';
+import { PaletteHistory } from './paletteHistory.js';
+import { ColorEditor } from './colorEditor.js';
+import { parseCssColor } from './cssColor.js';
+import { getDefaultDistanceMetric } from './colorSpace.js';
+import { rgbToXyz, findClosestPaletteIndex } from './colorMath.js';
+import { PALETTE_SORTS, getPaletteSorts, sortColors } from './paletteSort.js';
+
+// Maximum palette colors. The shader has no fixed limit, as the palette is
+// uploaded as a texture, but large palettes can still be slow to match.
+export const MAX_PALETTE_COLORS = 4096;
+
+// Dropdown values for saved palettes are prefixed so they can't clash with presets
+const SAVED_PALETTE_PREFIX = 'saved:';
+const CUSTOM_PALETTE_VALUE = 'custom';
 
 /**
  * Create a color item element with no populated color
@@ -31,8 +47,9 @@ export function createColorItem() {
  * @param {NamedColor|null} color - The color to create an item for, or null for empty state
  * @param {Function} onNameEdit - Callback function for name edit (color, newName)
  * @param {Function} onDelete - Callback function for delete (color)
+ * @param {Function} onColorEdit - Callback function for clicking the swatch (color)
  */
-export function populateColorItem(item, color, onNameEdit = null, onDelete = null) {
+export function populateColorItem(item, color, onNameEdit = null, onDelete = null, onColorEdit = null) {
   const swatch = item.querySelector('.color-swatch');
   const info = item.querySelector('.color-item-info');
   clearElement(info);
@@ -49,6 +66,15 @@ export function populateColorItem(item, color, onNameEdit = null, onDelete = nul
   const cssColor = rgbToCssString(color.rgbColor);
   swatch.style.backgroundColor = cssColor;
 
+  // Make the color editable if callback provided. The item may be
+  // repopulated, so the handler is replaced rather than added.
+  swatch.classList.toggle('editable', !!onColorEdit);
+  swatch.title = onColorEdit ? 'Click to edit color' : '';
+  swatch.onclick = onColorEdit && ((e) => {
+    e.stopPropagation();
+    onColorEdit(color);
+  });
+
   const name = createElement('div');
   name.className = 'color-name';
   name.appendChild(createTextNode(color ? color.name : 'No Palette'));
@@ -112,23 +138,41 @@ function _setupNameEditing(nameElement, color, onNameEdit) {
  * Manages the color palette display and functionality
  */
 export class ColorPalette {
-  constructor(container, addButton, colorDisplay, onUpdate = null) {
+  /**
+   * @param {HTMLElement} container - The palette section element
+   * @param {HTMLElement} addButton - The button which adds the selected color
+   * @param {ColorDisplay} colorDisplay - The color display to add colors from
+   * @param {Function} onUpdate - Called when the palette or highlight changes
+   * @param {{presetName: string|null, colors: Array<NamedColor>}|null} initialPalette
+   *   The palette to start with (e.g. from the URL), or null for the default preset
+   */
+  constructor(container, addButton, colorDisplay, onUpdate = null, initialPalette = null) {
     this._colors = [];
     this.container = container;
     this._colorList = null;
     this._dropdown = null;
+    this._selection = null; // The dropdown value, before any change event
     this._addButton = addButton;
     this._colorDisplay = colorDisplay;
     this._onUpdate = onUpdate || (() => { });
     this._highlightColor = null; // Track current highlighted color
     this._highlightIsSticky = false; // Track if highlight is sticky from click
-    this._initializeUI();
+    this._savedPalettes = new SavedPaletteStore(getLocalStorage());
+    this._history = new PaletteHistory();
+    this._colorEditor = null;
+    this._editingColor = null; // The color open in the editor
+    this._editIsRecorded = false; // Whether the open edit is in the history
+    this._dragIndex = null; // Index of the color being dragged
+    this._getRegionAreas = null; // Provides region areas for sorting
+    this._initializeUI(initialPalette);
+    this._setupUndoShortcuts();
   }
 
   /**
    * Initialize the palette UI structure and controls
+   * @param {{presetName: string|null, colors: Array<NamedColor>}|null} initialPalette
    */
-  _initializeUI() {
+  _initializeUI(initialPalette) {
     this._setupColorDisplay();
 
     // Clear existing content
@@ -145,13 +189,56 @@ export class ColorPalette {
     // Create preset dropdown
     const dropdown = this._makePaletteSelectDropdown();
     paletteSelectContainer.appendChild(dropdown);
-    this._colors = [...getPreset(dropdown.value)];
+    if (initialPalette) {
+      this._colors = initialPalette.colors.slice(0, MAX_PALETTE_COLORS);
+      this._selectOption(initialPalette.presetName ?? CUSTOM_PALETTE_VALUE);
+    } else {
+      this._selectOption(dropdown.value);
+      this._colors = this._getColorsForOption(dropdown.value);
+    }
 
     // Create color count display
     paletteSelectContainer.appendChild(this._makeCountDisplay());
 
     this.container.appendChild(paletteSelectContainer);
 
+    // Create input for adding colors by value
+    const colorInputActions = createElement('div');
+    colorInputActions.className = 'palette-actions';
+    colorInputActions.appendChild(this._makeColorInput());
+    colorInputActions.appendChild(this._makeSortDropdown());
+    this.container.appendChild(colorInputActions);
+
+    // Create saved palette and history actions
+    const savedPaletteActions = createElement('div');
+    savedPaletteActions.className = 'palette-actions';
+    savedPaletteActions.appendChild(this._makeSavedPaletteButtons());
+    savedPaletteActions.appendChild(this._makeHistoryButtons());
+    this.container.appendChild(savedPaletteActions);
+    this._updateSavedPaletteButtons();
+    this._updateHistoryButtons();
+
+    // Create palette actions
+    const paletteActions = createElement('div');
+    paletteActions.className = 'palette-actions';
+    paletteActions.appendChild(this._makeImportButton());
+    paletteActions.appendChild(this._makeExportControls());
+    this.container.appendChild(paletteActions);
+
+    // Create message area for reporting the result of actions
+    this._message = createElement('div');
+    this._message.className = 'palette-message';
+    this.container.appendChild(this._message);
+
+    // Create the editor for palette color values
+    this._colorEditor = new ColorEditor(
+      this.container,
+      this._setEditedColor.bind(this),
+      () => {
+        this._getElementForColor(this._editingColor)?.classList.remove('editing-color-item');
+        this._editingColor = null;
+      });
+
     // Create Add button
     this._addButton.style.visibility = 'hidden'; // Hidden but takes up space
     this._addButton.addEventListener('click', () => {
@@ -212,31 +299,736 @@ export class ColorPalette {
     const dropdown = createElement('select');
     dropdown.className = 'dropdown-control';
     this._dropdown = dropdown;
+    this._populateDropdown();
+
+    // Add change event listener
+    dropdown.addEventListener('change', (event) => {
+      this._recordHistory(`switch to ${this._getOptionName(event.target.value)}`);
+      this._selection = event.target.value;
+      this._colors = this._getColorsForOption(event.target.value);
+      this._showMessage('');
+      this._highlightColor = null; // Clear highlight when changing presets
+      this._highlightIsSticky = false;
+      this._updateSavedPaletteButtons();
+      this._renderColors();
+      this._onUpdate();
+    });
+    return dropdown;
+  }
+
+  /**
+   * Fill the dropdown with the presets and saved palettes, keeping the
+   * current selection
+   */
+  _populateDropdown() {
+    const dropdown = this._dropdown;
+    clearElement(dropdown);
 
     // Add preset options
+    const presetGroup = createElement('optgroup');
+    presetGroup.label = 'Presets';
     getPresetNames().forEach(presetName => {
       const option = createElement('option', presetName);
       option.value = presetName;
-      dropdown.appendChild(option);
+      presetGroup.appendChild(option);
     });
+    dropdown.appendChild(presetGroup);
+
+    // Add saved palette options
+    const savedNames = this._savedPalettes.getNames();
+    if (savedNames.length) {
+      const savedGroup = createElement('optgroup');
+      savedGroup.label = 'Saved';
+      savedNames.forEach(name => {
+        const option = createElement('option', name);
+        option.value = SAVED_PALETTE_PREFIX + name;
+        savedGroup.appendChild(option);
+      });
+      dropdown.appendChild(savedGroup);
+    }
 
     // Add "Custom" option for modified palettes
     const customOption = createElement('option', 'Custom');
-    customOption.value = 'custom';
+    customOption.value = CUSTOM_PALETTE_VALUE;
     customOption.disabled = true;
     dropdown.appendChild(customOption);
 
-    // Add change event listener
-    dropdown.addEventListener('change', (event) => {
-      this._colors = [...getPreset(event.target.value)];
-      this._highlightColor = null; // Clear highlight when changing presets
-      this._highlightIsSticky = false;
-      this._renderColors();
-      this._onUpdate();
+    if (this._selection !== null) this._selectOption(this._selection);
+  }
+
+  /**
+   * Select a dropdown option without loading its colors
+   * @param {string} value - The option value, which falls back to "Custom"
+   *   if there is no such option (e.g. a deleted saved palette)
+   */
+  _selectOption(value) {
+    this._dropdown.value = value;
+    if (!this._dropdown.value) this._dropdown.value = CUSTOM_PALETTE_VALUE;
+    this._selection = this._dropdown.value;
+  }
+
+  /**
+   * Get the display name of a dropdown option
+   * @param {string} value - The option value
+   * @returns {string} The preset or saved palette name, or 'Custom'
+   */
+  _getOptionName(value) {
+    if (value === CUSTOM_PALETTE_VALUE) return 'Custom';
+    return value.startsWith(SAVED_PALETTE_PREFIX)
+      ? value.slice(SAVED_PALETTE_PREFIX.length)
+      : value;
+  }
+
+  /**
+   * Get the colors for a dropdown option
+   * @param {string} value - The option value
+   * @returns {Array<NamedColor>} A copy of the preset or saved palette colors
+   */
+  _getColorsForOption(value) {
+    if (value.startsWith(SAVED_PALETTE_PREFIX)) {
+      return this._savedPalettes.get(value.slice(SAVED_PALETTE_PREFIX.length)) || [];
+    }
+    return [...getPreset(value)];
+  }
+
+  /**
+   * Get the name of the selected saved palette
+   * @returns {string|null} The name, or null if a saved palette isn't selected
+   */
+  _getSelectedSavedName() {
+    const value = this._dropdown.value;
+    return value.startsWith(SAVED_PALETTE_PREFIX)
+      ? value.slice(SAVED_PALETTE_PREFIX.length)
+      : null;
+  }
+
+  /**
+   * Create the save, rename and delete buttons for saved palettes
+   * @returns {DocumentFragment} The buttons
+   */
+  _makeSavedPaletteButtons() {
+    const fragment = document.createDocumentFragment();
+
+    const saveButton = createElement('button', 'Save');
+    saveButton.className = 'palette-action-btn';
+    saveButton.title = 'Save the palette in this browser';
+    saveButton.addEventListener('click', () => this._savePalette());
+    fragment.appendChild(saveButton);
+
+    this._renameButton = createElement('button', 'Rename');
+    this._renameButton.className = 'palette-action-btn';
+    this._renameButton.title = 'Rename the saved palette';
+    this._renameButton.addEventListener('click', () => this._renameSavedPalette());
+    fragment.appendChild(this._renameButton);
+
+    this._deleteButton = createElement('button', 'Delete');
+    this._deleteButton.className = 'palette-action-btn';
+    this._deleteButton.title = 'Delete the saved palette';
+    this._deleteButton.addEventListener('click', () => this._deleteSavedPalette());
+    fragment.appendChild(this._deleteButton);
+
+    return fragment;
+  }
+
+  /**
+   * Enable rename and delete only when a saved palette is selected
+   */
+  _updateSavedPaletteButtons() {
+    const hasSavedPalette = this._getSelectedSavedName() !== null;
+    this._renameButton.disabled = !hasSavedPalette;
+    this._deleteButton.disabled = !hasSavedPalette;
+  }
+
+  /**
+   * Save the current palette under a name chosen by the user
+   */
+  _savePalette() {
+    const currentName = this._getSelectedSavedName() ?? '';
+    const name = window.prompt('Save palette as:', currentName)?.trim();
+    if (!name) return;
+
+    if (name !== currentName && this._savedPalettes.has(name) &&
+      !window.confirm(`Overwrite the saved palette "${name}"?`)) {
+      return;
+    }
+
+    try {
+      this._savedPalettes.save(name, this._colors);
+    } catch (e) {
+      this._showMessage(`Could not save the palette: ${e.message}`, true);
+      return;
+    }
+
+    this._populateDropdown();
+    this._selectOption(SAVED_PALETTE_PREFIX + name);
+    this._updateSavedPaletteButtons();
+    this._showMessage(`Saved "${name}"`);
+  }
+
+  /**
+   * Rename the selected saved palette
+   */
+  _renameSavedPalette() {
+    const oldName = this._getSelectedSavedName();
+    if (oldName === null) return;
+
+    const newName = window.prompt('Rename palette to:', oldName)?.trim();
+    if (!newName || newName === oldName) return;
+
+    try {
+      this._savedPalettes.rename(oldName, newName);
+    } catch (e) {
+      this._showMessage(`Could not rename the palette: ${e.message}`, true);
+      return;
+    }
+
+    this._populateDropdown();
+    this._selectOption(SAVED_PALETTE_PREFIX + newName);
+    this._showMessage(`Renamed "${oldName}" to "${newName}"`);
+  }
+
+  /**
+   * Delete the selected saved palette. The colors stay in the palette.
+   */
+  _deleteSavedPalette() {
+    const name = this._getSelectedSavedName();
+    if (name === null) return;
+    if (!window.confirm(`Delete the saved palette "${name}"?`)) return;
+
+    try {
+      this._savedPalettes.delete(name);
+    } catch (e) {
+      this._showMessage(`Could not delete the palette: ${e.message}`, true);
+      return;
+    }
+
+    this._populateDropdown();
+    this._updateSavedPaletteButtons();
+    this._showMessage(`Deleted "${name}"`);
+  }
+
+  /**
+   * Create the text input and button for adding a color from a CSS color string
+   * @returns {DocumentFragment} The input and button
+   */
+  _makeColorInput() {
+    const fragment = document.createDocumentFragment();
+
+    const input = createElement('input');
+    input.type = 'text';
+    input.className = 'palette-color-input';
+    input.placeholder = '#FF8000, rgb(), hsl(), oklch() or a name';
+    input.spellcheck = false;
+    input.addEventListener('input', () => input.classList.remove('invalid'));
+    fragment.appendChild(input);
+
+    const addColorFromInput = () => {
+      if (this._addCssColor(input.value)) {
+        input.value = '';
+      } else {
+        input.classList.add('invalid');
+      }
+    };
+    input.addEventListener('keydown', (e) => {
+      if (e.key === 'Enter') {
+        e.preventDefault();
+        addColorFromInput();
+      }
+    });
+
+    const button = createElement('button', 'Add');
+    button.className = 'palette-action-btn';
+    button.title = 'Add the color to the palette';
+    button.addEventListener('click', addColorFromInput);
+    fragment.appendChild(button);
+
+    return fragment;
+  }
+
+  /**
+   * Create the dropdown of sort commands
+   * @returns {HTMLElement} The dropdown element
+   */
+  _makeSortDropdown() {
+    const dropdown = createElement('select');
+    dropdown.className = 'dropdown-control';
+    dropdown.title = 'Sort the palette. Earlier colors win ties between regions.';
+
+    const placeholder = createElement('option', 'Sort by');
+    placeholder.value = '';
+    placeholder.disabled = true;
+    dropdown.appendChild(placeholder);
+    for (const { id, displayName } of getPaletteSorts()) {
+      const option = createElement('option', displayName);
+      option.value = id;
+      dropdown.appendChild(option);
+    }
+    dropdown.value = '';
+
+    // Act as a menu of commands, so return to the placeholder after each one
+    dropdown.addEventListener('change', () => {
+      this._sortColors(dropdown.value);
+      dropdown.value = '';
     });
     return dropdown;
   }
 
+  /**
+   * Set the source of region areas, for sorting by area
+   * @param {Function} getRegionAreas - Returns a Map from palette colors to
+   *   the area of their regions in the current view
+   */
+  setRegionAreaProvider(getRegionAreas) {
+    this._getRegionAreas = getRegionAreas;
+  }
+
+  /**
+   * Sort the palette colors
+   * @param {string} sortId - A key of PALETTE_SORTS
+   */
+  _sortColors(sortId) {
+    const sort = PALETTE_SORTS[sortId];
+    let regionAreas = null;
+    if (sort.needsRegionAreas) {
+      if (!this._getRegionAreas) {
+        this._showMessage('Region areas are not available yet', true);
+        return;
+      }
+      regionAreas = this._getRegionAreas();
+    }
+
+    const sorted = sortColors(this._colors, sortId, regionAreas);
+    if (sorted.every((color, i) => color === this._colors[i])) {
+      this._showMessage(`Already sorted by ${sort.displayName.toLowerCase()}`);
+      return;
+    }
+
+    this._recordHistory(`sort by ${sort.displayName.toLowerCase()}`);
+    this._colors = sorted;
+    this._setCustomState();
+    this._renderColors();
+    this._onUpdate();
+    this._showMessage(`Sorted by ${sort.displayName.toLowerCase()}`);
+  }
+
+  /**
+   * Move a color to a new position in the palette
+   * @param {number} fromIndex - The current index of the color
+   * @param {number} toIndex - The index to move it to, after removing it
+   */
+  _moveColor(fromIndex, toIndex) {
+    toIndex = Math.max(0, Math.min(toIndex, this._colors.length - 1));
+    if (fromIndex === toIndex) return;
+
+    const color = this._colors[fromIndex];
+    this._recordHistory(`move ${color.name}`);
+    this._colors.splice(fromIndex, 1);
+    this._colors.splice(toIndex, 0, color);
+    this._setCustomState();
+    this._renderColors();
+    this._onUpdate();
+  }
+
+  /**
+   * Add a drag handle to a color item, for reordering by drag and drop or
+   * with the arrow keys
+   * @param {HTMLElement} colorItem - The color list item
+   * @param {number} index - The index of the item's color
+   */
+  _setupReordering(colorItem, index) {
+    const handle = createElement('div', '⠿');
+    handle.className = 'color-drag-handle';
+    handle.title = 'Drag to reorder, or focus and use the arrow keys';
+    handle.tabIndex = 0;
+    colorItem.prepend(handle);
+
+    // Only drag from the handle, so that names can still be selected
+    handle.addEventListener('pointerdown', () => {
+      colorItem.draggable = true;
+    });
+    handle.addEventListener('pointerup', () => {
+      colorItem.draggable = false;
+    });
+    handle.addEventListener('click', (e) => e.stopPropagation());
+
+    handle.addEventListener('keydown', (e) => {
+      const offset = { ArrowUp: -1, ArrowDown: 1 }[e.key];
+      if (!offset) return;
+      e.preventDefault();
+      const toIndex = index + offset;
+      if (toIndex < 0 || toIndex >= this._colors.length) return;
+      this._moveColor(index, toIndex);
+      this._colorList.children[toIndex].querySelector('.color-drag-handle').focus();
+    });
+
+    colorItem.addEventListener('dragstart', (e) => {
+      this._dragIndex = index;
+      e.dataTransfer.effectAllowed = 'move';
+      e.dataTransfer.setData('text/plain', this._colors[index].name);
+      colorItem.classList.add('dragging');
+    });
+
+    colorItem.addEventListener('dragend', () => {
+      this._dragIndex = null;
+      colorItem.draggable = false;
+      colorItem.classList.remove('dragging');
+    });
+
+    // Show whether the color will be dropped before or after this one
+    const isAfter = (e) => {
+      const rect = colorItem.getBoundingClientRect();
+      return e.clientY > rect.top + rect.height / 2;
+    };
+
+    colorItem.addEventListener('dragover', (e) => {
+      if (this._dragIndex === null) return;
+      e.preventDefault();
+      e.dataTransfer.dropEffect = 'move';
+      const after = isAfter(e);
+      colorItem.classList.toggle('drop-before', !after);
+      colorItem.classList.toggle('drop-after', after);
+    });
+
+    colorItem.addEventListener('dragleave', () => {
+      colorItem.classList.remove('drop-before', 'drop-after');
+    });
+
+    colorItem.addEventListener('drop', (e) => {
+      if (this._dragIndex === null) return;
+      e.preventDefault();
+      colorItem.classList.remove('drop-before', 'drop-after');
+
+      // Moving rerenders the list, so dragend may not reach the dragged item
+      const fromIndex = this._dragIndex;
+      this._dragIndex = null;
+
+      // The target index is counted after removing the dragged color
+      let toIndex = isAfter(e) ? index + 1 : index;
+      if (fromIndex < toIndex) toIndex--;
+      this._moveColor(fromIndex, toIndex);
+    });
+  }
+
+  /**
+   * Add a color from a CSS color string
+   * @param {string} text - The CSS color, e.g. '#FF8000' or 'teal'
+   * @returns {boolean} True if the color was added
+   */
+  _addCssColor(text) {
+    if (!text.trim()) return false;
+
+    const parsed = parseCssColor(text);
+    if (!parsed) {
+      this._showMessage(`Not a supported color: ${text.trim()}`, true);
+      return false;
+    }
+
+    const { rgbColor, inSrgbGamut, namedColor } = parsed;
+    // Name after the CSS color if one was given, like the closest palette
+    // color names colors picked from the canvas.
+    const closestColor = namedColor ?? this._findClosestColor(rgbColor);
+    if (!this.addColor(rgbColor, closestColor)) {
+      this._showMessage(`The palette is limited to ${MAX_PALETTE_COLORS} colors`, true);
+      return false;
+    }
+
+    this._showMessage(inSrgbGamut
+      ? `Added ${this._colors[0].name}`
+      : `Added ${this._colors[0].name}, clipped to the sRGB gamut`, !inSrgbGamut);
+    return true;
+  }
+
+  /**
+   * Find the closest palette color, using the default distance metric and threshold
+   * @param {RgbColor} rgbColor - The color to match
+   * @returns {NamedColor|null} The closest color, or null if none is within the threshold
+   */
+  _findClosestColor(rgbColor) {
+    const metric = getDefaultDistanceMetric();
+    const index = findClosestPaletteIndex(
+      rgbToXyz([...rgbColor]),
+      this._colors.map(color => rgbToXyz([...color.rgbColor])),
+      metric.id,
+      metric.defaultThreshold);
+    return index === -1 ? null : this._colors[index];
+  }
+
+  /**
+   * Create the undo and redo buttons
+   * @returns {DocumentFragment} The buttons
+   */
+  _makeHistoryButtons() {
+    const fragment = document.createDocumentFragment();
+
+    this._undoButton = createElement('button', 'Undo');
+    this._undoButton.className = 'palette-action-btn';
+    this._undoButton.title = 'Undo the last palette edit (Ctrl+Z)';
+    this._undoButton.addEventListener('click', () => this.undo());
+    fragment.appendChild(this._undoButton);
+
+    this._redoButton = createElement('button', 'Redo');
+    this._redoButton.className = 'palette-action-btn';
+    this._redoButton.title = 'Redo the last undone palette edit (Ctrl+Shift+Z)';
+    this._redoButton.addEventListener('click', () => this.redo());
+    fragment.appendChild(this._redoButton);
+
+    return fragment;
+  }
+
+  /**
+   * Enable the undo and redo buttons only when there is something to undo or redo
+   */
+  _updateHistoryButtons() {
+    this._undoButton.disabled = !this._history.canUndo();
+    this._redoButton.disabled = !this._history.canRedo();
+  }
+
+  /**
+   * Bind Ctrl+Z to undo, and Ctrl+Shift+Z or Ctrl+Y to redo. Text fields
+   * keep their own undo behavior.
+   */
+  _setupUndoShortcuts() {
+    document.addEventListener('keydown', (e) => {
+      if (!(e.ctrlKey || e.metaKey) || e.altKey) return;
+      const target = e.target;
+      if (target.isContentEditable || target.closest?.('input, textarea')) return;
+
+      const key = e.key.toLowerCase();
+      if (key === 'z' && !e.shiftKey) {
+        e.preventDefault();
+        this.undo();
+      } else if ((key === 'z' && e.shiftKey) || (key === 'y' && !e.shiftKey)) {
+        e.preventDefault();
+        this.redo();
+      }
+    });
+  }
+
+  /**
+   * Record the current palette before an edit, so that it can be undone
+   * @param {string} description - Describes the edit, e.g. 'delete Red'
+   */
+  _recordHistory(description) {
+    this._history.record(this._getSnapshot(), description);
+    this._updateHistoryButtons();
+  }
+
+  /**
+   * Get the current palette state for the history
+   * @returns {PaletteSnapshot}
+   */
+  _getSnapshot() {
+    return { colors: this._colors, selection: this._selection };
+  }
+
+  /**
+   * Undo the last palette edit
+   * @returns {boolean} True if an edit was undone
+   */
+  undo() {
+    const entry = this._history.undo(this._getSnapshot());
+    if (!entry) return false;
+    this._restoreSnapshot(entry.snapshot);
+    this._showMessage(`Undid ${entry.description}`);
+    return true;
+  }
+
+  /**
+   * Redo the last undone palette edit
+   * @returns {boolean} True if an edit was redone
+   */
+  redo() {
+    const entry = this._history.redo(this._getSnapshot());
+    if (!entry) return false;
+    this._restoreSnapshot(entry.snapshot);
+    this._showMessage(`Redid ${entry.description}`);
+    return true;
+  }
+
+  /**
+   * Restore the palette from the history
+   * @param {PaletteSnapshot} snapshot - The state to restore
+   */
+  _restoreSnapshot({ colors, selection }) {
+    this._colors = colors;
+    this._selectOption(selection);
+    this._highlightColor = null;
+    this._highlightIsSticky = false;
+    this._updateSavedPaletteButtons();
+    this._updateHistoryButtons();
+    this._renderColors();
+    this._onUpdate();
+  }
+
+  /**
+   * Create the import button, which opens a file picker
+   * @returns {HTMLElement} The import button element
+   */
+  _makeImportButton() {
+    const fileInput = createElement('input');
+    fileInput.type = 'file';
+    fileInput.accept = getImportExtensions().join(',');
+    fileInput.hidden = true;
+    fileInput.addEventListener('change', async () => {
+      const file = fileInput.files[0];
+      // Reset so that the same file can be imported again
+      fileInput.value = '';
+      if (file) await this._importFile(file);
+    });
+
+    const button = createElement('button', 'Import');
+    button.className = 'palette-action-btn';
+    button.title = `Import a palette file (${getImportExtensions().join(', ')})`;
+    button.addEventListener('click', () => fileInput.click());
+    button.appendChild(fileInput);
+    return button;
+  }
+
+  /**
+   * Create the export format dropdown, and the download and copy buttons
+   * @returns {DocumentFragment} The export controls
+   */
+  _makeExportControls() {
+    const fragment = document.createDocumentFragment();
+
+    const formatDropdown = createElement('select');
+    formatDropdown.className = 'dropdown-control';
+    formatDropdown.title = 'Export format';
+    for (const { id, displayName } of getExportFormats()) {
+      const option = createElement('option', displayName);
+      option.value = id;
+      formatDropdown.appendChild(option);
+    }
+    fragment.appendChild(formatDropdown);
+
+    const downloadButton = createElement('button', 'Export');
+    downloadButton.className = 'palette-action-btn';
+    downloadButton.title = 'Download the palette in the selected format';
+    downloadButton.addEventListener('click', () => {
+      this._exportPalette(formatDropdown.value, false);
+    });
+    fragment.appendChild(downloadButton);
+
+    const copyButton = createElement('button', 'Copy');
+    copyButton.className = 'palette-action-btn';
+    copyButton.title = 'Copy the palette in the selected format';
+    copyButton.addEventListener('click', () => {
+      this._exportPalette(formatDropdown.value, true);
+    });
+    fragment.appendChild(copyButton);
+
+    // Binary formats can't be copied as text
+    formatDropdown.addEventListener('change', () => {
+      copyButton.disabled = isBinaryFormat(formatDropdown.value);
+    });
+
+    return fragment;
+  }
+
+  /**
+   * Export the palette as a file download or to the clipboard
+   * @param {string} formatId - The export format
+   * @param {boolean} toClipboard - Copy to the clipboard instead of downloading
+   */
+  async _exportPalette(formatId, toClipboard) {
+    const paletteName = this._getPaletteName();
+    const data = formatPalette(formatId, this._colors, paletteName);
+    const count = this._colors.length;
+    const description = `${count} color${count !== 1 ? 's' : ''}`;
+
+    if (toClipboard) {
+      try {
+        await navigator.clipboard.writeText(data);
+        this._showMessage(`Copied ${description} to the clipboard`);
+      } catch (e) {
+        this._showMessage(`Could not copy to the clipboard: ${e.message}`, true);
+      }
+    } else {
+      const { filename, mimeType } = getExportFileInfo(formatId, paletteName);
+      downloadFile(filename, data, mimeType);
+      this._showMessage(`Exported ${description} to ${filename}`);
+    }
+  }
+
+  /**
+   * Get the name of the current palette
+   * @returns {string} The preset name, or 'Custom' for a modified palette
+   */
+  _getPaletteName() {
+    return this._getOptionName(this._dropdown.value);
+  }
+
+  /**
+   * Import a palette file, replacing the current palette
+   * @param {File} file - The palette file
+   */
+  async _importFile(file) {
+    const formatId = getFormatForFilename(file.name);
+    if (!formatId) {
+      this._showMessage(`Unsupported file type: ${file.name}`, true);
+      return;
+    }
+
+    let result;
+    try {
+      const data = isBinaryFormat(formatId)
+        ? await file.arrayBuffer()
+        : await file.text();
+      result = parsePalette(formatId, data);
+    } catch (e) {
+      this._showMessage(`Could not import ${file.name}: ${e.message}`, true);
+      return;
+    }
+
+    const { colors, skipped } = result;
+    if (!colors.length) {
+      this._showMessage(`No valid colors in ${file.name}`, true, skipped);
+      return;
+    }
+
+    // Drop any colors beyond the limit
+    if (colors.length > MAX_PALETTE_COLORS) {
+      skipped.push(
+        `${colors.length - MAX_PALETTE_COLORS} colors beyond the limit of ${MAX_PALETTE_COLORS}`);
+    }
+    this.setColors(colors.slice(0, MAX_PALETTE_COLORS));
+
+    const count = Math.min(colors.length, MAX_PALETTE_COLORS);
+    let message = `Imported ${count} color${count !== 1 ? 's' : ''} from ${file.name}`;
+    if (skipped.length) {
+      message += `, skipped ${skipped.length}`;
+    }
+    this._showMessage(message, skipped.length > 0, skipped);
+  }
+
+  /**
+   * Show a message below the palette controls
+   * @param {string} text - The message, or '' to clear it
+   * @param {boolean} isWarning - Whether to style the message as a warning
+   * @param {Array<string>} details - Details listed below the message
+   */
+  _showMessage(text, isWarning = false, details = []) {
+    const MAX_DETAILS = 5;
+
+    clearElement(this._message);
+    this._message.classList.toggle('warning', isWarning);
+    if (!text) return;
+
+    this._message.appendChild(createElement('div', text));
+    if (details.length) {
+      const list = createElement('ul');
+      for (const detail of details.slice(0, MAX_DETAILS)) {
+        list.appendChild(createElement('li', detail));
+      }
+      if (details.length > MAX_DETAILS) {
+        list.appendChild(createElement('li', `and ${details.length - MAX_DETAILS} more`));
+      }
+      this._message.appendChild(list);
+    }
+    // Full details are available on hover
+    this._message.title = details.join('\n');
+  }
+
   /**
    * Creates the color count display element
    * @returns {HTMLElement} The count display element
@@ -261,6 +1053,8 @@ export class ColorPalette {
    * Render the color list
    */
   _renderColors() {
+    // Items are about to be replaced, and the edited color may have moved
+    this._colorEditor.close();
     clearElement(this._colorList);
 
     // Update color count display
@@ -274,21 +1068,19 @@ export class ColorPalette {
 
     // Render each color
     for (let i = 0; i < this._colors.length; i++) {
-      const color = this._colors[i];
       const colorItem = createColorItem();
-      populateColorItem(
-        colorItem,
-        color,
-        this._editColorName.bind(this),
-        this._deleteColor.bind(this)
-      );
+      this._populateItem(colorItem, this._colors[i]);
+      this._setupReordering(colorItem, i);
 
+      // Look up the color when handling events, as editing its value
+      // replaces it without rerendering the list.
+      const getColor = () => this._colors[i];
 
       // Add pointer event listeners for highlighting
       colorItem.addEventListener('pointerenter', () => {
         if (!this._highlightIsSticky) {
           window.clearTimeout(highlightUnsetTimeout);
-          this._highlightColor = color;
+          this._highlightColor = getColor();
           this._onUpdate();
         }
       });
@@ -305,6 +1097,7 @@ export class ColorPalette {
 
       // Add click event listener for sticky highlighting
       colorItem.addEventListener('click', () => {
+        const color = getColor();
         if (this._highlightIsSticky && this._highlightColor !== color) {
           // Remove highlighting from previously highlighted color (if it's different)
           const index = this._colors.indexOf(this._highlightColor);
@@ -324,6 +1117,62 @@ export class ColorPalette {
     }
   }
 
+  /**
+   * Populate a color list item with a palette color and its edit handlers
+   * @param {HTMLElement} colorItem - The color list item
+   * @param {NamedColor} color - The palette color
+   */
+  _populateItem(colorItem, color) {
+    populateColorItem(
+      colorItem,
+      color,
+      this._editColorName.bind(this),
+      this._deleteColor.bind(this),
+      this._openColorEditor.bind(this)
+    );
+  }
+
+  /**
+   * Open the color editor on a palette color
+   * @param {NamedColor} color - The color to edit
+   */
+  _openColorEditor(color) {
+    // Close any open editor first, so that each edit is a separate undo step
+    this._colorEditor.close();
+    this._editingColor = color;
+    this._editIsRecorded = false;
+    this._getElementForColor(color)?.classList.add('editing-color-item');
+    this._colorEditor.open(color.rgbColor, color.name);
+  }
+
+  /**
+   * Replace the value of the color open in the editor
+   * @param {RgbColor} rgbColor - The new value
+   */
+  _setEditedColor(rgbColor) {
+    const color = this._editingColor;
+    const index = this._colors.indexOf(color);
+    if (index === -1) return;
+
+    // Record the color before the first change, rather than every change
+    if (!this._editIsRecorded) {
+      this._recordHistory(`edit ${color.name}`);
+      this._editIsRecorded = true;
+    }
+
+    const newColor = new NamedColor(color.name, rgbColor);
+    if (this._highlightColor === color) {
+      this._highlightColor = newColor;
+    }
+    this._colors[index] = newColor;
+    this._editingColor = newColor;
+    this._setCustomState();
+
+    // Update the item in place, so that the editor stays open
+    this._populateItem(this._colorList.children[index], newColor);
+    this._onUpdate();
+  }
+
   /**
    * Delete a color from the palette
    * @param {NamedColor} colorToDelete - The color object to delete
@@ -336,6 +1185,7 @@ export class ColorPalette {
         this._highlightColor = null;
         this._highlightIsSticky = false;
       }
+      this._recordHistory(`delete ${colorToDelete.name}`);
       this._colors.splice(index, 1);
       this._setCustomState();
       this._renderColors();
@@ -357,6 +1207,7 @@ export class ColorPalette {
         this._highlightColor = newColor;
       }
       // Update the color's name
+      this._recordHistory(`rename ${color.name} to ${newColor.name}`);
       this._colors[index] = newColor;
       this._setCustomState();
       this._renderColors();
@@ -364,6 +1215,20 @@ export class ColorPalette {
     }
   }
 
+  /**
+   * Replace all colors in the palette
+   * @param {Array<NamedColor>} colors - The new colors, at most MAX_PALETTE_COLORS
+   */
+  setColors(colors) {
+    this._recordHistory('replace the palette');
+    this._colors = colors.slice(0, MAX_PALETTE_COLORS);
+    this._highlightColor = null;
+    this._highlightIsSticky = false;
+    this._setCustomState();
+    this._renderColors();
+    this._onUpdate();
+  }
+
   /**
    * Add a color with automatic naming
    * @param {RgbColor} rgbColor - RGB color instance
@@ -376,6 +1241,7 @@ export class ColorPalette {
 
     const name = this._generateColorName(rgbColor, closestColor);
 
+    this._recordHistory(`add ${name}`);
     this._colors.unshift(new NamedColor(name, rgbColor));
     this._setCustomState();
     this._renderColors();
@@ -411,7 +1277,8 @@ export class ColorPalette {
    * Set the dropdown to "Custom" state when palette is modified
    */
   _setCustomState() {
-    this._dropdown.value = 'custom';
+    this._selectOption(CUSTOM_PALETTE_VALUE);
+    this._updateSavedPaletteButtons();
   }
 
   /**
@@ -449,6 +1316,18 @@ export class ColorPalette {
     return [...this._colors];
   }
 
+  /**
+   * Get the palette state for serialization
+   * @returns {{presetName: string|null, colors: Array<NamedColor>}}
+   *   presetName is null if the palette is not an unmodified preset
+   */
+  getPaletteState() {
+    // Saved palettes are only in this browser, so they are treated as custom.
+    const value = this._dropdown.value;
+    const presetName = getPresetNames().includes(value) ? value : null;
+    return { presetName, colors: this.getColors() };
+  }
+
   /**
    * Get the current highlighted color
    * @returns {NamedColor|null} Current highlighted color or null if no highlight
@@ -7,15 +7,16 @@ export class Axis {
    * @param {string} unit - The unit for the axis (e.g., '°', '%')
    * @param {number} max - Maximum value for the axis
    * @param {number} defaultValue - Default value for the axis
+   * @param {number} [min=0] - Minimum value for the axis (negative for opponent axes)
    */
-  constructor(key, unit, max, defaultValue) {
+  constructor(key, unit, max, defaultValue, min = 0) {
     this.key = key;
     this.unit = unit;
     this.max = max;
     this.defaultValue = defaultValue;
+    this.min = min;
 
-    // Min is always 0, name is always the capitalized key
-    this.min = 0;
+    // Name is always the capitalized key
     this.name = key.charAt(0).toUpperCase() + key.slice(1);
 
     Object.freeze(this);
@@ -41,11 +42,14 @@ export class ColorSpace {
    * @param {string} type - The type of color space (e.g., 'HSV', 'HSL')
    * @param {Array<Axis>} axes - Array of Axis objects in order
    * @param {string} defaultAxisKey - Key of the default axis to select
+   * @param {boolean} [hasGamutBoundary=false] - Whether some coordinates fall
+   *   outside the displayable sRGB gamut
    */
-  constructor(type, axes, defaultAxisKey) {
+  constructor(type, axes, defaultAxisKey, hasGamutBoundary = false) {
     this._type = type;
     this._axes = Object.freeze([...axes]);
     this._defaultAxis = this.getAxisByKey(defaultAxisKey);
+    this._hasGamutBoundary = hasGamutBoundary;
 
     // Freeze the entire object to make it immutable
     Object.freeze(this);
@@ -93,6 +97,15 @@ export class ColorSpace {
     return this._defaultAxis;
   }
 
+  /**
+   * Whether the color space contains coordinates outside the sRGB gamut.
+   * Such coordinates are not rendered, so the visible volume is irregular.
+   * @returns {boolean}
+   */
+  hasGamutBoundary() {
+    return this._hasGamutBoundary;
+  }
+
   /**
    * Get the axis that can be used for polar coordinates (has degree units)
    * @param {Axis} fixedAxis - The axis that is fixed (not variable)
@@ -130,12 +143,78 @@ export const HslColorSpace = Object.freeze(new ColorSpace('HSL', [
   new Axis('lightness', '%', 100, 50)
 ], 'saturation'));
 
+/**
+ * CIE L*a*b* color space instance (D65 illuminant)
+ * The a and b axes span ±125, matching the CSS lab() reference range.
+ */
+export const LabColorSpace = Object.freeze(new ColorSpace('LAB', [
+  new Axis('lightness', '', 100, 50),
+  new Axis('a', '', 125, 0, -125),
+  new Axis('b', '', 125, 0, -125)
+], 'lightness', true));
+
+/**
+ * CIE LCh(ab) color space instance, the polar form of L*a*b*
+ * Chroma spans 0-150, matching the CSS lch() reference range.
+ * Hue comes first so that it can be the angular axis in 3D polar mode.
+ */
+export const LchColorSpace = Object.freeze(new ColorSpace('LCH', [
+  new Axis('hue', '°', 360, 180),
+  new Axis('chroma', '', 150, 40),
+  new Axis('lightness', '', 100, 50)
+], 'lightness', true));
+
+/**
+ * OKLab color space instance
+ * The a and b axes are percentages of ±0.4, matching CSS oklab().
+ */
+export const OklabColorSpace = Object.freeze(new ColorSpace('OKLAB', [
+  new Axis('lightness', '%', 100, 70),
+  new Axis('a', '%', 100, 0, -100),
+  new Axis('b', '%', 100, 0, -100)
+], 'lightness', true));
+
+/**
+ * OKLCh color space instance
+ * Chroma is a percentage of 0.4, matching CSS oklch().
+ * Hue comes first so that it can be the angular axis in 3D polar mode.
+ */
+export const OklchColorSpace = Object.freeze(new ColorSpace('OKLCH', [
+  new Axis('hue', '°', 360, 180),
+  new Axis('chroma', '%', 100, 25),
+  new Axis('lightness', '%', 100, 70)
+], 'lightness', true));
+
+/**
+ * Display P3 color space instance
+ * Uses the sRGB transfer function with the wider DCI-P3 primaries.
+ */
+export const DisplayP3ColorSpace = Object.freeze(new ColorSpace('P3', [
+  new Axis('red', '%', 100, 50),
+  new Axis('green', '%', 100, 50),
+  new Axis('blue', '%', 100, 50)
+], 'red'));
+
+/**
+ * Rec.2020 color space instance
+ * Uses the BT.2020 transfer function and primaries.
+ */
+export const Rec2020ColorSpace = Object.freeze(new ColorSpace('REC2020', [
+  new Axis('red', '%', 100, 50),
+  new Axis('green', '%', 100, 50),
+  new Axis('blue', '%', 100, 50)
+], 'red'));
+
 /**
  * Get all available color spaces in canonical order
  * @returns {Array<ColorSpace>} Array of all color space instances
  */
 export function getAllColorSpaces() {
-  return [RgbColorSpace, HsvColorSpace, HslColorSpace];
+  return [
+    RgbColorSpace, HsvColorSpace, HslColorSpace,
+    LabColorSpace, LchColorSpace, OklabColorSpace, OklchColorSpace,
+    DisplayP3ColorSpace, Rec2020ColorSpace
+  ];
 }
 
 /**
@@ -204,7 +283,10 @@ class Color {
     const type = colorSpace.getType();
     const axes = colorSpace.getAllAxes();
     const coords = this._coordinates
-      .map((c, i) => `${Math.round(c * axes[i].max)}${axes[i].unit}`)
+      .map((c, i) => {
+        const value = axes[i].min + c * (axes[i].max - axes[i].min);
+        return `${Math.round(value)}${axes[i].unit}`;
+      })
       .join(' ');
     return `${type}: ${coords}`;
   }
@@ -231,6 +313,48 @@ export class HslColor extends Color {
   static colorSpace = HslColorSpace;
 }
 
+/**
+ * CIE L*a*b* color with normalized coordinates (0-1 range)
+ */
+export class LabColor extends Color {
+  static colorSpace = LabColorSpace;
+}
+
+/**
+ * CIE LCh(ab) color with normalized coordinates (0-1 range)
+ */
+export class LchColor extends Color {
+  static colorSpace = LchColorSpace;
+}
+
+/**
+ * OKLab color with normalized coordinates (0-1 range)
+ */
+export class OklabColor extends Color {
+  static colorSpace = OklabColorSpace;
+}
+
+/**
+ * OKLCh color with normalized coordinates (0-1 range)
+ */
+export class OklchColor extends Color {
+  static colorSpace = OklchColorSpace;
+}
+
+/**
+ * Display P3 color with normalized coordinates (0-1 range)
+ */
+export class DisplayP3Color extends Color {
+  static colorSpace = DisplayP3ColorSpace;
+}
+
+/**
+ * Rec.2020 color with normalized coordinates (0-1 range)
+ */
+export class Rec2020Color extends Color {
+  static colorSpace = Rec2020ColorSpace;
+}
+
 /**
  * Distance metric class
  */
@@ -264,6 +388,36 @@ export class DistanceMetric {
   thresholdToString(threshold) {
     return threshold > 10 ? threshold.toFixed(0) : threshold.toPrecision(2);
   }
+
+  /**
+   * Clamp a threshold value to the metric's range
+   * @param {number} threshold - The threshold value
+   * @returns {number} The threshold within [minThreshold, maxThreshold]
+   */
+  clampThreshold(threshold) {
+    return Math.max(this.minThreshold, Math.min(this.maxThreshold, threshold));
+  }
+
+  /**
+   * Convert a threshold value to a linear slider value (0-100) on a
+   * logarithmic scale
+   * @param {number} threshold - The threshold value
+   * @returns {number} The slider value
+   */
+  thresholdToSliderValue(threshold) {
+    const logThreshold = Math.log(this.clampThreshold(threshold));
+    return ((logThreshold - this.logMinThreshold) / this.logRange) * 100;
+  }
+
+  /**
+   * Convert a linear slider value (0-100) to a threshold value on a
+   * logarithmic scale
+   * @param {number} value - The slider value
+   * @returns {number} The threshold value
+   */
+  sliderValueToThreshold(value) {
+    return Math.exp(this.logMinThreshold + (value / 100) * this.logRange);
+  }
 }
 
 /**
@@ -272,6 +426,10 @@ export class DistanceMetric {
 const DISTANCE_METRICS = Object.freeze([
   // Delta E: typical values range from 0-100, with 1-5 being perceptually similar
   new DistanceMetric('lab-d', 'L*a*b* (Delta E)', 0.1, 100.0, 10),
+  // CIE94: Delta E with chroma and hue weightings, on the same scale as L*a*b*
+  new DistanceMetric('de94', 'CIE94 (Delta E)', 0.1, 100.0, 10),
+  // CIEDE2000: adds hue rotation and lightness weightings, best perceptual uniformity
+  new DistanceMetric('de2000', 'CIEDE2000 (Delta E)', 0.1, 100.0, 10),
   // L*u*v* Delta E: similar to L*a*b*, values range from 0-100, with 1-5 being perceptually similar
   new DistanceMetric('luv-d', 'L*u*v* (Delta E)', 0.1, 100.0, 10),
   // RGB Euclidean: values range from 0-√3 ≈ 1.732, with 0.1 being very similar
@@ -1,4 +1,5 @@
 import { RgbColor, HslColor, HsvColor } from './colorSpace.js';
+import { hslToRgb as hslCoordsToRgb, hsvToRgb as hsvCoordsToRgb } from './colorMath.js';
 
 /**
  * Color conversion utilities
@@ -18,6 +19,37 @@ export function rgbToCssString(rgbColor) {
   return `rgb(${rByte}, ${gByte}, ${bByte})`;
 }
 
+/**
+ * Convert RGB color to a hex string
+ * @param {RgbColor} rgbColor - RGB color instance
+ * @returns {string} Uppercase hex string (e.g., "#FF8000")
+ */
+export function rgbToHex(rgbColor) {
+  const hex = [...rgbColor].map(
+    c => Math.round(c * 255).toString(16).padStart(2, '0'));
+  return `#${hex.join('')}`.toUpperCase();
+}
+
+/**
+ * Parse a hex color string
+ * Accepts 3 or 6 hex digits, with or without a leading '#'.
+ * @param {string} hex - Hex color string (e.g., '#FF0000' or 'f00')
+ * @returns {RgbColor|null} RGB color instance, or null if the string is invalid
+ */
+export function hexToRgb(hex) {
+  const match = hex.trim().match(/^#?([0-9a-f]{3}|[0-9a-f]{6})$/i);
+  if (!match) return null;
+
+  let digits = match[1];
+  if (digits.length === 3) {
+    digits = [...digits].map(d => d + d).join('');
+  }
+
+  const [r, g, b] = [0, 2, 4].map(
+    i => parseInt(digits.slice(i, i + 2), 16) / 255);
+  return new RgbColor(r, g, b);
+}
+
 /**
  * Convert RGB to HSL
  * @param {RgbColor} rgbColor - RGB color instance
@@ -66,6 +98,34 @@ export function rgbToHsv(rgbColor) {
   return new HsvColor(h, s, v);
 }
 
+/**
+ * Convert HSL to RGB
+ * @param {HslColor} hslColor - HSL color instance
+ * @returns {RgbColor} RGB color instance
+ */
+export function hslToRgb(hslColor) {
+  return clampedRgb(hslCoordsToRgb(...hslColor));
+}
+
+/**
+ * Convert HSV to RGB
+ * @param {HsvColor} hsvColor - HSV color instance
+ * @returns {RgbColor} RGB color instance
+ */
+export function hsvToRgb(hsvColor) {
+  return clampedRgb(hsvCoordsToRgb(...hsvColor));
+}
+
+/**
+ * Create an RgbColor, clamping away any rounding error outside [0, 1]
+ * @param {Array<number>} rgb - RGB values
+ * @returns {RgbColor}
+ */
+function clampedRgb(rgb) {
+  const [r, g, b] = rgb.map(c => Math.min(Math.max(c, 0), 1));
+  return new RgbColor(r, g, b);
+}
+
 /**
  * Helper to calculate the hue component of an RGB color
  * @param {number} r
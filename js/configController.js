@@ -1,5 +1,6 @@
 import { clearElement, createElement } from './utils.js';
-import { getAllColorSpaces, getAllDistanceMetrics, getDistanceMetricById, getDefaultDistanceMetric, Axis } from './colorSpace.js';
+import { getAllColorSpaces, getAllDistanceMetrics, getDistanceMetricById, getDefaultDistanceMetric, Axis, RgbColor } from './colorSpace.js';
+import { hexToRgb, rgbToHex } from './colorUtils.js';
 import { RangeSlider } from './rangeSlider.js';
 
 /**
@@ -15,7 +16,12 @@ export class ColorSpaceConfig {
     distanceMetric = null,
     distanceThreshold = null,
     highlightMode = null,
-    showUnmatchedColors = true) {
+    showUnmatchedColors = true,
+    cvdType = 'none',
+    cvdSeverity = 1,
+    simulateCvdMatching = false,
+    contrastOverlay = 'off',
+    contrastReference = null) {
 
     this.colorSpace = colorSpace;
     this.axisSlices = axisSlices;
@@ -29,6 +35,17 @@ export class ColorSpaceConfig {
     this.highlightMode = highlightMode || getAllHighlightModes()[0];
     this.showUnmatchedColors = showUnmatchedColors;
 
+    // Color vision deficiency simulation, with severity in [0, 1]. It is
+    // applied to the displayed colors, and optionally before palette matching.
+    this.cvdType = cvdType;
+    this.cvdSeverity = cvdSeverity;
+    this.simulateCvdMatching = simulateCvdMatching && cvdType !== 'none';
+
+    // Contrast overlay: 'off' or a key of CONTRAST_LEVELS, shading where the
+    // reference color meets that level against the rendered colors
+    this.contrastOverlay = contrastOverlay;
+    this.contrastReference = contrastReference || new RgbColor(1, 1, 1);
+
     // Freeze the object to make it immutable
     Object.freeze(this);
   }
@@ -45,6 +62,24 @@ export class ColorSpaceConfig {
       return values[0];
     }
   }
+
+  /**
+   * Get the axes which polar coordinates are mapped onto
+   * @returns {Array<number>} [radiusAxisIndex, angleAxisIndex], or [-1, -1] if not polar
+   */
+  getPolarAxes() {
+    if (!this.usePolarCoordinates) return [-1, -1];
+    const colorSpace = this.colorSpace;
+    const currentAxis = this.render3d ? colorSpace.getAllAxes()[2] : this.currentAxis;
+    const polarAxis = colorSpace.availablePolarAxis(currentAxis);
+
+    const rAxis = colorSpace.getAllAxes().find(
+      axis => axis !== polarAxis && axis !== currentAxis);
+
+    if (!polarAxis || !rAxis) return [-1, -1];
+
+    return [colorSpace.getAxisIndex(rAxis), colorSpace.getAxisIndex(polarAxis)];
+  }
 }
 
 /**
@@ -83,6 +118,15 @@ export class ConfigController {
     // Highlight mode dropdown element
     this._highlightModeDropdown = container.querySelector('.highlight-mode-dropdown');
 
+    // Color vision deficiency simulation elements
+    this._cvdTypeDropdown = container.querySelector('.cvd-type-dropdown');
+    this._cvdOptions = container.querySelector('.cvd-options');
+    this._cvdMatchingToggle = container.querySelector('.cvd-matching-toggle');
+
+    // Contrast overlay elements
+    this._contrastOverlayDropdown = container.querySelector('.contrast-overlay-dropdown');
+    this._contrastReferenceInput = container.querySelector('.contrast-reference-input');
+
     // Callback
     this._onColorViewUpdate = onColorSpaceChange;
 
@@ -115,6 +159,8 @@ export class ConfigController {
     this._setupDistanceMetricsDropdown(initialColorSpaceConfig.distanceMetric);
     this._setupDistanceThresholdSlider(container, initialColorSpaceConfig);
     this._setupHighlightModeDropdown(initialColorSpaceConfig.highlightMode);
+    this._setupCvdControls(container, initialColorSpaceConfig);
+    this._setupContrastControls(initialColorSpaceConfig);
 
     // Set the current state from the config
     this._polarToggle.checked = initialColorSpaceConfig.usePolarCoordinates;
@@ -284,14 +330,14 @@ export class ConfigController {
       container.querySelector('.distance-threshold-slider'),
       (value) => {
         const metric = getDistanceMetricById(this._distanceMetricDropdown.value);
-        const threshold = fromLogThreshold(metric, value);
+        const threshold = metric.sliderValueToThreshold(value);
         return metric.thresholdToString(threshold);
       }
     );
 
     this._distanceThresholdSlider.setRange(0, 100);
 
-    const logValue = toLogThreshold(config.distanceMetric, config.distanceThreshold);
+    const logValue = config.distanceMetric.thresholdToSliderValue(config.distanceThreshold);
 
     this._distanceThresholdSlider.setValue(logValue);
   }
@@ -308,6 +354,55 @@ export class ConfigController {
     this._highlightModeDropdown.value = initialHighlightMode;
   }
 
+  /**
+   * Setup the color vision deficiency simulation controls
+   * @param {HTMLElement} container - The container element for the controls
+   * @param {ColorSpaceConfig} config - The initial configuration
+   */
+  _setupCvdControls(container, config) {
+    this._cvdTypeDropdown.value = config.cvdType;
+    this._cvdTypeDropdown.addEventListener('change', () => {
+      this._updateCvdOptionsVisibility();
+      this._onColorViewUpdate();
+    });
+
+    this._cvdSeveritySlider = this._makeLabeledSlider(
+      container.querySelector('.cvd-severity-slider'),
+      (value) => `${value}%`);
+    this._cvdSeveritySlider.setRange(0, 100);
+    this._cvdSeveritySlider.setValue(Math.round(config.cvdSeverity * 100));
+
+    this._cvdMatchingToggle.checked = config.simulateCvdMatching;
+    this._cvdMatchingToggle.addEventListener('change', () => {
+      this._onColorViewUpdate();
+    });
+
+    this._updateCvdOptionsVisibility();
+  }
+
+  /**
+   * Only show the simulation options when a deficiency is selected
+   */
+  _updateCvdOptionsVisibility() {
+    this._cvdOptions.style.display = this._cvdTypeDropdown.value === 'none' ? 'none' : 'block';
+  }
+
+  /**
+   * Setup the contrast overlay controls
+   * @param {ColorSpaceConfig} config - The initial configuration
+   */
+  _setupContrastControls(config) {
+    this._contrastOverlayDropdown.value = config.contrastOverlay;
+    this._contrastReferenceInput.value = rgbToHex(config.contrastReference).toLowerCase();
+
+    this._contrastOverlayDropdown.addEventListener('change', () => {
+      this._onColorViewUpdate();
+    });
+    this._contrastReferenceInput.addEventListener('input', () => {
+      this._onColorViewUpdate();
+    });
+  }
+
   /**
    * Update the axis buttons based on the current color space
    * @param {ColorSpace} colorSpace - The currently selected color space
@@ -403,7 +498,7 @@ export class ConfigController {
    */
   getCurrentColorSpaceConfig() {
     const metric = getDistanceMetricById(this._distanceMetricDropdown.value);
-    const threshold = fromLogThreshold(metric, this._distanceThresholdSlider.getValue());
+    const threshold = metric.sliderValueToThreshold(this._distanceThresholdSlider.getValue());
 
     const axisSlices = new Map();
     if (this._render3d) {
@@ -427,31 +522,12 @@ export class ConfigController {
       metric,
       threshold,
       this._highlightModeDropdown.value,
-      this._showUnmatchedToggle.checked
+      this._showUnmatchedToggle.checked,
+      this._cvdTypeDropdown.value,
+      this._cvdSeveritySlider.getValue() / 100,
+      this._cvdMatchingToggle.checked,
+      this._contrastOverlayDropdown.value,
+      hexToRgb(this._contrastReferenceInput.value)
     );
   }
 }
-
-/**
- * Convert a threshold value to a logarithmic scale
- * @param {DistanceMetric} metric - The distance metric
- * @param {number} threshold - The threshold value
- * @returns {number} The logarithmic scale value
- */
-function toLogThreshold(metric, threshold) {
-  const logThreshold = Math.log(Math.max(metric.minThreshold, Math.min(metric.maxThreshold, threshold)));
-  const logValue = ((logThreshold - metric.logMinThreshold) / metric.logRange) * 100;
-  return logValue;
-}
-
-/**
- * Convert linear slider value (0-100) to logarithmic threshold value
- * @param {DistanceMetric} metric - The distance metric
- * @param {number} value - The linear slider value
- * @returns {number} The logarithmic threshold value
- */
-function fromLogThreshold(metric, value) {
-  const logValue = metric.logMinThreshold + (value / 100) * metric.logRange;
-  const threshold = Math.exp(logValue);
-  return threshold;
-}
@@ -0,0 +1,107 @@
+import { srgbToLinear } from './colorMath.js';
+
+/**
+ * Contrast levels which the canvas overlay can show, with their minimum
+ * WCAG 2.x contrast ratio for normal text.
+ */
+export const CONTRAST_LEVELS = Object.freeze({
+  aa: 4.5,
+  aaa: 7,
+});
+
+// Luminance coefficients of linear sRGB, shared by WCAG 2.x and APCA
+const LUMINANCE_COEFFICIENTS = Object.freeze([0.2126729, 0.7151522, 0.0721750]);
+
+// APCA-W3 0.0.98G-4g constants
+// See https://github.com/Myndex/apca-w3
+const APCA = Object.freeze({
+  mainTrc: 2.4,
+  normBg: 0.56,
+  normText: 0.57,
+  revText: 0.62,
+  revBg: 0.65,
+  blackThreshold: 0.022,
+  blackClamp: 1.414,
+  scale: 1.14,
+  lowOffset: 0.027,
+  lowClip: 0.1,
+  deltaYMin: 0.0005,
+});
+
+/**
+ * Get the WCAG 2.x relative luminance of a color
+ * @param {Array<number>} rgb - sRGB values in [0, 1]
+ * @returns {number} Luminance in [0, 1]
+ */
+export function relativeLuminance(rgb) {
+  // Reference: https://www.w3.org/TR/WCAG22/#dfn-relative-luminance
+  const linear = srgbToLinear(rgb);
+  return linear.reduce((sum, c, i) => sum + c * LUMINANCE_COEFFICIENTS[i], 0);
+}
+
+/**
+ * Get the WCAG 2.x contrast ratio between two colors. The ratio is
+ * symmetric.
+ * @param {Array<number>} rgb1 - sRGB values in [0, 1]
+ * @param {Array<number>} rgb2 - sRGB values in [0, 1]
+ * @returns {number} The ratio, from 1 to 21
+ */
+export function wcagContrastRatio(rgb1, rgb2) {
+  // Reference: https://www.w3.org/TR/WCAG22/#dfn-contrast-ratio
+  const l1 = relativeLuminance(rgb1);
+  const l2 = relativeLuminance(rgb2);
+  return (Math.max(l1, l2) + 0.05) / (Math.min(l1, l2) + 0.05);
+}
+
+/**
+ * Get the highest WCAG level which a contrast ratio meets, for normal text
+ * @param {number} ratio - A ratio from wcagContrastRatio
+ * @returns {string|null} A key of CONTRAST_LEVELS, or null if none are met
+ */
+export function wcagLevel(ratio) {
+  if (ratio >= CONTRAST_LEVELS.aaa) return 'aaa';
+  if (ratio >= CONTRAST_LEVELS.aa) return 'aa';
+  return null;
+}
+
+/**
+ * Get the APCA lightness contrast (Lc) of text on a background. Unlike the
+ * WCAG ratio it depends on which color is the text.
+ * @param {Array<number>} textRgb - sRGB values in [0, 1]
+ * @param {Array<number>} backgroundRgb - sRGB values in [0, 1]
+ * @returns {number} Lc, positive for dark text on a light background and
+ *   negative for light text on a dark background. About 106 for black on
+ *   white, and 0 for colors too close to compare.
+ */
+export function apcaContrast(textRgb, backgroundRgb) {
+  const textY = apcaLuminance(textRgb);
+  const backgroundY = apcaLuminance(backgroundRgb);
+  if (Math.abs(backgroundY - textY) < APCA.deltaYMin) return 0;
+
+  let contrast;
+  if (backgroundY > textY) {
+    // Dark text on a light background
+    const sapc = (backgroundY ** APCA.normBg - textY ** APCA.normText) * APCA.scale;
+    contrast = sapc < APCA.lowClip ? 0 : sapc - APCA.lowOffset;
+  } else {
+    // Light text on a dark background
+    const sapc = (backgroundY ** APCA.revBg - textY ** APCA.revText) * APCA.scale;
+    contrast = sapc > -APCA.lowClip ? 0 : sapc + APCA.lowOffset;
+  }
+  return contrast * 100;
+}
+
+/**
+ * Get the APCA screen luminance of a color, with the soft clamp for near
+ * black colors
+ * @param {Array<number>} rgb - sRGB values in [0, 1]
+ * @returns {number}
+ */
+function apcaLuminance(rgb) {
+  // APCA uses a simple power curve rather than the sRGB transfer function
+  const y = rgb.reduce(
+    (sum, c, i) => sum + Math.pow(c, APCA.mainTrc) * LUMINANCE_COEFFICIENTS[i], 0);
+  return y > APCA.blackThreshold
+    ? y
+    : y + Math.pow(APCA.blackThreshold - y, APCA.blackClamp);
+}
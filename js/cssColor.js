@@ -0,0 +1,171 @@
+import { RgbColor } from './colorSpace.js';
+import { hexToRgb } from './colorUtils.js';
+import { hslToRgb, srgbToLinear, linearToSrgb, oklabToLinearRgb, isInGamut } from './colorMath.js';
+import { getPreset } from './namedColor.js';
+
+// The presets whose names are recognized as CSS named colors. The basic
+// colors add Aqua and Fuchsia, which 'CSS Colors' lists as Cyan and Magenta.
+const NAMED_COLOR_PRESETS = Object.freeze(['CSS Colors', 'Basic Web Colors']);
+
+// Percentages of a and b in oklab(), and of C in oklch(), are relative to 0.4
+const OKLAB_PERCENT_SCALE = 0.4;
+
+// Hue units, in degrees
+const HUE_UNITS = Object.freeze({ deg: 1, grad: 0.9, rad: 180 / Math.PI, turn: 360 });
+
+/**
+ * Lower-cased names of the CSS named colors, created on first use
+ * @type {Map<string, NamedColor>|null}
+ */
+let namedColors = null;
+
+/**
+ * Parse a CSS color string.
+ * Supports hex colors, named colors, rgb(), hsl(), oklab() and oklch(), in
+ * both the legacy comma-separated and the modern space-separated syntax.
+ * Alpha is accepted but ignored, as palette colors are opaque.
+ * @param {string} text - The CSS color, e.g. '#F80', 'teal' or 'oklch(70% 0.1 200)'
+ * @returns {{rgbColor: RgbColor, inSrgbGamut: boolean, namedColor: NamedColor|null}|null}
+ *   The color clipped to sRGB, whether it needed clipping, and the named
+ *   color if a name was given; or null if the string isn't a supported color
+ */
+export function parseCssColor(text) {
+  text = text.trim().toLowerCase();
+
+  const namedColor = getNamedColors().get(text);
+  if (namedColor) {
+    return { rgbColor: namedColor.rgbColor, inSrgbGamut: true, namedColor };
+  }
+
+  const hexMatch = text.match(/^#([0-9a-f]{3,4}|[0-9a-f]{6}|[0-9a-f]{8})$/);
+  if (hexMatch) {
+    // Drop any alpha digits, which are the last quarter of 4 and 8 digit colors
+    const digits = hexMatch[1];
+    const rgbColor = hexToRgb(
+      digits.length % 4 === 0 ? digits.slice(0, digits.length * 3 / 4) : digits);
+    return { rgbColor, inSrgbGamut: true, namedColor: null };
+  }
+
+  const functionMatch = text.match(/^([a-z]+)\((.*)\)$/s);
+  if (!functionMatch) return null;
+  const [name, argText] = functionMatch.slice(1);
+  const args = splitArguments(argText);
+  if (!args) return null;
+
+  const linear = functionToLinearRgb(name, args);
+  if (!linear || !linear.every(Number.isFinite)) return null;
+
+  const [r, g, b] = linearToSrgb(linear.map(c => Math.min(Math.max(c, 0), 1)));
+  return {
+    rgbColor: new RgbColor(r, g, b),
+    inSrgbGamut: isInGamut(linear),
+    namedColor: null,
+  };
+}
+
+/**
+ * Get the CSS named colors, keyed by lower-cased name
+ * @returns {Map<string, NamedColor>}
+ */
+function getNamedColors() {
+  if (!namedColors) {
+    namedColors = new Map();
+    for (const color of NAMED_COLOR_PRESETS.flatMap(getPreset)) {
+      const key = color.name.toLowerCase();
+      if (!namedColors.has(key)) namedColors.set(key, color);
+    }
+  }
+  return namedColors;
+}
+
+/**
+ * Split the arguments of a color function, dropping any alpha
+ * @param {string} argText - The text between the parentheses
+ * @returns {Array<string>|null} The three color arguments, or null if there
+ *   aren't three
+ */
+function splitArguments(argText) {
+  let args;
+  if (argText.includes(',')) {
+    // Legacy syntax, e.g. rgb(255, 0, 0) or rgba(255, 0, 0, 0.5)
+    args = argText.split(',').map(arg => arg.trim());
+    if (args.length === 4) args.pop();
+  } else {
+    // Modern syntax, e.g. rgb(255 0 0) or rgb(255 0 0 / 50%)
+    const [colorText, alphaText, ...rest] = argText.split('/');
+    if (rest.length || (alphaText !== undefined && !alphaText.trim())) return null;
+    args = colorText.trim().split(/\s+/);
+  }
+  return args.length === 3 && args.every(arg => arg) ? args : null;
+}
+
+/**
+ * Convert the arguments of a color function to linear sRGB
+ * @param {string} name - The function name, e.g. 'rgb'
+ * @param {Array<string>} args - The three color arguments
+ * @returns {Array<number>|null} Linear sRGB values, possibly outside [0, 1],
+ *   or null if the function or its arguments aren't supported
+ */
+function functionToLinearRgb(name, args) {
+  switch (name) {
+    case 'rgb':
+    case 'rgba': {
+      const rgb = args.map(arg => parseNumberOrPercent(arg, 255));
+      if (rgb.includes(null)) return null;
+      return srgbToLinear(rgb.map(c => Math.min(Math.max(c, 0), 1)));
+    }
+    case 'hsl':
+    case 'hsla': {
+      const h = parseHue(args[0]);
+      const [s, l] = args.slice(1).map(arg => parseNumberOrPercent(arg, 100));
+      if (h === null || s === null || l === null) return null;
+      return srgbToLinear(hslToRgb(
+        h, Math.min(Math.max(s, 0), 1), Math.min(Math.max(l, 0), 1)));
+    }
+    case 'oklab': {
+      const l = parseNumberOrPercent(args[0], 1);
+      const [a, b] = args.slice(1).map(arg => parseNumberOrPercent(arg, 1, OKLAB_PERCENT_SCALE));
+      if (l === null || a === null || b === null) return null;
+      return oklabToLinearRgb([l, a, b]);
+    }
+    case 'oklch': {
+      const l = parseNumberOrPercent(args[0], 1);
+      const c = parseNumberOrPercent(args[1], 1, OKLAB_PERCENT_SCALE);
+      const h = parseHue(args[2]);
+      if (l === null || c === null || h === null) return null;
+      const angle = h * 2 * Math.PI;
+      return oklabToLinearRgb([l, c * Math.cos(angle), c * Math.sin(angle)]);
+    }
+    default:
+      return null;
+  }
+}
+
+/**
+ * Parse a number or a percentage. 'none' is treated as zero.
+ * @param {string} arg - The argument, e.g. '128' or '50%'
+ * @param {number} numberScale - The number which maps to 1
+ * @param {number} [percentScale=1] - The value of 100%
+ * @returns {number|null} The value, or null if it isn't a number
+ */
+function parseNumberOrPercent(arg, numberScale, percentScale = 1) {
+  if (arg === 'none') return 0;
+  const match = arg.match(/^([+-]?(?:\d+\.?\d*|\.\d+)(?:e[+-]?\d+)?)(%?)$/);
+  if (!match) return null;
+  const value = parseFloat(match[1]);
+  return match[2] ? value / 100 * percentScale : value / numberScale;
+}
+
+/**
+ * Parse a hue, which is in degrees unless it has a unit
+ * @param {string} arg - The argument, e.g. '120', '120deg' or '0.5turn'
+ * @returns {number|null} The hue as a turn in [0, 1), or null if it isn't a hue
+ */
+function parseHue(arg) {
+  if (arg === 'none') return 0;
+  const match = arg.match(/^([+-]?(?:\d+\.?\d*|\.\d+)(?:e[+-]?\d+)?)(deg|grad|rad|turn)?$/);
+  if (!match) return null;
+  const degrees = parseFloat(match[1]) * HUE_UNITS[match[2] ?? 'deg'];
+  const turn = (degrees / 360) % 1;
+  return turn < 0 ? turn + 1 : turn;
+}
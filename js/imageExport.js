@@ -0,0 +1,362 @@
+import { rgbToHex } from './colorUtils.js';
+
+/**
+ * Image sizes offered for export, in pixels across the rendered view
+ */
+export const EXPORT_SIZES = Object.freeze([800, 1600, 3200]);
+
+// Legends list at most this many colors, and summarize the rest
+export const MAX_LEGEND_ENTRIES = 100;
+
+// Sizes relative to the font size, which scales with the image
+const CANVAS_PIXELS_PER_FONT_PIXEL = 40;
+const MARGIN = 6;
+const LEGEND_ROW_HEIGHT = 1.6;
+const LEGEND_SWATCH_SIZE = 1.1;
+const LEGEND_COLUMN_WIDTH = 18;
+
+const BACKGROUND_COLOR = '#FFFFFF';
+const TEXT_COLOR = '#333333';
+const FONT_FAMILY = 'monospace';
+
+/**
+ * A piece of text in an exported image
+ * @typedef {Object} ExportText
+ * @property {string} text
+ * @property {number} x
+ * @property {number} y - The baseline
+ * @property {string} anchor - 'start', 'middle' or 'end', as in SVG
+ * @property {boolean} vertical - Whether the text runs up, rotated about (x, y)
+ */
+
+/**
+ * A legend entry in an exported image
+ * @typedef {Object} ExportLegendEntry
+ * @property {string} color - CSS hex color of the swatch
+ * @property {string} text
+ * @property {number} x - The left of the swatch
+ * @property {number} y - The top of the swatch
+ */
+
+/**
+ * Where everything goes in an exported image
+ * @typedef {Object} ExportLayout
+ * @property {number} width - The size of the whole image
+ * @property {number} height
+ * @property {Array<number>} imageOrigin - [x, y] of the top left of the rendered view
+ * @property {number} fontSize
+ * @property {Array<ExportText>} texts - Axis labels, and any legend summary
+ * @property {Array<ExportLegendEntry>} legend
+ */
+
+/**
+ * Lay out an exported image: the rendered view with its axis labels, and an
+ * optional legend to the right
+ * @param {number} imageWidth - The size of the rendered view
+ * @param {number} imageHeight
+ * @param {Array<AxisLabel>} labels - From getAxisLabels
+ * @param {Array<NamedColor>|null} legendColors - The colors to list, or null
+ *   for no legend
+ * @returns {ExportLayout}
+ */
+export function layoutExport(imageWidth, imageHeight, labels, legendColors) {
+  const fontSize = Math.max(imageWidth, imageHeight) / CANVAS_PIXELS_PER_FONT_PIXEL;
+  const margin = MARGIN * fontSize;
+  const [originX, originY] = [margin, margin];
+
+  const texts = labels.map(label => {
+    const x = originX + label.position[0] * imageWidth;
+    const y = originY + label.position[1] * imageHeight;
+    // Baselines are offset to roughly center text vertically on a point
+    const centerBaseline = 0.35 * fontSize;
+    switch (label.axis) {
+      case 'x':
+        return label.isTitle
+          ? { text: label.text, x, y: y + 3.2 * fontSize, anchor: 'middle', vertical: false }
+          : { text: label.text, x, y: y + 1.4 * fontSize, anchor: 'middle', vertical: false };
+      case 'y':
+        return label.isTitle
+          ? { text: label.text, x: x - 4.4 * fontSize, y, anchor: 'middle', vertical: true }
+          : { text: label.text, x: x - 0.6 * fontSize, y: y + centerBaseline, anchor: 'end', vertical: false };
+      default:
+        // Polar ticks are centered on their point, and the title starts there
+        return {
+          text: label.text,
+          x: label.isTitle ? x - fontSize : x,
+          y: y + centerBaseline,
+          anchor: label.isTitle ? 'start' : 'middle',
+          vertical: false,
+        };
+    }
+  });
+
+  let width = imageWidth + 2 * margin;
+  const height = imageHeight + 2 * margin;
+  const legend = [];
+  if (legendColors) {
+    const rowHeight = LEGEND_ROW_HEIGHT * fontSize;
+    const rowsPerColumn = Math.max(1, Math.floor(imageHeight / rowHeight));
+    const shownCount = legendColors.length > MAX_LEGEND_ENTRIES
+      ? MAX_LEGEND_ENTRIES - 1 : legendColors.length;
+    const entryCount = legendColors.length > shownCount ? shownCount + 1 : shownCount;
+    const columns = Math.max(1, Math.ceil(entryCount / rowsPerColumn));
+    const legendX = width - margin / 2;
+
+    const entryPosition = i => [
+      legendX + Math.floor(i / rowsPerColumn) * LEGEND_COLUMN_WIDTH * fontSize,
+      originY + (i % rowsPerColumn) * rowHeight,
+    ];
+    legendColors.slice(0, shownCount).forEach((color, i) => {
+      const [x, y] = entryPosition(i);
+      legend.push({ color: rgbToHex(color.rgbColor), text: color.name, x, y });
+    });
+    if (entryCount > shownCount) {
+      const [x, y] = entryPosition(shownCount);
+      texts.push({
+        text: `+${legendColors.length - shownCount} more`,
+        x, y: y + fontSize, anchor: 'start', vertical: false,
+      });
+    }
+
+    width += columns * LEGEND_COLUMN_WIDTH * fontSize;
+  }
+
+  return { width, height, imageOrigin: [originX, originY], fontSize, texts, legend };
+}
+
+/**
+ * Get the palette colors which have a region in a rendered image, in
+ * palette order
+ * @param {Int32Array} paletteIndices - The palette index of each pixel
+ * @param {Array<NamedColor>} paletteColors
+ * @returns {Array<NamedColor>}
+ */
+export function visiblePaletteColors(paletteIndices, paletteColors) {
+  const visible = new Uint8Array(paletteColors.length);
+  for (const index of paletteIndices) {
+    if (index >= 0 && index < visible.length) visible[index] = 1;
+  }
+  return paletteColors.filter((_, i) => visible[i]);
+}
+
+/**
+ * Trace the outlines of the palette regions in a rendered image. Each
+ * region's outline is a set of closed loops along pixel edges, which fill
+ * the region with the even-odd rule. Outer loops run clockwise on screen
+ * and holes run anticlockwise.
+ * @param {Int32Array} paletteIndices - The palette index of each pixel, row
+ *   by row from the top. Negative indices are not traced.
+ * @param {number} width
+ * @param {number} height
+ * @returns {Map<number, Array<Array<Array<number>>>>} The loops of [x, y]
+ *   corners for each palette index, with straight runs merged
+ */
+export function traceRegions(paletteIndices, width, height) {
+  const vertex = (x, y) => y * (width + 1) + x;
+  const indexAt = (x, y) => (x < 0 || y < 0 || x >= width || y >= height)
+    ? -1 : paletteIndices[y * width + x];
+
+  // Collect the edges between each region and anything else, keyed by their
+  // start vertex
+  const edgesByIndex = new Map();
+  const addEdge = (index, from, to) => {
+    if (!edgesByIndex.has(index)) edgesByIndex.set(index, new Map());
+    const edges = edgesByIndex.get(index);
+    if (edges.has(from)) {
+      edges.get(from).push(to);
+    } else {
+      edges.set(from, [to]);
+    }
+  };
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const index = paletteIndices[y * width + x];
+      if (index < 0) continue;
+      if (indexAt(x, y - 1) !== index) addEdge(index, vertex(x, y), vertex(x + 1, y));
+      if (indexAt(x + 1, y) !== index) addEdge(index, vertex(x + 1, y), vertex(x + 1, y + 1));
+      if (indexAt(x, y + 1) !== index) addEdge(index, vertex(x + 1, y + 1), vertex(x, y + 1));
+      if (indexAt(x - 1, y) !== index) addEdge(index, vertex(x, y + 1), vertex(x, y));
+    }
+  }
+
+  // Every vertex has as many edges in as out, so following unused edges
+  // always leads back to the start
+  const toPoint = v => [v % (width + 1), Math.floor(v / (width + 1))];
+  const regions = new Map();
+  for (const [index, edges] of edgesByIndex) {
+    const loops = [];
+    for (const start of edges.keys()) {
+      while (edges.has(start)) {
+        const loop = [];
+        let current = start;
+        do {
+          const ends = edges.get(current);
+          const next = ends.pop();
+          if (!ends.length) edges.delete(current);
+          loop.push(toPoint(current));
+          current = next;
+        } while (current !== start);
+        loops.push(mergeStraightRuns(loop));
+      }
+    }
+    regions.set(index, loops);
+  }
+  return regions;
+}
+
+/**
+ * Remove the corners of a loop which are in the middle of a straight run
+ * @param {Array<Array<number>>} loop - [x, y] corners, joined by horizontal
+ *   and vertical edges
+ * @returns {Array<Array<number>>}
+ */
+function mergeStraightRuns(loop) {
+  return loop.filter((point, i) => {
+    const previous = loop[(i + loop.length - 1) % loop.length];
+    const next = loop[(i + 1) % loop.length];
+    const horizontal = previous[1] === point[1] && point[1] === next[1];
+    const vertical = previous[0] === point[0] && point[0] === next[0];
+    return !horizontal && !vertical;
+  });
+}
+
+/**
+ * Convert traced loops to SVG path data
+ * @param {Array<Array<Array<number>>>} loops - From traceRegions
+ * @returns {string}
+ */
+export function loopsToPathData(loops) {
+  return loops.map(loop => {
+    let data = `M${loop[0][0]} ${loop[0][1]}`;
+    for (let i = 1; i < loop.length; i++) {
+      // Edges are horizontal or vertical, so only one coordinate changes
+      data += loop[i][1] === loop[i - 1][1] ? `H${loop[i][0]}` : `V${loop[i][1]}`;
+    }
+    return `${data}Z`;
+  }).join('');
+}
+
+/**
+ * Escape text for XML content and attributes
+ * @param {string} text
+ * @returns {string}
+ */
+function escapeXml(text) {
+  return text.replace(/[<>&"']/g, c => ({
+    '<': '&lt;', '>': '&gt;', '&': '&amp;', '"': '&quot;', "'": '&apos;',
+  })[c]);
+}
+
+/**
+ * Round a coordinate for SVG output
+ * @param {number} value
+ * @returns {number}
+ */
+function round(value) {
+  return Math.round(value * 100) / 100;
+}
+
+/**
+ * Build an SVG of the palette regions, traced as vector shapes, with the
+ * axis labels and legend
+ * @param {ExportLayout} layout - From layoutExport
+ * @param {Map<number, Array<Array<Array<number>>>>} regions - From traceRegions
+ * @param {Array<NamedColor>} paletteColors - The colors of the traced indices
+ * @returns {string} The SVG document
+ */
+export function buildSvg(layout, regions, paletteColors) {
+  const { fontSize } = layout;
+  const [originX, originY] = layout.imageOrigin;
+  const lines = [
+    `<svg xmlns="http://www.w3.org/2000/svg" width="${round(layout.width)}" height="${round(layout.height)}" ` +
+    `viewBox="0 0 ${round(layout.width)} ${round(layout.height)}">`,
+    `<rect width="100%" height="100%" fill="${BACKGROUND_COLOR}"/>`,
+    `<g transform="translate(${round(originX)} ${round(originY)})" fill-rule="evenodd">`,
+  ];
+
+  // Regions in palette order, so the output is stable
+  const indices = [...regions.keys()].sort((a, b) => a - b);
+  for (const index of indices) {
+    const color = paletteColors[index];
+    lines.push(
+      `<path fill="${rgbToHex(color.rgbColor)}" d="${loopsToPathData(regions.get(index))}">` +
+      `<title>${escapeXml(color.name)}</title></path>`);
+  }
+  lines.push('</g>');
+
+  lines.push(
+    `<g font-family="${FONT_FAMILY}" font-size="${round(fontSize)}" fill="${TEXT_COLOR}">`);
+  for (const text of layout.texts) {
+    const [x, y] = [round(text.x), round(text.y)];
+    const rotation = text.vertical ? ` transform="rotate(-90 ${x} ${y})"` : '';
+    lines.push(
+      `<text x="${x}" y="${y}" text-anchor="${text.anchor}"${rotation}>${escapeXml(text.text)}</text>`);
+  }
+  const swatchSize = round(LEGEND_SWATCH_SIZE * fontSize);
+  for (const entry of layout.legend) {
+    lines.push(
+      `<rect x="${round(entry.x)}" y="${round(entry.y)}" width="${swatchSize}" height="${swatchSize}" ` +
+      `fill="${entry.color}" stroke="${TEXT_COLOR}" stroke-width="${round(fontSize / 20)}"/>`);
+    lines.push(
+      `<text x="${round(entry.x + 1.6 * fontSize)}" y="${round(entry.y + fontSize)}">` +
+      `${escapeXml(entry.text)}</text>`);
+  }
+  lines.push('</g>', '</svg>');
+  return lines.join('\n');
+}
+
+/**
+ * Draw an exported image onto a 2D canvas, which must already be the
+ * layout's size
+ * @param {CanvasRenderingContext2D} context
+ * @param {ExportLayout} layout - From layoutExport
+ * @param {ImageData} imageData - The rendered view
+ */
+export function drawExport(context, layout, imageData) {
+  const { fontSize } = layout;
+  const [originX, originY] = layout.imageOrigin;
+
+  context.fillStyle = BACKGROUND_COLOR;
+  context.fillRect(0, 0, layout.width, layout.height);
+
+  // Draw the view over the background, so that transparent areas are blank
+  const viewCanvas = new OffscreenCanvas(imageData.width, imageData.height);
+  viewCanvas.getContext('2d').putImageData(imageData, 0, 0);
+  context.drawImage(viewCanvas, originX, originY);
+
+  context.fillStyle = TEXT_COLOR;
+  context.font = `${fontSize}px ${FONT_FAMILY}`;
+  context.textBaseline = 'alphabetic';
+  const alignments = { start: 'left', middle: 'center', end: 'right' };
+  for (const text of layout.texts) {
+    context.save();
+    context.translate(text.x, text.y);
+    if (text.vertical) context.rotate(-Math.PI / 2);
+    context.textAlign = alignments[text.anchor];
+    context.fillText(text.text, 0, 0);
+    context.restore();
+  }
+
+  const swatchSize = LEGEND_SWATCH_SIZE * fontSize;
+  context.textAlign = 'left';
+  context.strokeStyle = TEXT_COLOR;
+  context.lineWidth = fontSize / 20;
+  for (const entry of layout.legend) {
+    context.fillStyle = entry.color;
+    context.fillRect(entry.x, entry.y, swatchSize, swatchSize);
+    context.strokeRect(entry.x, entry.y, swatchSize, swatchSize);
+    context.fillStyle = TEXT_COLOR;
+    context.fillText(entry.text, entry.x + 1.6 * fontSize, entry.y + fontSize);
+  }
+}
+
+/**
+ * Get the file name for an exported image
+ * @param {ColorSpaceConfig} colorSpaceConfig
+ * @param {string} format - 'png' or 'svg'
+ * @returns {string}
+ */
+export function exportFilename(colorSpaceConfig, format) {
+  const view = colorSpaceConfig.render3d ? '3d' : '2d';
+  return `${colorSpaceConfig.colorSpace.getType().toLowerCase()}-${view}.${format}`;
+}
@@ -0,0 +1,88 @@
+import { getAxisLabels } from './axisLabels.js';
+import { clearElement, createElement, downloadFile } from './utils.js';
+import {
+  EXPORT_SIZES,
+  buildSvg,
+  drawExport,
+  exportFilename,
+  layoutExport,
+  traceRegions,
+  visiblePaletteColors,
+} from './imageExport.js';
+
+/**
+ * Exports the current view as a PNG, or as an SVG with the palette regions
+ * traced as vector shapes. Either can include a legend of the palette colors
+ * in view.
+ */
+export class ImageExportPanel {
+  /**
+   * @param {HTMLElement} container - The element containing the export controls
+   * @param {CanvasRenderer} renderer - Renders the view at the export size
+   * @param {function(): ColorSpaceConfig} getColorSpaceConfig - Gets the
+   *   config of the current view, for its axis labels and file name
+   * @param {function(): ZoomWindow} getZoomWindow - Gets the zoom of the
+   *   current view, for its axis labels
+   */
+  constructor(container, renderer, getColorSpaceConfig, getZoomWindow) {
+    this._renderer = renderer;
+    this._getColorSpaceConfig = getColorSpaceConfig;
+    this._getZoomWindow = getZoomWindow;
+
+    this._sizeDropdown = container.querySelector('.export-size-dropdown');
+    for (const size of EXPORT_SIZES) {
+      const option = createElement('option', `${size}px`);
+      option.value = size;
+      this._sizeDropdown.appendChild(option);
+    }
+    this._formatDropdown = container.querySelector('.export-format-dropdown');
+    this._legendToggle = container.querySelector('.export-legend-toggle');
+    this._message = container.querySelector('.export-message');
+
+    container.querySelector('.export-image-btn').addEventListener(
+      'click', () => this._export());
+  }
+
+  /**
+   * Render the view at the chosen size and download it in the chosen format
+   */
+  async _export() {
+    const size = Number(this._sizeDropdown.value);
+    const format = this._formatDropdown.value;
+    const config = this._getColorSpaceConfig();
+
+    try {
+      const image = this._renderer.renderImage(size, size);
+      const legendColors = this._legendToggle.checked
+        ? visiblePaletteColors(image.paletteIndices, image.paletteColors)
+        : null;
+      const layout = layoutExport(
+        size, size, getAxisLabels(config, this._getZoomWindow()), legendColors);
+      const filename = exportFilename(config, format);
+
+      if (format === 'svg') {
+        const regions = traceRegions(image.paletteIndices, size, size);
+        downloadFile(filename, buildSvg(layout, regions, image.paletteColors), 'image/svg+xml');
+      } else {
+        const canvas = new OffscreenCanvas(Math.ceil(layout.width), Math.ceil(layout.height));
+        const imageData = new ImageData(new Uint8ClampedArray(image.pixels.buffer), size, size);
+        drawExport(canvas.getContext('2d'), layout, imageData);
+        downloadFile(filename, await canvas.convertToBlob({ type: 'image/png' }));
+      }
+      this._showMessage(`Exported ${filename}`);
+    } catch (e) {
+      this._showMessage(`Could not export: ${e.message}`, true);
+    }
+  }
+
+  /**
+   * Show the result of an export
+   * @param {string} text
+   * @param {boolean} isWarning
+   */
+  _showMessage(text, isWarning = false) {
+    clearElement(this._message);
+    this._message.classList.toggle('warning', isWarning);
+    this._message.appendChild(createElement('div', text));
+  }
+}
@@ -1,4 +1,4 @@
-import { RgbColor } from './colorSpace.js';
+import { hexToRgb } from './colorUtils.js';
 
 /**
  * Represents a single color in the palette
@@ -28,18 +28,6 @@ export function getPreset(presetName) {
   return ColorPresets[presetName] || [];
 }
 
-/**
- * Convert hex color string to RgbColor instance
- * @param {string} hex - Hex color string (e.g., '#FF0000')
- * @returns {RgbColor} RGB color instance
- */
-function hexToRgb(hex) {
-  const r = parseInt(hex.slice(1, 3), 16) / 255;
-  const g = parseInt(hex.slice(3, 5), 16) / 255;
-  const b = parseInt(hex.slice(5, 7), 16) / 255;
-  return new RgbColor(r, g, b);
-}
-
 /**
  * Predefined color palette presets
  */
@@ -0,0 +1,297 @@
+import { RgbColor } from './colorSpace.js';
+import { getPreset } from './namedColor.js';
+import {
+  rgbToXyz, xyzToMetricSpace, metricSpaceDistance, colorCoordToColor,
+  findClosestPaletteIndex, simulateCvdXyz
+} from './colorMath.js';
+import { PaletteMatcher } from './paletteGrid.js';
+
+// Default number of entries in each list
+export const DEFAULT_RESULT_COUNT = 5;
+
+// Pairwise analysis compares every pair of colors, so it is limited to
+// palettes of this size
+export const MAX_PAIRWISE_COLORS = 1024;
+
+// Samples per axis when searching the color volume for gaps
+export const GAP_SAMPLES_PER_AXIS = 16;
+
+// Suggested colors are named after the closest of these
+const NAMING_PRESET = 'CSS Colors';
+
+/**
+ * @typedef {Object} ColorPair
+ * @property {NamedColor} color1
+ * @property {NamedColor} color2 - The later of the two colors in the palette
+ * @property {number} distance - The distance between them
+ */
+
+/**
+ * @typedef {Object} IsolatedColor
+ * @property {NamedColor} color
+ * @property {number} distance - The distance to the closest other color
+ */
+
+/**
+ * @typedef {Object} CoverageGap
+ * @property {number} share - The fraction of the color volume the gap covers
+ * @property {RgbColor} rgbColor - A suggested color to fill the gap, at its center
+ * @property {NamedColor} nameColor - The named color closest to the suggestion
+ */
+
+/**
+ * Find the most confusable pairs of colors and the most isolated colors.
+ * As CIE94 is not symmetric, the smaller distance of the two directions is
+ * used for a pair.
+ * @param {Array<NamedColor>} colors - The palette colors, at most MAX_PAIRWISE_COLORS
+ * @param {string} metricId - One of DISTANCE_METRIC_IDS
+ * @param {number} [count=DEFAULT_RESULT_COUNT] - The number of each to find
+ * @returns {{closestPairs: Array<ColorPair>, isolatedColors: Array<IsolatedColor>}}
+ *   The closest pairs from closest, and the isolated colors from most isolated
+ */
+export function analyzeColorPairs(colors, metricId, count = DEFAULT_RESULT_COUNT) {
+  if (colors.length > MAX_PAIRWISE_COLORS) {
+    throw new Error(`Pairwise analysis is limited to ${MAX_PAIRWISE_COLORS} colors`);
+  }
+
+  const coords = colors.map(
+    color => xyzToMetricSpace(metricId, rgbToXyz([...color.rgbColor])));
+  const nearestDistances = new Array(colors.length).fill(Infinity);
+  const pairs = [];
+
+  for (let i = 0; i < colors.length; i++) {
+    for (let j = i + 1; j < colors.length; j++) {
+      const distance = Math.min(
+        metricSpaceDistance(metricId, coords[i], coords[j]),
+        metricSpaceDistance(metricId, coords[j], coords[i]));
+      pairs.push({ color1: colors[i], color2: colors[j], distance });
+      nearestDistances[i] = Math.min(nearestDistances[i], distance);
+      nearestDistances[j] = Math.min(nearestDistances[j], distance);
+    }
+  }
+
+  // Sorts are stable, so ties stay in palette order
+  pairs.sort((a, b) => a.distance - b.distance);
+  const isolatedColors = nearestDistances
+    .map((distance, i) => ({ color: colors[i], distance }))
+    .filter(({ distance }) => Number.isFinite(distance))
+    .sort((a, b) => b.distance - a.distance);
+
+  return {
+    closestPairs: pairs.slice(0, count),
+    isolatedColors: isolatedColors.slice(0, count),
+  };
+}
+
+/**
+ * Find the largest regions of the color volume which no palette color covers
+ * within the threshold, and suggest a color for the center of each.
+ *
+ * The volume is sampled uniformly in the color space's own coordinates, and
+ * uncovered samples are grouped with their neighbors into gaps. Hue axes
+ * wrap around. Only colors inside sRGB are considered, as palette colors
+ * can't be outside it. Like the renderer, a color vision deficiency is
+ * simulated on the samples and palette colors before matching if the config
+ * asks for it.
+ * @param {ColorSpaceConfig} colorSpaceConfig - Provides the color space,
+ *   metric, threshold and color vision deficiency simulation
+ * @param {Array<NamedColor>} colors - The palette colors
+ * @param {number} [count=DEFAULT_RESULT_COUNT] - The number of gaps to find
+ * @param {number} [samplesPerAxis=GAP_SAMPLES_PER_AXIS]
+ * @returns {Array<CoverageGap>} The gaps, from largest
+ */
+export function findCoverageGaps(
+  colorSpaceConfig, colors, count = DEFAULT_RESULT_COUNT, samplesPerAxis = GAP_SAMPLES_PER_AXIS) {
+  const { colorSpace } = colorSpaceConfig;
+  const metricId = colorSpaceConfig.distanceMetric.id;
+  const cvdType = colorSpaceConfig.simulateCvdMatching ? colorSpaceConfig.cvdType : 'none';
+  const toMetricSpace = xyz => xyzToMetricSpace(
+    metricId, simulateCvdXyz(cvdType, colorSpaceConfig.cvdSeverity, xyz));
+  const matcher = new PaletteMatcher(
+    colors.map(color => toMetricSpace(rgbToXyz([...color.rgbColor]))),
+    metricId,
+    colorSpaceConfig.distanceThreshold);
+
+  const n = matcher.samplesPerAxis(samplesPerAxis, 3);
+  const wraps = colorSpace.getAllAxes().map(axis => axis.unit === '°');
+  const samples = sampleCoverage(colorSpace.getType(), matcher, toMetricSpace, n);
+  const sampleCount = samples.filter(sample => sample.state !== SAMPLE_IGNORED).length;
+  const depths = coveredDistances(samples, n, wraps);
+
+  const gaps = [];
+  const visited = new Uint8Array(samples.length);
+  samples.forEach((sample, start) => {
+    if (sample.state !== SAMPLE_GAP || visited[start]) return;
+
+    // Collect the gap's samples, and find its deepest sample
+    const queue = [start];
+    visited[start] = 1;
+    const members = [];
+    while (queue.length) {
+      const index = queue.pop();
+      members.push(index);
+      for (const neighbor of neighborIndices(index, n, wraps)) {
+        if (!visited[neighbor] && samples[neighbor].state === SAMPLE_GAP) {
+          visited[neighbor] = 1;
+          queue.push(neighbor);
+        }
+      }
+    }
+
+    gaps.push({
+      share: members.length / sampleCount,
+      rgbColor: samples[deepestSample(members, depths, n)].rgbColor,
+    });
+  });
+
+  gaps.sort((a, b) => b.share - a.share);
+  return gaps.slice(0, count).map(gap => ({ ...gap, nameColor: closestNamedColor(gap.rgbColor) }));
+}
+
+// Sample states for findCoverageGaps
+const SAMPLE_IGNORED = 0; // Outside the color space or sRGB
+const SAMPLE_COVERED = 1;
+const SAMPLE_GAP = 2;
+
+/**
+ * Sample the color volume on a regular grid, ordered by x, then y, then z
+ * @param {string} colorSpaceType - One of COLOR_SPACE_TYPES
+ * @param {PaletteMatcher} matcher
+ * @param {function(Array<number>): Array<number>} toMetricSpace - Converts
+ *   an XYZ color to the space it is matched in
+ * @param {number} n - Samples per axis
+ * @returns {Array<{state: number, rgbColor: RgbColor|null}>}
+ */
+function sampleCoverage(colorSpaceType, matcher, toMetricSpace, n) {
+  const samples = [];
+  for (let z = 0; z < n; z++) {
+    for (let y = 0; y < n; y++) {
+      for (let x = 0; x < n; x++) {
+        const color = colorCoordToColor(
+          colorSpaceType, [(x + 0.5) / n, (y + 0.5) / n, (z + 0.5) / n]);
+        if (!color || !color.inSrgbGamut) {
+          samples.push({ state: SAMPLE_IGNORED, rgbColor: null });
+          continue;
+        }
+        const index = matcher.findClosest(toMetricSpace(color.xyz));
+        samples.push({
+          state: index >= 0 ? SAMPLE_COVERED : SAMPLE_GAP,
+          // Rounded to 8 bits per channel, like colors in the editor
+          rgbColor: new RgbColor(...color.rgb.map(c => Math.round(c * 255) / 255)),
+        });
+      }
+    }
+  }
+  return samples;
+}
+
+/**
+ * Get the number of steps from each sample to the closest covered sample
+ * @param {Array<{state: number}>} samples
+ * @param {number} n - Samples per axis
+ * @param {Array<boolean>} wraps - Whether each axis wraps around
+ * @returns {Array<number>} Steps per sample, or Infinity if nothing is covered
+ */
+function coveredDistances(samples, n, wraps) {
+  const distances = new Array(samples.length).fill(Infinity);
+  let frontier = [];
+  samples.forEach((sample, i) => {
+    if (sample.state === SAMPLE_COVERED) {
+      distances[i] = 0;
+      frontier.push(i);
+    }
+  });
+
+  // Breadth first search from every covered sample at once
+  for (let steps = 1; frontier.length; steps++) {
+    const next = [];
+    for (const index of frontier) {
+      for (const neighbor of neighborIndices(index, n, wraps)) {
+        if (distances[neighbor] === Infinity) {
+          distances[neighbor] = steps;
+          next.push(neighbor);
+        }
+      }
+    }
+    frontier = next;
+  }
+  return distances;
+}
+
+/**
+ * Find the sample of a gap furthest from any covered sample. Ties go to the
+ * sample closest to the middle of the gap.
+ * @param {Array<number>} members - The gap's sample indices
+ * @param {Array<number>} depths - Steps from each sample to a covered sample
+ * @param {number} n - Samples per axis
+ * @returns {number} The index of the deepest sample
+ */
+function deepestSample(members, depths, n) {
+  const positions = members.map(index => samplePosition(index, n));
+  const center = [0, 1, 2].map(
+    axis => positions.reduce((sum, p) => sum + p[axis], 0) / positions.length);
+  const centerDistance = p => Math.hypot(p[0] - center[0], p[1] - center[1], p[2] - center[2]);
+
+  let best = 0;
+  for (let i = 1; i < members.length; i++) {
+    const depth = depths[members[i]];
+    const bestDepth = depths[members[best]];
+    if (depth > bestDepth ||
+        (depth === bestDepth && centerDistance(positions[i]) < centerDistance(positions[best]))) {
+      best = i;
+    }
+  }
+  return members[best];
+}
+
+/**
+ * Get the grid position of a sample
+ * @param {number} index - The sample index
+ * @param {number} n - Samples per axis
+ * @returns {Array<number>} [x, y, z]
+ */
+function samplePosition(index, n) {
+  return [index % n, Math.floor(index / n) % n, Math.floor(index / (n * n))];
+}
+
+/**
+ * Get the indices of the samples next to a sample along each axis
+ * @param {number} index - The sample index
+ * @param {number} n - Samples per axis
+ * @param {Array<boolean>} wraps - Whether each axis wraps around
+ * @returns {Array<number>}
+ */
+function neighborIndices(index, n, wraps) {
+  const position = samplePosition(index, n);
+  const strides = [1, n, n * n];
+  const neighbors = [];
+  for (let axis = 0; axis < 3; axis++) {
+    for (const step of [-1, 1]) {
+      let value = position[axis] + step;
+      if (value < 0 || value >= n) {
+        if (!wraps[axis]) continue;
+        value = (value + n) % n;
+      }
+      neighbors.push(index + (value - position[axis]) * strides[axis]);
+    }
+  }
+  return neighbors;
+}
+
+let namingColors = null;
+let namingXyz = null;
+
+/**
+ * Find the named color closest to a color, for naming suggestions
+ * @param {RgbColor} rgbColor
+ * @returns {NamedColor}
+ */
+function closestNamedColor(rgbColor) {
+  if (!namingColors) {
+    namingColors = getPreset(NAMING_PRESET);
+    namingXyz = namingColors.map(color => rgbToXyz([...color.rgbColor]));
+  }
+  const index = findClosestPaletteIndex(
+    rgbToXyz([...rgbColor]), namingXyz, 'de2000', Infinity);
+  return namingColors[index];
+}
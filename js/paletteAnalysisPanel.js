@@ -0,0 +1,195 @@
+import { rgbToCssString, rgbToHex } from './colorUtils.js';
+import { clearElement, createElement, keyMatches } from './utils.js';
+import { analyzeColorPairs, findCoverageGaps, MAX_PAIRWISE_COLORS } from './paletteAnalysis.js';
+
+/**
+ * Create a small swatch for a color
+ * @param {RgbColor} rgbColor
+ * @returns {HTMLElement}
+ */
+function makeSwatch(rgbColor) {
+  const swatch = createElement('span');
+  swatch.className = 'stats-swatch';
+  swatch.style.backgroundColor = rgbToCssString(rgbColor);
+  return swatch;
+}
+
+/**
+ * Shows how well the palette covers the color space under the current
+ * metric: the most confusable pairs, the most isolated colors, and the
+ * largest gaps, with a suggested color for each gap. The analysis is only
+ * computed while the panel is open.
+ */
+export class PaletteAnalysisPanel {
+  /**
+   * @param {HTMLElement} container - The palette analysis section element
+   * @param {ColorPalette} colorPalette - The palette which gap colors are added to
+   */
+  constructor(container, colorPalette) {
+    this._container = container;
+    this._colorPalette = colorPalette;
+    this._config = null;
+    this._paletteColors = [];
+    // The inputs and results of the last computations, to skip recomputing
+    this._pairs = { key: null, result: null };
+    this._gaps = { key: null, result: null };
+
+    clearElement(container);
+    this._details = createElement('details');
+    const summary = createElement('summary');
+    summary.appendChild(createElement('h2', 'Palette Analysis'));
+    this._details.appendChild(summary);
+
+    this._body = createElement('div');
+    this._details.appendChild(this._body);
+    container.appendChild(this._details);
+
+    this._details.addEventListener('toggle', () => this._refresh());
+  }
+
+  /**
+   * Update the analysis for the current palette and metric
+   * @param {ColorSpaceConfig} colorSpaceConfig
+   * @param {Array<NamedColor>} paletteColors
+   */
+  update(colorSpaceConfig, paletteColors) {
+    this._config = colorSpaceConfig;
+    this._paletteColors = [...paletteColors];
+    this._refresh();
+  }
+
+  /**
+   * Recompute any out of date results and redraw the panel
+   */
+  _refresh() {
+    if (!this._details.open || !this._config) return;
+    const config = this._config;
+    const colors = this._paletteColors;
+
+    const pairsKey = [config.distanceMetric, ...colors];
+    if (!keyMatches(this._pairs.key, pairsKey)) {
+      const result = colors.length <= MAX_PAIRWISE_COLORS
+        ? analyzeColorPairs(colors, config.distanceMetric.id)
+        : null;
+      this._pairs = { key: pairsKey, result };
+    }
+
+    const gapsKey = [
+      config.colorSpace, config.distanceThreshold,
+      config.cvdType, config.cvdSeverity, config.simulateCvdMatching, ...pairsKey];
+    if (!keyMatches(this._gaps.key, gapsKey)) {
+      this._gaps = { key: gapsKey, result: findCoverageGaps(config, colors) };
+    }
+
+    this._render();
+  }
+
+  /**
+   * Redraw the panel from the last computed results
+   */
+  _render() {
+    clearElement(this._body);
+    const metric = this._config.distanceMetric;
+    const formatDistance = distance => metric.thresholdToString(distance);
+    const pairs = this._pairs.result;
+
+    this._body.appendChild(createElement('h3', 'Most Confusable Pairs'));
+    if (!pairs) {
+      this._appendMessage(`Only analyzed for palettes of up to ${MAX_PAIRWISE_COLORS} colors`);
+    } else if (!pairs.closestPairs.length) {
+      this._appendMessage('Needs at least two colors');
+    } else {
+      const table = this._makeTable(['Colors', 'Distance'], metric.displayName);
+      for (const { color1, color2, distance } of pairs.closestPairs) {
+        table.appendChild(this._makeRow(
+          [makeSwatch(color1.rgbColor), makeSwatch(color2.rgbColor),
+            createElement('span', `${color1.name} / ${color2.name}`)],
+          formatDistance(distance)));
+      }
+      this._body.appendChild(table);
+    }
+
+    this._body.appendChild(createElement('h3', 'Most Isolated Colors'));
+    if (pairs?.isolatedColors.length) {
+      const table = this._makeTable(['Color', 'Nearest'], metric.displayName);
+      for (const { color, distance } of pairs.isolatedColors) {
+        table.appendChild(this._makeRow(
+          [makeSwatch(color.rgbColor), createElement('span', color.name)],
+          formatDistance(distance)));
+      }
+      this._body.appendChild(table);
+    } else if (pairs) {
+      this._appendMessage('Needs at least two colors');
+    }
+
+    this._body.appendChild(createElement('h3', 'Coverage Gaps'));
+    const gaps = this._gaps.result;
+    if (!gaps.length) {
+      this._appendMessage('Every color is within the threshold of a palette color');
+      return;
+    }
+    const table = this._makeTable(['Suggested color', 'Volume', ''], 'Share of the color volume');
+    for (const gap of gaps) {
+      const row = this._makeRow(
+        [makeSwatch(gap.rgbColor),
+          createElement('span', `${gap.nameColor.name} ${rgbToHex(gap.rgbColor)}`)],
+        `${(gap.share * 100).toFixed(1)}%`);
+
+      const addCell = createElement('td');
+      const addButton = createElement('button', '+');
+      addButton.className = 'stats-add-btn';
+      addButton.title = 'Add to the palette';
+      addButton.addEventListener('click', () => {
+        this._colorPalette.addColor(gap.rgbColor, gap.nameColor);
+      });
+      addCell.appendChild(addButton);
+      row.appendChild(addCell);
+      table.appendChild(row);
+    }
+    this._body.appendChild(table);
+  }
+
+  /**
+   * Add a note in place of a table
+   * @param {string} text
+   */
+  _appendMessage(text) {
+    const message = createElement('div', text);
+    message.className = 'stats-message';
+    this._body.appendChild(message);
+  }
+
+  /**
+   * Make a table with a header row
+   * @param {Array<string>} headings - The column headings
+   * @param {string} valueTitle - Tooltip for the value column
+   * @returns {HTMLElement}
+   */
+  _makeTable(headings, valueTitle) {
+    const table = createElement('table');
+    table.className = 'stats-table';
+    const header = createElement('tr');
+    headings.forEach((heading, i) => {
+      const cell = createElement('th', heading);
+      if (i === 1) cell.title = valueTitle;
+      header.appendChild(cell);
+    });
+    table.appendChild(header);
+    return table;
+  }
+
+  /**
+   * Make a table row with a label cell and a value cell
+   * @param {Array<HTMLElement>} labelParts - The contents of the label cell
+   * @param {string} value
+   * @returns {HTMLElement}
+   */
+  _makeRow(labelParts, value) {
+    const row = createElement('tr');
+    const labelCell = createElement('td');
+    labelParts.forEach(part => labelCell.appendChild(part));
+    row.appendChild(labelCell);
+    row.appendChild(createElement('td', value));
+    return row;
+  }
+}
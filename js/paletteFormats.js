@@ -0,0 +1,426 @@
+import { RgbColor } from './colorSpace.js';
+import { hexToRgb, rgbToHex } from './colorUtils.js';
+import { NamedColor } from './namedColor.js';
+
+/**
+ * Palette file parsing and formatting
+ *
+ * Every parser returns an object with:
+ *   colors: Array<NamedColor> - The valid colors, in file order
+ *   skipped: Array<string> - A description of each entry which was skipped
+ * Errors which prevent the whole file from being read are thrown.
+ */
+
+/**
+ * Supported palette file formats, keyed by format id
+ */
+const PALETTE_FORMATS = Object.freeze({
+  gpl: { displayName: 'GIMP (.gpl)', extension: 'gpl', mimeType: 'text/plain', binary: false, importable: true },
+  ase: { displayName: 'Adobe (.ase)', extension: 'ase', mimeType: 'application/octet-stream', binary: true, importable: true },
+  json: { displayName: 'JSON', extension: 'json', mimeType: 'application/json', binary: false, importable: true },
+  css: { displayName: 'CSS variables', extension: 'css', mimeType: 'text/css', binary: false, importable: true },
+  scss: { displayName: 'SCSS variables', extension: 'scss', mimeType: 'text/x-scss', binary: false, importable: false },
+  tailwind: { displayName: 'Tailwind colors', extension: 'js', mimeType: 'text/javascript', binary: false, importable: false },
+});
+
+// ASE block type for a color entry
+const ASE_COLOR_ENTRY = 0x0001;
+// ASE color type for a normal (not global or spot) color
+const ASE_NORMAL_COLOR = 2;
+
+/**
+ * Get the file extensions which can be imported
+ * @returns {Array<string>} Extensions including the leading '.'
+ */
+export function getImportExtensions() {
+  return Object.values(PALETTE_FORMATS)
+    .filter(f => f.importable)
+    .map(f => `.${f.extension}`);
+}
+
+/**
+ * Get the formats which palettes can be exported to
+ * @returns {Array<{id: string, displayName: string}>}
+ */
+export function getExportFormats() {
+  return Object.entries(PALETTE_FORMATS).map(
+    ([id, f]) => ({ id, displayName: f.displayName }));
+}
+
+/**
+ * Determine the palette format of a file from its name
+ * @param {string} filename
+ * @returns {string|null} The format id, or null if the extension is unknown
+ */
+export function getFormatForFilename(filename) {
+  const extension = filename.split('.').pop().toLowerCase();
+  return Object.keys(PALETTE_FORMATS).find(
+    id => PALETTE_FORMATS[id].importable &&
+      PALETTE_FORMATS[id].extension === extension) || null;
+}
+
+/**
+ * Whether a format must be read as binary data rather than text
+ * @param {string} formatId
+ * @returns {boolean}
+ */
+export function isBinaryFormat(formatId) {
+  return PALETTE_FORMATS[formatId].binary;
+}
+
+/**
+ * Get the file name and MIME type for an exported palette
+ * @param {string} formatId
+ * @param {string} paletteName
+ * @returns {{filename: string, mimeType: string}}
+ */
+export function getExportFileInfo(formatId, paletteName) {
+  const format = PALETTE_FORMATS[formatId];
+  return {
+    filename: `${toIdentifier(paletteName) || 'palette'}.${format.extension}`,
+    mimeType: format.mimeType,
+  };
+}
+
+/**
+ * Parse palette file contents
+ * @param {string} formatId - One of 'gpl', 'ase', 'json', 'css'
+ * @param {string|ArrayBuffer} data - Text, or an ArrayBuffer for binary formats
+ * @returns {{colors: Array<NamedColor>, skipped: Array<string>}}
+ * @throws {Error} If the file as a whole can't be parsed
+ */
+export function parsePalette(formatId, data) {
+  switch (formatId) {
+    case 'gpl': return parseGpl(data);
+    case 'ase': return parseAse(data);
+    case 'json': return parseJson(data);
+    case 'css': return parseCssVariables(data);
+    default:
+      throw new Error(`Unknown palette format: ${formatId}`);
+  }
+}
+
+/**
+ * Parse a GIMP palette (.gpl)
+ * @param {string} text
+ * @returns {{colors: Array<NamedColor>, skipped: Array<string>}}
+ */
+export function parseGpl(text) {
+  // Reference: https://developer.gimp.org/core/standards/palette/
+  const lines = text.split(/\r?\n/);
+  if (!lines[0]?.trim().startsWith('GIMP Palette')) {
+    throw new Error('Not a GIMP palette: missing "GIMP Palette" header');
+  }
+
+  const colors = [];
+  const skipped = [];
+  for (let i = 1; i < lines.length; i++) {
+    const line = lines[i].trim();
+    // Skip blank lines, comments and header fields.
+    if (!line || line.startsWith('#') || /^(Name|Columns):/i.test(line)) continue;
+
+    const match = line.match(/^(\S+)\s+(\S+)\s+(\S+)\s*(.*)$/);
+    const values = match?.slice(1, 4).map(Number);
+    if (!values || !values.every(v => Number.isInteger(v) && v >= 0 && v <= 255)) {
+      skipped.push(`Line ${i + 1}: invalid color "${line}"`);
+      continue;
+    }
+
+    const rgbColor = new RgbColor(...values.map(v => v / 255));
+    colors.push(new NamedColor(match[4].trim() || rgbToHex(rgbColor), rgbColor));
+  }
+
+  return { colors, skipped };
+}
+
+/**
+ * Parse an Adobe Swatch Exchange file (.ase)
+ * Only RGB and Gray colors are supported, as CMYK and LAB values can't be
+ * converted without a color profile.
+ * @param {ArrayBuffer} buffer
+ * @returns {{colors: Array<NamedColor>, skipped: Array<string>}}
+ */
+export function parseAse(buffer) {
+  // Reference: http://www.selapa.net/swatches/colors/fileformats.php#adobe_ase
+  const view = new DataView(buffer);
+  const readTag = (offset) => String.fromCharCode(
+    ...new Uint8Array(buffer, offset, 4));
+
+  if (buffer.byteLength < 12 || readTag(0) !== 'ASEF') {
+    throw new Error('Not an Adobe Swatch Exchange file: missing "ASEF" header');
+  }
+
+  const blockCount = view.getUint32(8);
+  const colors = [];
+  const skipped = [];
+
+  let offset = 12;
+  for (let block = 0; block < blockCount; block++) {
+    if (offset + 6 > buffer.byteLength) {
+      skipped.push(`File is truncated after ${block} of ${blockCount} blocks`);
+      break;
+    }
+    const blockType = view.getUint16(offset);
+    const blockLength = view.getUint32(offset + 2);
+    const blockStart = offset + 6;
+    offset = blockStart + blockLength;
+
+    // Only color entries are used. Groups are flattened.
+    if (blockType !== ASE_COLOR_ENTRY) continue;
+
+    if (offset > buffer.byteLength) {
+      skipped.push(`Block ${block + 1}: truncated color entry`);
+      break;
+    }
+
+    // The name is UTF-16BE with a length prefix which counts the null terminator.
+    const nameLength = view.getUint16(blockStart);
+    const nameCodes = [];
+    for (let i = 0; i < nameLength - 1; i++) {
+      nameCodes.push(view.getUint16(blockStart + 2 + i * 2));
+    }
+    const name = String.fromCharCode(...nameCodes).trim();
+    const modelOffset = blockStart + 2 + nameLength * 2;
+    const model = readTag(modelOffset).trim();
+    const readFloat = (i) => view.getFloat32(modelOffset + 4 + i * 4);
+
+    let values;
+    if (model === 'RGB') {
+      values = [readFloat(0), readFloat(1), readFloat(2)];
+    } else if (model === 'Gray') {
+      values = Array(3).fill(readFloat(0));
+    } else {
+      skipped.push(`"${name}": unsupported color model ${model}`);
+      continue;
+    }
+
+    if (!values.every(v => v >= 0 && v <= 1)) {
+      skipped.push(`"${name}": color values out of range`);
+      continue;
+    }
+
+    const rgbColor = new RgbColor(...values);
+    colors.push(new NamedColor(name || rgbToHex(rgbColor), rgbColor));
+  }
+
+  return { colors, skipped };
+}
+
+/**
+ * Parse a JSON list of {name, hex} objects
+ * @param {string} text
+ * @returns {{colors: Array<NamedColor>, skipped: Array<string>}}
+ */
+export function parseJson(text) {
+  let entries;
+  try {
+    entries = JSON.parse(text);
+  } catch (e) {
+    throw new Error(`Invalid JSON: ${e.message}`);
+  }
+  if (!Array.isArray(entries)) {
+    throw new Error('Expected a JSON list of {name, hex} objects');
+  }
+
+  const colors = [];
+  const skipped = [];
+  entries.forEach((entry, i) => {
+    const rgbColor = typeof entry?.hex === 'string' ? hexToRgb(entry.hex) : null;
+    if (!rgbColor) {
+      skipped.push(`Entry ${i + 1}: invalid hex ${JSON.stringify(entry?.hex)}`);
+      return;
+    }
+    const name = typeof entry.name === 'string' ? entry.name.trim() : '';
+    colors.push(new NamedColor(name || rgbToHex(rgbColor), rgbColor));
+  });
+
+  return { colors, skipped };
+}
+
+/**
+ * Parse CSS custom properties with hex values (e.g. "--brand-red: #e00;")
+ * @param {string} text
+ * @returns {{colors: Array<NamedColor>, skipped: Array<string>}}
+ */
+export function parseCssVariables(text) {
+  // Remove comments so that commented out properties are ignored.
+  text = text.replace(/\/\*[\s\S]*?\*\//g, '');
+
+  const colors = [];
+  const skipped = [];
+  for (const [, name, value] of text.matchAll(/--([\w-]+)\s*:\s*([^;}]*)/g)) {
+    const rgbColor = hexToRgb(value);
+    if (!rgbColor) {
+      skipped.push(`--${name}: unsupported value "${value.trim()}"`);
+      continue;
+    }
+    colors.push(new NamedColor(name, rgbColor));
+  }
+
+  if (!colors.length && !skipped.length) {
+    throw new Error('No CSS custom properties found');
+  }
+
+  return { colors, skipped };
+}
+
+/**
+ * Format a palette as file contents
+ * @param {string} formatId - One of the ids from getExportFormats()
+ * @param {Array<NamedColor>} colors - The palette colors
+ * @param {string} paletteName - The palette name, used where the format has one
+ * @returns {string|ArrayBuffer} Text, or an ArrayBuffer for binary formats
+ */
+export function formatPalette(formatId, colors, paletteName) {
+  switch (formatId) {
+    case 'gpl': return formatGpl(colors, paletteName);
+    case 'ase': return formatAse(colors);
+    case 'json': return formatJson(colors);
+    case 'css': return formatCssVariables(colors);
+    case 'scss': return formatScssVariables(colors);
+    case 'tailwind': return formatTailwind(colors);
+    default:
+      throw new Error(`Unknown palette format: ${formatId}`);
+  }
+}
+
+/**
+ * Format a GIMP palette (.gpl)
+ * @param {Array<NamedColor>} colors
+ * @param {string} paletteName
+ * @returns {string}
+ */
+export function formatGpl(colors, paletteName) {
+  const lines = ['GIMP Palette', `Name: ${paletteName}`, '#'];
+  for (const color of colors) {
+    const values = [...color.rgbColor].map(
+      c => `${Math.round(c * 255)}`.padStart(3));
+    lines.push(`${values.join(' ')}\t${color.name}`);
+  }
+  return lines.join('\n') + '\n';
+}
+
+/**
+ * Format an Adobe Swatch Exchange file (.ase) with RGB colors
+ * @param {Array<NamedColor>} colors
+ * @returns {ArrayBuffer}
+ */
+export function formatAse(colors) {
+  // Each entry: name length, UTF-16 name with null terminator, model,
+  // 3 floats and color type.
+  const entryLength = (color) => 2 + (color.name.length + 1) * 2 + 4 + 3 * 4 + 2;
+  const totalLength = colors.reduce((sum, c) => sum + 6 + entryLength(c), 12);
+
+  const buffer = new ArrayBuffer(totalLength);
+  const view = new DataView(buffer);
+  const writeTag = (offset, tag) => {
+    for (let i = 0; i < 4; i++) view.setUint8(offset + i, tag.charCodeAt(i));
+  };
+
+  writeTag(0, 'ASEF');
+  view.setUint16(4, 1); // Version 1.0
+  view.setUint16(6, 0);
+  view.setUint32(8, colors.length);
+
+  let offset = 12;
+  for (const color of colors) {
+    view.setUint16(offset, ASE_COLOR_ENTRY);
+    view.setUint32(offset + 2, entryLength(color));
+    offset += 6;
+
+    view.setUint16(offset, color.name.length + 1);
+    offset += 2;
+    for (let i = 0; i < color.name.length; i++, offset += 2) {
+      view.setUint16(offset, color.name.charCodeAt(i));
+    }
+    offset += 2; // Null terminator
+
+    writeTag(offset, 'RGB ');
+    offset += 4;
+    for (const c of color.rgbColor) {
+      view.setFloat32(offset, c);
+      offset += 4;
+    }
+    view.setUint16(offset, ASE_NORMAL_COLOR);
+    offset += 2;
+  }
+
+  return buffer;
+}
+
+/**
+ * Format a JSON list of {name, hex} objects
+ * @param {Array<NamedColor>} colors
+ * @returns {string}
+ */
+export function formatJson(colors) {
+  const entries = colors.map(c => ({ name: c.name, hex: rgbToHex(c.rgbColor) }));
+  return JSON.stringify(entries, null, 2) + '\n';
+}
+
+/**
+ * Format CSS custom properties
+ * @param {Array<NamedColor>} colors
+ * @returns {string}
+ */
+export function formatCssVariables(colors) {
+  const lines = toIdentifierEntries(colors).map(
+    ([id, hex]) => `  --${id}: ${hex};`);
+  return `:root {\n${lines.join('\n')}\n}\n`;
+}
+
+/**
+ * Format SCSS variables
+ * @param {Array<NamedColor>} colors
+ * @returns {string}
+ */
+export function formatScssVariables(colors) {
+  return toIdentifierEntries(colors).map(
+    ([id, hex]) => `$${id}: ${hex};\n`).join('');
+}
+
+/**
+ * Format a Tailwind-style color object, for use in theme.colors
+ * @param {Array<NamedColor>} colors
+ * @returns {string}
+ */
+export function formatTailwind(colors) {
+  const lines = toIdentifierEntries(colors).map(
+    ([id, hex]) => `  '${id}': '${hex}',`);
+  return `export default {\n${lines.join('\n')}\n};\n`;
+}
+
+/**
+ * Convert color names to unique identifiers, paired with hex values
+ * @param {Array<NamedColor>} colors
+ * @returns {Array<Array<string>>} [identifier, hex] pairs in palette order
+ */
+function toIdentifierEntries(colors) {
+  const used = new Set();
+  return colors.map(color => {
+    let base = toIdentifier(color.name) || 'color';
+    // SCSS variables can't start with a digit
+    if (/^\d/.test(base)) base = `color-${base}`;
+    let id = base;
+    for (let i = 2; used.has(id); i++) {
+      id = `${base}-${i}`;
+    }
+    used.add(id);
+    return [id, rgbToHex(color.rgbColor)];
+  });
+}
+
+/**
+ * Convert a name to a lowercase, hyphen separated identifier
+ * e.g. "Brand Red (2)" becomes "brand-red-2"
+ * @param {string} name
+ * @returns {string} The identifier, or '' if the name has no usable characters
+ */
+function toIdentifier(name) {
+  return name
+    // Split camel case, as used by the CSS color names
+    .replace(/([a-z0-9])([A-Z])/g, '$1-$2')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+}
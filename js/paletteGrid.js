@@ -0,0 +1,264 @@
+import { metricSpaceDistance } from './colorMath.js';
+import { SHADER_CONSTANTS } from './shaderConstants.js';
+
+// Palettes smaller than this are searched linearly, which is as fast
+export const MIN_GRID_PALETTE_SIZE = 64;
+
+// Limits on the grid size, so that it fits in its textures
+export const MAX_GRID_CELLS_PER_AXIS = 32;
+export const MAX_GRID_CANDIDATES = SHADER_CONSTANTS.PALETTE_TEXTURE_WIDTH * 2048;
+
+// Without a grid every sample is compared with every palette color, so large
+// palettes are sampled more coarsely on the CPU to keep within this budget.
+const MAX_LINEAR_COMPARISONS = 4e6;
+const MIN_SAMPLES_PER_AXIS = 4;
+
+// Give up on the grid when cells hold more than this fraction of the palette
+// on average, as searching them would barely beat a linear scan.
+const MAX_CANDIDATE_FRACTION = 0.25;
+
+// CIEDE2000 bounds. |R_T| <= 2 sin(60°), so the rotation term removes at most
+// this fraction of the squared difference.
+const DE2000_ROTATION_FACTOR = 1 - Math.sin(Math.PI / 3);
+// S_L is largest at L* = 0 and 100
+const DE2000_MAX_SL = 1 + 0.015 * 2500 / Math.sqrt(2520);
+
+/**
+ * A uniform grid over the palette colors in a distance metric's space. Each
+ * cell lists, in palette order, the colors which can match a color inside it.
+ * @typedef {Object} PaletteGrid
+ * @property {Array<number>} origin - The minimum corner of the grid
+ * @property {Array<number>} cellSize - The size of a cell on each axis
+ * @property {Array<number>} size - The number of cells on each axis
+ * @property {Int32Array} cellRanges - The [start, count] of each cell's
+ *   candidates, with cells ordered by x, then y, then z
+ * @property {Int32Array} candidates - The palette indices of every cell
+ */
+
+/**
+ * Get the distance in a metric's space, measured as a straight line, within
+ * which a color must lie to match a palette color. The CIE94 and CIEDE2000
+ * differences shrink chroma and hue differences, so their radius grows with
+ * the palette color's chroma.
+ * @param {string} metricId - One of DISTANCE_METRIC_IDS
+ * @param {number} threshold - Maximum distance for a match
+ * @param {Array<number>} paletteCoord - The palette color in the metric's space
+ * @returns {number} The radius, or Infinity if there is no bound
+ */
+export function matchRadius(metricId, threshold, paletteCoord) {
+  switch (metricId) {
+    case 'lab-d':
+    case 'luv-d':
+    case 'rgb-d':
+      return threshold;
+    case 'de94': {
+      // S_C >= S_H >= 1, and both use the palette color's chroma
+      const chroma = Math.hypot(paletteCoord[1], paletteCoord[2]);
+      return threshold * (1 + 0.045 * chroma);
+    }
+    case 'de2000': {
+      // S_C uses the mean chroma of both colors, which is at most the palette
+      // chroma plus half the difference, so the radius is solved for. a' is
+      // stretched by at most 1.5, which only increases the difference.
+      const k = threshold / Math.sqrt(DE2000_ROTATION_FACTOR);
+      const denominator = 1 - 0.0225 * k;
+      if (denominator <= 0) return Infinity;
+      const chroma = Math.hypot(1.5 * paletteCoord[1], paletteCoord[2]);
+      return k * Math.max(DE2000_MAX_SL, (1 + 0.045 * chroma) / denominator);
+    }
+    default:
+      throw new Error(`Unknown distance metric: ${metricId}`);
+  }
+}
+
+/**
+ * Build a grid for finding the closest palette color within a threshold
+ * @param {Array<Array<number>>} paletteCoords - The palette colors in the
+ *   metric's space (see xyzToMetricSpace)
+ * @param {string} metricId - One of DISTANCE_METRIC_IDS
+ * @param {number} threshold - Maximum distance for a match
+ * @returns {PaletteGrid|null} The grid, or null if a linear scan is as fast
+ */
+export function buildPaletteGrid(paletteCoords, metricId, threshold) {
+  if (paletteCoords.length < MIN_GRID_PALETTE_SIZE) return null;
+
+  // Pad the radii slightly, so that float rounding in the shader can't move
+  // a color out of a cell which lists its match.
+  const radii = paletteCoords.map(
+    coord => matchRadius(metricId, threshold, coord) * 1.001 + 1e-4);
+  if (!radii.every(Number.isFinite)) return null;
+
+  // Colors outside every palette color's sphere can't match, so the grid
+  // only needs to cover the spheres.
+  const origin = [Infinity, Infinity, Infinity];
+  const end = [-Infinity, -Infinity, -Infinity];
+  paletteCoords.forEach((coord, i) => {
+    for (let axis = 0; axis < 3; axis++) {
+      origin[axis] = Math.min(origin[axis], coord[axis] - radii[i]);
+      end[axis] = Math.max(end[axis], coord[axis] + radii[i]);
+    }
+  });
+
+  // Cells about half as wide as the spheres keep both the cells per color
+  // and the colors per cell small.
+  const cellWidth = radii.reduce((sum, r) => sum + r, 0) / radii.length / 2;
+  const size = origin.map((min, axis) => Math.min(
+    MAX_GRID_CELLS_PER_AXIS, Math.max(1, Math.ceil((end[axis] - min) / cellWidth))));
+  const cellSize = origin.map((min, axis) => (end[axis] - min) / size[axis]);
+  const bounds = { origin, cellSize, size };
+
+  const cellCount = size[0] * size[1] * size[2];
+  const maxCandidates = Math.min(
+    MAX_GRID_CANDIDATES, cellCount * paletteCoords.length * MAX_CANDIDATE_FRACTION);
+  const cells = Array.from({ length: cellCount }, () => []);
+  let candidateCount = 0;
+
+  for (let i = 0; i < paletteCoords.length; i++) {
+    const coord = paletteCoords[i];
+    const radius = radii[i];
+    const first = coord.map((c, axis) => clampedCell(bounds, c - radius, axis));
+    const last = coord.map((c, axis) => clampedCell(bounds, c + radius, axis));
+
+    for (let z = first[2]; z <= last[2]; z++) {
+      for (let y = first[1]; y <= last[1]; y++) {
+        for (let x = first[0]; x <= last[0]; x++) {
+          if (distanceToCell(bounds, coord, [x, y, z]) >= radius) continue;
+          cells[(z * size[1] + y) * size[0] + x].push(i);
+          if (++candidateCount > maxCandidates) return null;
+        }
+      }
+    }
+  }
+
+  const cellRanges = new Int32Array(cellCount * 2);
+  const candidates = new Int32Array(candidateCount);
+  let start = 0;
+  cells.forEach((cell, i) => {
+    cellRanges[i * 2] = start;
+    cellRanges[i * 2 + 1] = cell.length;
+    candidates.set(cell, start);
+    start += cell.length;
+  });
+
+  return { origin, cellSize, size, cellRanges, candidates };
+}
+
+/**
+ * Get the cell containing a value on one axis, clamped to the grid
+ * @param {Object} grid - The grid's origin, cellSize and size
+ * @param {number} value - The coordinate on the axis
+ * @param {number} axis - The axis index
+ * @returns {number} The cell index on the axis
+ */
+function clampedCell(grid, value, axis) {
+  const cell = Math.floor((value - grid.origin[axis]) / grid.cellSize[axis]);
+  return Math.min(grid.size[axis] - 1, Math.max(0, cell));
+}
+
+/**
+ * Get the distance from a point to the nearest point of a cell
+ * @param {Object} grid - The grid's origin and cellSize
+ * @param {Array<number>} coord - The point
+ * @param {Array<number>} cell - The cell's index on each axis
+ * @returns {number} The distance, or 0 if the point is inside the cell
+ */
+function distanceToCell(grid, coord, cell) {
+  let distance2 = 0;
+  for (let axis = 0; axis < 3; axis++) {
+    const min = grid.origin[axis] + cell[axis] * grid.cellSize[axis];
+    const d = Math.max(min - coord[axis], 0, coord[axis] - min - grid.cellSize[axis]);
+    distance2 += d * d;
+  }
+  return Math.sqrt(distance2);
+}
+
+/**
+ * Find the closest palette color within a threshold using a grid.
+ * Mirrors the grid search in findClosestPaletteIndex in the compute shader,
+ * and gives the same result as colorMath's findClosestPaletteIndex.
+ * @param {PaletteGrid} grid - The grid, built with the same metric and threshold
+ * @param {Array<Array<number>>} paletteCoords - The palette colors in the metric's space
+ * @param {Array<number>} coord - The color to match, in the metric's space
+ * @param {string} metricId - One of DISTANCE_METRIC_IDS
+ * @param {number} threshold - Maximum distance for a match
+ * @returns {number} Index of the closest palette color, or -1 if none
+ */
+export function findClosestInGrid(grid, paletteCoords, coord, metricId, threshold) {
+  const cell = coord.map(
+    (c, axis) => Math.floor((c - grid.origin[axis]) / grid.cellSize[axis]));
+  if (cell.some((c, axis) => c < 0 || c >= grid.size[axis])) return -1;
+
+  const cellIndex = (cell[2] * grid.size[1] + cell[1]) * grid.size[0] + cell[0];
+  const start = grid.cellRanges[cellIndex * 2];
+  const count = grid.cellRanges[cellIndex * 2 + 1];
+
+  // Candidates are in palette order, so ties still go to the lower index
+  let closestIndex = -1;
+  let minDistance = threshold;
+  for (let j = start; j < start + count; j++) {
+    const i = grid.candidates[j];
+    const d = metricSpaceDistance(metricId, paletteCoords[i], coord);
+    if (d < minDistance) {
+      minDistance = d;
+      closestIndex = i;
+    }
+  }
+
+  return closestIndex;
+}
+
+/**
+ * Finds the closest palette color within a threshold on the CPU, with the
+ * same rules as the shader. A grid is used when it would be faster.
+ */
+export class PaletteMatcher {
+  /**
+   * @param {Array<Array<number>>} paletteCoords - The palette colors in the metric's space
+   * @param {string} metricId - One of DISTANCE_METRIC_IDS
+   * @param {number} threshold - Maximum distance for a match
+   */
+  constructor(paletteCoords, metricId, threshold) {
+    this._paletteCoords = paletteCoords;
+    this._metricId = metricId;
+    this._threshold = threshold;
+    this._grid = buildPaletteGrid(paletteCoords, metricId, threshold);
+  }
+
+  /**
+   * Get how finely to sample colors for matching, within a budget of
+   * comparisons when there is no grid
+   * @param {number} requested - The samples per axis wanted
+   * @param {number} dimensions - The number of sampled axes
+   * @returns {number} The samples per axis to use
+   */
+  samplesPerAxis(requested, dimensions) {
+    const paletteSize = this._paletteCoords.length;
+    if (this._grid || paletteSize === 0) return requested;
+    const affordable = Math.floor(
+      Math.pow(MAX_LINEAR_COMPARISONS / paletteSize, 1 / dimensions));
+    return Math.min(requested, Math.max(MIN_SAMPLES_PER_AXIS, affordable));
+  }
+
+  /**
+   * Find the closest palette color
+   * @param {Array<number>} coord - The color to match, in the metric's space
+   * @returns {number} Index of the closest palette color, or -1 if none
+   */
+  findClosest(coord) {
+    if (this._grid) {
+      return findClosestInGrid(
+        this._grid, this._paletteCoords, coord, this._metricId, this._threshold);
+    }
+
+    let closestIndex = -1;
+    let minDistance = this._threshold;
+    for (let i = 0; i < this._paletteCoords.length; i++) {
+      const d = metricSpaceDistance(this._metricId, this._paletteCoords[i], coord);
+      if (d < minDistance) {
+        minDistance = d;
+        closestIndex = i;
+      }
+    }
+    return closestIndex;
+  }
+}
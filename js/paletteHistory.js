@@ -0,0 +1,96 @@
+// Maximum number of edits which can be undone
+export const MAX_HISTORY_LENGTH = 100;
+
+/**
+ * A snapshot of the palette, taken before an edit
+ * @typedef {Object} PaletteSnapshot
+ * @property {Array<NamedColor>} colors - The palette colors
+ * @property {string} selection - The palette dropdown value
+ */
+
+/**
+ * Undo and redo stacks of palette snapshots
+ *
+ * NamedColors are immutable, so a snapshot only needs a copy of the color
+ * array rather than of the colors themselves.
+ */
+export class PaletteHistory {
+  /**
+   * @param {number} maxLength - Maximum number of edits to keep
+   */
+  constructor(maxLength = MAX_HISTORY_LENGTH) {
+    this._maxLength = maxLength;
+    this._undoStack = [];
+    this._redoStack = [];
+  }
+
+  /**
+   * Record the state before an edit. This clears the redo stack.
+   * @param {PaletteSnapshot} snapshot - The state before the edit
+   * @param {string} description - Describes the edit, e.g. 'delete Red'
+   */
+  record(snapshot, description) {
+    this._undoStack.push({ snapshot: copySnapshot(snapshot), description });
+    if (this._undoStack.length > this._maxLength) {
+      this._undoStack.shift();
+    }
+    this._redoStack = [];
+  }
+
+  /**
+   * Step back to the state before the last edit
+   * @param {PaletteSnapshot} current - The current state, to allow redoing
+   * @returns {{snapshot: PaletteSnapshot, description: string}|null}
+   *   The state to restore and the edit undone, or null if there is nothing to undo
+   */
+  undo(current) {
+    return this._step(this._undoStack, this._redoStack, current);
+  }
+
+  /**
+   * Step forward to the state after the last undone edit
+   * @param {PaletteSnapshot} current - The current state, to allow undoing
+   * @returns {{snapshot: PaletteSnapshot, description: string}|null}
+   *   The state to restore and the edit redone, or null if there is nothing to redo
+   */
+  redo(current) {
+    return this._step(this._redoStack, this._undoStack, current);
+  }
+
+  /**
+   * @returns {boolean} Whether there is an edit to undo
+   */
+  canUndo() {
+    return this._undoStack.length > 0;
+  }
+
+  /**
+   * @returns {boolean} Whether there is an edit to redo
+   */
+  canRedo() {
+    return this._redoStack.length > 0;
+  }
+
+  /**
+   * Pop an entry from one stack, pushing the current state onto the other
+   * @param {Array} from - The stack to pop from
+   * @param {Array} to - The stack to push the current state to
+   * @param {PaletteSnapshot} current - The current state
+   * @returns {{snapshot: PaletteSnapshot, description: string}|null}
+   */
+  _step(from, to, current) {
+    const entry = from.pop();
+    if (!entry) return null;
+    to.push({ snapshot: copySnapshot(current), description: entry.description });
+    return entry;
+  }
+}
+
+/**
+ * Copy a snapshot, so that later edits to the color array don't affect it
+ * @param {PaletteSnapshot} snapshot
+ * @returns {PaletteSnapshot}
+ */
+function copySnapshot({ colors, selection }) {
+  return { colors: [...colors], selection };
+}
@@ -0,0 +1,82 @@
+import { rgbToLab } from './colorMath.js';
+
+// Colors with less CIE chroma than this are sorted as grays, after the hues
+const ACHROMATIC_CHROMA = 5;
+
+/**
+ * Available palette sort orders
+ */
+export const PALETTE_SORTS = Object.freeze({
+  hue: Object.freeze({ displayName: 'Hue', needsRegionAreas: false }),
+  lightness: Object.freeze({ displayName: 'Lightness', needsRegionAreas: false }),
+  name: Object.freeze({ displayName: 'Name', needsRegionAreas: false }),
+  area: Object.freeze({ displayName: 'Region area', needsRegionAreas: true }),
+});
+
+/**
+ * Get the sort orders for the sort dropdown
+ * @returns {Array<{id: string, displayName: string}>}
+ */
+export function getPaletteSorts() {
+  return Object.entries(PALETTE_SORTS).map(
+    ([id, { displayName }]) => ({ id, displayName }));
+}
+
+/**
+ * Sort palette colors. The sort is stable, so equal colors keep their order.
+ * - hue: by CIE LCh hue from red, with grays last from dark to light
+ * - lightness: by CIE L*, from dark to light
+ * - name: alphabetically, with numbers in names compared numerically
+ * - area: by region area, from largest to smallest
+ * @param {Array<NamedColor>} colors - The colors to sort
+ * @param {string} sortId - A key of PALETTE_SORTS
+ * @param {Map<NamedColor, number>|null} regionAreas - The area of each
+ *   color's region, required for the 'area' sort. Missing colors have no area.
+ * @returns {Array<NamedColor>} A sorted copy of the colors
+ */
+export function sortColors(colors, sortId, regionAreas = null) {
+  switch (sortId) {
+    case 'hue':
+      return sortByKey(colors, hueSortKey);
+    case 'lightness':
+      return sortByKey(colors, color => [rgbToLab([...color.rgbColor])[0]]);
+    case 'name': {
+      const collator = new Intl.Collator(undefined, { numeric: true, sensitivity: 'base' });
+      return [...colors].sort((a, b) => collator.compare(a.name, b.name));
+    }
+    case 'area':
+      if (!regionAreas) throw new Error('Sorting by area requires region areas');
+      return sortByKey(colors, color => [-(regionAreas.get(color) ?? 0)]);
+    default:
+      throw new Error(`Unknown palette sort: ${sortId}`);
+  }
+}
+
+/**
+ * Get the key for sorting a color by hue
+ * @param {NamedColor} color
+ * @returns {Array<number>} [isGray, hue or lightness]
+ */
+function hueSortKey(color) {
+  const [l, a, b] = rgbToLab([...color.rgbColor]);
+  if (Math.hypot(a, b) < ACHROMATIC_CHROMA) return [1, l];
+  const hue = Math.atan2(b, a);
+  return [0, hue < 0 ? hue + 2 * Math.PI : hue];
+}
+
+/**
+ * Sort colors by a key, computing the key once per color
+ * @param {Array<NamedColor>} colors
+ * @param {Function} getKey - Returns an array of numbers, compared in order
+ * @returns {Array<NamedColor>} A sorted copy of the colors
+ */
+function sortByKey(colors, getKey) {
+  const keyed = colors.map(color => ({ color, key: getKey(color) }));
+  keyed.sort((x, y) => {
+    for (let i = 0; i < x.key.length; i++) {
+      if (x.key[i] !== y.key[i]) return x.key[i] - y.key[i];
+    }
+    return 0;
+  });
+  return keyed.map(({ color }) => color);
+}
@@ -0,0 +1,151 @@
+import {
+  rgbToXyz, xyzToMetricSpace, colorCoordToColor, applyPolarAxes, simulateCvdXyz
+} from './colorMath.js';
+import { PaletteMatcher } from './paletteGrid.js';
+
+// Samples per axis for the 2D slice and the 3D volume
+export const SLICE_SAMPLES_PER_AXIS = 64;
+export const VOLUME_SAMPLES_PER_AXIS = 20;
+
+/**
+ * The share of the sampled colors that each palette color's region claims
+ * @typedef {Object} RegionShares
+ * @property {Array<number>} shares - The fraction claimed by each palette color
+ * @property {number} unmatched - The fraction matching no palette color
+ * @property {number} sampleCount - The number of samples inside the color
+ *   space, which the fractions are of
+ */
+
+/**
+ * Compute the share of the current 2D slice claimed by each palette color.
+ * The slice is sampled on a regular grid, with the same polar mapping and
+ * gamut boundary as the renderer.
+ * @param {ColorSpaceConfig} colorSpaceConfig - A 2D configuration
+ * @param {Array<NamedColor>} paletteColors
+ * @param {number} [samplesPerAxis=SLICE_SAMPLES_PER_AXIS]
+ * @returns {RegionShares}
+ */
+export function computeSliceShares(
+  colorSpaceConfig, paletteColors, samplesPerAxis = SLICE_SAMPLES_PER_AXIS) {
+  const { colorSpace, currentAxis } = colorSpaceConfig;
+  const fixedAxisIndex = colorSpace.getAxisIndex(currentAxis);
+  const fixedValue =
+    (colorSpaceConfig.currentValue - currentAxis.min) / (currentAxis.max - currentAxis.min);
+  const polarAxes = colorSpaceConfig.getPolarAxes();
+
+  const counter = new RegionCounter(colorSpaceConfig, paletteColors);
+  const n = counter.samplesPerAxis(samplesPerAxis, 2);
+  const freeAxes = [0, 1, 2].filter(axis => axis !== fixedAxisIndex);
+
+  for (let i = 0; i < n; i++) {
+    for (let j = 0; j < n; j++) {
+      const coord = [];
+      coord[fixedAxisIndex] = fixedValue;
+      coord[freeAxes[0]] = (i + 0.5) / n;
+      coord[freeAxes[1]] = (j + 0.5) / n;
+      counter.addSample(applyPolarAxes(coord, polarAxes));
+    }
+  }
+
+  return counter.getShares();
+}
+
+/**
+ * Compute the share of the full 3D color volume claimed by each palette
+ * color. The volume is sampled uniformly in the color space's own
+ * coordinates, ignoring the axis ranges and polar mapping of the view.
+ * @param {ColorSpaceConfig} colorSpaceConfig
+ * @param {Array<NamedColor>} paletteColors
+ * @param {number} [samplesPerAxis=VOLUME_SAMPLES_PER_AXIS]
+ * @returns {RegionShares}
+ */
+export function computeVolumeShares(
+  colorSpaceConfig, paletteColors, samplesPerAxis = VOLUME_SAMPLES_PER_AXIS) {
+  const counter = new RegionCounter(colorSpaceConfig, paletteColors);
+  const n = counter.samplesPerAxis(samplesPerAxis, 3);
+
+  for (let i = 0; i < n; i++) {
+    for (let j = 0; j < n; j++) {
+      for (let k = 0; k < n; k++) {
+        counter.addSample([(i + 0.5) / n, (j + 0.5) / n, (k + 0.5) / n]);
+      }
+    }
+  }
+
+  return counter.getShares();
+}
+
+/**
+ * Matches color space samples to palette colors, counting each region. Like
+ * the renderer, a color vision deficiency is simulated on both before
+ * matching if the config asks for it.
+ */
+class RegionCounter {
+  /**
+   * @param {ColorSpaceConfig} colorSpaceConfig
+   * @param {Array<NamedColor>} paletteColors
+   */
+  constructor(colorSpaceConfig, paletteColors) {
+    this._colorSpaceType = colorSpaceConfig.colorSpace.getType();
+    this._metricId = colorSpaceConfig.distanceMetric.id;
+    this._cvdType = colorSpaceConfig.simulateCvdMatching ? colorSpaceConfig.cvdType : 'none';
+    this._cvdSeverity = colorSpaceConfig.cvdSeverity;
+    const paletteCoords = paletteColors.map(
+      color => this._toMetricSpace(rgbToXyz([...color.rgbColor])));
+    this._matcher = new PaletteMatcher(
+      paletteCoords, this._metricId, colorSpaceConfig.distanceThreshold);
+    this._counts = new Array(paletteColors.length).fill(0);
+    this._unmatched = 0;
+  }
+
+  /**
+   * Get the samples per axis to use, within the comparison budget
+   * @param {number} requested - The samples per axis wanted
+   * @param {number} dimensions - The number of sampled axes
+   * @returns {number}
+   */
+  samplesPerAxis(requested, dimensions) {
+    return this._matcher.samplesPerAxis(requested, dimensions);
+  }
+
+  /**
+   * Match a sample and count it
+   * @param {Array<number>|null} coord - Normalized color space coordinate, or
+   *   null if the sample is outside the color space
+   */
+  addSample(coord) {
+    const color = coord && colorCoordToColor(this._colorSpaceType, coord);
+    if (!color) return;
+
+    const index = this._matcher.findClosest(this._toMetricSpace(color.xyz));
+    if (index >= 0) {
+      this._counts[index]++;
+    } else {
+      this._unmatched++;
+    }
+  }
+
+  /**
+   * Convert a color to the space it is matched in
+   * @param {Array<number>} xyz
+   * @returns {Array<number>}
+   */
+  _toMetricSpace(xyz) {
+    return xyzToMetricSpace(
+      this._metricId, simulateCvdXyz(this._cvdType, this._cvdSeverity, xyz));
+  }
+
+  /**
+   * Get the shares of the samples so far
+   * @returns {RegionShares}
+   */
+  getShares() {
+    const sampleCount = this._counts.reduce((sum, count) => sum + count, this._unmatched);
+    const toShare = count => sampleCount ? count / sampleCount : 0;
+    return {
+      shares: this._counts.map(toShare),
+      unmatched: toShare(this._unmatched),
+      sampleCount,
+    };
+  }
+}
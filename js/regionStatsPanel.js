@@ -0,0 +1,148 @@
+import { rgbToCssString } from './colorUtils.js';
+import { clearElement, createElement, keyMatches } from './utils.js';
+import { computeSliceShares, computeVolumeShares } from './regionStats.js';
+
+/**
+ * Format a share as a percentage
+ * @param {number} share - A fraction in [0, 1]
+ * @returns {string}
+ */
+function formatShare(share) {
+  if (share > 0 && share < 0.001) return '<0.1%';
+  return `${(share * 100).toFixed(1)}%`;
+}
+
+/**
+ * Shows how much of the 2D slice and of the full color volume each palette
+ * color's region claims. Statistics are only computed while the panel is open.
+ */
+export class RegionStatsPanel {
+  /**
+   * @param {HTMLElement} container - The region statistics section element
+   */
+  constructor(container) {
+    this._container = container;
+    this._config = null;
+    this._paletteColors = [];
+    // The inputs and results of the last computations, to skip recomputing
+    this._slice = { key: null, shares: null };
+    this._volume = { key: null, shares: null };
+
+    clearElement(container);
+    this._details = createElement('details');
+    const summary = createElement('summary');
+    summary.appendChild(createElement('h2', 'Region Statistics'));
+    this._details.appendChild(summary);
+
+    this._table = createElement('table');
+    this._table.className = 'stats-table';
+    this._details.appendChild(this._table);
+    container.appendChild(this._details);
+
+    this._details.addEventListener('toggle', () => this._refresh());
+  }
+
+  /**
+   * Update the statistics for the current view
+   * @param {ColorSpaceConfig} colorSpaceConfig
+   * @param {Array<NamedColor>} paletteColors
+   */
+  update(colorSpaceConfig, paletteColors) {
+    this._config = colorSpaceConfig;
+    this._paletteColors = [...paletteColors];
+    this._refresh();
+  }
+
+  /**
+   * Recompute any out of date statistics and redraw the table
+   */
+  _refresh() {
+    if (!this._details.open || !this._config) return;
+    const config = this._config;
+    const colors = this._paletteColors;
+
+    const volumeKey = [
+      config.colorSpace, config.distanceMetric, config.distanceThreshold,
+      config.cvdType, config.cvdSeverity, config.simulateCvdMatching, ...colors];
+    if (!keyMatches(this._volume.key, volumeKey)) {
+      this._volume = { key: volumeKey, shares: computeVolumeShares(config, colors) };
+    }
+
+    // The slice is only meaningful in 2D
+    if (config.render3d) {
+      this._slice = { key: null, shares: null };
+    } else {
+      const sliceKey = [
+        ...volumeKey, config.currentAxis, config.currentValue, config.usePolarCoordinates];
+      if (!keyMatches(this._slice.key, sliceKey)) {
+        this._slice = { key: sliceKey, shares: computeSliceShares(config, colors) };
+      }
+    }
+
+    this._renderTable();
+  }
+
+  /**
+   * Redraw the table from the last computed statistics
+   */
+  _renderTable() {
+    clearElement(this._table);
+    const volume = this._volume.shares;
+    const slice = this._slice.shares;
+
+    const header = createElement('tr');
+    header.appendChild(createElement('th', 'Color'));
+    const sliceHeader = createElement('th', 'Slice');
+    sliceHeader.title = slice ? 'Share of the current 2D slice' : 'Only available in 2D';
+    header.appendChild(sliceHeader);
+    const volumeHeader = createElement('th', 'Volume');
+    volumeHeader.title = 'Share of the full color space volume';
+    header.appendChild(volumeHeader);
+    this._table.appendChild(header);
+
+    // Largest regions first, so dominant and redundant colors stand out
+    const order = this._paletteColors.map((_, i) => i);
+    order.sort((a, b) => volume.shares[b] - volume.shares[a]);
+    const maxShare = volume.shares[order[0]] ?? 0;
+
+    for (const i of order) {
+      const row = this._makeRow(
+        this._paletteColors[i], slice?.shares[i], volume.shares[i]);
+      if (volume.shares[i] === 0) {
+        row.classList.add('redundant');
+        row.title = 'Claims none of the sampled color volume';
+      } else if (volume.shares[i] === maxShare) {
+        row.classList.add('dominant');
+      }
+      this._table.appendChild(row);
+    }
+
+    const unmatchedRow = this._makeRow(null, slice?.unmatched, volume.unmatched);
+    unmatchedRow.classList.add('unmatched');
+    this._table.appendChild(unmatchedRow);
+  }
+
+  /**
+   * Make a table row for a palette color
+   * @param {NamedColor|null} color - The color, or null for unmatched colors
+   * @param {number|undefined} sliceShare - The share of the slice, if known
+   * @param {number} volumeShare - The share of the volume
+   * @returns {HTMLElement}
+   */
+  _makeRow(color, sliceShare, volumeShare) {
+    const row = createElement('tr');
+
+    const nameCell = createElement('td');
+    const swatch = createElement('span');
+    swatch.className = 'stats-swatch';
+    if (color) swatch.style.backgroundColor = rgbToCssString(color.rgbColor);
+    nameCell.appendChild(swatch);
+    nameCell.appendChild(createElement('span', color ? color.name : 'Unmatched'));
+    row.appendChild(nameCell);
+
+    row.appendChild(createElement(
+      'td', sliceShare === undefined ? '–' : formatShare(sliceShare)));
+    row.appendChild(createElement('td', formatShare(volumeShare)));
+    return row;
+  }
+}
@@ -0,0 +1,171 @@
+import { NamedColor } from './namedColor.js';
+import { hexToRgb, rgbToHex } from './colorUtils.js';
+
+const STORAGE_KEY = 'colorSpaceExplorer.savedPalettes';
+
+/**
+ * Named palettes saved in local storage
+ *
+ * All saved palettes are stored under a single key, as a list of
+ * {name, colors} palettes in the order they were saved, where colors is a
+ * list of {name, hex} colors.
+ */
+export class SavedPaletteStore {
+  /**
+   * @param {Storage} storage - The storage to use, e.g. window.localStorage
+   */
+  constructor(storage) {
+    this._storage = storage;
+  }
+
+  /**
+   * Get the names of all saved palettes, in the order they were saved
+   * @returns {Array<string>}
+   */
+  getNames() {
+    return [...this._read().keys()];
+  }
+
+  /**
+   * Check whether a palette is saved under a name
+   * @param {string} paletteName
+   * @returns {boolean}
+   */
+  has(paletteName) {
+    return this._read().has(paletteName);
+  }
+
+  /**
+   * Get a saved palette
+   * @param {string} paletteName
+   * @returns {Array<NamedColor>|null} The colors, or null if there is no such palette
+   */
+  get(paletteName) {
+    const entries = this._read().get(paletteName);
+    if (!Array.isArray(entries)) return null;
+
+    const colors = [];
+    for (const entry of entries) {
+      const rgbColor = typeof entry?.hex === 'string' ? hexToRgb(entry.hex) : null;
+      if (rgbColor) colors.push(new NamedColor(String(entry.name), rgbColor));
+    }
+    return colors;
+  }
+
+  /**
+   * Save a palette, overwriting any existing palette with the same name
+   * @param {string} paletteName
+   * @param {Array<NamedColor>} colors
+   * @throws {Error} If the storage is full or unavailable
+   */
+  save(paletteName, colors) {
+    const palettes = this._read();
+    palettes.set(paletteName, colors.map(
+      c => ({ name: c.name, hex: rgbToHex(c.rgbColor) })));
+    this._write(palettes);
+  }
+
+  /**
+   * Rename a saved palette, keeping its position
+   * @param {string} oldName
+   * @param {string} newName
+   * @throws {Error} If there is no palette called oldName, or one called newName exists
+   */
+  rename(oldName, newName) {
+    const palettes = this._read();
+    if (!palettes.has(oldName)) {
+      throw new Error(`No saved palette called "${oldName}"`);
+    }
+    if (oldName === newName) return;
+    if (palettes.has(newName)) {
+      throw new Error(`A palette called "${newName}" already exists`);
+    }
+
+    const renamed = new Map();
+    for (const [name, colors] of palettes) {
+      renamed.set(name === oldName ? newName : name, colors);
+    }
+    this._write(renamed);
+  }
+
+  /**
+   * Delete a saved palette
+   * @param {string} paletteName
+   */
+  delete(paletteName) {
+    const palettes = this._read();
+    palettes.delete(paletteName);
+    this._write(palettes);
+  }
+
+  /**
+   * Read all saved palettes from storage
+   * @returns {Map<string, Array<{name: string, hex: string}>>}
+   */
+  _read() {
+    const palettes = new Map();
+    try {
+      const stored = JSON.parse(this._storage.getItem(STORAGE_KEY));
+      if (Array.isArray(stored)) {
+        for (const palette of stored) {
+          if (typeof palette?.name === 'string') palettes.set(palette.name, palette.colors);
+        }
+      }
+    } catch (e) {
+      // Treat unreadable data as empty, so that the app still loads.
+      console.warn('Could not read saved palettes:', e);
+    }
+    return palettes;
+  }
+
+  /**
+   * Write all saved palettes to storage
+   * @param {Map<string, Array<{name: string, hex: string}>>} palettes
+   */
+  _write(palettes) {
+    this._storage.setItem(STORAGE_KEY, JSON.stringify(
+      [...palettes].map(([name, colors]) => ({ name, colors }))));
+  }
+}
+
+/**
+ * Storage which only lasts as long as the page, for when local storage is
+ * blocked
+ */
+export class MemoryStorage {
+  constructor() {
+    this._items = new Map();
+  }
+
+  /**
+   * @param {string} key
+   * @returns {string|null}
+   */
+  getItem(key) {
+    return this._items.has(key) ? this._items.get(key) : null;
+  }
+
+  /**
+   * @param {string} key
+   * @param {string} value
+   */
+  setItem(key, value) {
+    this._items.set(key, String(value));
+  }
+}
+
+/**
+ * Get local storage, falling back to storage which only lasts as long as
+ * the page if it is blocked, as in sandboxed iframes
+ * @returns {Storage}
+ */
+export function getLocalStorage() {
+  try {
+    const storage = window.localStorage;
+    if (storage) return storage;
+  } catch (e) {
+    // Reading localStorage throws a SecurityError when it is blocked
+    console.warn('Local storage is unavailable, so saved palettes will not be kept:', e);
+  }
+  return new MemoryStorage();
+}
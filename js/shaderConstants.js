@@ -0,0 +1,34 @@
+/**
+ * Constants shared between the JS renderer and the shaders. They are
+ * injected into every shader as #defines, so the two can't get out of sync.
+ */
+export const SHADER_CONSTANTS = Object.freeze({
+  // Palette index of pixels outside the color space (the clear value)
+  OUTSIDE_COLOR_SPACE: -1,
+  // Palette index of colors which don't match any palette color
+  NO_MATCHING_COLOR: -2,
+  // Width of the palette and palette grid textures, which hold one item per texel
+  PALETTE_TEXTURE_WIDTH: 256,
+});
+
+/**
+ * Add #defines for constants to a shader, after its #version directive
+ * @param {string} source - The shader source, starting with a #version line
+ * @param {Object<string, number>} [constants=SHADER_CONSTANTS] - The integer constants to define
+ * @returns {string} The shader source with the constants defined
+ */
+export function defineShaderConstants(source, constants = SHADER_CONSTANTS) {
+  const versionEnd = source.indexOf('\n') + 1;
+  if (!source.startsWith('#version') || versionEnd === 0) {
+    throw new Error('Shader source must start with a #version directive');
+  }
+
+  const defines = Object.entries(constants).map(([name, value]) => {
+    if (!Number.isInteger(value)) {
+      throw new Error(`Shader constant ${name} must be an integer, got ${value}`);
+    }
+    // Parenthesized so that negative values are safe in any expression
+    return `#define ${name} (${value})\n`;
+  });
+  return source.slice(0, versionEnd) + defines.join('') + source.slice(versionEnd);
+}
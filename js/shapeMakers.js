@@ -480,6 +480,16 @@ function polygonVertexSortOrder(vertices) {
     .map(v => v.index);
 }
 
+/**
+ * Get the position of a point of the 3D cube or cylinder
+ * @param {Array<number>} colorCoord - Normalized color coordinate, before
+ *   any polar transformation
+ * @returns {Array<number>}
+ */
+export function colorCoordTo3DPosition(colorCoord) {
+  return colorCoordToPosition(colorCoord, CUBE_SIZE_3D);
+}
+
 /**
  * Converts a color coordinate to a 3D position in the cylinder.
  * @param {Array<number>} colorCoord
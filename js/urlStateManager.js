@@ -0,0 +1,437 @@
+import { ColorSpaceConfig, getAllHighlightModes } from './configController.js';
+import { getAllColorSpaces, getAllDistanceMetrics, getColorSpaceByType, getDefaultDistanceMetric } from './colorSpace.js';
+import { NamedColor, getPresetNames, getPreset } from './namedColor.js';
+import { hexToRgb, rgbToHex } from './colorUtils.js';
+import { CVD_TYPES } from './colorMath.js';
+import { CONTRAST_LEVELS } from './contrast.js';
+import { ZoomWindow } from './zoomWindow.js';
+import {
+  DEFAULT_CAMERA_OPTIONS,
+  clampCameraDistance,
+  isDefaultRotation,
+  parseRotation,
+  rotationToString
+} from './camera.js';
+
+// Separates entries in the 'colors' parameter. It is not escaped by
+// URLSearchParams, and is doubled when it appears in a color name.
+const COLOR_SEPARATOR = '*';
+
+/**
+ * URL serialization utilities
+ *
+ * The *URL methods read and write window.location, and delegate to the
+ * pure serialize/deserialize methods which work on query strings and
+ * fragments.
+ */
+export class URLStateManager {
+  /**
+   * Serialize ColorSpaceConfig and the palette to URL parameters
+   * @param {ColorSpaceConfig} colorSpaceConfig - The configuration to serialize
+   * @param {{presetName: string|null, colors: Array<NamedColor>}|null} paletteState
+   *   The palette to serialize, or null to leave it out
+   * @param {ZoomWindow|null} zoomWindow - The zoom of a 2D slice, or null to
+   *   leave it out
+   * @param {{rotationMatrix: mat4, cameraOptions: CameraOptions}|null} camera
+   *   The 3D view, or null to leave it out
+   */
+  static serializeColorSpaceConfigToURL(colorSpaceConfig, paletteState = null, zoomWindow = null, camera = null) {
+    let search = URLStateManager.serializeColorSpaceConfig(colorSpaceConfig);
+    if (zoomWindow && !colorSpaceConfig.render3d) {
+      const zoomSearch = URLStateManager.serializeZoomWindow(zoomWindow);
+      if (zoomSearch) search += `&${zoomSearch}`;
+    }
+    if (camera && colorSpaceConfig.render3d) {
+      const cameraSearch = URLStateManager.serializeCamera(
+        camera.rotationMatrix, camera.cameraOptions);
+      if (cameraSearch) search += `&${cameraSearch}`;
+    }
+    const paletteSearch = paletteState ? URLStateManager.serializePalette(paletteState) : '';
+    if (paletteSearch) search += `&${paletteSearch}`;
+    const fragment = window.location.hash;
+    const newURL = `${window.location.pathname}?${search}${fragment}`;
+
+    window.history.replaceState(null, '', newURL);
+  }
+
+  /**
+   * Serialize ColorSpaceConfig to a query string
+   * @param {ColorSpaceConfig} colorSpaceConfig - The configuration to serialize
+   * @returns {string} The query string, without the leading '?'
+   */
+  static serializeColorSpaceConfig(colorSpaceConfig) {
+    const params = new URLSearchParams();
+    params.set('space', colorSpaceConfig.colorSpace.getType());
+
+    if (colorSpaceConfig.render3d) {
+      for (const [axis, range] of colorSpaceConfig.axisSlices) {
+        // 3D: Only include if not the full range
+        if (range[0] !== axis.min || range[1] !== axis.max) {
+          params.set(axis.key, `${range[0]}-${range[1]}`);
+        }
+      }
+    } else {
+      for (const [axis, range] of colorSpaceConfig.axisSlices) {
+        // 2D: Take the first range value and stop.
+        params.set(axis.key, `${range[0]}`);
+        break;
+      }
+    }
+
+    const distanceMetric = colorSpaceConfig.distanceMetric;
+    params.set(
+      distanceMetric.id,
+      distanceMetric.thresholdToString(colorSpaceConfig.distanceThreshold));
+
+    const regionsParam = colorSpaceConfig.showBoundaries ? '' : '&noregions';
+    const showUnmatchedParam = colorSpaceConfig.showUnmatchedColors ? '' : '&onlymatched';
+    const polarParam = colorSpaceConfig.usePolarCoordinates ? '&polar' : '';
+
+    // Include 3D parameter if enabled
+    const current3dParam = colorSpaceConfig.render3d ? '&3d' : '';
+
+    // Include highlight mode parameter if not default
+    const defaultHighlightMode = getAllHighlightModes()[0];
+    const highlightParam = (colorSpaceConfig.highlightMode !== defaultHighlightMode) ? `&h=${colorSpaceConfig.highlightMode}` : '';
+
+    // Include color vision deficiency simulation if enabled, with the
+    // severity as a percentage if it isn't full
+    let cvdParam = '';
+    if (colorSpaceConfig.cvdType !== 'none') {
+      cvdParam = `&cvd=${colorSpaceConfig.cvdType}`;
+      const severity = Math.round(colorSpaceConfig.cvdSeverity * 100);
+      if (severity !== 100) cvdParam += `&cvdseverity=${severity}`;
+      if (colorSpaceConfig.simulateCvdMatching) cvdParam += '&cvdmatch';
+    }
+
+    // Include the contrast overlay if enabled, with the reference color if
+    // it isn't white
+    let contrastParam = '';
+    if (colorSpaceConfig.contrastOverlay !== 'off') {
+      contrastParam = `&contrast=${colorSpaceConfig.contrastOverlay}`;
+      const reference = rgbToHex(colorSpaceConfig.contrastReference).slice(1);
+      if (reference !== 'FFFFFF') contrastParam += `&contrastref=${reference}`;
+    }
+
+    return `${params.toString()}${regionsParam}${showUnmatchedParam}${polarParam}${current3dParam}${highlightParam}${cvdParam}${contrastParam}`;
+  }
+
+  /**
+   * Serialize the zoom of a 2D slice to a query string
+   * @param {ZoomWindow} zoomWindow
+   * @returns {string} The query string without the leading '?', or '' if
+   *   the whole slice is shown
+   */
+  static serializeZoomWindow(zoomWindow) {
+    return zoomWindow.isFull() ? '' : `zoom=${zoomWindow}`;
+  }
+
+  /**
+   * Deserialize the zoom of a 2D slice from URL parameters
+   * @returns {ZoomWindow|null} The zoom window, or null if there is none
+   */
+  static deserializeZoomWindowFromURL() {
+    return URLStateManager.deserializeZoomWindow(window.location.search);
+  }
+
+  /**
+   * Deserialize the zoom of a 2D slice from a query string
+   * @param {string} search - The query string, with or without the leading '?'
+   * @returns {ZoomWindow|null} The zoom window, or null if there is no valid one
+   */
+  static deserializeZoomWindow(search) {
+    const zoomParam = new URLSearchParams(search).get('zoom');
+    return zoomParam === null ? null : ZoomWindow.parse(zoomParam);
+  }
+
+  /**
+   * Serialize the 3D view to a query string. The rotation is kept as a
+   * quaternion, and the default rotation and distance are left out.
+   * @param {mat4} rotationMatrix
+   * @param {CameraOptions} cameraOptions
+   * @returns {string} The query string without the leading '?', or '' if
+   *   the view is the default
+   */
+  static serializeCamera(rotationMatrix, cameraOptions) {
+    const params = [];
+    if (!isDefaultRotation(rotationMatrix)) {
+      params.push(`rot=${rotationToString(rotationMatrix)}`);
+    }
+    if (cameraOptions.distance !== DEFAULT_CAMERA_OPTIONS.distance) {
+      params.push(`dist=${Number(cameraOptions.distance.toFixed(3))}`);
+    }
+    if (cameraOptions.orthographic) {
+      params.push('ortho');
+    }
+    return params.join('&');
+  }
+
+  /**
+   * Deserialize the 3D view from URL parameters
+   * @returns {{rotationMatrix: mat4|null, cameraOptions: CameraOptions}}
+   */
+  static deserializeCameraFromURL() {
+    return URLStateManager.deserializeCamera(window.location.search);
+  }
+
+  /**
+   * Deserialize the 3D view from a query string. Missing or invalid values
+   * fall back to the defaults.
+   * @param {string} search - The query string, with or without the leading '?'
+   * @returns {{rotationMatrix: mat4|null, cameraOptions: CameraOptions}} The
+   *   view, with a null rotation if there is no valid one
+   */
+  static deserializeCamera(search) {
+    const params = new URLSearchParams(search);
+    const rotParam = params.get('rot');
+    // Number('') is 0, so an empty value is treated as missing
+    const distParam = params.get('dist');
+    const distance = distParam ? Number(distParam) : NaN;
+    return {
+      rotationMatrix: rotParam === null ? null : parseRotation(rotParam),
+      cameraOptions: {
+        distance: Number.isFinite(distance)
+          ? clampCameraDistance(distance) : DEFAULT_CAMERA_OPTIONS.distance,
+        orthographic: params.has('ortho'),
+      },
+    };
+  }
+
+  /**
+   * Serialize a palette to a query string.
+   * Presets are referenced by name, and other palettes are encoded as a list
+   * of hex values and names. The default preset is left out.
+   * @param {{presetName: string|null, colors: Array<NamedColor>}} paletteState
+   *   The palette, with presetName set if it is an unmodified preset
+   * @returns {string} The query string, without the leading '?'
+   */
+  static serializePalette({ presetName, colors }) {
+    const params = new URLSearchParams();
+    if (presetName !== null) {
+      if (presetName === getPresetNames()[0]) return '';
+      params.set('palette', presetName);
+    } else {
+      const escapedSeparator = COLOR_SEPARATOR + COLOR_SEPARATOR;
+      const entries = colors.map(color => {
+        const hex = rgbToHex(color.rgbColor);
+        // Names which are just the hex value are left out.
+        const name = color.name === hex ? '' : color.name;
+        return hex.slice(1) + name.replaceAll(COLOR_SEPARATOR, escapedSeparator);
+      });
+      params.set('colors', entries.join(COLOR_SEPARATOR));
+    }
+    return params.toString();
+  }
+
+  /**
+   * Deserialize the palette from URL parameters
+   * @returns {{presetName: string|null, colors: Array<NamedColor>}|null}
+   *   The palette, or null if the URL doesn't specify a valid one
+   */
+  static deserializePaletteFromURL() {
+    return URLStateManager.deserializePalette(window.location.search);
+  }
+
+  /**
+   * Deserialize a palette from a query string
+   * @param {string} search - The query string, with or without the leading '?'
+   * @returns {{presetName: string|null, colors: Array<NamedColor>}|null}
+   *   The palette, or null if the query doesn't specify a valid one
+   */
+  static deserializePalette(search) {
+    const params = new URLSearchParams(search);
+
+    const presetName = params.get('palette');
+    if (presetName !== null) {
+      return getPresetNames().includes(presetName)
+        ? { presetName, colors: [...getPreset(presetName)] }
+        : null;
+    }
+
+    const colorsParam = params.get('colors');
+    if (colorsParam === null) return null;
+
+    // Split on single separators, unescaping doubled ones.
+    const entries = [''];
+    for (let i = 0; i < colorsParam.length; i++) {
+      if (colorsParam[i] !== COLOR_SEPARATOR) {
+        entries[entries.length - 1] += colorsParam[i];
+      } else if (colorsParam[i + 1] === COLOR_SEPARATOR) {
+        entries[entries.length - 1] += COLOR_SEPARATOR;
+        i++;
+      } else {
+        entries.push('');
+      }
+    }
+
+    const colors = [];
+    for (const entry of entries) {
+      // Skip invalid entries, rather than discarding the palette
+      const hex = entry.slice(0, 6);
+      const rgbColor = hex.length === 6 ? hexToRgb(hex) : null;
+      if (!rgbColor) continue;
+      const name = entry.slice(6).trim() || rgbToHex(rgbColor);
+      colors.push(new NamedColor(name, rgbColor));
+    }
+    return { presetName: null, colors };
+  }
+
+  /**
+   * Serialize selected color coordinates to URL fragment
+   * @param {Array<number>|null} coordinates - Canvas coordinates as [x, y]
+   */
+  static serializeSelectionToFragment(coordinates) {
+    const fragment = URLStateManager.serializeSelection(coordinates);
+    const newURL = `${window.location.pathname}${window.location.search}${fragment}`;
+    window.history.replaceState(null, '', newURL);
+  }
+
+  /**
+   * Serialize selected color coordinates to a fragment
+   * @param {Array<number>|null} coordinates - Canvas coordinates as [x, y]
+   * @returns {string} The fragment including the leading '#', or '' if no selection
+   */
+  static serializeSelection(coordinates) {
+    // Clear fragment if no color selected
+    if (!coordinates) return '';
+
+    coordinates = coordinates.map(coord => Math.round(coord));
+    return `#${coordinates.join(',')}`;
+  }
+
+  /**
+   * Deserialize selection coordinates from URL fragment
+   * @returns {Array<number>|null} Canvas coordinates as [x, y] or null if no selection
+   */
+  static deserializeSelectionFromFragment() {
+    return URLStateManager.deserializeSelection(window.location.hash);
+  }
+
+  /**
+   * Deserialize selection coordinates from a fragment
+   * @param {string} fragment - The fragment, including the leading '#'
+   * @returns {Array<number>|null} Canvas coordinates as [x, y] or null if no selection
+   */
+  static deserializeSelection(fragment) {
+    if (!fragment || fragment.length <= 1) {
+      return null;
+    }
+
+    // Remove the # and split by comma
+    const coords = fragment.slice(1).split(',').map(s => parseInt(s, 10));
+    if (coords.length !== 2 || !coords.every(Number.isInteger)) {
+      return null;
+    }
+
+    return coords;
+  }
+
+  /**
+   * Deserialize ColorSpaceConfig from URL parameters
+   * @returns {ColorSpaceConfig} ColorSpaceConfig instance, or a default configuration if parameters are invalid
+   */
+  static deserializeColorSpaceConfigFromURL() {
+    return URLStateManager.deserializeColorSpaceConfig(window.location.search);
+  }
+
+  /**
+   * Deserialize ColorSpaceConfig from a query string
+   * @param {string} search - The query string, with or without the leading '?'
+   * @returns {ColorSpaceConfig} ColorSpaceConfig instance, or a default configuration if parameters are invalid
+   */
+  static deserializeColorSpaceConfig(search) {
+    const params = new URLSearchParams(search);
+
+    // Lookup the color space, or default to the first available.
+    const spaceParam = params.get('space')?.toUpperCase();
+    const colorSpace = getColorSpaceByType(spaceParam) || getAllColorSpaces()[0];
+
+    const axisSlices = new Map();
+    for (const axis of colorSpace.getAllAxes()) {
+      const axisValue = params.get(axis.key);
+      if (axisValue === null) continue;
+
+      // Check if it's a range (two dash-separated values, either of which
+      // may be negative) or single value
+      const rangeMatch = axisValue.match(/^(-?\d+)-(-?\d+)$/);
+      if (rangeMatch) {
+        const [min, max] = rangeMatch.slice(1).map(Number);
+        if (axis.isValidValue(min) && axis.isValidValue(max)) {
+          axisSlices.set(axis, [min, max]);
+        }
+      } else {
+        // Single value
+        const value = Number(axisValue);
+        if (axis.isValidValue(value)) {
+          axisSlices.set(axis, [value, value]);
+        }
+      }
+    }
+
+    const render3d = params.has('3d');
+
+    if (!render3d && axisSlices.size === 0) {
+      // Set defaults to use if we can't find valid parameters
+      const axis = colorSpace.getDefaultAxis();
+      axisSlices.set(axis, [axis.defaultValue, axis.defaultValue]);
+    }
+
+    const showBoundaries = !params.has('noregions');
+    const showUnmatchedColors = !params.has('onlymatched');
+    const usePolarCoordinates = params.has('polar');
+
+    // Get highlight mode from URL, default to first available mode
+    const highlightModeParam = params.get('h');
+    const availableHighlightModes = getAllHighlightModes();
+    const highlightMode = availableHighlightModes.includes(highlightModeParam)
+      ? highlightModeParam
+      : availableHighlightModes[0];
+
+    // Get color vision deficiency simulation from URL, default to none
+    const cvdParam = params.get('cvd');
+    const cvdType = CVD_TYPES.includes(cvdParam) ? cvdParam : CVD_TYPES[0];
+    const severityParam = parseInt(params.get('cvdseverity'), 10);
+    const cvdSeverity = !isNaN(severityParam)
+      ? Math.max(0, Math.min(100, severityParam)) / 100
+      : 1;
+    const simulateCvdMatching = params.has('cvdmatch');
+
+    // Get the contrast overlay from URL, default to off
+    const contrastParam = params.get('contrast');
+    const contrastOverlay = Object.hasOwn(CONTRAST_LEVELS, contrastParam) ? contrastParam : 'off';
+    const contrastReference = hexToRgb(params.get('contrastref') ?? '');
+
+    // Look for distance metric and threshold in URL parameters
+    let distanceMetric = getDefaultDistanceMetric();
+    let threshold = distanceMetric.defaultThreshold;
+
+    // Check each available distance metric to see if it's in the URL
+    for (const metric of getAllDistanceMetrics()) {
+      const thresholdValue = params.get(metric.id);
+      if (thresholdValue !== null) {
+        distanceMetric = metric;
+        const parsedThreshold = parseFloat(thresholdValue);
+        threshold = !isNaN(parsedThreshold)
+          ? metric.clampThreshold(parsedThreshold)
+          : metric.maxThreshold;
+        break;
+      }
+    }
+
+    return new ColorSpaceConfig(
+      colorSpace,
+      axisSlices,
+      render3d,
+      usePolarCoordinates,
+      showBoundaries,
+      distanceMetric,
+      threshold,
+      highlightMode,
+      showUnmatchedColors,
+      cvdType,
+      cvdSeverity,
+      simulateCvdMatching,
+      contrastOverlay,
+      contrastReference);
+  }
+}
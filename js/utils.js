@@ -67,4 +67,35 @@ export function deferUntilAnimationFrame(fn) {
 
     return promise;
   });
-}
\ No newline at end of file
+}
+
+/**
+ * Check whether the inputs of a cached computation are unchanged. Inputs
+ * are compared by identity.
+ * @param {Array|null} key - The previous inputs, or null if nothing is cached
+ * @param {Array} newKey - The current inputs
+ * @returns {boolean}
+ */
+export function keyMatches(key, newKey) {
+  return !!key && key.length === newKey.length &&
+    key.every((value, i) => value === newKey[i]);
+}
+
+/**
+ * Download data as a file
+ * @param {string} filename - The name of the downloaded file
+ * @param {string|ArrayBuffer|Blob} data - The file contents
+ * @param {string} mimeType - The MIME type of the file
+ */
+export function downloadFile(filename, data, mimeType) {
+  const blob = data instanceof Blob ? data : new Blob([data], { type: mimeType });
+  const url = URL.createObjectURL(blob);
+
+  const link = createElement('a');
+  link.href = url;
+  link.download = filename;
+  link.click();
+
+  // Revoke after the click has been handled
+  window.setTimeout(() => URL.revokeObjectURL(url), 0);
+}
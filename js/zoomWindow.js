@@ -0,0 +1,117 @@
+// The smallest window, as a fraction of the full slice
+const MIN_SIZE = 1 / 256;
+
+/**
+ * Clamp a value to a range
+ * @param {number} value
+ * @param {number} min
+ * @param {number} max
+ * @returns {number}
+ */
+function clamp(value, min, max) {
+  return Math.min(Math.max(value, min), max);
+}
+
+/**
+ * The part of a 2D slice which is visible when zoomed in. Positions are
+ * fractions of the full slice from its top left, and the window is always
+ * square and inside the slice.
+ */
+export class ZoomWindow {
+  /**
+   * @param {number} x - Left of the window
+   * @param {number} y - Top of the window
+   * @param {number} size - Width and height of the window
+   */
+  constructor(x = 0, y = 0, size = 1) {
+    this.size = clamp(size, MIN_SIZE, 1);
+    this.x = clamp(x, 0, 1 - this.size);
+    this.y = clamp(y, 0, 1 - this.size);
+    Object.freeze(this);
+  }
+
+  /**
+   * Check whether the whole slice is visible
+   * @returns {boolean}
+   */
+  isFull() {
+    return this.size === 1;
+  }
+
+  /**
+   * Convert a point in the view to a point in the full slice
+   * @param {Array<number>} viewPoint - [x, y] as fractions of the view
+   * @returns {Array<number>} [x, y] as fractions of the slice
+   */
+  viewToSlice([x, y]) {
+    return [this.x + x * this.size, this.y + y * this.size];
+  }
+
+  /**
+   * Convert a point in the full slice to a point in the view
+   * @param {Array<number>} slicePoint - [x, y] as fractions of the slice
+   * @returns {Array<number>} [x, y] as fractions of the view, outside [0, 1]
+   *   if the point isn't visible
+   */
+  sliceToView([x, y]) {
+    return [(x - this.x) / this.size, (y - this.y) / this.size];
+  }
+
+  /**
+   * Zoom about a point which stays fixed in the view
+   * @param {number} factor - How much to magnify by, below 1 to zoom out
+   * @param {Array<number>} viewPoint - [x, y] as fractions of the view
+   * @returns {ZoomWindow}
+   */
+  zoomAt(factor, viewPoint) {
+    const [sliceX, sliceY] = this.viewToSlice(viewPoint);
+    const size = clamp(this.size / factor, MIN_SIZE, 1);
+    return new ZoomWindow(
+      sliceX - viewPoint[0] * size, sliceY - viewPoint[1] * size, size);
+  }
+
+  /**
+   * Move the contents of the view
+   * @param {number} dx - Distance to move right, as a fraction of the view
+   * @param {number} dy - Distance to move down, as a fraction of the view
+   * @returns {ZoomWindow}
+   */
+  panBy(dx, dy) {
+    return new ZoomWindow(this.x - dx * this.size, this.y - dy * this.size, this.size);
+  }
+
+  /**
+   * Check whether two windows are the same
+   * @param {ZoomWindow} other
+   * @returns {boolean}
+   */
+  equals(other) {
+    return this.x === other.x && this.y === other.y && this.size === other.size;
+  }
+
+  /**
+   * Serialize the window for a URL
+   * @returns {string} 'x,y,size' with limited precision
+   */
+  toString() {
+    return [this.x, this.y, this.size].map(n => Number(n.toFixed(5))).join(',');
+  }
+
+  /**
+   * Parse a window serialized with toString
+   * @param {string} text
+   * @returns {ZoomWindow|null} The window, or null if the text is invalid
+   */
+  static parse(text) {
+    const values = text.split(',').map(Number);
+    if (values.length !== 3 || !values.every(Number.isFinite) || values[2] <= 0) {
+      return null;
+    }
+    return new ZoomWindow(...values);
+  }
+}
+
+/**
+ * The window showing the whole slice
+ */
+export const FULL_ZOOM_WINDOW = new ZoomWindow();
@@ -1,24 +1,45 @@
 #version 300 es
 precision mediump float;
 in vec3 v_colorCoord;
-out vec4 fragColor;
-uniform int u_colorSpaceIndex; // 0=RGB, 1=HSV, 2=HSL
+layout(location = 0) out vec4 fragColor;
+layout(location = 1) out vec4 fragCoord; // Color coordinate, with alpha flagging if the color is inside sRGB
+layout(location = 2) out highp int fragPaletteIndex; // Closest palette index, or NO_MATCHING_COLOR
+uniform int u_colorSpaceIndex; // 0=RGB, 1=HSV, 2=HSL, 3=Lab, 4=LCh, 5=OKLab, 6=OKLCh, 7=Display P3, 8=Rec.2020
 uniform ivec2 u_polarAxes; // [rAxisIndex, thetaAxisIndex] or [-1, -1] if not polar
-uniform int u_distanceMetric; // 0=Delta E (LAB), 1=L*u*v* (Delta E), 2=RGB Euclidean
+uniform int u_distanceMetric; // 0=Delta E (LAB), 1=CIE94, 2=CIEDE2000, 3=L*u*v* (Delta E), 4=RGB Euclidean
 uniform float u_distanceThreshold; // Maximum distance for color matching
 uniform int u_highlightPaletteIndex; // Index of palette color to highlight (-1 = no highlight)
 uniform int u_highlightMode; // Index into getAllHighlightModes array (0 = dim-other, 1 = hide-other, 2 = boundary)
 uniform bool u_showUnmatchedColors; // Whether to hide colors that don't match any palette color
+uniform bool u_simulateCvdMatching; // Whether to match colors as they appear with a color vision deficiency
+uniform mat3 u_cvdMatrix; // Color vision deficiency simulation in linear RGB, applied as v * M
 uniform float u_axis_range[6]; // [axis0_min, axis0_max, axis1_min, axis1_max, axis2_min, axis2_max]
 
-const int MAX_PALETTE_COLORS = 200;
-uniform vec3 u_paletteColors[MAX_PALETTE_COLORS]; // Maximum palette colors
+// Palette colors in the distance metric's space (see toMetricSpace), one per
+// texel in rows of PALETTE_TEXTURE_WIDTH. NO_MATCHING_COLOR,
+// OUTSIDE_COLOR_SPACE and PALETTE_TEXTURE_WIDTH are defined by the renderer.
+uniform highp sampler2D u_paletteTexture;
 uniform int u_paletteCount;
 
-// Use alpha=1.0 (255) to signal coordinates outside the color space
-const float COLOR_INDEX_SCALE = 255.0;
-const vec4 OUTSIDE_COLOR_SPACE = vec4(0.0, 0.0, 0.0, 255.0/COLOR_INDEX_SCALE);
-const int NO_MATCHING_COLOR = 254; // Use 254 to distinguish from OUTSIDE_COLOR_SPACE (255)
+// Optional uniform grid over the palette colors in the metric's space, for
+// large palettes. Each cell has the [start, count] of its candidates, which
+// are palette indices in palette order. Colors outside the grid can't match.
+uniform bool u_useGrid;
+uniform highp vec3 u_gridOrigin;
+uniform highp vec3 u_gridCellSize;
+uniform ivec3 u_gridSize;
+uniform highp isampler2D u_gridCellTexture;
+uniform highp isampler2D u_gridCandidateTexture;
+
+// Get the texel holding item i of a data texture
+ivec2 dataTexel(int i) {
+  return ivec2(i % PALETTE_TEXTURE_WIDTH, i / PALETTE_TEXTURE_WIDTH);
+}
+
+// Get a palette color in the metric's space
+vec3 paletteColor(int i) {
+  return texelFetch(u_paletteTexture, dataTexel(i), 0).rgb;
+}
 
 // Convert a pure hue to RGB color space
 // For any given hue:
@@ -63,25 +84,141 @@ vec3 hslToRgb(float h, float s, float l) {
   return l + c * (hueToRgb(h) - 0.5);
 }
 
-// Convert RGB to XYZ color space (D65 illuminant)
-vec3 rgbToXyz(vec3 rgb) {
-  // Reference: http://www.brucelindbloom.com/index.html?Eqn_RGB_to_XYZ.html
+// Convert linear RGB to gamma-encoded sRGB
+vec3 linearToSrgb(vec3 linear) {
+  // Reference: https://en.wikipedia.org/wiki/SRGB#Transfer_function_(%22gamma%22)
+  return mix(
+      linear * 12.92,
+      1.055 * pow(max(linear, 0.0), vec3(1.0/2.4)) - 0.055,
+      greaterThan(linear, vec3(0.0031308)));
+}
 
-  // Apply gamma correction (sRGB to linear RGB)
-  vec3 linear = mix(
+// Convert linear RGB to gamma-encoded sRGB, extended to values outside [0, 1]
+vec3 linearToExtendedSrgb(vec3 linear) {
+  return sign(linear) * linearToSrgb(abs(linear));
+}
+
+// Convert OKLab to linear sRGB
+vec3 oklabToLinearRgb(vec3 lab) {
+  // Reference: https://bottosson.github.io/posts/oklab/
+
+  // Matrices are written row-major, so they are applied as v * M.
+  mat3 labToLmsMatrix = mat3(
+    1.0,  0.3963377774,  0.2158037573,
+    1.0, -0.1055613458, -0.0638541728,
+    1.0, -0.0894841775, -1.2914855480
+  );
+  mat3 lmsToRgbMatrix = mat3(
+     4.0767416621, -3.3077115913,  0.2309699292,
+    -1.2684380046,  2.6097574011, -0.3413193965,
+    -0.0041960863, -0.7034186147,  1.7076147010
+  );
+
+  // Undo the cube root non-linearity.
+  vec3 lms = lab * labToLmsMatrix;
+  lms = lms * lms * lms;
+
+  return lms * lmsToRgbMatrix;
+}
+
+// Convert normalized OKLab coordinates to linear sRGB.
+// L is in [0, 1], a and b are mapped from [0, 1] to [-0.4, 0.4].
+vec3 oklabCoordToLinearRgb(float l, float a, float b) {
+  return oklabToLinearRgb(vec3(l, vec2(a, b) * 0.8 - 0.4));
+}
+
+// Convert normalized OKLCh coordinates to linear sRGB.
+// Hue is a turn in [0, 1], chroma is mapped from [0, 1] to [0, 0.4].
+vec3 oklchCoordToLinearRgb(float h, float c, float l) {
+  float angle = h * 2.0 * 3.14159265359;
+  vec2 ab = c * 0.4 * vec2(cos(angle), sin(angle));
+  return oklabToLinearRgb(vec3(l, ab));
+}
+
+// Check whether a linear RGB color lies inside the displayable gamut
+bool isInGamut(vec3 linear) {
+  // Allow for a small amount of floating point error at the boundary.
+  const float GAMUT_EPSILON = 1e-4;
+  return all(greaterThanEqual(linear, vec3(-GAMUT_EPSILON))) &&
+         all(lessThanEqual(linear, vec3(1.0 + GAMUT_EPSILON)));
+}
+
+// Convert gamma-encoded sRGB to linear RGB
+vec3 srgbToLinear(vec3 rgb) {
+  return mix(
       rgb / 12.92,
       pow((rgb + 0.055) / 1.055, vec3(2.4)),
       greaterThan(rgb, vec3(0.04045)));
+}
 
+// Convert linear sRGB to XYZ color space (D65 illuminant)
+vec3 linearRgbToXyz(vec3 linear) {
   // Convert to XYZ using sRGB matrix (D65 illuminant)
   // See http://brucelindbloom.com/index.html?Eqn_RGB_XYZ_Matrix.html
+  // The matrix is written row-major, so it is applied as v * M.
   mat3 rgbToXyzMatrix = mat3(
     0.4124564, 0.3575761, 0.1804375,
     0.2126729, 0.7151522, 0.0721750,
     0.0193339, 0.1191920, 0.9503041
   );
 
-  return rgbToXyzMatrix * linear;
+  return linear * rgbToXyzMatrix;
+}
+
+// Convert RGB to XYZ color space (D65 illuminant)
+vec3 rgbToXyz(vec3 rgb) {
+  // Reference: http://www.brucelindbloom.com/index.html?Eqn_RGB_to_XYZ.html
+  return linearRgbToXyz(srgbToLinear(rgb));
+}
+
+// Convert Display P3 to XYZ color space (D65 illuminant)
+vec3 displayP3ToXyz(vec3 rgb) {
+  // Display P3 uses the sRGB transfer function with DCI-P3 primaries.
+  // The matrix is derived from the primaries with the same D65 white point
+  // as the sRGB matrix, and is applied as v * M.
+  mat3 p3ToXyzMatrix = mat3(
+    0.4866327, 0.2656632, 0.1981742,
+    0.2290036, 0.6917267, 0.0792697,
+    0.0000000, 0.0451126, 1.0437174
+  );
+
+  return srgbToLinear(rgb) * p3ToXyzMatrix;
+}
+
+// Convert Rec.2020 to XYZ color space (D65 illuminant)
+vec3 rec2020ToXyz(vec3 rgb) {
+  // Reference: https://www.itu.int/rec/R-REC-BT.2020
+  const float ALPHA = 1.09929682680944;
+  const float BETA = 0.018053968510807;
+
+  // Invert the BT.2020 transfer function
+  vec3 linear = mix(
+      rgb / 4.5,
+      pow((rgb + ALPHA - 1.0) / ALPHA, vec3(1.0/0.45)),
+      greaterThanEqual(rgb, vec3(BETA * 4.5)));
+
+  // Derived in the same way as the Display P3 matrix, applied as v * M.
+  mat3 rec2020ToXyzMatrix = mat3(
+    0.6370102, 0.1446150, 0.1688448,
+    0.2627217, 0.6779893, 0.0592890,
+    0.0000000, 0.0280723, 1.0607577
+  );
+
+  return linear * rec2020ToXyzMatrix;
+}
+
+// Convert XYZ (D65 illuminant) to linear sRGB
+vec3 xyzToLinearRgb(vec3 xyz) {
+  // Reference: http://www.brucelindbloom.com/index.html?Eqn_XYZ_to_RGB.html
+
+  // Inverse of the sRGB matrix in rgbToXyz, applied as v * M.
+  mat3 xyzToRgbMatrix = mat3(
+     3.2404542, -1.5371385, -0.4985314,
+    -0.9692660,  1.8760108,  0.0415560,
+     0.0556434, -0.2040259,  1.0572252
+  );
+
+  return xyz * xyzToRgbMatrix;
 }
 
 const float CIE_EPSILON = 0.008856;  // epsilon = delta^3 where delta = 6/29
@@ -113,10 +250,39 @@ vec3 xyzToLab(vec3 xyz) {
   return vec3(L, a, b);
 }
 
-// Convert RGB to LAB color space
-vec3 rgbToLab(vec3 rgb) {
-  vec3 xyz = rgbToXyz(rgb);
-  return xyzToLab(xyz);
+// Convert LAB to XYZ color space
+vec3 labToXyz(vec3 lab) {
+  // Reference: http://www.brucelindbloom.com/index.html?Eqn_Lab_to_XYZ.html
+
+  float fy = (lab.x + 16.0) / 116.0;
+  vec3 f = vec3(fy + lab.y / 500.0, fy, fy - lab.z / 200.0);
+
+  // Invert the LAB transformation function
+  vec3 f3 = f * f * f;
+  vec3 normalized = mix(
+    (116.0 * f - 16.0) / CIE_KAPPA,
+    f3,
+    greaterThan(f3, vec3(CIE_EPSILON))
+  );
+  // Y is computed directly from L to avoid precision loss near black
+  normalized.y = lab.x > CIE_KAPPA * CIE_EPSILON ? f3.y : lab.x / CIE_KAPPA;
+
+  return normalized * REFERENCE_WHITE;
+}
+
+// Convert normalized LAB coordinates to linear sRGB.
+// L is mapped from [0, 1] to [0, 100], a and b from [0, 1] to [-125, 125].
+vec3 labCoordToLinearRgb(float l, float a, float b) {
+  vec3 lab = vec3(l * 100.0, vec2(a, b) * 250.0 - 125.0);
+  return xyzToLinearRgb(labToXyz(lab));
+}
+
+// Convert normalized LCh(ab) coordinates to linear sRGB.
+// Hue is a turn in [0, 1], chroma is mapped from [0, 1] to [0, 150].
+vec3 lchCoordToLinearRgb(float h, float c, float l) {
+  float angle = h * 2.0 * 3.14159265359;
+  vec2 ab = c * 150.0 * vec2(cos(angle), sin(angle));
+  return xyzToLinearRgb(labToXyz(vec3(l * 100.0, ab)));
 }
 
 // Convert XYZ to LUV color space
@@ -147,12 +313,6 @@ vec3 xyzToLuv(vec3 xyz) {
   return vec3(L, u, v);
 }
 
-// Convert RGB to LUV color space
-vec3 rgbToLuv(vec3 rgb) {
-  vec3 xyz = rgbToXyz(rgb);
-  return xyzToLuv(xyz);
-}
-
 // Convert Cartesian coordinates to polar coordinates
 vec2 cartesianToPolar(vec2 cartesian) {
   // Convert from [0,1] to [-1,1] range centered at origin
@@ -174,33 +334,153 @@ float distance2(vec3 v1, vec3 v2) {
   return dot(diff, diff);
 }
 
-// Returns the index of the closest palette color within threshold, or NO_MATCHING_COLOR if none
-int findClosestPaletteIndex(vec3 color) {
+// Compute the hue angle in degrees [0, 360) of opponent coordinates (x, y)
+float hueAngleDegrees(float y, float x) {
+  if (x == 0.0 && y == 0.0) return 0.0;
+  float angle = degrees(atan(y, x));
+  return angle < 0.0 ? angle + 360.0 : angle;
+}
+
+// Squared CIE94 color difference (graphic arts weightings).
+// The formula is not symmetric: lab1 is the reference color.
+float deltaE94Squared(vec3 lab1, vec3 lab2) {
+  // Reference: http://www.brucelindbloom.com/index.html?Eqn_DeltaE_CIE94.html
+  float c1 = length(lab1.yz);
+  float c2 = length(lab2.yz);
+
+  float dL = lab1.x - lab2.x;
+  float dC = c1 - c2;
+  // Clamp to avoid negative values from rounding error
+  float dH2 = max(distance2(vec3(lab1.yz, 0.0), vec3(lab2.yz, 0.0)) - dC * dC, 0.0);
+
+  float sC = 1.0 + 0.045 * c1;
+  float sH = 1.0 + 0.015 * c1;
+
+  return dL * dL + (dC / sC) * (dC / sC) + dH2 / (sH * sH);
+}
+
+// Squared CIEDE2000 color difference
+float deltaE2000Squared(vec3 lab1, vec3 lab2) {
+  // Reference: Sharma, Wu & Dalal (2005), "The CIEDE2000 Color-Difference
+  // Formula: Implementation Notes, Supplementary Test Data, and
+  // Mathematical Observations".
+  // https://hajim.rochester.edu/ece/sites/gsharma/ciede2000/
+
+  // (Cbar / 25)^7 is used instead of Cbar^7 / 25^7, as 25^7 would overflow.
+  float cBar = 0.5 * (length(lab1.yz) + length(lab2.yz));
+  float cBarRatio7 = pow(cBar / 25.0, 7.0);
+  float g = 0.5 * (1.0 - sqrt(cBarRatio7 / (cBarRatio7 + 1.0)));
+
+  float a1p = lab1.y * (1.0 + g);
+  float a2p = lab2.y * (1.0 + g);
+  float c1p = length(vec2(a1p, lab1.z));
+  float c2p = length(vec2(a2p, lab2.z));
+  float h1p = hueAngleDegrees(lab1.z, a1p);
+  float h2p = hueAngleDegrees(lab2.z, a2p);
+
+  float dLp = lab2.x - lab1.x;
+  float dCp = c2p - c1p;
+
+  float chromaProduct = c1p * c2p;
+  float dhp = 0.0;
+  if (chromaProduct != 0.0) {
+    dhp = h2p - h1p;
+    if (dhp > 180.0) dhp -= 360.0;
+    else if (dhp < -180.0) dhp += 360.0;
+  }
+  float dHp = 2.0 * sqrt(chromaProduct) * sin(radians(dhp * 0.5));
+
+  float lBarp = 0.5 * (lab1.x + lab2.x);
+  float cBarp = 0.5 * (c1p + c2p);
+
+  float hBarp = h1p + h2p;
+  if (chromaProduct != 0.0) {
+    if (abs(h1p - h2p) <= 180.0) hBarp *= 0.5;
+    else if (hBarp < 360.0) hBarp = 0.5 * (hBarp + 360.0);
+    else hBarp = 0.5 * (hBarp - 360.0);
+  }
+
+  float t = 1.0
+      - 0.17 * cos(radians(hBarp - 30.0))
+      + 0.24 * cos(radians(2.0 * hBarp))
+      + 0.32 * cos(radians(3.0 * hBarp + 6.0))
+      - 0.20 * cos(radians(4.0 * hBarp - 63.0));
+
+  float dThetaRatio = (hBarp - 275.0) / 25.0;
+  float dTheta = 30.0 * exp(-dThetaRatio * dThetaRatio);
+  float cBarpRatio7 = pow(cBarp / 25.0, 7.0);
+  float rC = 2.0 * sqrt(cBarpRatio7 / (cBarpRatio7 + 1.0));
+  float lBarp50Sq = (lBarp - 50.0) * (lBarp - 50.0);
+  float sL = 1.0 + 0.015 * lBarp50Sq / sqrt(20.0 + lBarp50Sq);
+  float sC = 1.0 + 0.045 * cBarp;
+  float sH = 1.0 + 0.015 * cBarp * t;
+  float rT = -sin(radians(2.0 * dTheta)) * rC;
+
+  float lTerm = dLp / sL;
+  float cTerm = dCp / sC;
+  float hTerm = dHp / sH;
+
+  return lTerm * lTerm + cTerm * cTerm + hTerm * hTerm + rT * cTerm * hTerm;
+}
+
+// Convert an XYZ color to the space the distance metric measures in.
+// The palette colors are converted on the CPU.
+vec3 toMetricSpace(vec3 xyz) {
+  if (u_distanceMetric <= 2) {
+    // Delta E (LAB), CIE94 and CIEDE2000
+    return xyzToLab(xyz);
+  } else if (u_distanceMetric == 3) {
+    return xyzToLuv(xyz);
+  } else {
+    // RGB Euclidean distance, in sRGB extended beyond [0, 1] for wide gamuts
+    return linearToExtendedSrgb(xyzToLinearRgb(xyz));
+  }
+}
+
+// Squared distance from a palette color to a color, both in the metric's space
+float paletteDistance2(int i, vec3 coord) {
+  vec3 paletteCoord = paletteColor(i);
+  if (u_distanceMetric == 1) {
+    // CIE94 distance, with the palette color as the reference
+    return deltaE94Squared(paletteCoord, coord);
+  } else if (u_distanceMetric == 2) {
+    return deltaE2000Squared(paletteCoord, coord);
+  } else {
+    return distance2(paletteCoord, coord);
+  }
+}
+
+// Returns the index of the closest palette color within threshold, or NO_MATCHING_COLOR if none.
+int findClosestPaletteIndex(vec3 xyz) {
+  vec3 coord = toMetricSpace(xyz);
   int closestIndex = NO_MATCHING_COLOR;
   float minDistance2 = u_distanceThreshold * u_distanceThreshold;
 
-  for (int i = 0; i < MAX_PALETTE_COLORS; i++) {
-    if (i >= u_paletteCount) break;
-
-    float d2;
-    if (u_distanceMetric == 0) {
-      // Delta E (LAB) distance
-      vec3 labColor = rgbToLab(color);
-      vec3 labPaletteColor = rgbToLab(u_paletteColors[i]);
-      d2 = distance2(labColor, labPaletteColor);
-    } else if (u_distanceMetric == 1) {
-      // Delta E (LUV) distance
-      vec3 luvColor = rgbToLuv(color);
-      vec3 luvPaletteColor = rgbToLuv(u_paletteColors[i]);
-      d2 = distance2(luvColor, luvPaletteColor);
-    } else {
-      // RGB Euclidean distance
-      d2 = distance2(color, u_paletteColors[i]);
+  if (u_useGrid) {
+    // Only search the palette colors listed in the color's cell. They are in
+    // palette order, so ties still go to the lower index.
+    ivec3 cell = ivec3(floor((coord - u_gridOrigin) / u_gridCellSize));
+    if (any(lessThan(cell, ivec3(0))) || any(greaterThanEqual(cell, u_gridSize))) {
+      return NO_MATCHING_COLOR;
     }
-
-    if (d2 < minDistance2) {
-      minDistance2 = d2;
-      closestIndex = i;
+    int cellIndex = (cell.z * u_gridSize.y + cell.y) * u_gridSize.x + cell.x;
+    ivec2 range = texelFetch(u_gridCellTexture, dataTexel(cellIndex), 0).rg;
+
+    for (int j = 0; j < range.y; j++) {
+      int i = texelFetch(u_gridCandidateTexture, dataTexel(range.x + j), 0).r;
+      float d2 = paletteDistance2(i, coord);
+      if (d2 < minDistance2) {
+        minDistance2 = d2;
+        closestIndex = i;
+      }
+    }
+  } else {
+    for (int i = 0; i < u_paletteCount; i++) {
+      float d2 = paletteDistance2(i, coord);
+      if (d2 < minDistance2) {
+        minDistance2 = d2;
+        closestIndex = i;
+      }
     }
   }
 
@@ -234,19 +514,59 @@ void main() {
     discard;
   }
 
+  // Compute the displayable sRGB color, and the color in XYZ which is the
+  // connection space used for palette matching.
   vec3 color;
-  if (u_colorSpaceIndex == 0) {
-    // RGB color space - colorCoord values are already in RGB range [0,1]
-    color = colorCoord;
-  } else if (u_colorSpaceIndex == 1) {
-    // HSV color space
-    color = hsvToRgb(colorCoord.x, colorCoord.y, colorCoord.z);
+  vec3 xyz;
+  bool inSrgbGamut = true;
+  if (u_colorSpaceIndex <= 2) {
+    if (u_colorSpaceIndex == 0) {
+      // RGB color space - colorCoord values are already in RGB range [0,1]
+      color = colorCoord;
+    } else if (u_colorSpaceIndex == 1) {
+      // HSV color space
+      color = hsvToRgb(colorCoord.x, colorCoord.y, colorCoord.z);
+    } else {
+      // HSL color space
+      color = hslToRgb(colorCoord.x, colorCoord.y, colorCoord.z);
+    }
+    xyz = rgbToXyz(color);
+  } else if (u_colorSpaceIndex <= 6) {
+    // Perceptual color spaces, which can fall outside the sRGB gamut
+    vec3 linear;
+    if (u_colorSpaceIndex == 3) {
+      linear = labCoordToLinearRgb(colorCoord.x, colorCoord.y, colorCoord.z);
+    } else if (u_colorSpaceIndex == 4) {
+      linear = lchCoordToLinearRgb(colorCoord.x, colorCoord.y, colorCoord.z);
+    } else if (u_colorSpaceIndex == 5) {
+      linear = oklabCoordToLinearRgb(colorCoord.x, colorCoord.y, colorCoord.z);
+    } else {
+      linear = oklchCoordToLinearRgb(colorCoord.x, colorCoord.y, colorCoord.z);
+    }
+
+    // Out-of-gamut coordinates are left as OUTSIDE_COLOR_SPACE (the clear
+    // value), so that the visible region traces the real gamut shape.
+    if (!isInGamut(linear)) {
+      discard;
+    }
+    color = linearToSrgb(clamp(linear, 0.0, 1.0));
+    xyz = linearRgbToXyz(linear);
   } else {
-    // HSL color space
-    color = hslToRgb(colorCoord.x, colorCoord.y, colorCoord.z);
+    // Wide gamut RGB color spaces. Colors outside sRGB are displayed clipped.
+    xyz = u_colorSpaceIndex == 7 ? displayP3ToXyz(colorCoord) : rec2020ToXyz(colorCoord);
+    vec3 linear = xyzToLinearRgb(xyz);
+    inSrgbGamut = isInGamut(linear);
+    color = linearToSrgb(clamp(linear, 0.0, 1.0));
+  }
+
+  // The palette colors are simulated on the CPU in the same way. The
+  // displayed color is simulated in the render pass instead, so that the
+  // true color can still be read back.
+  if (u_simulateCvdMatching) {
+    xyz = linearRgbToXyz(xyzToLinearRgb(xyz) * u_cvdMatrix);
   }
 
-  int closestIndex = findClosestPaletteIndex(color);
+  int closestIndex = findClosestPaletteIndex(xyz);
 
   // Handle hide-other highlight mode by discarding fragments that should be hidden
   if (u_highlightMode == 1 && u_highlightPaletteIndex >= 0 && closestIndex != u_highlightPaletteIndex) {
@@ -258,7 +578,7 @@ void main() {
     discard; // Completely remove fragments that don't match any palette color
   }
 
-  // Store closest index as alpha (normalized to 0-1 range)
-  float alpha = float(closestIndex) / COLOR_INDEX_SCALE;
-  fragColor = vec4(color, alpha);
+  fragColor = vec4(color, 1.0);
+  fragCoord = vec4(v_colorCoord, inSrgbGamut ? 1.0 : 0.0);
+  fragPaletteIndex = closestIndex;
 }
\ No newline at end of file
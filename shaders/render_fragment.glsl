@@ -2,38 +2,93 @@
 precision mediump float;
 out vec4 fragColor;
 uniform sampler2D u_colorTexture;
+uniform highp isampler2D u_paletteIndexTexture; // Palette index of each pixel
 uniform bool u_showBoundaries;
 uniform int u_highlightPaletteIndex; // Index of palette color to highlight (-1 = no highlight)
 uniform int u_highlightMode; // Index into getAllHighlightModes array (0 = dim-other, 1 = hide-other, 2 = boundary)
+uniform mat3 u_cvdMatrix; // Color vision deficiency simulation in linear RGB, applied as v * M (identity = none)
+uniform float u_contrastThreshold; // Minimum WCAG contrast ratio to shade (0 = no contrast overlay)
+uniform vec3 u_contrastReference; // sRGB color to check contrast against
+uniform int u_pixelScale; // Framebuffer pixels per display pixel, for line widths
 
 const int MIP_LEVEL = 0;
-const int OUTSIDE_COLOR_SPACE = 255;
+// OUTSIDE_COLOR_SPACE is defined by the renderer
 
-// Convert float palette index (stored in alpha channel) to int
-int getPaletteIndex(float paletteIndexFloat) {
-  return int(paletteIndexFloat * 255.0 + 0.5); // Round to nearest int
+// Get the palette index of a pixel
+int getPaletteIndex(ivec2 pixelCoord) {
+  return texelFetch(u_paletteIndexTexture, pixelCoord, MIP_LEVEL).r;
 }
 
-int boundaryPaletteIndex(ivec2 pixelCoord, int centerPaletteIndex) {
+// Find whether a neighbor is in a different region, and the palette index of
+// that neighbor. Neighbors which match a palette color are preferred over
+// unmatched ones, so boundaries next to a highlighted color are found.
+bool findBoundary(ivec2 pixelCoord, int centerPaletteIndex, out int neighborPaletteIndex) {
+  // Neighbors are a display pixel away, so boundaries are a display pixel wide
+  bool isBoundary = false;
+  neighborPaletteIndex = OUTSIDE_COLOR_SPACE;
+
   // Check left neighbor if not at left edge
-  if (pixelCoord.x > 0) {
-    vec4 left = texelFetch(u_colorTexture, pixelCoord + ivec2(-1, 0), MIP_LEVEL);
-    int paletteIndex = getPaletteIndex(left.a);
+  if (pixelCoord.x >= u_pixelScale) {
+    int paletteIndex = getPaletteIndex(pixelCoord + ivec2(-u_pixelScale, 0));
     if (paletteIndex != centerPaletteIndex && paletteIndex != OUTSIDE_COLOR_SPACE) {
-      return paletteIndex;
+      isBoundary = true;
+      neighborPaletteIndex = paletteIndex;
+      if (paletteIndex != NO_MATCHING_COLOR) return true;
     }
   }
 
   // Check bottom neighbor if not at bottom edge
-  if (pixelCoord.y > 0) {
-    vec4 bottom = texelFetch(u_colorTexture, pixelCoord + ivec2(0, -1), MIP_LEVEL);
-    int paletteIndex = getPaletteIndex(bottom.a);
+  if (pixelCoord.y >= u_pixelScale) {
+    int paletteIndex = getPaletteIndex(pixelCoord + ivec2(0, -u_pixelScale));
     if (paletteIndex != centerPaletteIndex && paletteIndex != OUTSIDE_COLOR_SPACE) {
-      return paletteIndex;
+      isBoundary = true;
+      neighborPaletteIndex = paletteIndex;
     }
   }
 
-  return -1;
+  return isBoundary;
+}
+
+// Convert gamma-encoded sRGB to linear RGB
+vec3 srgbToLinear(vec3 rgb) {
+  return mix(
+      rgb / 12.92,
+      pow((rgb + 0.055) / 1.055, vec3(2.4)),
+      greaterThan(rgb, vec3(0.04045)));
+}
+
+// Convert linear RGB to gamma-encoded sRGB
+vec3 linearToSrgb(vec3 linear) {
+  return mix(
+      linear * 12.92,
+      1.055 * pow(max(linear, 0.0), vec3(1.0/2.4)) - 0.055,
+      greaterThan(linear, vec3(0.0031308)));
+}
+
+// Show a color as it appears with the simulated color vision deficiency
+vec3 simulateCvd(vec3 rgb) {
+  return linearToSrgb(clamp(srgbToLinear(rgb) * u_cvdMatrix, 0.0, 1.0));
+}
+
+// WCAG 2.x relative luminance of an sRGB color
+float relativeLuminance(vec3 rgb) {
+  return dot(srgbToLinear(rgb), vec3(0.2126729, 0.7151522, 0.0721750));
+}
+
+// Check if the reference color meets the contrast threshold against a color
+bool meetsContrast(vec3 rgb) {
+  float l1 = relativeLuminance(rgb);
+  float l2 = relativeLuminance(u_contrastReference);
+  return (max(l1, l2) + 0.05) / (min(l1, l2) + 0.05) >= u_contrastThreshold;
+}
+
+// Shade a color with diagonal stripes of the reference color
+vec3 applyContrastStripes(vec3 color, ivec2 pixelCoord) {
+  const int STRIPE_PERIOD = 8;
+  const int STRIPE_WIDTH = 2;
+  ivec2 displayCoord = pixelCoord / u_pixelScale;
+  return (displayCoord.x + displayCoord.y) % STRIPE_PERIOD < STRIPE_WIDTH
+      ? u_contrastReference : color;
 }
 
 // Get boundary color that contrasts well with the underlying color
@@ -64,8 +119,8 @@ bool showBoundary(ivec2 pixelCoord, int paletteIndex) {
   if (u_highlightMode == 1 && u_highlightPaletteIndex >= 0) return false;
 
   // Check if we are a boundary.
-  int boundaryIndex = boundaryPaletteIndex(pixelCoord, paletteIndex);
-  bool isBoundary = boundaryIndex >= 0;
+  int boundaryIndex;
+  bool isBoundary = findBoundary(pixelCoord, paletteIndex, boundaryIndex);
 
   bool showBoundary = false;
   if (u_highlightMode == 2 && u_highlightPaletteIndex >= 0) {
@@ -86,9 +141,8 @@ void main() {
   // Sample center color data
   vec4 center = texelFetch(u_colorTexture, pixelCoord, MIP_LEVEL);
 
-  // Split out color and palette index
-  vec3 baseColor = center.rgb;
-  int paletteIndex = getPaletteIndex(center.a);
+  vec3 baseColor = simulateCvd(center.rgb);
+  int paletteIndex = getPaletteIndex(pixelCoord);
 
   // Check if this is an invalid coordinate first
   if (paletteIndex == OUTSIDE_COLOR_SPACE) {
@@ -103,5 +157,10 @@ void main() {
   vec3 finalColor = showBoundary(pixelCoord, paletteIndex)
       ? getBoundaryColor(baseColor) : colorWithHighlight;
 
+  // Contrast is checked against the true color, not the simulated one
+  if (u_contrastThreshold > 0.0 && meetsContrast(center.rgb)) {
+    finalColor = applyContrastStripes(finalColor, pixelCoord);
+  }
+
   fragColor = vec4(finalColor, 1.0);
 }
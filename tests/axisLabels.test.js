@@ -0,0 +1,71 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { getAxisLabels } from '../js/axisLabels.js';
+import { ColorSpaceConfig } from '../js/configController.js';
+import { getColorSpaceByType, getDistanceMetricById } from '../js/colorSpace.js';
+import { ZoomWindow } from '../js/zoomWindow.js';
+
+/**
+ * Make a 2D config with the fixed axis at a value
+ * @param {string} type - The color space type
+ * @param {string} axisKey - The fixed axis
+ * @param {boolean} polar
+ * @returns {ColorSpaceConfig}
+ */
+function sliceConfig(type, axisKey, polar = false) {
+  const colorSpace = getColorSpaceByType(type);
+  const axis = colorSpace.getAxisByKey(axisKey);
+  return new ColorSpaceConfig(
+    colorSpace, new Map([[axis, [50, 50]]]), false, polar, true,
+    getDistanceMetricById('lab-d'), 10);
+}
+
+/**
+ * Get the text of the ticks on an axis
+ * @param {Array<AxisLabel>} labels
+ * @param {string} direction
+ * @returns {Array<string>}
+ */
+function tickTexts(labels, direction) {
+  return labels.filter(l => l.axis === direction && !l.isTitle).map(l => l.text);
+}
+
+describe('getAxisLabels', () => {
+  it('labels the full range of both axes', () => {
+    const labels = getAxisLabels(sliceConfig('RGB', 'blue'));
+    assert.deepEqual(tickTexts(labels, 'x'), ['0%', '20%', '40%', '60%', '80%', '100%']);
+    assert.deepEqual(tickTexts(labels, 'y'), ['0%', '20%', '40%', '60%', '80%', '100%']);
+    assert.deepEqual(
+      labels.filter(l => l.isTitle).map(l => l.text), ['Red', 'Green']);
+  });
+
+  it('labels the visible range when zoomed', () => {
+    // The top left quarter: low red, and high green
+    const labels = getAxisLabels(sliceConfig('RGB', 'blue'), new ZoomWindow(0, 0, 0.5));
+    assert.deepEqual(tickTexts(labels, 'x'), ['0%', '10%', '20%', '30%', '40%', '50%']);
+    assert.deepEqual(tickTexts(labels, 'y'), ['50%', '60%', '70%', '80%', '90%', '100%']);
+  });
+
+  it('adds decimals when ticks are close together', () => {
+    const labels = getAxisLabels(sliceConfig('RGB', 'blue'), new ZoomWindow(0.5, 0.5, 0.05));
+    assert.deepEqual(tickTexts(labels, 'x'), ['50%', '51%', '52%', '53%', '54%', '55%']);
+    const finer = getAxisLabels(sliceConfig('RGB', 'blue'), new ZoomWindow(0.5, 0.5, 0.01));
+    assert.deepEqual(tickTexts(finer, 'x'), ['50.0%', '50.2%', '50.4%', '50.6%', '50.8%', '51.0%']);
+  });
+
+  it('drops polar ticks which are out of view', () => {
+    const config = sliceConfig('HSV', 'value', true);
+    assert.equal(getAxisLabels(config).length, 8);
+    // The right edge of the circle, where hue is 0
+    const labels = getAxisLabels(config, new ZoomWindow(0.75, 0.375, 0.25));
+    assert.deepEqual(labels.map(l => l.text), ['0° Hue']);
+  });
+
+  it('has no labels in 3D', () => {
+    const colorSpace = getColorSpaceByType('RGB');
+    const config = new ColorSpaceConfig(
+      colorSpace, new Map(), true, false, true, getDistanceMetricById('lab-d'), 10);
+    assert.deepEqual(getAxisLabels(config), []);
+  });
+});
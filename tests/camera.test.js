@@ -0,0 +1,123 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+  defaultRotation, getCameraPresets, getPresetRotation, isDefaultRotation,
+  rotationToString, parseRotation, clampCameraDistance,
+  MIN_CAMERA_DISTANCE, MAX_CAMERA_DISTANCE
+} from '../js/camera.js';
+import { ColorSpaceConfig } from '../js/configController.js';
+import { getColorSpaceByType } from '../js/colorSpace.js';
+
+// Loaded as a global by camera.js
+const { mat4, vec3 } = globalThis.glMatrix;
+
+/**
+ * Make a 3D config showing the whole color space
+ * @param {string} type - The color space type
+ * @param {boolean} polar
+ * @returns {ColorSpaceConfig}
+ */
+function volumeConfig(type, polar = false) {
+  const colorSpace = getColorSpaceByType(type);
+  const axisSlices = new Map(colorSpace.getAllAxes().map(axis => [axis, [axis.min, axis.max]]));
+  return new ColorSpaceConfig(colorSpace, axisSlices, true, polar);
+}
+
+/**
+ * Get the direction which a rotation turns toward the camera
+ * @param {mat4} rotationMatrix
+ * @returns {Array<number>}
+ */
+function directionTowardCamera(rotationMatrix) {
+  const inverse = mat4.invert(mat4.create(), rotationMatrix);
+  return [...vec3.transformMat4(vec3.create(), [0, 0, 1], inverse)];
+}
+
+/**
+ * Check that two directions are nearly equal
+ * @param {Array<number>} actual
+ * @param {Array<number>} expected - Need not be normalized
+ */
+function assertDirectionClose(actual, expected) {
+  const normalized = vec3.normalize(vec3.create(), expected);
+  actual.forEach((value, i) => {
+    assert.ok(Math.abs(value - normalized[i]) < 1e-6, `${actual} != ${[...normalized]}`);
+  });
+}
+
+describe('getCameraPresets', () => {
+  it('offers every axis of a cartesian space', () => {
+    const names = getCameraPresets(volumeConfig('RGB')).map(p => p.displayName);
+    assert.deepEqual(names, [
+      'White toward camera', 'Isometric',
+      'Down the Red axis', 'Down the Green axis', 'Down the Blue axis']);
+  });
+
+  it('only offers the cylinder axis of a polar space', () => {
+    const presets = getCameraPresets(volumeConfig('HSV', true));
+    assert.deepEqual(presets.map(p => p.id), ['white', 'isometric', 'axis-2']);
+  });
+});
+
+describe('getPresetRotation', () => {
+  it('looks down each axis', () => {
+    const config = volumeConfig('RGB');
+    assertDirectionClose(directionTowardCamera(getPresetRotation('axis-0', config)), [1, 0, 0]);
+    assertDirectionClose(directionTowardCamera(getPresetRotation('axis-1', config)), [0, 1, 0]);
+    assertDirectionClose(directionTowardCamera(getPresetRotation('axis-2', config)), [0, 0, 1]);
+  });
+
+  it('keeps the y axis up where it can', () => {
+    const rotation = getPresetRotation('isometric', volumeConfig('RGB'));
+    assertDirectionClose(directionTowardCamera(rotation), [1, 1, 1]);
+    const up = vec3.transformMat4(vec3.create(), [0, 1, 0], rotation);
+    assert.equal(up[0], 0);
+    assert.ok(up[1] > 0);
+  });
+
+  it('turns white toward the camera', () => {
+    assertDirectionClose(
+      directionTowardCamera(getPresetRotation('white', volumeConfig('RGB'))), [1, 1, 1]);
+    // White is the edge of the HSV cube with full value and no saturation
+    assertDirectionClose(
+      directionTowardCamera(getPresetRotation('white', volumeConfig('HSV'))), [0, -1, 1]);
+    // and the center of the top of the cylinder
+    assertDirectionClose(
+      directionTowardCamera(getPresetRotation('white', volumeConfig('HSV', true))), [0, 0, 1]);
+  });
+
+  it('finds white in spaces with a gamut boundary', () => {
+    const direction = directionTowardCamera(getPresetRotation('white', volumeConfig('OKLAB')));
+    // White is at full lightness, in the middle of the a and b axes
+    assert.ok(direction[0] > 0.99, `${direction}`);
+  });
+});
+
+describe('rotation strings', () => {
+  it('round trips a rotation', () => {
+    const rotation = getPresetRotation('isometric', volumeConfig('RGB'));
+    const parsed = parseRotation(rotationToString(rotation));
+    rotation.forEach((value, i) => assert.ok(Math.abs(value - parsed[i]) < 1e-3));
+  });
+
+  it('recognizes the default rotation', () => {
+    assert.ok(isDefaultRotation(defaultRotation()));
+    assert.ok(isDefaultRotation(parseRotation(rotationToString(defaultRotation()))));
+    assert.ok(!isDefaultRotation(mat4.create()));
+  });
+
+  it('rejects invalid rotations', () => {
+    assert.equal(parseRotation('0,0,1'), null);
+    assert.equal(parseRotation('a,b,c,d'), null);
+    assert.equal(parseRotation('0,0,0,0'), null);
+  });
+});
+
+describe('clampCameraDistance', () => {
+  it('keeps the camera in range', () => {
+    assert.equal(clampCameraDistance(0), MIN_CAMERA_DISTANCE);
+    assert.equal(clampCameraDistance(100), MAX_CAMERA_DISTANCE);
+    assert.equal(clampCameraDistance(2.5), 2.5);
+  });
+});
@@ -0,0 +1,138 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+  rgbToXyz, xyzToLab, labToXyz, xyzToLinearRgb, linearRgbToXyz,
+  deltaE2000, deltaE94, colorDistance, colorCoordToColor,
+  findClosestPaletteIndex, applyPolarAxes, cvdMatrix, simulateCvd, srgbToLinear,
+  linearToSrgb, COLOR_SPACE_TYPES, DISTANCE_METRIC_IDS, CVD_TYPES
+} from '../js/colorMath.js';
+import { getAllColorSpaces, getAllDistanceMetrics } from '../js/colorSpace.js';
+
+/**
+ * Assert that two arrays of numbers are equal within a tolerance
+ * @param {Array<number>} actual
+ * @param {Array<number>} expected
+ * @param {number} tolerance
+ */
+function assertClose(actual, expected, tolerance) {
+  actual.forEach((v, i) => {
+    assert.ok(Math.abs(v - expected[i]) <= tolerance,
+      `expected [${actual}] to be close to [${expected}]`);
+  });
+}
+
+describe('colorMath', () => {
+  it('matches the order of the shader uniforms', () => {
+    assert.deepEqual(COLOR_SPACE_TYPES, getAllColorSpaces().map(s => s.getType()));
+    assert.deepEqual(DISTANCE_METRIC_IDS, getAllDistanceMetrics().map(m => m.id));
+  });
+
+  it('maps white to the reference white', () => {
+    assertClose(rgbToXyz([1, 1, 1]), [0.95047, 1, 1.08883], 1e-5);
+    assertClose(xyzToLab(rgbToXyz([1, 1, 1])), [100, 0, 0], 1e-3);
+  });
+
+  it('round-trips Lab and XYZ', () => {
+    for (const lab of [[50, 20, -30], [5, 1, 1], [90, -80, 70]]) {
+      assertClose(xyzToLab(labToXyz(lab)), lab, 1e-6);
+    }
+    const xyz = [0.3, 0.4, 0.5];
+    assertClose(linearRgbToXyz(xyzToLinearRgb(xyz)), xyz, 1e-6);
+  });
+
+  it('matches the CIEDE2000 reference data', () => {
+    // Pairs from Sharma, Wu & Dalal (2005)
+    const pairs = [
+      [[50, 2.6772, -79.7751], [50, 0, -82.7485], 2.0425],
+      [[50, -1.3802, -84.2814], [50, 0, -82.7485], 1.0],
+      [[50, 2.5, 0], [50, 0, -2.5], 4.3065],
+      [[60.2574, -34.0099, 36.2677], [60.4626, -34.1751, 39.4387], 1.2644],
+      [[22.7233, 20.0904, -46.694], [23.0331, 14.973, -42.5619], 2.0373],
+    ];
+    for (const [lab1, lab2, expected] of pairs) {
+      assert.ok(Math.abs(deltaE2000(lab1, lab2) - expected) < 1e-4);
+      assert.ok(Math.abs(deltaE2000(lab2, lab1) - expected) < 1e-4);
+    }
+  });
+
+  it('treats the first CIE94 color as the reference', () => {
+    const lab1 = [50, 60, 0];
+    const lab2 = [50, 10, 0];
+    assert.ok(deltaE94(lab1, lab2) < deltaE94(lab2, lab1));
+  });
+
+  it('gives zero distance between identical colors', () => {
+    for (const id of DISTANCE_METRIC_IDS) {
+      assert.ok(colorDistance(id, [0.2, 0.4, 0.6], [0.2, 0.4, 0.6]) < 1e-9, id);
+    }
+    assert.throws(() => colorDistance('unknown', [0, 0, 0], [0, 0, 0]));
+  });
+
+  it('discards coordinates outside the sRGB gamut in perceptual spaces', () => {
+    assert.equal(colorCoordToColor('OKLCH', [0.5, 1, 0.5]), null);
+    const gray = colorCoordToColor('OKLCH', [0.5, 0, 0.5]);
+    assert.equal(gray.inSrgbGamut, true);
+  });
+
+  it('flags wide gamut colors outside sRGB', () => {
+    assert.equal(colorCoordToColor('P3', [1, 0, 0]).inSrgbGamut, false);
+    assert.equal(colorCoordToColor('P3', [0.5, 0.5, 0.5]).inSrgbGamut, true);
+    assertClose(colorCoordToColor('REC2020', [1, 1, 1]).rgb, [1, 1, 1], 1e-6);
+  });
+
+  it('finds the closest palette color, preferring the lower index', () => {
+    const palette = [[0, 0, 1], [1, 0, 0], [1, 0, 0]].map(rgbToXyz);
+    const xyz = rgbToXyz([0.9, 0.1, 0]);
+    for (const id of DISTANCE_METRIC_IDS) {
+      const threshold = getAllDistanceMetrics().find(m => m.id === id).maxThreshold;
+      assert.equal(findClosestPaletteIndex(xyz, palette, id, threshold), 1, id);
+    }
+    assert.equal(findClosestPaletteIndex(xyz, palette, 'lab-d', 1), -1);
+    assert.equal(findClosestPaletteIndex(xyz, [], 'lab-d', 100), -1);
+  });
+
+  it('applies the polar transformation', () => {
+    assert.deepEqual(applyPolarAxes([0.2, 0.3, 0.4], [-1, -1]), [0.2, 0.3, 0.4]);
+    assertClose(applyPolarAxes([1, 0.5, 0.4], [1, 0]), [0.25, 1, 0.4], 1e-9);
+    assert.equal(applyPolarAxes([1, 1, 0], [1, 0]), null);
+  });
+
+  it('keeps neutral colors when simulating color vision deficiencies', () => {
+    for (const type of CVD_TYPES) {
+      assertClose(simulateCvd(type, 1, [1, 1, 1]), [1, 1, 1], 1e-4);
+      assertClose(simulateCvd(type, 0.5, [0.2, 0.2, 0.2]), [0.2, 0.2, 0.2], 1e-4);
+    }
+  });
+
+  it('blends the simulation with the identity by severity', () => {
+    const identity = [[1, 0, 0], [0, 1, 0], [0, 0, 1]];
+    assert.deepEqual(cvdMatrix('none', 1), identity);
+    assert.deepEqual(cvdMatrix('protanopia', 0), identity);
+    const half = cvdMatrix('deuteranopia', 0.5);
+    const full = cvdMatrix('deuteranopia', 1);
+    assertClose(half[0], full[0].map((v, j) => (v + identity[0][j]) / 2), 1e-12);
+    assert.throws(() => cvdMatrix('nope', 1), /Unknown/);
+  });
+
+  it('makes red and green confusable for red-green deficiencies', () => {
+    const simulatedDistance = (type, severity) => {
+      const [red, green] = [[0.8, 0.2, 0.1], [0.3, 0.6, 0.1]].map(
+        rgb => linearToSrgb(simulateCvd(type, severity, srgbToLinear(rgb))));
+      return colorDistance('de2000', red, green);
+    };
+    const normal = simulatedDistance('none', 1);
+    for (const type of ['protanopia', 'deuteranopia']) {
+      assert.ok(simulatedDistance(type, 1) < normal / 2, type);
+      assert.ok(simulatedDistance(type, 1) < simulatedDistance(type, 0.5), type);
+    }
+    assert.ok(simulatedDistance('tritanopia', 1) > normal * 0.9);
+  });
+
+  it('removes all color for achromatopsia', () => {
+    const [r, g, b] = simulateCvd('achromatopsia', 1, [0.8, 0.1, 0.3]);
+    assertClose([g, b], [r, r], 1e-12);
+    // The luminance is kept
+    assertClose([linearRgbToXyz([r, g, b])[1]], [linearRgbToXyz([0.8, 0.1, 0.3])[1]], 1e-6);
+  });
+});
@@ -0,0 +1,50 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { ColorPalette } from '../js/colorPalette.js';
+import { NamedColor } from '../js/namedColor.js';
+import { RgbColor } from '../js/colorSpace.js';
+
+const RED = new RgbColor(1, 0, 0);
+
+/**
+ * Generate a name as the palette would with the given existing color names.
+ * The palette is not constructed, as that requires a DOM.
+ * @param {Array<string>} existingNames
+ * @param {string|null} closestName
+ * @returns {string}
+ */
+function generateName(existingNames, closestName) {
+  const palette = Object.create(ColorPalette.prototype);
+  palette._colors = existingNames.map(name => new NamedColor(name, RED));
+  const closestColor = closestName === null ? null : new NamedColor(closestName, RED);
+  return palette._generateColorName(RED, closestColor);
+}
+
+describe('ColorPalette._generateColorName', () => {
+  it('numbers from 1', () => {
+    assert.equal(generateName([], 'Red'), 'Red (1)');
+  });
+
+  it('uses "Custom" without a closest color', () => {
+    assert.equal(generateName([], null), 'Custom (1)');
+    assert.equal(generateName(['Custom (1)'], null), 'Custom (2)');
+  });
+
+  it('numbers after the existing color with the same name', () => {
+    assert.equal(generateName(['Red'], 'Red'), 'Red (1)');
+    assert.equal(generateName(['Red', 'Red (1)'], 'Red'), 'Red (2)');
+  });
+
+  it('numbers after the highest existing number', () => {
+    assert.equal(generateName(['Red (1)', 'Red (5)', 'Red (3)'], 'Red'), 'Red (6)');
+  });
+
+  it('strips the number from the closest color name', () => {
+    assert.equal(generateName(['Red (1)', 'Red (2)'], 'Red (2)'), 'Red (3)');
+  });
+
+  it('ignores colors which only share a prefix', () => {
+    assert.equal(generateName(['Redwood (4)', 'Red Orange (2)'], 'Red'), 'Red (1)');
+  });
+});
@@ -0,0 +1,110 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+  getAllColorSpaces, getColorSpaceByType, getAllDistanceMetrics,
+  getDefaultDistanceMetric, getDistanceMetricById, RgbColor, LabColor
+} from '../js/colorSpace.js';
+
+describe('Axis', () => {
+  it('only accepts integers within range', () => {
+    const hue = getColorSpaceByType('HSV').getAxisByKey('hue');
+    assert.ok(hue.isValidValue(0));
+    assert.ok(hue.isValidValue(360));
+    assert.ok(!hue.isValidValue(361));
+    assert.ok(!hue.isValidValue(-1));
+    assert.ok(!hue.isValidValue(1.5));
+  });
+
+  it('accepts negative values on opponent axes', () => {
+    const a = getColorSpaceByType('LAB').getAxisByKey('a');
+    assert.ok(a.isValidValue(-125));
+    assert.ok(!a.isValidValue(-126));
+  });
+});
+
+describe('ColorSpace', () => {
+  it('has a default axis for every color space', () => {
+    for (const colorSpace of getAllColorSpaces()) {
+      assert.ok(colorSpace.getAllAxes().includes(colorSpace.getDefaultAxis()),
+        colorSpace.getType());
+    }
+  });
+
+  it('is found by type', () => {
+    for (const colorSpace of getAllColorSpaces()) {
+      assert.equal(getColorSpaceByType(colorSpace.getType()), colorSpace);
+    }
+  });
+});
+
+describe('Color', () => {
+  it('rejects the wrong number of coordinates', () => {
+    assert.throws(() => new RgbColor(0, 0));
+  });
+
+  it('rejects coordinates outside [0, 1]', () => {
+    assert.throws(() => new RgbColor(0, 1.5, 0));
+  });
+
+  it('formats values in axis units', () => {
+    assert.equal(new RgbColor(1, 0, 0.5).toString(), 'RGB: 100% 0% 50%');
+    assert.equal(new LabColor(0.5, 0, 1).toString(), 'LAB: 50 -125 125');
+  });
+});
+
+describe('DistanceMetric', () => {
+  it('has a default threshold within range', () => {
+    for (const metric of getAllDistanceMetrics()) {
+      assert.ok(metric.minThreshold < metric.maxThreshold, metric.id);
+      assert.ok(metric.defaultThreshold >= metric.minThreshold, metric.id);
+      assert.ok(metric.defaultThreshold <= metric.maxThreshold, metric.id);
+    }
+  });
+
+  it('is found by id', () => {
+    for (const metric of getAllDistanceMetrics()) {
+      assert.equal(getDistanceMetricById(metric.id), metric);
+    }
+    assert.equal(getDistanceMetricById('unknown'), null);
+    assert.equal(getDefaultDistanceMetric(), getAllDistanceMetrics()[0]);
+  });
+
+  it('clamps thresholds to its range', () => {
+    const metric = getDistanceMetricById('lab-d');
+    assert.equal(metric.clampThreshold(0), metric.minThreshold);
+    assert.equal(metric.clampThreshold(1000), metric.maxThreshold);
+    assert.equal(metric.clampThreshold(5), 5);
+  });
+
+  it('maps the threshold range onto slider values 0-100', () => {
+    for (const metric of getAllDistanceMetrics()) {
+      assert.ok(Math.abs(metric.thresholdToSliderValue(metric.minThreshold)) < 1e-9);
+      assert.ok(Math.abs(metric.thresholdToSliderValue(metric.maxThreshold) - 100) < 1e-9);
+      assert.ok(Math.abs(metric.sliderValueToThreshold(0) - metric.minThreshold) < 1e-9);
+      assert.ok(Math.abs(metric.sliderValueToThreshold(100) - metric.maxThreshold) < 1e-9);
+    }
+  });
+
+  it('round-trips thresholds through slider values', () => {
+    for (const metric of getAllDistanceMetrics()) {
+      const threshold = metric.defaultThreshold;
+      const roundTripped = metric.sliderValueToThreshold(
+        metric.thresholdToSliderValue(threshold));
+      assert.ok(Math.abs(roundTripped - threshold) < 1e-9, metric.id);
+    }
+  });
+
+  it('clamps out of range thresholds to the slider ends', () => {
+    const metric = getDistanceMetricById('rgb-d');
+    assert.equal(metric.thresholdToSliderValue(-1), 0);
+    assert.equal(metric.thresholdToSliderValue(5), 100);
+  });
+
+  it('formats thresholds', () => {
+    const metric = getDefaultDistanceMetric();
+    assert.equal(metric.thresholdToString(12.3), '12');
+    assert.equal(metric.thresholdToString(2.345), '2.3');
+    assert.equal(metric.thresholdToString(0.1), '0.10');
+  });
+});
@@ -0,0 +1,143 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+  rgbToCssString, rgbToHex, hexToRgb, rgbToHsl, rgbToHsv,
+  hslToRgb as hslColorToRgb, hsvToRgb as hsvColorToRgb
+} from '../js/colorUtils.js';
+import { RgbColor, HslColor, HsvColor } from '../js/colorSpace.js';
+import { hslToRgb, hsvToRgb } from '../js/colorMath.js';
+
+const EPSILON = 1e-9;
+
+/**
+ * Assert that two arrays of numbers are equal within a tolerance
+ * @param {Iterable<number>} actual
+ * @param {Iterable<number>} expected
+ * @param {number} [tolerance=EPSILON]
+ */
+function assertClose(actual, expected, tolerance = EPSILON) {
+  actual = [...actual];
+  expected = [...expected];
+  assert.equal(actual.length, expected.length);
+  actual.forEach((v, i) => {
+    assert.ok(Math.abs(v - expected[i]) <= tolerance,
+      `expected [${actual}] to be close to [${expected}]`);
+  });
+}
+
+// A grid of RGB colors, including the cube corners and grays.
+const SAMPLE_COLORS = [];
+for (const r of [0, 0.25, 0.5, 1]) {
+  for (const g of [0, 0.3, 0.9, 1]) {
+    for (const b of [0, 0.6, 1]) {
+      SAMPLE_COLORS.push(new RgbColor(r, g, b));
+    }
+  }
+}
+
+describe('rgbToCssString', () => {
+  it('rounds to bytes', () => {
+    assert.equal(rgbToCssString(new RgbColor(1, 0.5, 0)), 'rgb(255, 128, 0)');
+    assert.equal(rgbToCssString(new RgbColor(0, 0, 0)), 'rgb(0, 0, 0)');
+  });
+});
+
+describe('rgbToHsl', () => {
+  it('returns an HslColor', () => {
+    assert.ok(rgbToHsl(new RgbColor(1, 0, 0)) instanceof HslColor);
+  });
+
+  it('converts primary and secondary colors', () => {
+    assertClose(rgbToHsl(new RgbColor(1, 0, 0)), [0, 1, 0.5]);
+    assertClose(rgbToHsl(new RgbColor(0, 1, 0)), [1 / 3, 1, 0.5]);
+    assertClose(rgbToHsl(new RgbColor(0, 0, 1)), [2 / 3, 1, 0.5]);
+    assertClose(rgbToHsl(new RgbColor(1, 0, 1)), [5 / 6, 1, 0.5]);
+  });
+
+  it('gives achromatic colors zero hue and saturation', () => {
+    for (const v of [0, 0.2, 0.5, 1]) {
+      assertClose(rgbToHsl(new RgbColor(v, v, v)), [0, 0, v]);
+    }
+  });
+
+  it('round-trips through hslToRgb', () => {
+    for (const rgb of SAMPLE_COLORS) {
+      assertClose(hslToRgb(...rgbToHsl(rgb)), rgb);
+    }
+  });
+});
+
+describe('rgbToHsv', () => {
+  it('returns an HsvColor', () => {
+    assert.ok(rgbToHsv(new RgbColor(1, 0, 0)) instanceof HsvColor);
+  });
+
+  it('converts primary and secondary colors', () => {
+    assertClose(rgbToHsv(new RgbColor(1, 0, 0)), [0, 1, 1]);
+    assertClose(rgbToHsv(new RgbColor(1, 1, 0)), [1 / 6, 1, 1]);
+    assertClose(rgbToHsv(new RgbColor(0, 0.5, 0.5)), [0.5, 1, 0.5]);
+  });
+
+  it('gives achromatic colors zero hue and saturation', () => {
+    for (const v of [0, 0.2, 0.5, 1]) {
+      assertClose(rgbToHsv(new RgbColor(v, v, v)), [0, 0, v]);
+    }
+  });
+
+  it('keeps hue in [0, 1) when blue exceeds green', () => {
+    const [h] = rgbToHsv(new RgbColor(1, 0, 0.5));
+    assert.ok(h >= 0 && h < 1);
+    assertClose([h], [11 / 12]);
+  });
+
+  it('round-trips through hsvToRgb', () => {
+    for (const rgb of SAMPLE_COLORS) {
+      assertClose(hsvToRgb(...rgbToHsv(rgb)), rgb);
+    }
+  });
+});
+
+describe('hslToRgb and hsvToRgb', () => {
+  it('return RgbColors which round-trip', () => {
+    for (const rgb of SAMPLE_COLORS) {
+      const fromHsl = hslColorToRgb(rgbToHsl(rgb));
+      const fromHsv = hsvColorToRgb(rgbToHsv(rgb));
+      assert.ok(fromHsl instanceof RgbColor);
+      assert.ok(fromHsv instanceof RgbColor);
+      assertClose(fromHsl, rgb);
+      assertClose(fromHsv, rgb);
+    }
+  });
+
+  it('convert hues around the circle', () => {
+    assertClose(hslColorToRgb(new HslColor(1 / 3, 1, 0.5)), [0, 1, 0]);
+    assertClose(hsvColorToRgb(new HsvColor(5 / 6, 1, 0.5)), [0.5, 0, 0.5]);
+    assertClose(hsvColorToRgb(new HsvColor(1, 1, 1)), [1, 0, 0]);
+  });
+});
+
+describe('hex colors', () => {
+  it('formats RGB as hex', () => {
+    assert.equal(rgbToHex(new RgbColor(1, 0.5, 0)), '#FF8000');
+  });
+
+  it('parses 3 and 6 digit hex, with or without #', () => {
+    assertClose(hexToRgb('#FF8000'), [1, 128 / 255, 0]);
+    assertClose(hexToRgb('ff8000'), [1, 128 / 255, 0]);
+    assertClose(hexToRgb(' #f80 '), [1, 136 / 255, 0]);
+  });
+
+  it('rejects invalid hex', () => {
+    for (const hex of ['', '#', '#ff', '#ggg', '#ff80001', 'red']) {
+      assert.equal(hexToRgb(hex), null, hex);
+    }
+  });
+
+  it('round-trips bytes', () => {
+    for (const rgb of SAMPLE_COLORS) {
+      const hex = rgbToHex(rgb);
+      assert.equal(rgbToHex(hexToRgb(hex)), hex);
+    }
+  });
+});
@@ -0,0 +1,60 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+  relativeLuminance, wcagContrastRatio, wcagLevel, apcaContrast, CONTRAST_LEVELS
+} from '../js/contrast.js';
+import { hexToRgb } from '../js/colorUtils.js';
+
+const rgb = hex => [...hexToRgb(hex)];
+
+describe('wcagContrastRatio', () => {
+  it('spans 1 to 21', () => {
+    assert.ok(Math.abs(wcagContrastRatio(rgb('#000'), rgb('#FFF')) - 21) < 1e-4);
+    assert.equal(wcagContrastRatio(rgb('#808080'), rgb('#808080')), 1);
+  });
+
+  it('is symmetric', () => {
+    assert.equal(
+      wcagContrastRatio(rgb('#336699'), rgb('#FFCC00')),
+      wcagContrastRatio(rgb('#FFCC00'), rgb('#336699')));
+  });
+
+  it('matches the well known AA boundary for gray on white', () => {
+    // #767676 is the lightest gray that meets AA on white
+    assert.equal(wcagLevel(wcagContrastRatio(rgb('#767676'), rgb('#FFF'))), 'aa');
+    assert.equal(wcagLevel(wcagContrastRatio(rgb('#777777'), rgb('#FFF'))), null);
+  });
+
+  it('rates ratios by level', () => {
+    assert.equal(wcagLevel(CONTRAST_LEVELS.aaa), 'aaa');
+    assert.equal(wcagLevel(6.9), 'aa');
+    assert.equal(wcagLevel(1), null);
+  });
+
+  it('uses the luminance of the color', () => {
+    assert.equal(relativeLuminance([0, 0, 0]), 0);
+    assert.ok(Math.abs(relativeLuminance([1, 1, 1]) - 1) < 1e-6);
+    assert.ok(relativeLuminance(rgb('#0F0')) > relativeLuminance(rgb('#F00')));
+  });
+});
+
+describe('apcaContrast', () => {
+  it('matches the APCA reference values', () => {
+    // From the APCA-W3 test values
+    assert.ok(Math.abs(apcaContrast(rgb('#000'), rgb('#FFF')) - 106.04) < 0.01);
+    assert.ok(Math.abs(apcaContrast(rgb('#FFF'), rgb('#000')) + 107.88) < 0.01);
+    assert.ok(Math.abs(apcaContrast(rgb('#888'), rgb('#FFF')) - 63.06) < 0.01);
+    assert.ok(Math.abs(apcaContrast(rgb('#FFF'), rgb('#888')) + 68.54) < 0.01);
+  });
+
+  it('depends on which color is the text', () => {
+    assert.ok(apcaContrast(rgb('#222'), rgb('#EEE')) > 0);
+    assert.ok(apcaContrast(rgb('#EEE'), rgb('#222')) < 0);
+  });
+
+  it('is zero for very similar colors', () => {
+    assert.equal(apcaContrast(rgb('#808080'), rgb('#808080')), 0);
+    assert.equal(apcaContrast(rgb('#808080'), rgb('#828282')), 0);
+  });
+});
@@ -0,0 +1,91 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { parseCssColor } from '../js/cssColor.js';
+import { rgbToHex } from '../js/colorUtils.js';
+import { getPreset } from '../js/namedColor.js';
+
+/**
+ * Parse a CSS color and format it as hex
+ * @param {string} text
+ * @returns {string|null}
+ */
+function parseToHex(text) {
+  const result = parseCssColor(text);
+  return result ? rgbToHex(result.rgbColor) : null;
+}
+
+describe('parseCssColor', () => {
+  it('parses hex colors, ignoring alpha', () => {
+    assert.equal(parseToHex('#F80'), '#FF8800');
+    assert.equal(parseToHex('#f808'), '#FF8800');
+    assert.equal(parseToHex('#12AB34'), '#12AB34');
+    assert.equal(parseToHex('#12ab3480'), '#12AB34');
+    assert.equal(parseToHex('#12345'), null);
+  });
+
+  it('requires the # of hex colors', () => {
+    assert.equal(parseToHex('12ab34'), null);
+    // Words spelled with hex digits aren't colors
+    for (const word of ['add', 'bad', 'cafe', 'fed', 'decade']) {
+      assert.equal(parseCssColor(word), null, word);
+    }
+  });
+
+  it('looks up named colors case-insensitively', () => {
+    const result = parseCssColor('  SteelBlue ');
+    const steelBlue = getPreset('CSS Colors').find(c => c.name === 'SteelBlue');
+    assert.equal(result.namedColor, steelBlue);
+    assert.equal(result.rgbColor, steelBlue.rgbColor);
+    assert.equal(parseToHex('aqua'), '#00FFFF');
+    assert.equal(parseToHex('fuchsia'), '#FF00FF');
+    assert.equal(parseCssColor('notacolor'), null);
+  });
+
+  it('only returns a named color for names', () => {
+    assert.equal(parseCssColor('#FF0000').namedColor, null);
+  });
+
+  it('parses rgb() in legacy and modern syntax', () => {
+    assert.equal(parseToHex('rgb(255, 128, 0)'), '#FF8000');
+    assert.equal(parseToHex('rgba(255, 128, 0, 0.5)'), '#FF8000');
+    assert.equal(parseToHex('rgb(255 128 0)'), '#FF8000');
+    assert.equal(parseToHex('rgb(255 128 0 / 50%)'), '#FF8000');
+    assert.equal(parseToHex('rgb(100% 50% 0%)'), '#FF8000');
+    assert.equal(parseToHex('RGB(none 0 300)'), '#0000FF');
+  });
+
+  it('parses hsl() with hue units', () => {
+    assert.equal(parseToHex('hsl(120, 100%, 50%)'), '#00FF00');
+    assert.equal(parseToHex('hsl(120deg 100% 25%)'), '#008000');
+    assert.equal(parseToHex('hsl(0.5turn 100 50)'), '#00FFFF');
+    assert.equal(parseToHex('hsla(-120, 100%, 50%, 1)'), '#0000FF');
+    assert.equal(parseToHex(`hsl(${Math.PI}rad 100% 50%)`), '#00FFFF');
+  });
+
+  it('parses oklab() and oklch()', () => {
+    assert.equal(parseToHex('oklab(1 0 0)'), '#FFFFFF');
+    assert.equal(parseToHex('oklab(0% 0 0)'), '#000000');
+    // Red, from https://bottosson.github.io/posts/oklab/
+    assert.equal(parseToHex('oklab(0.627955 0.224863 0.125846)'), '#FF0000');
+    assert.equal(parseToHex('oklch(62.7955% 0.257683 29.2339)'), '#FF0000');
+    assert.equal(parseToHex('oklch(62.7955% 64.42% 29.2339deg / 0.5)'), '#FF0000');
+  });
+
+  it('reports and clips colors outside sRGB', () => {
+    const result = parseCssColor('oklch(70% 0.4 150)');
+    assert.equal(result.inSrgbGamut, false);
+    assert.ok([...result.rgbColor].every(c => c >= 0 && c <= 1));
+    assert.equal(parseCssColor('oklch(70% 0.05 150)').inSrgbGamut, true);
+  });
+
+  it('rejects malformed functions', () => {
+    assert.equal(parseCssColor('rgb(255, 0)'), null);
+    assert.equal(parseCssColor('rgb(255 0 0 0)'), null);
+    assert.equal(parseCssColor('rgb(255 0 0 /)'), null);
+    assert.equal(parseCssColor('rgb(red 0 0)'), null);
+    assert.equal(parseCssColor('hsl(10px 50% 50%)'), null);
+    assert.equal(parseCssColor('lab(50% 0 0)'), null);
+    assert.equal(parseCssColor('rgb(255 0 0'), null);
+  });
+});
@@ -0,0 +1,151 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+  traceRegions, loopsToPathData, layoutExport, visiblePaletteColors, buildSvg,
+  MAX_LEGEND_ENTRIES,
+} from '../js/imageExport.js';
+import { getAxisLabels } from '../js/axisLabels.js';
+import { ColorSpaceConfig } from '../js/configController.js';
+import { getColorSpaceByType, getDistanceMetricById } from '../js/colorSpace.js';
+import { NamedColor } from '../js/namedColor.js';
+import { hexToRgb } from '../js/colorUtils.js';
+
+const color = (name, hex) => new NamedColor(name, hexToRgb(hex));
+
+/**
+ * Parse an image from rows of characters, where digits are palette indices
+ * and '.' is outside the color space
+ * @param {Array<string>} rows
+ * @returns {{indices: Int32Array, width: number, height: number}}
+ */
+function image(rows) {
+  const indices = Int32Array.from(rows.join(''), c => c === '.' ? -1 : Number(c));
+  return { indices, width: rows[0].length, height: rows.length };
+}
+
+/**
+ * Get the area enclosed by loops, with holes subtracted
+ * @param {Array<Array<Array<number>>>} loops
+ * @returns {number}
+ */
+function enclosedArea(loops) {
+  let area = 0;
+  for (const loop of loops) {
+    for (let i = 0; i < loop.length; i++) {
+      const [x1, y1] = loop[i];
+      const [x2, y2] = loop[(i + 1) % loop.length];
+      area += x1 * y2 - x2 * y1;
+    }
+  }
+  return area / 2;
+}
+
+describe('traceRegions', () => {
+  it('traces a single pixel', () => {
+    const { indices, width, height } = image(['0']);
+    const regions = traceRegions(indices, width, height);
+    assert.equal(loopsToPathData(regions.get(0)), 'M0 0H1V1H0Z');
+  });
+
+  it('merges straight runs into single edges', () => {
+    const { indices, width, height } = image(['000', '000']);
+    const loops = traceRegions(indices, width, height).get(0);
+    assert.equal(loops.length, 1);
+    assert.equal(loops[0].length, 4);
+  });
+
+  it('skips pixels outside the color space', () => {
+    const { indices, width, height } = image(['.0', '..']);
+    const regions = traceRegions(indices, width, height);
+    assert.deepEqual([...regions.keys()], [0]);
+    assert.equal(enclosedArea(regions.get(0)), 1);
+  });
+
+  it('traces holes in the opposite direction', () => {
+    const { indices, width, height } = image(['000', '010', '000']);
+    const regions = traceRegions(indices, width, height);
+    const loops = regions.get(0);
+    assert.equal(loops.length, 2);
+    assert.deepEqual(loops.map(loop => enclosedArea([loop])).sort((a, b) => a - b), [-1, 9]);
+    assert.equal(enclosedArea(regions.get(1)), 1);
+  });
+
+  it('covers every pixel of each region', () => {
+    const { indices, width, height } = image([
+      '0011.',
+      '0121.',
+      '2221.',
+      '0.000',
+    ]);
+    const regions = traceRegions(indices, width, height);
+    for (const [index, loops] of regions) {
+      const pixelCount = indices.filter(i => i === index).length;
+      assert.equal(enclosedArea(loops), pixelCount, `index ${index}`);
+    }
+  });
+
+  it('traces pixels which only touch at a corner', () => {
+    const { indices, width, height } = image(['01', '10']);
+    const regions = traceRegions(indices, width, height);
+    assert.equal(enclosedArea(regions.get(0)), 2);
+    assert.equal(enclosedArea(regions.get(1)), 2);
+  });
+});
+
+describe('visiblePaletteColors', () => {
+  it('keeps palette order and skips colors not in view', () => {
+    const colors = [color('Red', '#F00'), color('Green', '#0F0'), color('Blue', '#00F')];
+    const indices = Int32Array.from([2, 0, -1, -2, 2]);
+    assert.deepEqual(
+      visiblePaletteColors(indices, colors).map(c => c.name), ['Red', 'Blue']);
+  });
+});
+
+describe('layoutExport', () => {
+  const colorSpace = getColorSpaceByType('HSL');
+  const config = new ColorSpaceConfig(
+    colorSpace, new Map([[colorSpace.getAxisByKey('s'), [50, 50]]]), false, false, true,
+    getDistanceMetricById('lab-d'), 100);
+
+  it('places axis labels around the view', () => {
+    const labels = getAxisLabels(config);
+    const layout = layoutExport(400, 400, labels, null);
+    assert.equal(layout.texts.length, labels.length);
+    const [originX, originY] = layout.imageOrigin;
+    for (const text of layout.texts) {
+      const outside = text.x < originX || text.y > originY + 400;
+      assert.ok(outside, `${text.text} is outside the view`);
+    }
+    assert.equal(layout.legend.length, 0);
+  });
+
+  it('widens the image for a legend', () => {
+    const colors = [color('Red', '#F00'), color('Blue', '#00F')];
+    const plain = layoutExport(400, 400, [], null);
+    const withLegend = layoutExport(400, 400, [], colors);
+    assert.ok(withLegend.width > plain.width);
+    assert.equal(withLegend.height, plain.height);
+    assert.deepEqual(withLegend.legend.map(e => e.color), ['#FF0000', '#0000FF']);
+  });
+
+  it('summarizes long legends', () => {
+    const colors = Array.from({ length: MAX_LEGEND_ENTRIES + 10 }, (_, i) =>
+      color(`Color ${i}`, '#808080'));
+    const layout = layoutExport(400, 400, [], colors);
+    assert.equal(layout.legend.length, MAX_LEGEND_ENTRIES - 1);
+    assert.equal(layout.texts.at(-1).text, '+11 more');
+  });
+});
+
+describe('buildSvg', () => {
+  it('fills each region with its palette color', () => {
+    const colors = [color('Red & Co', '#F00'), color('Blue', '#00F')];
+    const { indices, width, height } = image(['01']);
+    const layout = layoutExport(width, height, [], colors);
+    const svg = buildSvg(layout, traceRegions(indices, width, height), colors);
+    assert.match(svg, /<path fill="#FF0000" d="M0 0H1V1H0Z"><title>Red &amp; Co<\/title>/);
+    assert.match(svg, /<path fill="#0000FF" d="M1 0H2V1H1Z">/);
+    assert.match(svg, />Red &amp; Co<\/text>/);
+  });
+});
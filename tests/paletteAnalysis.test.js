@@ -0,0 +1,129 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+  analyzeColorPairs, findCoverageGaps, MAX_PAIRWISE_COLORS
+} from '../js/paletteAnalysis.js';
+import { ColorSpaceConfig } from '../js/configController.js';
+import { getColorSpaceByType, getDistanceMetricById, RgbColor } from '../js/colorSpace.js';
+import { NamedColor } from '../js/namedColor.js';
+import { hexToRgb } from '../js/colorUtils.js';
+import { hslToRgb } from '../js/colorMath.js';
+
+const color = (name, hex) => new NamedColor(name, hexToRgb(hex));
+
+const RED = color('Red', '#FF0000');
+const DARK_RED = color('Dark Red', '#EE0000');
+const BLUE = color('Blue', '#0000FF');
+const NAVY = color('Navy', '#000080');
+const WHITE = color('White', '#FFFFFF');
+const GRAY = color('Gray', '#808080');
+
+/**
+ * Make a config for a color space, metric and threshold
+ * @param {string} type
+ * @param {string} metricId
+ * @param {number} threshold
+ * @returns {ColorSpaceConfig}
+ */
+function makeConfig(type, metricId, threshold, cvdType = 'none') {
+  const colorSpace = getColorSpaceByType(type);
+  const axis = colorSpace.getDefaultAxis();
+  return new ColorSpaceConfig(
+    colorSpace, new Map([[axis, [axis.min, axis.min]]]), false, false, true,
+    getDistanceMetricById(metricId), threshold, null, true,
+    cvdType, 1, cvdType !== 'none');
+}
+
+describe('analyzeColorPairs', () => {
+  it('lists the closest pairs first', () => {
+    const { closestPairs } = analyzeColorPairs([RED, BLUE, DARK_RED, NAVY], 'lab-d', 2);
+    assert.equal(closestPairs.length, 2);
+    assert.deepEqual(
+      [closestPairs[0].color1, closestPairs[0].color2], [RED, DARK_RED]);
+    assert.ok(closestPairs[0].distance < closestPairs[1].distance);
+  });
+
+  it('lists the most isolated colors first', () => {
+    const { isolatedColors } = analyzeColorPairs([RED, DARK_RED, WHITE], 'lab-d');
+    assert.equal(isolatedColors[0].color, WHITE);
+    assert.equal(isolatedColors.length, 3);
+  });
+
+  it('uses the smaller CIE94 distance of a pair', () => {
+    const { closestPairs } = analyzeColorPairs([RED, WHITE], 'de94');
+    const { closestPairs: reversed } = analyzeColorPairs([WHITE, RED], 'de94');
+    assert.equal(closestPairs[0].distance, reversed[0].distance);
+  });
+
+  it('has no pairs or isolated colors for a single color', () => {
+    assert.deepEqual(analyzeColorPairs([RED], 'lab-d'),
+      { closestPairs: [], isolatedColors: [] });
+  });
+
+  it('limits the palette size', () => {
+    const colors = new Array(MAX_PAIRWISE_COLORS + 1).fill(RED);
+    assert.throws(() => analyzeColorPairs(colors, 'lab-d'), /limited/);
+  });
+});
+
+describe('findCoverageGaps', () => {
+  it('finds one gap covering everything without a palette', () => {
+    const gaps = findCoverageGaps(makeConfig('RGB', 'rgb-d', 0.1), [], 5, 6);
+    assert.equal(gaps.length, 1);
+    assert.equal(gaps[0].share, 1);
+    // The suggestion is at the center of the volume
+    assert.ok([...gaps[0].rgbColor].every(c => Math.abs(c - 0.5) < 0.2));
+  });
+
+  it('finds no gaps when the palette covers everything', () => {
+    assert.deepEqual(findCoverageGaps(makeConfig('RGB', 'rgb-d', 1), [GRAY], 5, 6), []);
+  });
+
+  it('splits gaps separated by covered colors, largest first', () => {
+    // A gray wall through the middle of the RGB cube divides the gap in two
+    const grays = [];
+    for (let i = 0; i <= 20; i++) {
+      for (let j = 0; j <= 20; j++) {
+        grays.push(new NamedColor(`${i},${j}`, new RgbColor(0.5, i / 20, j / 20)));
+      }
+    }
+    const gaps = findCoverageGaps(makeConfig('RGB', 'rgb-d', 0.1), grays, 5, 10);
+    assert.equal(gaps.length, 2);
+    assert.ok(gaps[0].share >= gaps[1].share);
+    const reds = gaps.map(gap => [...gap.rgbColor][0]).sort();
+    assert.ok(reds[0] < 0.5 && reds[1] > 0.5);
+  });
+
+  it('wraps gaps around the hue axis', () => {
+    // Covering the middle hues leaves one gap across red, at hue 0
+    const palette = [];
+    for (let h = 60; h <= 300; h += 5) {
+      for (let s = 0; s <= 100; s += 10) {
+        for (let l = 0; l <= 100; l += 10) {
+          palette.push(new NamedColor(`${h}`, new RgbColor(...hslToRgb(h / 360, s / 100, l / 100))));
+        }
+      }
+    }
+    const gaps = findCoverageGaps(makeConfig('HSL', 'rgb-d', 0.12), palette, 5, 12);
+    const isRed = gap => {
+      const [r, g, b] = [...gap.rgbColor];
+      return r > g && r > b;
+    };
+    assert.ok(isRed(gaps[0]), 'the largest gap is red');
+    assert.equal(gaps.filter(isRed).length, 1);
+    assert.ok(gaps[0].nameColor.name);
+  });
+
+  it('simulates color vision deficiencies before matching if enabled', () => {
+    // Without color, grays cover colors of the same luminance
+    const grays = [];
+    for (let i = 0; i <= 20; i++) {
+      grays.push(new NamedColor(`${i}`, new RgbColor(i / 20, i / 20, i / 20)));
+    }
+    assert.ok(findCoverageGaps(makeConfig('RGB', 'rgb-d', 0.1), grays, 5, 6).length > 0);
+    assert.deepEqual(
+      findCoverageGaps(makeConfig('RGB', 'rgb-d', 0.1, 'achromatopsia'), grays, 5, 6), []);
+  });
+});
+
@@ -0,0 +1,249 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+  parsePalette, parseGpl, parseAse, parseJson, parseCssVariables,
+  getFormatForFilename, getImportExtensions, isBinaryFormat,
+  getExportFormats, getExportFileInfo, formatPalette,
+  formatCssVariables, formatScssVariables, formatTailwind
+} from '../js/paletteFormats.js';
+import { rgbToHex, hexToRgb } from '../js/colorUtils.js';
+import { NamedColor } from '../js/namedColor.js';
+
+/**
+ * Summarize parsed colors as [name, hex] pairs
+ * @param {Array<NamedColor>} colors
+ * @returns {Array<Array<string>>}
+ */
+function summarize(colors) {
+  return colors.map(c => [c.name, rgbToHex(c.rgbColor)]);
+}
+
+/**
+ * Build an Adobe Swatch Exchange file
+ * @param {Array<{name: string, model: string, values: Array<number>}|string>} entries
+ *   Color entries, or 'group-start'/'group-end'
+ * @returns {ArrayBuffer}
+ */
+function buildAse(entries) {
+  const bytes = [];
+  const pushUint16 = v => bytes.push(v >> 8, v & 0xff);
+  const pushUint32 = v => { pushUint16(v >>> 16); pushUint16(v & 0xffff); };
+  const pushFloat32 = v => {
+    const view = new DataView(new ArrayBuffer(4));
+    view.setFloat32(0, v);
+    bytes.push(...new Uint8Array(view.buffer));
+  };
+
+  bytes.push(...Buffer.from('ASEF'));
+  pushUint16(1);
+  pushUint16(0);
+  pushUint32(entries.length);
+
+  for (const entry of entries) {
+    if (entry === 'group-start' || entry === 'group-end') {
+      pushUint16(entry === 'group-start' ? 0xc001 : 0xc002);
+      pushUint32(0);
+      continue;
+    }
+    const { name, model, values } = entry;
+    pushUint16(0x0001);
+    pushUint32(2 + (name.length + 1) * 2 + 4 + values.length * 4 + 2);
+    pushUint16(name.length + 1);
+    for (const char of name) pushUint16(char.charCodeAt(0));
+    pushUint16(0);
+    bytes.push(...Buffer.from(model.padEnd(4)));
+    values.forEach(pushFloat32);
+    pushUint16(2); // Normal color type
+  }
+
+  return new Uint8Array(bytes).buffer;
+}
+
+describe('palette file formats', () => {
+  it('detects formats from file names', () => {
+    assert.equal(getFormatForFilename('brand.GPL'), 'gpl');
+    assert.equal(getFormatForFilename('a.b.ase'), 'ase');
+    assert.equal(getFormatForFilename('colors.txt'), null);
+    assert.ok(isBinaryFormat('ase'));
+    assert.ok(!isBinaryFormat('json'));
+    assert.deepEqual(getImportExtensions(), ['.gpl', '.ase', '.json', '.css']);
+    // Export only formats can't be imported
+    assert.equal(getFormatForFilename('colors.scss'), null);
+    assert.equal(getFormatForFilename('colors.js'), null);
+  });
+
+  it('names exported files after the palette', () => {
+    assert.deepEqual(getExportFileInfo('gpl', 'Basic Web Colors'),
+      { filename: 'basic-web-colors.gpl', mimeType: 'text/plain' });
+    assert.equal(getExportFileInfo('tailwind', '!!!').filename, 'palette.js');
+  });
+
+  it('rejects unknown formats', () => {
+    assert.throws(() => parsePalette('pdf', ''));
+  });
+});
+
+describe('parseGpl', () => {
+  it('parses colors with and without names', () => {
+    const { colors, skipped } = parseGpl([
+      'GIMP Palette',
+      'Name: Brand',
+      'Columns: 4',
+      '# A comment',
+      '255   0   0\tBrand Red',
+      '  0 128 255 Sky blue',
+      '16 16 16',
+      '',
+    ].join('\n'));
+    assert.deepEqual(summarize(colors), [
+      ['Brand Red', '#FF0000'],
+      ['Sky blue', '#0080FF'],
+      ['#101010', '#101010'],
+    ]);
+    assert.deepEqual(skipped, []);
+  });
+
+  it('reports invalid lines', () => {
+    const { colors, skipped } = parseGpl(
+      'GIMP Palette\r\n300 0 0 Too bright\r\n1 2 Short\r\n1 2 3 Ok\r\n');
+    assert.deepEqual(summarize(colors), [['Ok', '#010203']]);
+    assert.equal(skipped.length, 2);
+    assert.match(skipped[0], /^Line 2:/);
+  });
+
+  it('requires the header', () => {
+    assert.throws(() => parseGpl('255 0 0 Red'), /GIMP Palette/);
+  });
+});
+
+describe('parseAse', () => {
+  it('parses RGB and Gray colors, flattening groups', () => {
+    const { colors, skipped } = parseAse(buildAse([
+      { name: 'Red', model: 'RGB', values: [1, 0, 0] },
+      'group-start',
+      { name: 'Mid gray', model: 'Gray', values: [0.5] },
+      'group-end',
+    ]));
+    assert.deepEqual(summarize(colors), [['Red', '#FF0000'], ['Mid gray', '#808080']]);
+    assert.deepEqual(skipped, []);
+  });
+
+  it('skips unsupported color models', () => {
+    const { colors, skipped } = parseAse(buildAse([
+      { name: 'Print', model: 'CMYK', values: [0, 1, 1, 0] },
+      { name: 'Blue', model: 'RGB', values: [0, 0, 1] },
+    ]));
+    assert.deepEqual(summarize(colors), [['Blue', '#0000FF']]);
+    assert.deepEqual(skipped, ['"Print": unsupported color model CMYK']);
+  });
+
+  it('reports truncated files', () => {
+    const buffer = buildAse([{ name: 'Red', model: 'RGB', values: [1, 0, 0] }]);
+    const { colors, skipped } = parseAse(buffer.slice(0, buffer.byteLength - 4));
+    assert.equal(colors.length, 0);
+    assert.equal(skipped.length, 1);
+  });
+
+  it('requires the header', () => {
+    assert.throws(() => parseAse(new ArrayBuffer(16)), /ASEF/);
+  });
+});
+
+describe('parseJson', () => {
+  it('parses a list of {name, hex}', () => {
+    const { colors, skipped } = parseJson(JSON.stringify([
+      { name: 'Red', hex: '#ff0000' },
+      { name: 'Short', hex: '0f0' },
+      { hex: '#0000FF' },
+      { name: 'Bad', hex: 'blue' },
+      'nonsense',
+    ]));
+    assert.deepEqual(summarize(colors), [
+      ['Red', '#FF0000'], ['Short', '#00FF00'], ['#0000FF', '#0000FF']]);
+    assert.equal(skipped.length, 2);
+    assert.match(skipped[0], /^Entry 4:/);
+  });
+
+  it('rejects invalid documents', () => {
+    assert.throws(() => parseJson('{'), /Invalid JSON/);
+    assert.throws(() => parseJson('{"name": "Red"}'), /list/);
+  });
+});
+
+describe('parseCssVariables', () => {
+  it('parses hex custom properties', () => {
+    const { colors, skipped } = parseCssVariables(`
+      :root {
+        --brand-red: #E00;
+        /* --commented-out: #000; */
+        --brand_blue:#0000ff
+      }
+      .dark { --spacing: 4px; }
+    `);
+    assert.deepEqual(summarize(colors), [
+      ['brand-red', '#EE0000'], ['brand_blue', '#0000FF']]);
+    assert.deepEqual(skipped, ['--spacing: unsupported value "4px"']);
+  });
+
+  it('rejects files without custom properties', () => {
+    assert.throws(() => parseCssVariables('body { color: red; }'));
+  });
+});
+
+const EXPORT_COLORS = [
+  new NamedColor('Brand Red', hexToRgb('#E00000')),
+  new NamedColor('AliceBlue', hexToRgb('#F0F8FF')),
+  new NamedColor('Brand Red (2)', hexToRgb('#C00000')),
+  new NamedColor('brand red', hexToRgb('#A00000')),
+  new NamedColor('50% Gray', hexToRgb('#808080')),
+];
+
+describe('formatPalette', () => {
+  it('round-trips importable formats', () => {
+    const importable = getExportFormats().filter(
+      ({ id }) => getFormatForFilename(getExportFileInfo(id, 'Brand').filename) === id);
+    assert.deepEqual(importable.map(f => f.id), ['gpl', 'ase', 'json', 'css']);
+
+    for (const { id } of importable) {
+      const data = formatPalette(id, EXPORT_COLORS, 'Brand');
+      const { colors, skipped } = parsePalette(id, data);
+      assert.deepEqual(skipped, [], id);
+      const hexes = summarize(colors).map(([, hex]) => hex);
+      assert.deepEqual(hexes, summarize(EXPORT_COLORS).map(([, hex]) => hex), id);
+      // CSS names are converted to identifiers
+      if (id !== 'css') {
+        assert.deepEqual(summarize(colors), summarize(EXPORT_COLORS), id);
+      }
+    }
+  });
+
+  it('produces text for all formats but ASE', () => {
+    for (const { id } of getExportFormats()) {
+      const data = formatPalette(id, EXPORT_COLORS, 'Brand');
+      assert.equal(typeof data === 'string', !isBinaryFormat(id), id);
+    }
+  });
+
+  it('formats empty palettes', () => {
+    for (const { id } of getExportFormats()) {
+      assert.ok(formatPalette(id, [], 'Empty') !== undefined, id);
+    }
+    assert.deepEqual(parseAse(formatPalette('ase', [], 'Empty')).colors, []);
+  });
+
+  it('converts names to unique identifiers', () => {
+    assert.equal(formatCssVariables(EXPORT_COLORS), [
+      ':root {',
+      '  --brand-red: #E00000;',
+      '  --alice-blue: #F0F8FF;',
+      '  --brand-red-2: #C00000;',
+      '  --brand-red-3: #A00000;',
+      '  --color-50-gray: #808080;',
+      '}',
+      '',
+    ].join('\n'));
+    assert.match(formatScssVariables(EXPORT_COLORS), /^\$brand-red: #E00000;\n\$alice-blue/);
+    assert.match(formatTailwind(EXPORT_COLORS), /^export default \{\n  'brand-red': '#E00000',\n/);
+  });
+});
@@ -0,0 +1,112 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+  MIN_GRID_PALETTE_SIZE, MAX_GRID_CELLS_PER_AXIS,
+  matchRadius, buildPaletteGrid, findClosestInGrid
+} from '../js/paletteGrid.js';
+import {
+  DISTANCE_METRIC_IDS, rgbToXyz, xyzToMetricSpace, metricSpaceDistance,
+  findClosestPaletteIndex, euclideanDistance
+} from '../js/colorMath.js';
+
+/**
+ * A small seeded random number generator, so failures are reproducible
+ * @param {number} seed
+ * @returns {Function} Returns numbers in [0, 1)
+ */
+function makeRandom(seed) {
+  return () => {
+    seed = (seed * 1664525 + 1013904223) % 4294967296;
+    return seed / 4294967296;
+  };
+}
+
+const randomXyz = random => rgbToXyz([random(), random(), random()]);
+
+// A typical threshold for each metric
+const THRESHOLDS = { 'lab-d': 8, 'de94': 8, 'de2000': 8, 'luv-d': 8, 'rgb-d': 0.08 };
+
+describe('matchRadius', () => {
+  it('bounds the straight line distance of every match', () => {
+    const random = makeRandom(1);
+    for (const metricId of DISTANCE_METRIC_IDS) {
+      const threshold = THRESHOLDS[metricId];
+      for (let i = 0; i < 2000; i++) {
+        const palette = xyzToMetricSpace(metricId, randomXyz(random));
+        const radius = matchRadius(metricId, threshold, palette);
+        // Search around the palette color, beyond the straight line threshold
+        const color = palette.map(c => c + (random() * 2 - 1) * threshold * 4);
+        if (metricSpaceDistance(metricId, palette, color) < threshold) {
+          assert.ok(euclideanDistance(palette, color) < radius, metricId);
+        }
+      }
+    }
+  });
+
+  it('has no bound for large CIEDE2000 thresholds', () => {
+    assert.equal(matchRadius('de2000', 50, [50, 0, 0]), Infinity);
+  });
+});
+
+describe('buildPaletteGrid', () => {
+  const random = makeRandom(2);
+  const paletteXyz = Array.from({ length: 200 }, () => randomXyz(random));
+
+  it('leaves small palettes to a linear scan', () => {
+    const coords = paletteXyz.slice(0, MIN_GRID_PALETTE_SIZE - 1)
+      .map(xyz => xyzToMetricSpace('lab-d', xyz));
+    assert.equal(buildPaletteGrid(coords, 'lab-d', 8), null);
+  });
+
+  it('gives up when every cell would hold most of the palette', () => {
+    const coords = paletteXyz.map(xyz => xyzToMetricSpace('lab-d', xyz));
+    assert.equal(buildPaletteGrid(coords, 'lab-d', 100), null);
+    assert.equal(buildPaletteGrid(coords, 'de2000', 50), null);
+  });
+
+  it('lists candidates in palette order within the size limits', () => {
+    const coords = paletteXyz.map(xyz => xyzToMetricSpace('lab-d', xyz));
+    const grid = buildPaletteGrid(coords, 'lab-d', 8);
+    assert.ok(grid.size.every(n => n >= 1 && n <= MAX_GRID_CELLS_PER_AXIS));
+    assert.equal(grid.cellRanges.length, grid.size[0] * grid.size[1] * grid.size[2] * 2);
+    for (let i = 0; i < grid.cellRanges.length; i += 2) {
+      const cell = grid.candidates.subarray(
+        grid.cellRanges[i], grid.cellRanges[i] + grid.cellRanges[i + 1]);
+      assert.ok(cell.every((index, j) => j === 0 || index > cell[j - 1]));
+    }
+  });
+});
+
+describe('findClosestInGrid', () => {
+  const random = makeRandom(3);
+  const paletteXyz = Array.from({ length: 200 }, () => randomXyz(random));
+  // Include colors outside sRGB, and exact palette colors
+  const samples = [
+    ...Array.from({ length: 300 }, () => randomXyz(random)),
+    ...Array.from({ length: 20 }, () => rgbToXyz([random() * 1.4 - 0.2, random(), random()])),
+    ...paletteXyz.slice(0, 20),
+  ];
+
+  for (const metricId of DISTANCE_METRIC_IDS) {
+    it(`matches a linear scan for ${metricId}`, () => {
+      const threshold = THRESHOLDS[metricId];
+      const coords = paletteXyz.map(xyz => xyzToMetricSpace(metricId, xyz));
+      const grid = buildPaletteGrid(coords, metricId, threshold);
+      assert.ok(grid, 'grid was built');
+
+      for (const xyz of samples) {
+        assert.equal(
+          findClosestInGrid(grid, coords, xyzToMetricSpace(metricId, xyz), metricId, threshold),
+          findClosestPaletteIndex(xyz, paletteXyz, metricId, threshold));
+      }
+    });
+  }
+
+  it('gives ties to the lower index', () => {
+    const coords = paletteXyz.map(xyz => xyzToMetricSpace('lab-d', xyz));
+    coords.push([...coords[5]]);
+    const grid = buildPaletteGrid(coords, 'lab-d', 8);
+    assert.equal(findClosestInGrid(grid, coords, coords[5], 'lab-d', 8), 5);
+  });
+});
@@ -0,0 +1,79 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { PaletteHistory } from '../js/paletteHistory.js';
+import { NamedColor } from '../js/namedColor.js';
+import { hexToRgb } from '../js/colorUtils.js';
+
+const RED = new NamedColor('Red', hexToRgb('#FF0000'));
+const GREEN = new NamedColor('Green', hexToRgb('#00FF00'));
+const BLUE = new NamedColor('Blue', hexToRgb('#0000FF'));
+
+describe('PaletteHistory', () => {
+  it('starts with nothing to undo or redo', () => {
+    const history = new PaletteHistory();
+    assert.equal(history.canUndo(), false);
+    assert.equal(history.canRedo(), false);
+    assert.equal(history.undo({ colors: [], selection: 'custom' }), null);
+    assert.equal(history.redo({ colors: [], selection: 'custom' }), null);
+  });
+
+  it('undoes and redoes edits in order', () => {
+    const history = new PaletteHistory();
+    const states = [
+      { colors: [RED], selection: 'Preset' },
+      { colors: [RED, GREEN], selection: 'custom' },
+      { colors: [RED, GREEN, BLUE], selection: 'custom' },
+    ];
+    history.record(states[0], 'add Green');
+    history.record(states[1], 'add Blue');
+
+    let entry = history.undo(states[2]);
+    assert.deepEqual(entry, { snapshot: states[1], description: 'add Blue' });
+    entry = history.undo(states[1]);
+    assert.deepEqual(entry, { snapshot: states[0], description: 'add Green' });
+    assert.equal(history.canUndo(), false);
+
+    entry = history.redo(states[0]);
+    assert.deepEqual(entry, { snapshot: states[1], description: 'add Green' });
+    entry = history.redo(states[1]);
+    assert.deepEqual(entry, { snapshot: states[2], description: 'add Blue' });
+    assert.equal(history.canRedo(), false);
+    assert.equal(history.canUndo(), true);
+  });
+
+  it('clears the redo stack on a new edit', () => {
+    const history = new PaletteHistory();
+    history.record({ colors: [RED], selection: 'custom' }, 'add Green');
+    history.undo({ colors: [RED, GREEN], selection: 'custom' });
+    assert.equal(history.canRedo(), true);
+
+    history.record({ colors: [RED], selection: 'custom' }, 'add Blue');
+    assert.equal(history.canRedo(), false);
+  });
+
+  it('is not affected by later changes to the color array', () => {
+    const history = new PaletteHistory();
+    const colors = [RED, GREEN];
+    history.record({ colors, selection: 'custom' }, 'delete Green');
+    colors.splice(1, 1);
+
+    const entry = history.undo({ colors, selection: 'custom' });
+    assert.deepEqual(entry.snapshot.colors, [RED, GREEN]);
+
+    colors.push(BLUE);
+    assert.deepEqual(history.redo(entry.snapshot).snapshot.colors, [RED]);
+  });
+
+  it('drops the oldest edits beyond the maximum length', () => {
+    const history = new PaletteHistory(2);
+    history.record({ colors: [], selection: 'custom' }, 'add Red');
+    history.record({ colors: [RED], selection: 'custom' }, 'add Green');
+    history.record({ colors: [RED, GREEN], selection: 'custom' }, 'add Blue');
+
+    const current = { colors: [RED, GREEN, BLUE], selection: 'custom' };
+    assert.equal(history.undo(current).description, 'add Blue');
+    assert.equal(history.undo(current).description, 'add Green');
+    assert.equal(history.undo(current), null);
+  });
+});
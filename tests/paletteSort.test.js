@@ -0,0 +1,75 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { PALETTE_SORTS, getPaletteSorts, sortColors } from '../js/paletteSort.js';
+import { NamedColor } from '../js/namedColor.js';
+import { hexToRgb } from '../js/colorUtils.js';
+
+const color = (name, hex) => new NamedColor(name, hexToRgb(hex));
+
+const RED = color('Red', '#FF0000');
+const YELLOW = color('Yellow', '#FFFF00');
+const GREEN = color('Green', '#00FF00');
+const BLUE = color('Blue', '#0000FF');
+const BLACK = color('Black', '#000000');
+const GRAY = color('Gray', '#808080');
+const WHITE = color('White', '#FFFFFF');
+
+const names = colors => colors.map(c => c.name);
+
+describe('getPaletteSorts', () => {
+  it('lists every sort', () => {
+    assert.deepEqual(getPaletteSorts().map(s => s.id), Object.keys(PALETTE_SORTS));
+    assert.ok(getPaletteSorts().every(s => s.displayName));
+  });
+});
+
+describe('sortColors', () => {
+  it('sorts by hue, with grays last by lightness', () => {
+    const colors = [WHITE, BLUE, GRAY, GREEN, BLACK, YELLOW, RED];
+    assert.deepEqual(
+      names(sortColors(colors, 'hue')),
+      ['Red', 'Yellow', 'Green', 'Blue', 'Black', 'Gray', 'White']);
+  });
+
+  it('sorts by lightness from dark to light', () => {
+    const colors = [WHITE, YELLOW, BLACK, BLUE, GRAY];
+    assert.deepEqual(
+      names(sortColors(colors, 'lightness')),
+      ['Black', 'Blue', 'Gray', 'Yellow', 'White']);
+  });
+
+  it('sorts names alphabetically and numbers numerically', () => {
+    const colors = [
+      color('red (10)', '#FF0000'),
+      color('Blue', '#0000FF'),
+      color('Red (2)', '#FF0000'),
+      color('apple', '#00FF00'),
+    ];
+    assert.deepEqual(
+      names(sortColors(colors, 'name')),
+      ['apple', 'Blue', 'Red (2)', 'red (10)']);
+  });
+
+  it('sorts by region area from largest, keeping the order of ties', () => {
+    const areas = new Map([[RED, 10], [GREEN, 300], [BLUE, 10]]);
+    assert.deepEqual(
+      names(sortColors([RED, WHITE, BLUE, GREEN], 'area', areas)),
+      ['Green', 'Red', 'Blue', 'White']);
+  });
+
+  it('requires region areas to sort by area', () => {
+    assert.throws(() => sortColors([RED], 'area'), /region areas/);
+  });
+
+  it('returns a copy', () => {
+    const colors = [GREEN, RED];
+    const sorted = sortColors(colors, 'hue');
+    assert.notEqual(sorted, colors);
+    assert.deepEqual(names(colors), ['Green', 'Red']);
+  });
+
+  it('rejects unknown sorts', () => {
+    assert.throws(() => sortColors([RED], 'nope'), /Unknown palette sort/);
+  });
+});
@@ -0,0 +1,103 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { computeSliceShares, computeVolumeShares } from '../js/regionStats.js';
+import { ColorSpaceConfig } from '../js/configController.js';
+import { getColorSpaceByType, getDistanceMetricById } from '../js/colorSpace.js';
+import { NamedColor } from '../js/namedColor.js';
+import { hexToRgb } from '../js/colorUtils.js';
+
+const color = (name, hex) => new NamedColor(name, hexToRgb(hex));
+
+const RED = color('Red', '#FF0000');
+const GREEN = color('Green', '#00FF00');
+const BLACK = color('Black', '#000000');
+const WHITE = color('White', '#FFFFFF');
+
+/**
+ * Make a 2D config with the fixed axis at a value
+ * @param {string} type - The color space type
+ * @param {string} axisKey - The fixed axis
+ * @param {number} value - The fixed axis value
+ * @param {Object} [options]
+ * @returns {ColorSpaceConfig}
+ */
+function sliceConfig(type, axisKey, value, {
+  metricId = 'lab-d', threshold = 100, polar = false, cvdType = 'none', cvdMatching = false
+} = {}) {
+  const colorSpace = getColorSpaceByType(type);
+  const axis = colorSpace.getAxisByKey(axisKey);
+  return new ColorSpaceConfig(
+    colorSpace, new Map([[axis, [value, value]]]), false, polar, true,
+    getDistanceMetricById(metricId), threshold, null, true, cvdType, 1, cvdMatching);
+}
+
+const sum = values => values.reduce((total, v) => total + v, 0);
+
+describe('computeVolumeShares', () => {
+  it('gives the whole volume to a palette color with a large threshold', () => {
+    const config = sliceConfig('RGB', 'red', 50, { threshold: 200 });
+    const { shares, unmatched, sampleCount } = computeVolumeShares(config, [RED], 8);
+    assert.deepEqual(shares, [1]);
+    assert.equal(unmatched, 0);
+    assert.equal(sampleCount, 512);
+  });
+
+  it('leaves everything unmatched without a palette', () => {
+    const config = sliceConfig('RGB', 'red', 50);
+    const { shares, unmatched } = computeVolumeShares(config, [], 8);
+    assert.deepEqual(shares, []);
+    assert.equal(unmatched, 1);
+  });
+
+  it('splits the volume between colors, with the rest unmatched', () => {
+    const config = sliceConfig('RGB', 'red', 50, { threshold: 30 });
+    const { shares, unmatched } = computeVolumeShares(config, [BLACK, WHITE], 10);
+    assert.ok(shares.every(share => share > 0 && share < 0.5));
+    assert.ok(unmatched > 0);
+    assert.ok(Math.abs(sum(shares) + unmatched - 1) < 1e-9);
+  });
+
+  it('only counts samples inside the gamut', () => {
+    const config = sliceConfig('LAB', 'lightness', 50);
+    const { sampleCount } = computeVolumeShares(config, [BLACK], 10);
+    assert.ok(sampleCount > 0 && sampleCount < 1000);
+  });
+
+  it('matches with the configured metric', () => {
+    const config = sliceConfig('RGB', 'red', 50, { metricId: 'rgb-d', threshold: 0.5 });
+    const { shares } = computeVolumeShares(config, [BLACK], 10);
+    // The part of the cube within 0.5 of a corner
+    assert.ok(Math.abs(shares[0] - Math.PI / 48) < 0.02);
+  });
+
+  it('simulates color vision deficiencies before matching if enabled', () => {
+    const options = { threshold: 20, cvdType: 'deuteranopia' };
+    const plain = computeVolumeShares(sliceConfig('RGB', 'red', 50, options), [RED, GREEN], 10);
+    assert.deepEqual(
+      computeVolumeShares(sliceConfig('RGB', 'red', 50, { threshold: 20 }), [RED, GREEN], 10),
+      plain);
+
+    const simulated = computeVolumeShares(
+      sliceConfig('RGB', 'red', 50, { ...options, cvdMatching: true }), [RED, GREEN], 10);
+    assert.notDeepEqual(simulated, plain);
+  });
+});
+
+describe('computeSliceShares', () => {
+  it('samples the fixed axis value', () => {
+    const atFullRed = computeSliceShares(
+      sliceConfig('RGB', 'red', 100, { threshold: 200 }), [RED, GREEN], 16);
+    const atNoRed = computeSliceShares(
+      sliceConfig('RGB', 'red', 0, { threshold: 200 }), [RED, GREEN], 16);
+    assert.ok(atFullRed.shares[0] > atFullRed.shares[1]);
+    assert.ok(atNoRed.shares[0] < atNoRed.shares[1]);
+    assert.equal(atFullRed.sampleCount, 256);
+  });
+
+  it('only counts samples inside the polar circle', () => {
+    const { sampleCount } = computeSliceShares(
+      sliceConfig('HSV', 'value', 100, { polar: true }), [WHITE], 32);
+    assert.ok(Math.abs(sampleCount / 1024 - Math.PI / 4) < 0.02);
+  });
+});
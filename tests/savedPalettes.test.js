@@ -0,0 +1,117 @@
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { SavedPaletteStore, MemoryStorage, getLocalStorage } from '../js/savedPalettes.js';
+import { NamedColor } from '../js/namedColor.js';
+import { hexToRgb, rgbToHex } from '../js/colorUtils.js';
+
+const RED = new NamedColor('Red', hexToRgb('#FF0000'));
+const BLUE = new NamedColor('Blue', hexToRgb('#0000FF'));
+
+/**
+ * Summarize colors as [name, hex] pairs
+ * @param {Array<NamedColor>} colors
+ * @returns {Array<Array<string>>}
+ */
+function summarize(colors) {
+  return colors.map(c => [c.name, rgbToHex(c.rgbColor)]);
+}
+
+describe('SavedPaletteStore', () => {
+  let storage;
+  let store;
+  beforeEach(() => {
+    storage = new MemoryStorage();
+    store = new SavedPaletteStore(storage);
+  });
+
+  it('starts empty', () => {
+    assert.deepEqual(store.getNames(), []);
+    assert.equal(store.get('Brand'), null);
+    assert.equal(store.has('Brand'), false);
+  });
+
+  it('saves and loads palettes', () => {
+    store.save('Brand', [RED, BLUE]);
+    store.save('Empty', []);
+    assert.deepEqual(store.getNames(), ['Brand', 'Empty']);
+    assert.deepEqual(summarize(store.get('Brand')), summarize([RED, BLUE]));
+    assert.deepEqual(store.get('Empty'), []);
+
+    // Persists across instances
+    const other = new SavedPaletteStore(storage);
+    assert.deepEqual(summarize(other.get('Brand')), summarize([RED, BLUE]));
+  });
+
+  it('overwrites palettes with the same name', () => {
+    store.save('Brand', [RED]);
+    store.save('Brand', [BLUE]);
+    assert.deepEqual(store.getNames(), ['Brand']);
+    assert.deepEqual(summarize(store.get('Brand')), summarize([BLUE]));
+  });
+
+  it('renames palettes in place', () => {
+    store.save('A', [RED]);
+    store.save('B', [BLUE]);
+    store.save('C', []);
+    store.rename('B', 'Brand');
+    assert.deepEqual(store.getNames(), ['A', 'Brand', 'C']);
+    assert.deepEqual(summarize(store.get('Brand')), summarize([BLUE]));
+  });
+
+  it('refuses to rename onto an existing palette', () => {
+    store.save('A', [RED]);
+    store.save('B', [BLUE]);
+    assert.throws(() => store.rename('A', 'B'), /already exists/);
+    assert.throws(() => store.rename('Missing', 'X'), /No saved palette/);
+    assert.deepEqual(summarize(store.get('B')), summarize([BLUE]));
+  });
+
+  it('deletes palettes', () => {
+    store.save('A', [RED]);
+    store.save('B', [BLUE]);
+    store.delete('A');
+    store.delete('Missing');
+    assert.deepEqual(store.getNames(), ['B']);
+  });
+
+  it('handles names which are object properties', () => {
+    store.save('__proto__', [RED]);
+    store.save('constructor', [BLUE]);
+    assert.deepEqual(store.getNames(), ['__proto__', 'constructor']);
+    assert.deepEqual(summarize(store.get('__proto__')), summarize([RED]));
+    assert.equal(store.has('toString'), false);
+  });
+
+  it('ignores corrupt storage', (t) => {
+    t.mock.method(console, 'warn', () => { });
+    storage.setItem('colorSpaceExplorer.savedPalettes', '{not json');
+    assert.deepEqual(store.getNames(), []);
+    storage.setItem('colorSpaceExplorer.savedPalettes', '[1, 2]');
+    assert.deepEqual(store.getNames(), []);
+    storage.setItem('colorSpaceExplorer.savedPalettes', '[{"name": "Brand", "colors": 3}]');
+    assert.deepEqual(store.getNames(), ['Brand']);
+    assert.equal(store.get('Brand'), null);
+  });
+
+  it('keeps names which look like numbers in order', () => {
+    store.save('Brand', [RED]);
+    store.save('2024', [BLUE]);
+    store.save('1', []);
+    assert.deepEqual(new SavedPaletteStore(storage).getNames(), ['Brand', '2024', '1']);
+  });
+});
+
+describe('getLocalStorage', () => {
+  it('falls back to memory when local storage is blocked', (t) => {
+    t.mock.method(console, 'warn', () => { });
+    globalThis.window = {
+      get localStorage() { throw new Error('SecurityError'); },
+    };
+    try {
+      assert.ok(getLocalStorage() instanceof MemoryStorage);
+    } finally {
+      delete globalThis.window;
+    }
+  });
+});
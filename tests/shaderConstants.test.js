@@ -0,0 +1,63 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync, readdirSync } from 'node:fs';
+
+import { SHADER_CONSTANTS, defineShaderConstants } from '../js/shaderConstants.js';
+
+const SHADER_DIR = new URL('../shaders/', import.meta.url);
+
+describe('defineShaderConstants', () => {
+  it('adds defines after the version directive', () => {
+    const source = '#version 300 es\nvoid main() {}\n';
+    assert.equal(
+      defineShaderConstants(source, { A: 1, B: -2 }),
+      '#version 300 es\n#define A (1)\n#define B (-2)\nvoid main() {}\n');
+  });
+
+  it('requires a version directive', () => {
+    assert.throws(() => defineShaderConstants('void main() {}\n'), /#version/);
+  });
+
+  it('requires integer constants', () => {
+    assert.throws(
+      () => defineShaderConstants('#version 300 es\n', { A: 0.5 }), /must be an integer/);
+  });
+
+  it('reserves negative palette indices', () => {
+    assert.ok(SHADER_CONSTANTS.OUTSIDE_COLOR_SPACE < 0);
+    assert.ok(SHADER_CONSTANTS.NO_MATCHING_COLOR < 0);
+    assert.notEqual(SHADER_CONSTANTS.OUTSIDE_COLOR_SPACE, SHADER_CONSTANTS.NO_MATCHING_COLOR);
+  });
+});
+
+describe('shader sources', () => {
+  const shaders = readdirSync(SHADER_DIR).filter(name => name.endsWith('.glsl'));
+
+  it('leave the shared constants to the renderer', () => {
+    for (const name of shaders) {
+      const source = readFileSync(new URL(name, SHADER_DIR), 'utf8');
+      for (const constant of Object.keys(SHADER_CONSTANTS)) {
+        assert.doesNotMatch(
+          source, new RegExp(`(const\\s+\\w+|#define)\\s+${constant}\\b`),
+          `${name} declares ${constant}`);
+      }
+    }
+  });
+
+  it('use the shared constants for palette indices', () => {
+    const compute = readFileSync(new URL('compute_fragment.glsl', SHADER_DIR), 'utf8');
+    const render = readFileSync(new URL('render_fragment.glsl', SHADER_DIR), 'utf8');
+    assert.match(compute, /NO_MATCHING_COLOR/);
+    assert.match(compute, /PALETTE_TEXTURE_WIDTH/);
+    assert.match(render, /OUTSIDE_COLOR_SPACE/);
+    assert.doesNotMatch(compute + render, /MAX_PALETTE_COLORS/);
+  });
+
+  it('draw boundaries next to unmatched colors', () => {
+    // NO_MATCHING_COLOR is negative, so a negative neighbor index can't be
+    // what marks a pixel as not being on a boundary
+    const render = readFileSync(new URL('render_fragment.glsl', SHADER_DIR), 'utf8');
+    assert.match(render, /bool isBoundary = findBoundary\(/);
+    assert.doesNotMatch(render, /boundaryIndex\s*>=?\s*0/);
+  });
+});
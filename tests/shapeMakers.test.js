@@ -0,0 +1,214 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+  generateCubeSurface, generateCubeWireframe, generateCrossSections,
+  generate2DFace, generateCylinderSurface, generateCylinderWireframe,
+  getRadialAxisOffset, colorCoordTo3DPosition, ANGULAR_AXIS, RADIAL_AXIS, CYLINDER_AXIS
+} from '../js/shapeMakers.js';
+
+// Loaded as a global by shapeMakers.js
+const { mat4 } = globalThis.glMatrix;
+
+const EPSILON = 1e-9;
+const FULL_SLICES = [[0, 1], [0, 1], [0, 1]];
+const PARTIAL_SLICES = [[0.1, 0.6], [0.25, 0.75], [0.2, 0.9]];
+const WEDGE_SLICES = [[0.125, 0.625], [0.2, 0.8], [0.3, 0.7]];
+
+/**
+ * Assert that every index refers to a vertex, and that the index count is a
+ * multiple of the primitive size.
+ * @param {{vertices: Array, indices: Array<number>}} geometry
+ * @param {number} primitiveSize - 3 for triangles, 2 for lines
+ */
+function assertValidIndices({ vertices, indices }, primitiveSize) {
+  assert.equal(indices.length % primitiveSize, 0);
+  for (const index of indices) {
+    assert.ok(Number.isInteger(index) && index >= 0 && index < vertices.length,
+      `index ${index} out of range for ${vertices.length} vertices`);
+  }
+}
+
+/**
+ * Assert that every vertex has the given length and that every component
+ * is within bounds.
+ * @param {Array<Array<number>>} vertices
+ * @param {number} length
+ * @param {number} min
+ * @param {number} max
+ */
+function assertVertexBounds(vertices, length, min, max) {
+  for (const vertex of vertices) {
+    assert.equal(vertex.length, length);
+    for (const v of vertex) {
+      assert.ok(v >= min - EPSILON && v <= max + EPSILON,
+        `vertex component ${v} outside [${min}, ${max}]`);
+    }
+  }
+}
+
+/**
+ * Assert that vertex color coordinates lie within the slices
+ * @param {Array<Array<number>>} vertices - Vertices as [x, y, z, c0, c1, c2]
+ * @param {Array<Array<number>>} slices
+ */
+function assertColorCoordsInSlices(vertices, slices) {
+  for (const vertex of vertices) {
+    vertex.slice(3).forEach((c, i) => {
+      assert.ok(c >= slices[i][0] - EPSILON && c <= slices[i][1] + EPSILON,
+        `color coordinate ${c} outside slice [${slices[i]}]`);
+    });
+  }
+}
+
+describe('generateCubeSurface', () => {
+  it('has 4 vertices and 2 triangles per face', () => {
+    const geometry = generateCubeSurface(FULL_SLICES);
+    assert.equal(geometry.vertices.length, 24);
+    assert.equal(geometry.indices.length, 36);
+    assertValidIndices(geometry, 3);
+  });
+
+  it('keeps positions within the cube and color coordinates within the slices', () => {
+    const { vertices } = generateCubeSurface(PARTIAL_SLICES);
+    assertVertexBounds(vertices, 6, -0.5, 1);
+    assertColorCoordsInSlices(vertices, PARTIAL_SLICES);
+  });
+
+  it('positions vertices at their color coordinates', () => {
+    for (const vertex of generateCubeSurface(PARTIAL_SLICES).vertices) {
+      for (let i = 0; i < 3; i++) {
+        assert.ok(Math.abs(vertex[i] - (vertex[i + 3] - 0.5)) < EPSILON);
+      }
+    }
+  });
+});
+
+describe('generateCubeWireframe', () => {
+  it('has 12 edges each for the slice and the full cube', () => {
+    const geometry = generateCubeWireframe(PARTIAL_SLICES);
+    assert.equal(geometry.vertices.length, 16);
+    assert.equal(geometry.indices.length, 2 * 2 * 12);
+    assertValidIndices(geometry, 2);
+    assertVertexBounds(geometry.vertices, 3, -0.5, 0.5);
+  });
+
+  it('only joins vertices along one axis', () => {
+    const { vertices, indices } = generateCubeWireframe(FULL_SLICES);
+    for (let i = 0; i < indices.length; i += 2) {
+      const start = vertices[indices[i]];
+      const end = vertices[indices[i + 1]];
+      const differingAxes = start.filter((v, j) => v !== end[j]).length;
+      assert.equal(differingAxes, 1);
+    }
+  });
+});
+
+describe('generateCrossSections', () => {
+  it('generates valid triangles within the cube', () => {
+    const rotationMatrix = mat4.create();
+    mat4.rotateX(rotationMatrix, rotationMatrix, 0.5);
+    mat4.rotateY(rotationMatrix, rotationMatrix, 0.3);
+
+    const geometry = generateCrossSections(rotationMatrix);
+    assert.ok(geometry.indices.length > 0);
+    assertValidIndices(geometry, 3);
+    assertVertexBounds(geometry.vertices, 6, -0.5, 1);
+    assertColorCoordsInSlices(geometry.vertices, FULL_SLICES);
+  });
+});
+
+describe('generate2DFace', () => {
+  it('generates a single quad in the z = 0 plane', () => {
+    for (let axis = 0; axis < 3; axis++) {
+      const geometry = generate2DFace(PARTIAL_SLICES, axis, 2);
+      assert.equal(geometry.vertices.length, 4);
+      assert.equal(geometry.indices.length, 6);
+      assertValidIndices(geometry, 3);
+      assertVertexBounds(geometry.vertices, 6, -1, 1);
+      assertColorCoordsInSlices(geometry.vertices, PARTIAL_SLICES);
+      for (const vertex of geometry.vertices) {
+        assert.equal(vertex[axis], 0);
+        // The viewing axis is fixed at the top of its slice
+        assert.equal(vertex[axis + 3], PARTIAL_SLICES[axis][1]);
+      }
+    }
+  });
+});
+
+describe('generateCylinderSurface', () => {
+  it('generates valid triangles for the full cylinder', () => {
+    const geometry = generateCylinderSurface(FULL_SLICES);
+    assertValidIndices(geometry, 3);
+    assertVertexBounds(geometry.vertices, 6, -0.5, 1);
+  });
+
+  it('adds an inner surface and wedge faces for a partial slice', () => {
+    const full = generateCylinderSurface(
+      [[0, 1], [0, WEDGE_SLICES[RADIAL_AXIS][1]], WEDGE_SLICES[CYLINDER_AXIS]]);
+    const wedge = generateCylinderSurface(WEDGE_SLICES);
+    assertValidIndices(wedge, 3);
+
+    // The inner surface doubles the body, and each wedge face adds a quad.
+    const capVertices = 8;
+    const bodyVertices = full.vertices.length - capVertices;
+    assert.equal(wedge.vertices.length, capVertices + 2 * bodyVertices + 2 * 4);
+  });
+
+  it('keeps cylinder vertices within the radial range', () => {
+    const { vertices } = generateCylinderSurface(WEDGE_SLICES);
+    const [minDiameter, maxDiameter] = WEDGE_SLICES[RADIAL_AXIS];
+    // Skip the square end caps
+    for (const vertex of vertices.slice(8)) {
+      const diameter = 2 * Math.hypot(vertex[0], vertex[1]);
+      assert.ok(diameter >= minDiameter - 1e-6 && diameter <= maxDiameter + 1e-6);
+      const z = vertex[3 + CYLINDER_AXIS];
+      assert.ok(z >= WEDGE_SLICES[CYLINDER_AXIS][0] - EPSILON);
+      assert.ok(z <= WEDGE_SLICES[CYLINDER_AXIS][1] + EPSILON);
+    }
+  });
+});
+
+describe('generateCylinderWireframe', () => {
+  it('generates valid lines within the bounding cube', () => {
+    for (const slices of [FULL_SLICES, WEDGE_SLICES]) {
+      const geometry = generateCylinderWireframe(slices);
+      assertValidIndices(geometry, 2);
+      assertVertexBounds(geometry.vertices, 3, -0.5, 0.5);
+    }
+  });
+
+  it('draws wedge faces only for a partial angular range', () => {
+    // Wedge faces extend from the central axis of the cylinder
+    const isOnAxis = vertex => Math.hypot(vertex[0], vertex[1]) < EPSILON;
+
+    const full = generateCylinderWireframe(FULL_SLICES);
+    assert.ok(!full.vertices.some(isOnAxis));
+
+    const partialAngle = [...FULL_SLICES];
+    partialAngle[ANGULAR_AXIS] = [0.25, 0.75];
+    const wedge = generateCylinderWireframe(partialAngle);
+    assert.equal(wedge.vertices.filter(isOnAxis).length, 4);
+  });
+});
+
+describe('colorCoordTo3DPosition', () => {
+  it('matches the positions of the 3D shapes', () => {
+    const shapes = [generateCubeSurface(PARTIAL_SLICES), generateCylinderSurface(PARTIAL_SLICES)];
+    for (const { vertices } of shapes) {
+      for (const vertex of vertices) {
+        const position = colorCoordTo3DPosition(vertex.slice(3));
+        position.forEach((p, i) => assert.ok(Math.abs(p - vertex[i]) < EPSILON));
+      }
+    }
+  });
+});
+
+describe('getRadialAxisOffset', () => {
+  it('is zero for zero diameter and scales linearly', () => {
+    assert.equal(getRadialAxisOffset(0), 0);
+    const offset = getRadialAxisOffset(1);
+    assert.ok(offset > 0 && offset < 0.05);
+    assert.ok(Math.abs(getRadialAxisOffset(0.5) - offset / 2) < EPSILON);
+  });
+});
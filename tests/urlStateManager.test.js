@@ -0,0 +1,312 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { URLStateManager } from '../js/urlStateManager.js';
+import { ColorSpaceConfig } from '../js/configController.js';
+import { getAllColorSpaces, getColorSpaceByType, getDistanceMetricById, getDefaultDistanceMetric, RgbColor } from '../js/colorSpace.js';
+import { NamedColor, getPresetNames, getPreset } from '../js/namedColor.js';
+import { hexToRgb, rgbToHex } from '../js/colorUtils.js';
+import { ZoomWindow, FULL_ZOOM_WINDOW } from '../js/zoomWindow.js';
+import { DEFAULT_CAMERA_OPTIONS, defaultRotation } from '../js/camera.js';
+
+// Loaded as a global by camera.js
+const { mat4 } = globalThis.glMatrix;
+
+/**
+ * Serialize a config and parse it back
+ * @param {ColorSpaceConfig} config
+ * @returns {ColorSpaceConfig}
+ */
+function roundTrip(config) {
+  return URLStateManager.deserializeColorSpaceConfig(
+    URLStateManager.serializeColorSpaceConfig(config));
+}
+
+/**
+ * Assert that two configs describe the same state
+ * @param {ColorSpaceConfig} actual
+ * @param {ColorSpaceConfig} expected
+ */
+function assertSameConfig(actual, expected) {
+  assert.equal(actual.colorSpace, expected.colorSpace);
+  assert.deepEqual([...actual.axisSlices], [...expected.axisSlices]);
+  assert.equal(actual.render3d, expected.render3d);
+  assert.equal(actual.usePolarCoordinates, expected.usePolarCoordinates);
+  assert.equal(actual.showBoundaries, expected.showBoundaries);
+  assert.equal(actual.distanceMetric, expected.distanceMetric);
+  assert.equal(actual.distanceThreshold, expected.distanceThreshold);
+  assert.equal(actual.highlightMode, expected.highlightMode);
+  assert.equal(actual.showUnmatchedColors, expected.showUnmatchedColors);
+  assert.equal(actual.cvdType, expected.cvdType);
+  assert.equal(actual.cvdSeverity, expected.cvdSeverity);
+  assert.equal(actual.simulateCvdMatching, expected.simulateCvdMatching);
+  assert.equal(actual.contrastOverlay, expected.contrastOverlay);
+  assert.equal(rgbToHex(actual.contrastReference), rgbToHex(expected.contrastReference));
+}
+
+describe('URLStateManager', () => {
+  it('round-trips a 2D slice for every color space', () => {
+    for (const colorSpace of getAllColorSpaces()) {
+      const axis = colorSpace.getDefaultAxis();
+      const config = new ColorSpaceConfig(
+        colorSpace, new Map([[axis, [axis.min, axis.min]]]));
+      assertSameConfig(roundTrip(config), config);
+    }
+  });
+
+  it('round-trips 3D ranges, including negative values', () => {
+    const colorSpace = getColorSpaceByType('LAB');
+    const [lightness, a, b] = colorSpace.getAllAxes();
+    const config = new ColorSpaceConfig(colorSpace, new Map([
+      [lightness, [0, 100]],
+      [a, [-100, -20]],
+      [b, [-125, 125]],
+    ]), true);
+
+    const search = URLStateManager.serializeColorSpaceConfig(config);
+    // Full ranges are omitted
+    assert.ok(!search.includes('lightness='));
+    assert.ok(!search.includes('b='));
+    assert.ok(search.includes('a=-100--20'));
+
+    const result = roundTrip(config);
+    assert.equal(result.render3d, true);
+    assert.deepEqual(result.axisSlices.get(a), [-100, -20]);
+    assert.equal(result.axisSlices.has(lightness), false);
+  });
+
+  it('round-trips flags, metric and highlight mode', () => {
+    const colorSpace = getColorSpaceByType('HSV');
+    const value = colorSpace.getAxisByKey('value');
+    const config = new ColorSpaceConfig(
+      colorSpace,
+      new Map([[value, [80, 80]]]),
+      false,
+      true,
+      false,
+      getDistanceMetricById('de2000'),
+      25,
+      'boundary',
+      false);
+    assert.equal(config.usePolarCoordinates, true);
+    assertSameConfig(roundTrip(config), config);
+  });
+
+  it('round-trips color vision deficiency simulation', () => {
+    const colorSpace = getAllColorSpaces()[0];
+    const axis = colorSpace.getDefaultAxis();
+    const makeConfig = (cvdType, cvdSeverity, simulateCvdMatching) => new ColorSpaceConfig(
+      colorSpace, new Map([[axis, [axis.min, axis.min]]]), false, false, true,
+      null, null, null, true, cvdType, cvdSeverity, simulateCvdMatching);
+
+    const partial = makeConfig('tritanopia', 0.4, true);
+    assertSameConfig(roundTrip(partial), partial);
+
+    const full = makeConfig('protanopia', 1, false);
+    assert.ok(!URLStateManager.serializeColorSpaceConfig(full).includes('cvdseverity'));
+    assertSameConfig(roundTrip(full), full);
+
+    const none = makeConfig('none', 1, true);
+    assert.equal(none.simulateCvdMatching, false);
+    assert.ok(!URLStateManager.serializeColorSpaceConfig(none).includes('cvd'));
+  });
+
+  it('round-trips the contrast overlay', () => {
+    const colorSpace = getAllColorSpaces()[0];
+    const axis = colorSpace.getDefaultAxis();
+    const makeConfig = (contrastOverlay, contrastReference) => new ColorSpaceConfig(
+      colorSpace, new Map([[axis, [axis.min, axis.min]]]), false, false, true,
+      null, null, null, true, 'none', 1, false, contrastOverlay, contrastReference);
+
+    const black = makeConfig('aaa', hexToRgb('#000000'));
+    assertSameConfig(roundTrip(black), black);
+
+    const white = makeConfig('aa', null);
+    assert.ok(!URLStateManager.serializeColorSpaceConfig(white).includes('contrastref'));
+    assertSameConfig(roundTrip(white), white);
+
+    assert.ok(!URLStateManager.serializeColorSpaceConfig(makeConfig('off', null))
+      .includes('contrast'));
+    assert.equal(
+      URLStateManager.deserializeColorSpaceConfig('contrast=nope').contrastOverlay, 'off');
+  });
+
+  it('rounds the threshold to its display precision', () => {
+    const config = new ColorSpaceConfig(
+      getAllColorSpaces()[0],
+      new Map(),
+      true,
+      false,
+      true,
+      getDistanceMetricById('rgb-d'),
+      0.123456);
+    assert.equal(roundTrip(config).distanceThreshold, 0.12);
+  });
+
+  it('falls back to defaults for an empty query', () => {
+    const config = URLStateManager.deserializeColorSpaceConfig('');
+    const colorSpace = getAllColorSpaces()[0];
+    const axis = colorSpace.getDefaultAxis();
+    assert.equal(config.colorSpace, colorSpace);
+    assert.deepEqual([...config.axisSlices], [[axis, [axis.defaultValue, axis.defaultValue]]]);
+    assert.equal(config.distanceMetric, getDefaultDistanceMetric());
+    assert.equal(config.distanceThreshold, getDefaultDistanceMetric().defaultThreshold);
+  });
+
+  it('ignores invalid values', () => {
+    const config = URLStateManager.deserializeColorSpaceConfig(
+      '?space=nope&red=500&green=1.5&h=invalid&cvd=invalid&cvdseverity=abc');
+    assert.equal(config.colorSpace, getAllColorSpaces()[0]);
+    assert.equal(config.currentAxis, config.colorSpace.getDefaultAxis());
+    assert.equal(config.highlightMode, 'dim-other');
+    assert.equal(config.cvdType, 'none');
+    assert.equal(config.cvdSeverity, 1);
+  });
+
+  it('accepts lowercase color space types', () => {
+    const config = URLStateManager.deserializeColorSpaceConfig('space=oklch');
+    assert.equal(config.colorSpace, getColorSpaceByType('OKLCH'));
+  });
+
+  it('clamps thresholds to the metric range', () => {
+    assert.equal(
+      URLStateManager.deserializeColorSpaceConfig('lab-d=500').distanceThreshold, 100);
+    assert.equal(
+      URLStateManager.deserializeColorSpaceConfig('lab-d=abc').distanceThreshold, 100);
+  });
+
+  it('round-trips the selection', () => {
+    const fragment = URLStateManager.serializeSelection([12.4, 99.6]);
+    assert.equal(fragment, '#12,100');
+    assert.deepEqual(URLStateManager.deserializeSelection(fragment), [12, 100]);
+  });
+
+  it('handles a missing or malformed selection', () => {
+    assert.equal(URLStateManager.serializeSelection(null), '');
+    assert.equal(URLStateManager.deserializeSelection(''), null);
+    assert.equal(URLStateManager.deserializeSelection('#'), null);
+    assert.equal(URLStateManager.deserializeSelection('#1,2,3'), null);
+    assert.equal(URLStateManager.deserializeSelection('#a,b'), null);
+  });
+});
+
+describe('URLStateManager palette', () => {
+  /**
+   * Serialize a palette and parse it back
+   * @param {{presetName: string|null, colors: Array<NamedColor>}} paletteState
+   */
+  function roundTripPalette(paletteState) {
+    return URLStateManager.deserializePalette(
+      URLStateManager.serializePalette(paletteState));
+  }
+
+  it('leaves out the default preset', () => {
+    const presetName = getPresetNames()[0];
+    assert.equal(
+      URLStateManager.serializePalette({ presetName, colors: getPreset(presetName) }), '');
+    assert.equal(URLStateManager.deserializePalette(''), null);
+  });
+
+  it('references other presets by name', () => {
+    const presetName = 'CSS Colors';
+    const search = URLStateManager.serializePalette(
+      { presetName, colors: getPreset(presetName) });
+    assert.equal(search, 'palette=CSS+Colors');
+    assert.deepEqual(
+      URLStateManager.deserializePalette(search),
+      { presetName, colors: getPreset(presetName) });
+  });
+
+  it('ignores unknown presets', () => {
+    assert.equal(URLStateManager.deserializePalette('palette=Nope'), null);
+  });
+
+  it('round-trips custom palettes', () => {
+    const colors = [
+      new NamedColor('Brand Red', hexToRgb('#E00000')),
+      new NamedColor('Stars * and ** more*', hexToRgb('#123456')),
+      new NamedColor('Ünïcödé & ?=#', hexToRgb('#ABCDEF')),
+      new NamedColor('#808080', hexToRgb('#808080')),
+      new NamedColor('C0FFEE', hexToRgb('#C0FFEE')),
+    ];
+    const result = roundTripPalette({ presetName: null, colors });
+    assert.equal(result.presetName, null);
+    assert.deepEqual(
+      result.colors.map(c => [c.name, rgbToHex(c.rgbColor)]),
+      colors.map(c => [c.name, rgbToHex(c.rgbColor)]));
+  });
+
+  it('encodes colors compactly', () => {
+    const search = URLStateManager.serializePalette({
+      presetName: null,
+      colors: [
+        new NamedColor('Red', new RgbColor(1, 0, 0)),
+        new NamedColor('#00FF00', new RgbColor(0, 1, 0)),
+      ]
+    });
+    assert.equal(search, 'colors=FF0000Red*00FF00');
+  });
+
+  it('round-trips an empty custom palette', () => {
+    assert.deepEqual(
+      roundTripPalette({ presetName: null, colors: [] }),
+      { presetName: null, colors: [] });
+  });
+
+  it('skips invalid custom entries', () => {
+    const result = URLStateManager.deserializePalette('colors=FF0000Red*nothex*00F');
+    assert.deepEqual(result.colors.map(c => c.name), ['Red']);
+  });
+});
+
+describe('URLStateManager zoom', () => {
+  it('leaves out the full slice', () => {
+    assert.equal(URLStateManager.serializeZoomWindow(FULL_ZOOM_WINDOW), '');
+    assert.equal(URLStateManager.deserializeZoomWindow(''), null);
+  });
+
+  it('round trips a zoom window', () => {
+    const zoomWindow = new ZoomWindow(0.25, 0.5, 0.125);
+    const search = URLStateManager.serializeZoomWindow(zoomWindow);
+    assert.equal(search, 'zoom=0.25,0.5,0.125');
+    assert.ok(URLStateManager.deserializeZoomWindow(search).equals(zoomWindow));
+  });
+
+  it('rejects invalid zoom windows', () => {
+    assert.equal(URLStateManager.deserializeZoomWindow('zoom=0.1,0.2'), null);
+    assert.equal(URLStateManager.deserializeZoomWindow('zoom=a,b,c'), null);
+    assert.equal(URLStateManager.deserializeZoomWindow('zoom=0,0,0'), null);
+  });
+});
+
+describe('URLStateManager camera', () => {
+  it('leaves out the default view', () => {
+    assert.equal(URLStateManager.serializeCamera(defaultRotation(), DEFAULT_CAMERA_OPTIONS), '');
+    const camera = URLStateManager.deserializeCamera('');
+    assert.equal(camera.rotationMatrix, null);
+    assert.deepEqual(camera.cameraOptions, DEFAULT_CAMERA_OPTIONS);
+  });
+
+  it('round trips a view', () => {
+    const rotationMatrix = mat4.fromYRotation(mat4.create(), Math.PI / 2);
+    const search = URLStateManager.serializeCamera(
+      rotationMatrix, { distance: 2.5, orthographic: true });
+    assert.equal(search, 'rot=0,0.7071,0,0.7071&dist=2.5&ortho');
+
+    const camera = URLStateManager.deserializeCamera(search);
+    rotationMatrix.forEach((value, i) => {
+      assert.ok(Math.abs(value - camera.rotationMatrix[i]) < 1e-4);
+    });
+    assert.deepEqual(camera.cameraOptions, { distance: 2.5, orthographic: true });
+  });
+
+  it('ignores invalid views', () => {
+    const camera = URLStateManager.deserializeCamera('rot=1,2&dist=far');
+    assert.equal(camera.rotationMatrix, null);
+    assert.equal(camera.cameraOptions.distance, DEFAULT_CAMERA_OPTIONS.distance);
+    assert.equal(URLStateManager.deserializeCamera('dist=100').cameraOptions.distance, 6);
+    assert.equal(
+      URLStateManager.deserializeCamera('dist=').cameraOptions.distance,
+      DEFAULT_CAMERA_OPTIONS.distance);
+  });
+});
@@ -0,0 +1,65 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { ZoomWindow, FULL_ZOOM_WINDOW } from '../js/zoomWindow.js';
+
+/**
+ * Check that two points are nearly equal
+ * @param {Array<number>} actual
+ * @param {Array<number>} expected
+ */
+function assertPointClose(actual, expected) {
+  actual.forEach((value, i) => {
+    assert.ok(Math.abs(value - expected[i]) < 1e-9, `${actual} != ${expected}`);
+  });
+}
+
+describe('ZoomWindow', () => {
+  it('starts with the whole slice', () => {
+    assert.ok(FULL_ZOOM_WINDOW.isFull());
+    assertPointClose(FULL_ZOOM_WINDOW.viewToSlice([0.3, 0.7]), [0.3, 0.7]);
+  });
+
+  it('keeps the zoom point fixed in the view', () => {
+    const zoomed = FULL_ZOOM_WINDOW.zoomAt(4, [0.2, 0.6]);
+    assert.equal(zoomed.size, 0.25);
+    assertPointClose(zoomed.viewToSlice([0.2, 0.6]), [0.2, 0.6]);
+    assertPointClose(zoomed.sliceToView([0.2, 0.6]), [0.2, 0.6]);
+  });
+
+  it('stays inside the slice', () => {
+    const zoomed = FULL_ZOOM_WINDOW.zoomAt(2, [0.5, 0.5]);
+    const panned = zoomed.panBy(10, -10);
+    assert.equal(panned.x, 0);
+    assert.equal(panned.y, 0.5);
+
+    const zoomedOut = panned.zoomAt(0.1, [0, 0]);
+    assert.ok(zoomedOut.isFull());
+    assert.equal(zoomedOut.x, 0);
+    assert.equal(zoomedOut.y, 0);
+  });
+
+  it('pans by fractions of the view', () => {
+    const zoomed = new ZoomWindow(0.5, 0.5, 0.25);
+    // Dragging right shows more of the left
+    const panned = zoomed.panBy(0.5, 0);
+    assert.equal(panned.x, 0.375);
+    assert.equal(panned.y, 0.5);
+  });
+
+  it('limits how far it zooms in', () => {
+    const zoomed = FULL_ZOOM_WINDOW.zoomAt(1e9, [0.5, 0.5]);
+    assert.ok(zoomed.size > 0);
+    assert.equal(zoomed.zoomAt(2, [0.5, 0.5]).size, zoomed.size);
+  });
+
+  it('round trips through a string', () => {
+    const zoomed = FULL_ZOOM_WINDOW.zoomAt(3, [0.1, 0.9]);
+    const parsed = ZoomWindow.parse(zoomed.toString());
+    // Strings are rounded, which is plenty for a URL
+    [parsed.x, parsed.y, parsed.size].forEach((value, i) => {
+      assert.ok(Math.abs(value - [zoomed.x, zoomed.y, zoomed.size][i]) < 1e-5);
+    });
+    assert.equal(ZoomWindow.parse('1,2'), null);
+  });
+});